@@ -18,7 +18,9 @@ module.exports = {
     'playwright/no-wait-for-timeout': 'warn',
     // Disable no-conditional-in-test since we need conditionals for our resilient test strategy
     'playwright/no-conditional-in-test': 'off',
-    'playwright/valid-expect': 'error'
+    'playwright/valid-expect': 'error',
+    // Page object methods that assert internally
+    'playwright/expect-expect': ['warn', { additionalAssertFunctionNames: ['compareVisual'] }]
   },
   ignorePatterns: [
     'node_modules/',
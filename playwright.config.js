@@ -4,10 +4,29 @@ const dotenv = require('dotenv');
 // Read from .env file
 dotenv.config();
 
+// Resolve the target environment from TEST_ENV (see ui/config/environments.js)
+const { environments, getEnvironment } = require('./ui/config/environments');
+const env = getEnvironment();
+
+// The local environment runs hermetically against the mock site in ui/mocks
+const isOffline = env.name === 'local';
+
+// Specs that only the browser projects run
+const browserIgnore = ['**/webhooks/**', '**/unit/**', '**/api/**'];
+
+// Policy wording doesn't depend on the browser, and one project per run keeps the snapshots from racing
+const desktopChromiumOnly = ['**/policyContent.spec.js'];
+
+// API specs need an account to sign in with - the contract stub has one, real environments need TEST_USER_EMAIL
+const hasApiAccount = isOffline || Boolean(env.credentials.email);
+
 module.exports = defineConfig({
   // Directory where tests are located
   testDir: './ui/tests',
   
+  // Service-level and unit specs only run in their own projects (see below)
+  testIgnore: browserIgnore,
+  
   // Maximum time one test can run for
   timeout: Number(process.env.DEFAULT_TIMEOUT) || 60000, // Increase timeout to 60s
   
@@ -20,17 +39,38 @@ module.exports = defineConfig({
   // Run one test at a time for easier debugging
   fullyParallel: false,
   
+  // Logs the preset users in once and saves their sessions (see ui/fixtures/sessions.js)
+  globalSetup: require.resolve('./ui/fixtures/globalSetup.js'),
+  
+  // Approved visual baselines, one folder per project (see BasePage.compareVisual)
+  snapshotPathTemplate: './ui/visual-baselines/{projectName}/{testFileName}/{arg}{ext}',
+  
+  // New or changed screenshots go through `npm run visual:review` instead of being written automatically
+  updateSnapshots: 'none',
+  
+  expect: {
+    toHaveScreenshot: {
+      animations: 'disabled',
+      caret: 'hide',
+      maxDiffPixelRatio: Number(process.env.VISUAL_MAX_DIFF_RATIO) || 0.01
+    }
+  },
+  
   // Reporter to use
   reporter: [
     ['html', { outputFolder: './ui/reports/html-report' }],
     ['junit', { outputFile: './ui/reports/junit-report.xml' }],
-    ['list']
+    ['list'],
+    // Sends signed results to the webhook server when WEBHOOK_URL is set
+    ['./ui/reporters/WebhookReporter.js', { url: process.env.WEBHOOK_URL }],
+    // Reports which selector candidate resolved each page element, compared with the previous run
+    ['./ui/reporters/SelectorDriftReporter.js']
   ],
   
   // Shared settings for all the projects below
   use: {
     // Base URL to use in actions like page.goto()
-    baseURL: process.env.BASE_URL || 'https://www.angelcard.us',
+    baseURL: env.baseURL,
     
     // Collect trace when retrying the failed test
     trace: 'on-first-retry',
@@ -54,8 +94,46 @@ module.exports = defineConfig({
     actionTimeout: 15000,
   },
   
+  // Start the mock AngelCard site and platform for offline runs
+  webServer: isOffline ? {
+    command: 'node ./ui/mocks/server.js',
+    url: `${environments.local.baseURL}/health`,
+    reuseExistingServer: !process.env.CI,
+    timeout: 30000,
+  } : undefined,
+  
   // Configure projects for major browsers
   projects: [
+    // Webhook server specs - no browser needed, always run against local servers
+    {
+      name: 'webhooks',
+      testMatch: '**/webhooks/**/*.spec.js',
+      testIgnore: [],
+    },
+    
+    // Unit specs for framework utilities - no browser needed
+    {
+      name: 'unit',
+      testMatch: '**/unit/**/*.spec.js',
+      testIgnore: [],
+    },
+    
+    // API contract specs - no browser needed, run against the environment's apiURL (the contract stub for TEST_ENV=local)
+    ...(hasApiAccount ? [{
+      name: 'api',
+      testMatch: '**/api/**/*.spec.js',
+      testIgnore: [],
+    }] : []),
+    
+    // Headless Chromium against the mock site (TEST_ENV=local, see `npm run test:offline`)
+    ...(isOffline ? [{
+      name: 'offline',
+      use: {
+        ...devices['Desktop Chrome'],
+        headless: true
+      },
+    }] : []),
+    
     {
       name: 'chromium',
       use: { 
@@ -65,6 +143,7 @@ module.exports = defineConfig({
     },
     {
       name: 'firefox',
+      testIgnore: [...browserIgnore, ...desktopChromiumOnly],
       use: {
         ...devices['Desktop Firefox'],
         headless: process.env.HEADLESS === 'true' || false
@@ -72,6 +151,7 @@ module.exports = defineConfig({
     },
     {
       name: 'webkit',
+      testIgnore: [...browserIgnore, ...desktopChromiumOnly],
       use: {
         ...devices['Desktop Safari'],
         headless: process.env.HEADLESS === 'true' || false
@@ -81,6 +161,7 @@ module.exports = defineConfig({
     // Test against mobile viewports
     {
       name: 'mobile-chrome',
+      testIgnore: [...browserIgnore, ...desktopChromiumOnly],
       use: {
         ...devices['Pixel 5'],
         headless: process.env.HEADLESS === 'true' || false
@@ -88,6 +169,7 @@ module.exports = defineConfig({
     },
     {
       name: 'mobile-safari',
+      testIgnore: [...browserIgnore, ...desktopChromiumOnly],
       use: {
         ...devices['iPhone 12'],
         headless: process.env.HEADLESS === 'true' || false
@@ -0,0 +1,208 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { validateSchema } = require('./schemas');
+
+// Body fields that are never written to the log
+const REDACTED_FIELDS = ['password', 'accessToken', 'number'];
+
+/**
+ * Copy a request or response body with its secrets replaced, for logging
+ * @param {*} body - Body
+ * @returns {*} - Body safe to log
+ */
+const redact = (body) => {
+  if (Array.isArray(body)) return body.map(redact);
+  if (!body || typeof body !== 'object') return body;
+  return Object.fromEntries(Object.entries(body).map(([key, value]) => [key, REDACTED_FIELDS.includes(key) ? '[redacted]' : redact(value)]));
+};
+
+/**
+ * Client for the AngelCard backend API (environment apiURL).
+ * Every method resolves with the response whatever its status, so tests can assert on error responses.
+ * Bodies are checked against ui/api/schemas.js: the method's schema for 2xx responses, the error schema otherwise.
+ * A body that doesn't match throws.
+ */
+class ApiClient {
+  /**
+   * @param {object} [options] - Client options
+   * @param {string} [options.baseURL] - API URL (defaults to the environment's apiURL)
+   * @param {string} [options.token] - Access token to start with, e.g. from another client
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   */
+  constructor({ baseURL = getEnvironment().apiURL, token = null, timeout = 10000 } = {}) {
+    this.token = token;
+    this.http = axios.create({
+      baseURL,
+      timeout,
+      headers: { Accept: 'application/json' },
+      // Error statuses are results to assert on, not exceptions
+      validateStatus: () => true
+    });
+
+    this.http.interceptors.request.use((config) => {
+      if (this.token) {
+        config.headers.Authorization = `Bearer ${this.token}`;
+      }
+      config.metadata = { started: Date.now() };
+      logger.info(`API ${config.method.toUpperCase()} ${config.url}`);
+      if (config.data) {
+        logger.debug(`API request body: ${JSON.stringify(redact(config.data))}`);
+      }
+      return config;
+    });
+    this.http.interceptors.response.use((response) => {
+      const { config } = response;
+      logger.info(`API ${config.method.toUpperCase()} ${config.url} -> ${response.status} (${Date.now() - config.metadata.started}ms)`);
+      if (response.data !== '') {
+        logger.debug(`API response body: ${JSON.stringify(redact(response.data))}`);
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Send a request and validate the response body
+   * @param {object} request - Request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Path below the API URL
+   * @param {object} [request.data] - JSON body
+   * @param {string} [request.schema] - Schema of a 2xx body, omit for responses without one
+   * @returns {Promise<import('axios').AxiosResponse>} - Response
+   */
+  async request({ method, url, data, schema }) {
+    const response = await this.http.request({ method, url, data });
+    const ok = response.status >= 200 && response.status < 300;
+    const name = ok ? schema : 'error';
+    if (name && response.status !== 204) {
+      const violations = validateSchema(name, response.data);
+      if (violations.length > 0) {
+        throw new Error(`${method.toUpperCase()} ${url} returned ${response.status} with a body that doesn't match the "${name}" schema:\n  ${violations.join('\n  ')}`);
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Register an account and use its access token for the following requests
+   * @param {{email: string, password: string, firstName?: string, lastName?: string, plan?: string}} user - User, e.g. from createDataFactory().user()
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, 201 with {accessToken, tokenType, account}, or 422 with field errors
+   */
+  async register({ email, password, firstName, lastName, plan }) {
+    const response = await this.request({ method: 'post', url: '/accounts', data: { email, password, firstName, lastName, plan }, schema: 'token' });
+    if (response.status === 201) {
+      this.token = response.data.accessToken;
+      logger.info(`API client registered ${email}`);
+    }
+    return response;
+  }
+
+  /**
+   * Get an access token and use it for the following requests
+   * @param {string} email - Account email
+   * @param {string} password - Account password
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, data {accessToken, tokenType, account} on success
+   */
+  async login(email, password) {
+    const response = await this.request({ method: 'post', url: '/auth/token', data: { email, password }, schema: 'token' });
+    if (response.status === 200) {
+      this.token = response.data.accessToken;
+      logger.info(`API client signed in as ${email}`);
+    }
+    return response;
+  }
+
+  /**
+   * Revoke the access token
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, 204 on success
+   */
+  async logout() {
+    const response = await this.request({ method: 'delete', url: '/auth/token' });
+    this.token = null;
+    return response;
+  }
+
+  /**
+   * Get the signed-in account
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, data {id, email, firstName, lastName, plan}
+   */
+  async getAccount() {
+    return this.request({ method: 'get', url: '/account', schema: 'account' });
+  }
+
+  /**
+   * Delete the signed-in account with its cards, and forget the token
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, 204 on success
+   */
+  async deleteAccount() {
+    const response = await this.request({ method: 'delete', url: '/account' });
+    if (response.status === 204) {
+      this.token = null;
+    }
+    return response;
+  }
+
+  /**
+   * List the monitored cards
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, data {cards: [...]}
+   */
+  async listCards() {
+    return this.request({ method: 'get', url: '/cards', schema: 'cardList' });
+  }
+
+  /**
+   * Get one card
+   * @param {string} id - Card ID
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, data is the card
+   */
+  async getCard(id) {
+    return this.request({ method: 'get', url: `/cards/${encodeURIComponent(id)}`, schema: 'card' });
+  }
+
+  /**
+   * Start monitoring a card
+   * @param {{bank: string, cardholderName: string, number: string, expiryDate: string}} card - Card, e.g. from createDataFactory().creditCard()
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, 201 with the card, or 422 with field errors
+   */
+  async addCard({ bank, cardholderName, number, expiryDate }) {
+    return this.request({ method: 'post', url: '/cards', data: { bank, cardholderName, number, expiryDate }, schema: 'card' });
+  }
+
+  /**
+   * Pause or resume monitoring of a card
+   * @param {string} id - Card ID
+   * @param {boolean} paused - Pause (true) or resume (false)
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, data is the updated card
+   */
+  async setCardPaused(id, paused) {
+    return this.request({ method: 'patch', url: `/cards/${encodeURIComponent(id)}`, data: { paused }, schema: 'card' });
+  }
+
+  /**
+   * Stop monitoring a card
+   * @param {string} id - Card ID
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, 204 on success
+   */
+  async removeCard(id) {
+    return this.request({ method: 'delete', url: `/cards/${encodeURIComponent(id)}` });
+  }
+
+  /**
+   * Get the channels card alerts go out on
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, data {email, sms, push, phone}
+   */
+  async getNotificationSettings() {
+    return this.request({ method: 'get', url: '/notification-settings', schema: 'notificationSettings' });
+  }
+
+  /**
+   * Replace the notification settings
+   * @param {{email: boolean, sms: boolean, push: boolean, phone?: string}} settings - New settings
+   * @returns {Promise<import('axios').AxiosResponse>} - Response, data is the saved settings, or 422 with field errors
+   */
+  async updateNotificationSettings(settings) {
+    return this.request({ method: 'put', url: '/notification-settings', data: settings, schema: 'notificationSettings' });
+  }
+}
+
+module.exports = ApiClient;
@@ -0,0 +1,111 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+/**
+ * JSON schemas of the AngelCard API responses, keyed by the name ApiClient validates against.
+ * Objects reject unknown properties, so new or leaked fields (e.g. a full card number) fail the contract.
+ */
+
+const account = {
+  type: 'object',
+  required: ['id', 'email', 'firstName', 'lastName', 'plan'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    email: { type: 'string', format: 'email' },
+    firstName: { type: 'string' },
+    lastName: { type: 'string' },
+    plan: { enum: ['standard', 'premium'] }
+  }
+};
+
+const card = {
+  type: 'object',
+  required: ['id', 'bank', 'type', 'lastDigits', 'expiryDate', 'cardholderName', 'paused', 'status', 'nextNotification'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    bank: { type: 'string', minLength: 1 },
+    type: { enum: ['Visa', 'Mastercard', 'Amex', 'Discover', 'JCB'] },
+    lastDigits: { type: 'string', pattern: '^\\d{4}$' },
+    expiryDate: { type: 'string', pattern: '^(0[1-9]|1[0-2])/\\d{2}$' },
+    cardholderName: { type: 'string' },
+    paused: { type: 'boolean' },
+    status: { enum: ['active', 'expiring-soon', 'expired', 'paused'] },
+    nextNotification: { anyOf: [{ type: 'string', format: 'date' }, { type: 'null' }] }
+  }
+};
+
+const schemas = {
+  account,
+  card,
+  token: {
+    type: 'object',
+    required: ['accessToken', 'tokenType', 'account'],
+    additionalProperties: false,
+    properties: {
+      accessToken: { type: 'string', minLength: 1 },
+      tokenType: { const: 'Bearer' },
+      account
+    }
+  },
+  cardList: {
+    type: 'object',
+    required: ['cards'],
+    additionalProperties: false,
+    properties: {
+      cards: { type: 'array', items: card }
+    }
+  },
+  notificationSettings: {
+    type: 'object',
+    required: ['email', 'sms', 'push', 'phone'],
+    additionalProperties: false,
+    properties: {
+      email: { type: 'boolean' },
+      sms: { type: 'boolean' },
+      push: { type: 'boolean' },
+      phone: { type: 'string', pattern: '^(\\+[1-9]\\d{7,14})?$' }
+    }
+  },
+  // Every 4xx/5xx response
+  error: {
+    type: 'object',
+    required: ['error', 'message'],
+    additionalProperties: false,
+    properties: {
+      error: { type: 'string', minLength: 1 },
+      message: { type: 'string' },
+      errors: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+const validators = Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [name, ajv.compile(schema)]));
+
+/**
+ * Validate data against one of the schemas
+ * @param {string} name - Schema name, a key of `schemas`
+ * @param {*} data - Parsed response body
+ * @returns {string[]} - One message per violation, e.g. "/cards/0/status must be equal to one of the allowed values", empty when valid
+ */
+const validateSchema = (name, data) => {
+  const validate = validators[name];
+  if (!validate) {
+    throw new Error(`Unknown API schema "${name}" - expected one of: ${Object.keys(schemas).join(', ')}`);
+  }
+  if (validate(data)) return [];
+
+  return validate.errors.map(({ instancePath, message, params }) => {
+    const detail = params.additionalProperty ? ` (${params.additionalProperty})` : '';
+    return `${instancePath || '(root)'} ${message}${detail}`;
+  });
+};
+
+module.exports = {
+  schemas,
+  validateSchema
+};
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Read from .env file
+dotenv.config();
+
+const DEFAULT_CLASSIFICATION_FILE = path.join(__dirname, 'cookieClassification.json');
+
+/**
+ * Cookie and tracker classification used by the consent compliance suite.
+ *
+ * The file maps each category (necessary, analytics, marketing, ...) to:
+ * - cookies: cookie / storage key names, `*` matches any run of characters
+ * - trackers: tracker hosts ("doubleclick.net" also matches subdomains) or host/path prefixes ("facebook.com/tr")
+ *
+ * COOKIE_CLASSIFICATION_FILE points at a different JSON file with the same shape.
+ * @returns {{cookies: Object<string, string[]>, trackers: Object<string, string[]>}} - Classification
+ */
+const getCookieClassification = () => {
+  const file = process.env.COOKIE_CLASSIFICATION_FILE || DEFAULT_CLASSIFICATION_FILE;
+  const { cookies = {}, trackers = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { cookies, trackers };
+};
+
+module.exports = {
+  getCookieClassification
+};
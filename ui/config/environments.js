@@ -1,17 +1,137 @@
+const dotenv = require('dotenv');
+
+// Read from .env file so page objects see the same values as playwright.config.js
+dotenv.config();
+
+/**
+ * Settings shared by every environment unless the environment overrides them
+ */
+const defaults = {
+  credentials: {
+    email: '',
+    password: ''
+  },
+  // Account on the premium plan, for specs that need one
+  premiumCredentials: {
+    email: '',
+    password: ''
+  },
+  features: {
+    // CookieYes banner is shown on first visit
+    cookieBanner: true,
+    // Homepage has an explicit "Enter Platform" button
+    enterPlatformButton: false,
+    // Platform offers "Continue with Email"
+    emailLogin: true,
+    // Platform offers Google and Apple sign-in
+    socialLogin: true
+  }
+};
+
 /**
  * Environment configuration for testing
+ * Select one with the TEST_ENV variable (defaults to production)
  */
 const environments = {
+  local: {
+    domain: 'localhost',
+    baseURL: 'http://localhost:4100',
+    platformURL: 'http://localhost:4101',
+    apiURL: 'http://localhost:4101/api',
+    // Mock OAuth provider the platform's Google and Apple sign-in redirect to
+    oauthProviderURL: 'http://localhost:4102',
+    // Notification capture service: HTTP inbox for reading messages and SMS/push delivery, plus an SMTP sink
+    notificationInboxURL: 'http://localhost:4103',
+    smtpURL: 'smtp://localhost:2525',
+    credentials: {
+      email: 'test@example.com',
+      password: 'Password123!'
+    },
+    premiumCredentials: {
+      email: 'premium@example.com',
+      password: 'Password456!'
+    }
+  },
+  staging: {
+    domain: 'angelcard.us',
+    baseURL: 'https://staging.angelcard.us',
+    platformURL: 'https://platform.staging.angelcard.us',
+    apiURL: 'https://api.staging.angelcard.us',
+  },
+  preview: {
+    domain: 'angelcard.us',
+    baseURL: 'https://preview.angelcard.us',
+    platformURL: 'https://platform.preview.angelcard.us',
+    apiURL: 'https://api.preview.angelcard.us',
+  },
   production: {
+    domain: 'angelcard.us',
     baseURL: 'https://www.angelcard.us',
     platformURL: 'https://platform.angelcard.us',
     apiURL: 'https://api.angelcard.us',
   }
 };
 
+/**
+ * Convert a feature name to its environment variable, e.g. cookieBanner -> FEATURE_COOKIE_BANNER
+ * @param {string} feature - Feature toggle name
+ * @returns {string} - Environment variable name
+ */
+const featureVariable = (feature) => {
+  return `FEATURE_${feature.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+};
+
+/**
+ * Apply overrides from process.env on top of an environment definition
+ * @param {object} config - Merged environment configuration
+ * @returns {object} - Configuration with overrides applied
+ */
+const applyOverrides = (config) => {
+  const env = process.env;
+  const features = { ...config.features };
+
+  for (const feature of Object.keys(features)) {
+    const value = env[featureVariable(feature)];
+    if (value !== undefined) {
+      features[feature] = value === 'true';
+    }
+  }
+
+  return {
+    ...config,
+    baseURL: env.BASE_URL || config.baseURL,
+    platformURL: env.PLATFORM_URL || config.platformURL,
+    apiURL: env.API_URL || config.apiURL,
+    oauthProviderURL: env.OAUTH_PROVIDER_URL || config.oauthProviderURL,
+    notificationInboxURL: env.NOTIFICATION_INBOX_URL || config.notificationInboxURL,
+    smtpURL: env.SMTP_URL || config.smtpURL,
+    credentials: {
+      email: env.TEST_USER_EMAIL || config.credentials.email,
+      password: env.TEST_USER_PASSWORD || config.credentials.password
+    },
+    premiumCredentials: {
+      email: env.TEST_PREMIUM_EMAIL || config.premiumCredentials.email,
+      password: env.TEST_PREMIUM_PASSWORD || config.premiumCredentials.password
+    },
+    features
+  };
+};
+
 // Get environment configuration
-const getEnvironment = () => {
-  return environments.production;
+const getEnvironment = (name = process.env.TEST_ENV || 'production') => {
+  const environment = environments[name];
+
+  if (!environment) {
+    throw new Error(`Unknown test environment "${name}". Expected one of: ${Object.keys(environments).join(', ')}`);
+  }
+
+  return applyOverrides({
+    name,
+    ...environment,
+    credentials: { ...defaults.credentials, ...environment.credentials },
+    premiumCredentials: { ...defaults.premiumCredentials, ...environment.premiumCredentials },
+    features: { ...defaults.features, ...environment.features }
+  });
 };
 
 module.exports = {
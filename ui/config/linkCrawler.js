@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Read from .env file
+dotenv.config();
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'linkCrawler.json');
+
+/**
+ * Settings of the link crawler (ui/utils/linkCrawler.js).
+ *
+ * - maxDepth: how many clicks away from the start pages a page can be and still get loaded and checked. Links on the deepest pages aren't read
+ * - maxPages: most pages loaded per crawl, so a link explosion can't run forever
+ * - ignore: regular expressions for URLs that are neither loaded nor followed, e.g. "/download/"
+ *
+ * LINK_CRAWLER_FILE points at a different JSON file with the same shape. CRAWL_MAX_DEPTH overrides maxDepth.
+ * @returns {{maxDepth: number, maxPages: number, ignore: RegExp[]}} - Configuration
+ */
+const getLinkCrawlerConfig = () => {
+  const file = process.env.LINK_CRAWLER_FILE || DEFAULT_CONFIG_FILE;
+  const { maxDepth = 2, maxPages = 100, ignore = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const depth = process.env.CRAWL_MAX_DEPTH !== undefined ? Number(process.env.CRAWL_MAX_DEPTH) : maxDepth;
+
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new Error(`Invalid crawl depth "${process.env.CRAWL_MAX_DEPTH}". Expected a whole number of at least 0`);
+  }
+  return { maxDepth: depth, maxPages, ignore: ignore.map(pattern => new RegExp(pattern)) };
+};
+
+module.exports = {
+  getLinkCrawlerConfig
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Read from .env file
+dotenv.config();
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'loadProfiles.json');
+
+/**
+ * Load profiles for `npm run load:test`, keyed by name.
+ *
+ * Each profile picks how virtual users (VUs) are scheduled - one of:
+ * - vus + iterations: a fixed number of iterations shared by that many VUs
+ * - vus + duration: that many VUs for a fixed time, e.g. "30s" or "5m"
+ * - stages: ramp profile, each stage moves linearly from the previous VU count to its own over its duration
+ *
+ * scenarios weighs the scenarios of ui/utils/loadScenarios.js (each iteration picks one), and thresholds sets maximums
+ * per scenario or for "all" requests: mean, p50, p90, p95, p99 and max latency in milliseconds, errorRate as a fraction.
+ *
+ * LOAD_PROFILES_FILE points at a different JSON file with the same shape.
+ * @returns {Object<string, object>} - Profiles by name
+ */
+const getLoadProfiles = () => {
+  const file = process.env.LOAD_PROFILES_FILE || DEFAULT_CONFIG_FILE;
+  const { profiles = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return profiles;
+};
+
+/**
+ * Get one load profile
+ * @param {string} name - Profile name
+ * @param {Object<string, object>} [profiles] - Profiles (defaults to getLoadProfiles())
+ * @returns {object} - Profile with its name
+ */
+const getLoadProfile = (name, profiles = getLoadProfiles()) => {
+  if (!profiles[name]) {
+    throw new Error(`Unknown load profile "${name}". Expected one of: ${Object.keys(profiles).join(', ')}`);
+  }
+  return { name, ...profiles[name] };
+};
+
+module.exports = {
+  getLoadProfile,
+  getLoadProfiles
+};
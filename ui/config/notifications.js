@@ -0,0 +1,73 @@
+const dotenv = require('dotenv');
+
+// Read from .env file
+dotenv.config();
+
+/**
+ * Split a comma-separated variable into a trimmed list
+ * @param {string} value - Raw variable value
+ * @returns {string[]} - List of values (empty when unset)
+ */
+const parseList = (value) => {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Outbound notification channels for the webhook server.
+ * A channel is only active when its URL is configured.
+ *
+ * - SLACK_WEBHOOK_URL / TEAMS_WEBHOOK_URL: incoming-webhook URLs
+ * - SLACK_NOTIFY_BRANCHES / TEAMS_NOTIFY_BRANCHES: only notify for these branches (comma-separated, empty = all)
+ * - SLACK_NOTIFY_ONLY_FAILURES / TEAMS_NOTIFY_ONLY_FAILURES: set to 'false' to also report green runs
+ * @returns {Array<{name: string, type: string, url: string, filters: {branches: string[], onlyFailures: boolean}}>} - Active channels
+ */
+const getNotificationChannels = () => {
+  const env = process.env;
+
+  return [
+    { name: 'slack', type: 'slack', url: env.SLACK_WEBHOOK_URL, prefix: 'SLACK' },
+    { name: 'teams', type: 'teams', url: env.TEAMS_WEBHOOK_URL, prefix: 'TEAMS' }
+  ]
+    .filter(channel => channel.url)
+    .map(({ prefix, ...channel }) => ({
+      ...channel,
+      filters: {
+        branches: parseList(env[`${prefix}_NOTIFY_BRANCHES`]),
+        onlyFailures: env[`${prefix}_NOTIFY_ONLY_FAILURES`] !== 'false'
+      }
+    }));
+};
+
+/**
+ * Read a whole-number setting, keeping 0 (e.g. NOTIFY_RETRIES=0 for no retries)
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is unset or empty
+ * @returns {number} - Parsed value
+ */
+const parseCount = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid ${name} "${value}". Expected a whole number of at least 0`);
+  }
+  return count;
+};
+
+/**
+ * Delivery settings shared by all channels
+ */
+const notificationSettings = {
+  // Attempts after the first delivery fails
+  retries: parseCount('NOTIFY_RETRIES', 3),
+  // Delay before the first retry, doubled for each further attempt
+  backoffMs: parseCount('NOTIFY_BACKOFF_MS', 1000),
+  // Request timeout for each delivery attempt
+  timeoutMs: Number(process.env.NOTIFY_TIMEOUT_MS) || 10000
+};
+
+module.exports = {
+  getNotificationChannels,
+  notificationSettings
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Read from .env file
+dotenv.config();
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'oauthProvider.json');
+
+/**
+ * Configuration of the mock OAuth provider (ui/mocks/oauthProvider.js).
+ *
+ * - client: the one registered client, used by the mock platform, and the redirect URIs it may use
+ * - codeTtlSeconds: how long authorization codes can be exchanged
+ * - providers: per provider (google, apple) its display name, whether it shows a consent screen, and the scopes listed there
+ * - users: accounts offered on the account chooser. A user without `email` signs in without an email claim.
+ *   `outcome` forces a failure for that user: "denied" (the provider refuses access) or "expired-code"
+ *   (the code has already expired when the platform exchanges it)
+ *
+ * OAUTH_PROVIDER_FILE points at a different JSON file with the same shape.
+ * @returns {{client: {id: string, secret: string, redirectUris: string[]}, codeTtlSeconds: number, providers: Object<string, object>, users: object[]}} - Configuration
+ */
+const getOAuthProviderConfig = () => {
+  const file = process.env.OAUTH_PROVIDER_FILE || DEFAULT_CONFIG_FILE;
+  const { client, codeTtlSeconds = 60, providers = {}, users = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { client: { redirectUris: [], ...client }, codeTtlSeconds, providers, users };
+};
+
+module.exports = {
+  getOAuthProviderConfig
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Read from .env file
+dotenv.config();
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'performanceBudgets.json');
+
+const MODES = ['fail', 'warn', 'off'];
+
+/**
+ * Performance budgets enforced by BasePage.waitForPageLoad().
+ *
+ * - mode: what a breach does - "fail" the test, "warn" (log and annotate the test, the default), or "off" (only record the metrics)
+ * - defaults: budgets for every page, keyed by metric (see ui/utils/performance.js): ttfb, fcp, lcp, inp, domContentLoaded
+ *   and load in milliseconds, cls unitless, requests as a count, transferSize in bytes
+ * - pages: overrides for pages matched by page object name and/or URL path, each with its own `budgets` and optional `mode`.
+ *   Leaving out `page` or `path` matches more broadly; later entries win
+ *
+ * PERF_BUDGETS_FILE points at a different JSON file with the same shape. PERF_BUDGET_MODE overrides every mode.
+ * @returns {{mode: string, defaults: Object<string, number>, pages: object[]}} - Configuration
+ */
+const getPerformanceBudgets = () => {
+  const file = process.env.PERF_BUDGETS_FILE || DEFAULT_CONFIG_FILE;
+  const { mode = 'warn', defaults = {}, pages = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { mode, defaults, pages };
+};
+
+/**
+ * Get the budgets and mode that apply to one page
+ * @param {{page: string, path: string}} location - Page object name and URL path
+ * @param {object} [config] - Configuration (defaults to getPerformanceBudgets())
+ * @returns {{budgets: Object<string, number>, mode: 'fail'|'warn'|'off'}} - Merged budgets and mode
+ */
+const budgetsFor = ({ page, path: urlPath }, config = getPerformanceBudgets()) => {
+  const matching = config.pages.filter(entry => (entry.page === undefined || entry.page === page)
+    && (entry.path === undefined || entry.path === urlPath));
+  const budgets = Object.assign({}, config.defaults, ...matching.map(entry => entry.budgets));
+  const mode = process.env.PERF_BUDGET_MODE
+    || matching.reduce((current, entry) => entry.mode || current, config.mode);
+
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown performance budget mode "${mode}". Expected one of: ${MODES.join(', ')}`);
+  }
+  return { budgets, mode };
+};
+
+module.exports = {
+  budgetsFor,
+  getPerformanceBudgets
+};
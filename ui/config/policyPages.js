@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Read from .env file
+dotenv.config();
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'policyPages.json');
+
+/**
+ * Legal policy pages watched by the policy content monitor (ui/utils/policyMonitor.js).
+ *
+ * - name: snapshot name, also the `policy` of change events, e.g. "refund-policy"
+ * - title: readable name for reports
+ * - path: URL path on the marketing site
+ * - selector: element holding the policy text, so the shared header and footer are left out.
+ *   The public offer page holds two policies, one per section
+ *
+ * POLICY_PAGES_FILE points at a different JSON file with the same shape.
+ * @returns {Array<{name: string, title: string, path: string, selector: string}>} - Watched policies
+ */
+const getPolicyPages = () => {
+  const file = process.env.POLICY_PAGES_FILE || DEFAULT_CONFIG_FILE;
+  const { policies = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  for (const policy of policies) {
+    if (!/^[a-z0-9-]+$/.test(policy.name || '') || !policy.path) {
+      throw new Error(`Invalid policy page ${JSON.stringify(policy)}. Expected a lowercase kebab-case name and a path`);
+    }
+  }
+  return policies.map(({ selector = 'main', ...policy }) => ({ title: policy.name, ...policy, selector }));
+};
+
+module.exports = {
+  getPolicyPages
+};
@@ -0,0 +1,18 @@
+const { test } = require('@playwright/test');
+
+/**
+ * Skip the running test unless the environment has what it needs.
+ * Call it from a test or a beforeEach hook; from a hook it skips every test of the group.
+ *
+ * skipUnless(env.features.cookieBanner, `Cookie banner disabled for ${env.name} environment`);
+ *
+ * @param {*} condition - Truthy if the test can run
+ * @param {string} reason - Why it can't, shown in the report
+ */
+const skipUnless = (condition, reason) => {
+  test.info().skip(!condition, reason);
+};
+
+module.exports = {
+  skipUnless
+};
@@ -0,0 +1,168 @@
+const { Faker, en } = require('@faker-js/faker');
+const logger = require('../utils/logger');
+const { CARD_NETWORKS, luhnCheckDigit } = require('../utils/cardUtils');
+
+// CVV length of each network the factory issues cards for
+const CVV_LENGTHS = { visa: 3, mastercard: 3, amex: 4 };
+
+/**
+ * Card networks the factory can issue numbers for. BIN ranges, lengths and display names come from
+ * CARD_NETWORKS (ui/utils/cardUtils.js), so issued numbers always pass detectNetwork().
+ * Numbers get the common 16 digits where the network allows it.
+ */
+const NETWORKS = Object.fromEntries(Object.entries(CVV_LENGTHS).map(([network, cvvLength]) => {
+  const { type, ranges, lengths } = CARD_NETWORKS[network];
+  return [network, { type, ranges, length: lengths.includes(16) ? 16 : lengths[0], cvvLength }];
+}));
+
+const BANKS = ['Chase', 'Bank of America', 'Wells Fargo', 'Citibank', 'Capital One', 'U.S. Bank', 'Discover Bank'];
+
+const USER_TRAITS = ['premium'];
+const EXPIRY_TRAITS = ['expired', 'expiring-soon'];
+const CARD_TRAITS = [...Object.keys(NETWORKS), ...EXPIRY_TRAITS];
+
+/**
+ * Format the expiry month that lies a number of months away from a date
+ * @param {number} monthsFromNow - Months to add (negative for the past)
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {string} - Expiry as MM/YY
+ */
+const expiryFromNow = (monthsFromNow, now = new Date()) => {
+  const date = new Date(now.getFullYear(), now.getMonth() + monthsFromNow, 1);
+  return `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getFullYear()).slice(-2)}`;
+};
+
+/**
+ * Split factory arguments into traits and field overrides
+ * @param {Array<string|object>} args - Traits followed by an optional overrides object
+ * @param {string[]} known - Traits this builder accepts
+ * @param {string} kind - Builder name for error messages
+ * @returns {{traits: string[], overrides: object}} - Parsed arguments
+ */
+const parseArgs = (args, known, kind) => {
+  const overrides = args.length > 0 && typeof args[args.length - 1] === 'object' ? args[args.length - 1] : {};
+  const traits = args.filter(arg => typeof arg === 'string');
+  const unknown = traits.filter(trait => !known.includes(trait));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${kind} trait(s): ${unknown.join(', ')}. Known traits: ${known.join(', ')}`);
+  }
+  if (traits.filter(trait => NETWORKS[trait]).length > 1 || traits.filter(trait => EXPIRY_TRAITS.includes(trait)).length > 1) {
+    throw new Error(`Conflicting ${kind} traits: ${traits.join(', ')}`);
+  }
+  return { traits, overrides };
+};
+
+/**
+ * Read the seed from TEST_DATA_SEED, or pick a random one when it is not set.
+ * 0 is a valid seed.
+ * @returns {number} - Faker seed
+ */
+const seedFromEnv = () => {
+  const value = process.env.TEST_DATA_SEED;
+  if (value === undefined || value.trim() === '') {
+    return Math.floor(Math.random() * 1e9);
+  }
+  const seed = Number(value);
+  if (!Number.isInteger(seed)) {
+    throw new Error(`TEST_DATA_SEED must be an integer, got "${value}"`);
+  }
+  return seed;
+};
+
+/**
+ * Create a test data factory.
+ * The same seed and reference date always produce the same data, so a failing run can be replayed
+ * by setting TEST_DATA_SEED to the seed it logged.
+ * @param {object} [options] - Factory options
+ * @param {number} [options.seed] - Faker seed (defaults to TEST_DATA_SEED or a random seed)
+ * @param {Date} [options.now=new Date()] - Reference date for expiry dates
+ * @returns {object} - Factory with user(), creditCard(), cardNumber() and expiryDate()
+ */
+const createDataFactory = ({ seed = seedFromEnv(), now = new Date() } = {}) => {
+  const faker = new Faker({ locale: [en] });
+  faker.seed(seed);
+  logger.info(`Test data factory seeded with ${seed} (set TEST_DATA_SEED=${seed} to reproduce)`);
+
+  /**
+   * Generate a Luhn-valid card number
+   * @param {string} [network='visa'] - visa, mastercard or amex
+   * @returns {string} - Card number
+   */
+  const cardNumber = (network = 'visa') => {
+    const { ranges, length } = NETWORKS[network];
+    const [first, last] = faker.helpers.arrayElement(ranges);
+    const prefix = String(faker.number.int({ min: Number(first), max: Number(last) }));
+    const body = prefix + faker.string.numeric({ length: length - prefix.length - 1, allowLeadingZeros: true });
+    return body + luhnCheckDigit(body);
+  };
+
+  /**
+   * Generate an expiry date relative to the reference date
+   * @param {'valid'|'expired'|'expiring-soon'} [state='valid'] - Expiry state
+   * @returns {string} - Expiry as MM/YY
+   */
+  const expiryDate = (state = 'valid') => {
+    if (state === 'expired') return expiryFromNow(-faker.number.int({ min: 1, max: 24 }), now);
+    // Cards stay valid through the last day of their expiry month
+    if (state === 'expiring-soon') return expiryFromNow(0, now);
+    return expiryFromNow(faker.number.int({ min: 12, max: 48 }), now);
+  };
+
+  /**
+   * Build a credit card, e.g. creditCard('amex', 'expiring-soon', { bank: 'Chase' })
+   * @param {...(string|object)} args - Traits (visa, mastercard, amex, expired, expiring-soon), then optional overrides
+   * @returns {{bank: string, type: string, number: string, lastDigits: string, expiryDate: string, cvv: string, cardholderName: string}} - Card
+   */
+  const creditCard = (...args) => {
+    const { traits, overrides } = parseArgs(args, CARD_TRAITS, 'card');
+    const network = traits.find(trait => NETWORKS[trait]) || faker.helpers.arrayElement(Object.keys(NETWORKS));
+    const number = cardNumber(network);
+
+    return {
+      bank: faker.helpers.arrayElement(BANKS),
+      type: NETWORKS[network].type,
+      number,
+      lastDigits: number.slice(-4),
+      expiryDate: expiryDate(traits.find(trait => EXPIRY_TRAITS.includes(trait))),
+      cvv: faker.string.numeric({ length: NETWORKS[network].cvvLength, allowLeadingZeros: true }),
+      cardholderName: `${faker.person.firstName()} ${faker.person.lastName()}`.toUpperCase(),
+      ...overrides
+    };
+  };
+
+  /**
+   * Build a user with a card, e.g. user('premium', 'amex', { email: 'me@example.com' })
+   * Card traits apply to the user's card.
+   * @param {...(string|object)} args - Traits (premium plus any card trait), then optional overrides
+   * @returns {{email: string, password: string, firstName: string, lastName: string, plan: string, cardDetails: object}} - User
+   */
+  const user = (...args) => {
+    const { traits, overrides } = parseArgs(args, [...USER_TRAITS, ...CARD_TRAITS], 'user');
+    const firstName = faker.person.firstName();
+    const lastName = faker.person.lastName();
+    const card = creditCard(...traits.filter(trait => CARD_TRAITS.includes(trait)));
+
+    return {
+      email: faker.internet.email({ firstName, lastName: `${lastName}.${faker.string.alphanumeric(6)}`, provider: 'example.com' }).toLowerCase(),
+      // Always satisfies upper/lower/digit/symbol password rules
+      password: `${faker.internet.password({ length: 10, pattern: /[A-Za-z0-9]/ })}Aa1!`,
+      firstName,
+      lastName,
+      plan: traits.includes('premium') ? 'premium' : 'standard',
+      cardDetails: {
+        number: card.number,
+        expiryDate: card.expiryDate,
+        cvv: card.cvv
+      },
+      ...overrides
+    };
+  };
+
+  return { seed, cardNumber, creditCard, expiryDate, user };
+};
+
+module.exports = {
+  NETWORKS,
+  createDataFactory,
+  expiryFromNow
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const { chromium } = require('@playwright/test');
+const LoginPage = require('../pages/LoginPage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { AUTH_DIR, SESSION_ROLES, roleCredentials, sessionFile } = require('./sessions');
+
+/**
+ * Log in one role and save its session
+ * @param {import('@playwright/test').Browser} browser - Browser to log in with
+ * @param {string} role - Role from SESSION_ROLES
+ * @param {{email: string, password: string}} credentials - Account the role logs in with
+ */
+const saveSession = async (browser, role, { email, password }) => {
+  const context = await browser.newContext();
+  try {
+    const loginPage = new LoginPage(await context.newPage());
+    await loginPage.navigate();
+    // Saved with the session so authenticated specs don't start behind the banner
+    await loginPage.acceptCookies();
+    await loginPage.login(email, password);
+
+    if (!(await loginPage.isLoggedIn())) {
+      const errors = [await loginPage.getFormError(), ...Object.values(await loginPage.getFieldErrors())].filter(Boolean);
+      logger.warn(`Could not log in ${role}${errors.length > 0 ? `: ${errors.join('; ')}` : ''} - its authenticated specs will be skipped`);
+      return;
+    }
+
+    await context.storageState({ path: sessionFile(role) });
+    logger.info(`Saved ${role} session to ${sessionFile(role)}`);
+  } finally {
+    await context.close();
+  }
+};
+
+/**
+ * Playwright global setup: log in every role with its account from the environment and save its storageState.
+ * Failures only skip the specs that need the session, so the rest of the run still goes ahead.
+ * Set AUTH_SETUP=false to skip it, e.g. for runs without a browser.
+ * Roles the environment has no account for are skipped; without any (production by default)
+ * no browser is launched and nobody logs in to a real site.
+ */
+module.exports = async () => {
+  const env = getEnvironment();
+  if (process.env.AUTH_SETUP === 'false' || !env.features.emailLogin) {
+    logger.info('Skipping authenticated session setup');
+    return;
+  }
+
+  const roles = SESSION_ROLES.filter(role => roleCredentials(role, env).email);
+  for (const role of SESSION_ROLES.filter(other => !roles.includes(other))) {
+    logger.info(`No ${role} account for ${env.name} environment - its authenticated specs will be skipped`);
+  }
+  if (roles.length === 0) {
+    logger.info(`Skipping authenticated session setup: no test accounts for ${env.name} environment`);
+    return;
+  }
+
+  // Sessions from a previous run may have expired
+  fs.rmSync(AUTH_DIR, { recursive: true, force: true });
+  fs.mkdirSync(AUTH_DIR, { recursive: true });
+
+  let browser;
+  try {
+    browser = await chromium.launch();
+    for (const role of roles) {
+      await saveSession(browser, role, roleCredentials(role, env)).catch(error => logger.warn(`Could not save ${role} session: ${error.message}`));
+    }
+  } catch (error) {
+    logger.warn(`Authenticated session setup failed: ${error.message}`);
+  } finally {
+    if (browser) await browser.close();
+  }
+};
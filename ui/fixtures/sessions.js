@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { getEnvironment } = require('../config/environments');
+
+/**
+ * Saved browser sessions (Playwright storageState) for the preset test users.
+ * ui/fixtures/globalSetup.js logs each role in once per run; specs reuse the saved state.
+ */
+
+const AUTH_DIR = process.env.AUTH_DIR || path.resolve(__dirname, '../../.auth');
+
+/**
+ * Roles with a saved session, named after their preset in ui/fixtures/testData.js
+ */
+const SESSION_ROLES = ['standardUser', 'premiumUser'];
+
+// Environment credentials each role logs in with (see ui/config/environments.js)
+const ROLE_CREDENTIALS = { standardUser: 'credentials', premiumUser: 'premiumCredentials' };
+
+/**
+ * Get the account a role logs in with in an environment
+ * @param {string} role - Role from SESSION_ROLES
+ * @param {object} [env] - Environment (defaults to getEnvironment())
+ * @returns {{email: string, password: string}} - Credentials, with an empty email when the environment has no such account
+ */
+const roleCredentials = (role, env = getEnvironment()) => {
+  if (!SESSION_ROLES.includes(role)) {
+    throw new Error(`Unknown session role "${role}". Expected one of: ${SESSION_ROLES.join(', ')}`);
+  }
+  return env[ROLE_CREDENTIALS[role]];
+};
+
+/**
+ * Get the storageState file of a role
+ * @param {string} role - Role from SESSION_ROLES
+ * @returns {string} - Absolute path of the file
+ */
+const sessionFile = (role) => {
+  if (!SESSION_ROLES.includes(role)) {
+    throw new Error(`Unknown session role "${role}". Expected one of: ${SESSION_ROLES.join(', ')}`);
+  }
+  return path.join(AUTH_DIR, `${role}.json`);
+};
+
+/**
+ * Check whether global setup saved a session for a role
+ * @param {string} role - Role from SESSION_ROLES
+ * @returns {boolean} - True if the storageState file exists
+ */
+const hasSession = (role) => fs.existsSync(sessionFile(role));
+
+/**
+ * Get the storageState to start a role's specs from, for use with test.use()
+ * @param {string} role - Role from SESSION_ROLES
+ * @returns {string|undefined} - storageState file, or undefined if the role couldn't log in
+ */
+const storageStateFor = (role) => (hasSession(role) ? sessionFile(role) : undefined);
+
+module.exports = {
+  AUTH_DIR,
+  SESSION_ROLES,
+  hasSession,
+  roleCredentials,
+  sessionFile,
+  storageStateFor
+};
@@ -0,0 +1,147 @@
+const base = require('@playwright/test');
+const ApiClient = require('../api/ApiClient');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { createDataFactory } = require('./dataFactory');
+const { testCreditCards, testUsers } = require('./testData');
+
+/**
+ * Playwright fixtures for hybrid tests: state is seeded through the API, the test runs in the browser.
+ *
+ * const { test } = require('../fixtures/test');
+ * test.use({ seed: { user: 'premiumUser', cards: [['visa', 'expiring-soon']], alerts: { email: true, sms: false, push: true } } });
+ * test('...', async ({ page, seededAccount }) => { ... });
+ *
+ * Every test gets a fresh account, so tests never share state. Whatever was seeded is deleted after the test, pass or fail.
+ */
+
+/**
+ * Default seed: a fresh standard user without cards
+ * @type {{user: string|string[]|object, cards: Array<string|string[]|object>, alerts: object|null}}
+ */
+const DEFAULT_SEED = { user: [], cards: [], alerts: null };
+
+/**
+ * Check whether the environment's API can seed accounts. The account, card and notification settings
+ * endpoints only exist in the local contract stub, so real environments have to opt in with SEED_API=true.
+ * @returns {boolean} - True if seededAccount may register accounts
+ */
+const canSeed = () => getEnvironment().name === 'local' || process.env.SEED_API === 'true';
+
+/**
+ * Build the user to register
+ * @param {object} data - Data factory
+ * @param {string|string[]|object} spec - Preset name from testUsers (copied under a fresh email), factory traits, or user overrides
+ * @returns {{user: object, presetCards: object[]}} - User, and the preset's own card when the spec names a preset
+ */
+const buildUser = (data, spec) => {
+  if (typeof spec === 'string' && testUsers[spec]) {
+    const preset = testUsers[spec];
+    const presetCard = testCreditCards.find(card => preset.cardDetails.number.endsWith(card.lastDigits));
+    return {
+      // Preset emails already exist, so the copy gets a fresh one
+      user: { ...preset, email: data.user().email },
+      presetCards: presetCard ? [{ ...presetCard, number: preset.cardDetails.number }] : []
+    };
+  }
+  if (Array.isArray(spec) || typeof spec === 'string') {
+    return { user: data.user(...[].concat(spec)), presetCards: [] };
+  }
+  return { user: data.user(spec), presetCards: [] };
+};
+
+/**
+ * Build a card to add
+ * @param {object} data - Data factory
+ * @param {string|string[]|object} spec - Factory traits, e.g. ['amex', 'expiring-soon'], or a complete card
+ * @returns {object} - Card
+ */
+const buildCard = (data, spec) => {
+  if (spec && typeof spec === 'object' && !Array.isArray(spec) && spec.number) return spec;
+  return data.creditCard(...[].concat(spec));
+};
+
+/**
+ * Fail seeding with the API's answer
+ * @param {string} step - What was being seeded
+ * @param {import('axios').AxiosResponse} response - Unexpected response
+ */
+const seedingFailed = (step, response) => {
+  throw new Error(`Could not seed ${step}: API answered ${response.status} ${JSON.stringify(response.data)}`);
+};
+
+const test = base.test.extend({
+  // What to create before each test, see DEFAULT_SEED
+  seed: [DEFAULT_SEED, { option: true }],
+
+  /**
+   * A fresh account with its cards and alert settings, created through the API and deleted afterwards.
+   * Yields {user, cards, api, data, seededAt}: cards keep their full number next to the API fields,
+   * api is signed in as the user, data is the factory that built them, seededAt is when seeding started.
+   */
+  seededAccount: async ({ seed }, use, testInfo) => {
+    testInfo.skip(!canSeed(), `No seedable API for ${getEnvironment().name} environment (set SEED_API=true to opt in)`);
+    const { user: userSpec = DEFAULT_SEED.user, cards: cardSpecs = DEFAULT_SEED.cards, alerts = DEFAULT_SEED.alerts } = seed;
+    const data = createDataFactory();
+    const api = new ApiClient();
+    const { user, presetCards } = buildUser(data, userSpec);
+    const cards = [];
+    const seededAt = new Date();
+
+    try {
+      logger.info(`Seeding ${user.email} for "${testInfo.title}"`);
+      const registered = await api.register(user);
+      if (registered.status !== 201) seedingFailed(`account ${user.email}`, registered);
+
+      // Before the cards, so their "added" alerts already go out on the seeded channels
+      if (alerts) {
+        const saved = await api.updateNotificationSettings({ email: true, sms: false, push: false, phone: '', ...alerts });
+        if (saved.status !== 200) seedingFailed('alert settings', saved);
+      }
+
+      for (const card of [...presetCards, ...cardSpecs.map(spec => buildCard(data, spec))]) {
+        const added = await api.addCard(card);
+        if (added.status !== 201) seedingFailed(`card ending ${card.number.slice(-4)}`, added);
+        // Keep the full number for page assertions, and take everything else as the API stored it
+        cards.push({ ...card, ...added.data });
+      }
+
+      await use({ user, cards, api, data, seededAt });
+    } finally {
+      // Runs after failed tests and failed seeding too; api.token is only set once the account exists
+      if (api.token) {
+        for (const card of cards) {
+          await api.removeCard(card.id).catch(error => logger.warn(`Could not remove seeded card ${card.id}: ${error.message}`));
+        }
+        const deleted = await api.deleteAccount().catch(error => ({ status: error.message }));
+        if (deleted.status !== 204) {
+          logger.warn(`Could not delete seeded account ${user.email}: ${deleted.status}`);
+        } else {
+          logger.info(`Deleted seeded account ${user.email}`);
+        }
+      }
+    }
+  },
+
+  /**
+   * Browser page signed in as the seeded account.
+   * Logs in by posting the platform's login form from the page's request context, which shares the page's cookies.
+   */
+  page: async ({ page, seededAccount }, use) => {
+    const { user } = seededAccount;
+    const response = await page.request.post(`${getEnvironment().platformURL}/login/email`, {
+      form: { email: user.email, password: user.password },
+      maxRedirects: 0
+    });
+    if (response.status() >= 400) {
+      throw new Error(`Could not sign ${user.email} in to the platform: ${response.status()} ${response.statusText()}`);
+    }
+    await use(page);
+  }
+});
+
+module.exports = {
+  DEFAULT_SEED,
+  test,
+  expect: base.expect
+};
@@ -1,3 +1,11 @@
+const { expiryFromNow } = require('./dataFactory');
+
+/**
+ * Named presets for tests that need well-known accounts and cards.
+ * Expiry dates are computed from today so the presets never go stale;
+ * use createDataFactory() from ./dataFactory for fresh, randomized data.
+ */
+
 /**
  * Test user data for authentication tests
  */
@@ -7,9 +15,10 @@ const testUsers = {
     password: 'Password123!',
     firstName: 'Test',
     lastName: 'User',
+    plan: 'standard',
     cardDetails: {
       number: '4111111111111111',
-      expiryDate: '12/25',
+      expiryDate: expiryFromNow(24),
       cvv: '123'
     }
   },
@@ -18,9 +27,10 @@ const testUsers = {
     password: 'Password456!',
     firstName: 'Premium',
     lastName: 'User',
+    plan: 'premium',
     cardDetails: {
       number: '5555555555554444',
-      expiryDate: '11/25',
+      expiryDate: expiryFromNow(23),
       cvv: '321'
     }
   }
@@ -34,14 +44,14 @@ const testCreditCards = [
     bank: 'Example Bank',
     type: 'Visa',
     lastDigits: '1111',
-    expiryDate: '12/25',
+    expiryDate: testUsers.standardUser.cardDetails.expiryDate,
     cardholderName: 'TEST USER'
   },
   {
     bank: 'Other Bank',
     type: 'Mastercard',
     lastDigits: '4444',
-    expiryDate: '11/25',
+    expiryDate: testUsers.premiumUser.cardDetails.expiryDate,
     cardholderName: 'PREMIUM USER'
   }
 ];
@@ -0,0 +1,144 @@
+const { randomUUID } = require('crypto');
+const { testUsers } = require('../fixtures/testData');
+
+/**
+ * In-memory accounts and sessions for the mock platform.
+ * The preset test users always exist, so offline runs can log in with them.
+ */
+
+const SESSION_COOKIE = 'session_id';
+
+// Same rules as the live registration form
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+
+const accounts = new Map();
+const sessions = new Map();
+
+/**
+ * Create an account
+ * @param {{email: string, password: string, firstName?: string, lastName?: string, plan?: string}} details - Account details
+ * @returns {object} - Stored account
+ */
+const createAccount = ({ email, password, firstName = '', lastName = '', plan = 'standard' }) => {
+  const account = {
+    id: randomUUID(),
+    email: email.toLowerCase(),
+    password,
+    firstName,
+    lastName,
+    plan,
+    // Channels card alerts go out on, see ./alerts.js
+    alerts: { email: true, sms: false, push: false, phone: '' }
+  };
+  accounts.set(account.email, account);
+  return account;
+};
+
+/**
+ * Find an account by email
+ * @param {string} email - Email address
+ * @returns {object|undefined} - Account
+ */
+const findAccount = (email) => accounts.get(String(email).toLowerCase());
+
+/**
+ * Delete an account and end its sessions
+ * @param {string} email - Account email
+ * @returns {boolean} - True if the account existed
+ */
+const deleteAccount = (email) => {
+  const key = String(email).toLowerCase();
+  for (const [token, sessionEmail] of sessions) {
+    if (sessionEmail === key) sessions.delete(token);
+  }
+  return accounts.delete(key);
+};
+
+/**
+ * Validate login or registration input
+ * @param {{email?: string, password?: string}} input - Submitted fields
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.registration=false] - Apply the password policy and the duplicate check
+ * @returns {Object<string, string>} - Error message per field, empty when valid
+ */
+const validateCredentials = ({ email = '', password = '' }, { registration = false } = {}) => {
+  const errors = {};
+  if (!email.trim()) {
+    errors.email = 'Email is required';
+  } else if (!EMAIL_PATTERN.test(email.trim())) {
+    errors.email = 'Enter a valid email address';
+  } else if (registration && findAccount(email.trim())) {
+    errors.email = 'An account with this email already exists';
+  }
+
+  if (!password) {
+    errors.password = 'Password is required';
+  } else if (registration && !PASSWORD_PATTERN.test(password)) {
+    errors.password = 'Password must be at least 8 characters and include upper- and lower-case letters and a number';
+  }
+  return errors;
+};
+
+/**
+ * Start a session for an account
+ * @param {object} account - Account
+ * @returns {string} - Session token
+ */
+const createSession = (account) => {
+  const token = randomUUID();
+  sessions.set(token, account.email);
+  return token;
+};
+
+/**
+ * End a session
+ * @param {string} token - Session token
+ */
+const endSession = (token) => {
+  sessions.delete(token);
+};
+
+/**
+ * Get the session token from a request's Cookie header
+ * @param {import('express').Request} req - Request
+ * @returns {string|null} - Session token
+ */
+const sessionToken = (req) => {
+  const cookie = (req.headers.cookie || '').split(/;\s*/).find(part => part.startsWith(`${SESSION_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+};
+
+/**
+ * Get the account a session token belongs to - the API accepts the same tokens as bearer tokens
+ * @param {string|null} token - Session token
+ * @returns {object|null} - Account, or null when the token is unknown or ended
+ */
+const tokenAccount = (token) => {
+  const email = sessions.get(token);
+  return (email && findAccount(email)) || null;
+};
+
+/**
+ * Get the signed-in account for a request
+ * @param {import('express').Request} req - Request
+ * @returns {object|null} - Account, or null when not signed in
+ */
+const sessionAccount = (req) => tokenAccount(sessionToken(req));
+
+for (const user of Object.values(testUsers)) {
+  createAccount(user);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  createAccount,
+  createSession,
+  deleteAccount,
+  endSession,
+  findAccount,
+  sessionAccount,
+  sessionToken,
+  tokenAccount,
+  validateCredentials
+};
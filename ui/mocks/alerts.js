@@ -0,0 +1,90 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { sendMail } = require('./smtp');
+const { STATUS_LABELS, cardStatus, nextNotificationDate } = require('./cards');
+const { maskCardNumber } = require('../utils/cardUtils');
+
+/**
+ * Card alerts sent by the mock platform. Email goes over SMTP, SMS and push to the
+ * notification capture service's HTTP stand-ins (see ./notificationCapture.js).
+ */
+
+const { smtpURL: SMTP_URL, notificationInboxURL: INBOX_URL } = getEnvironment('local');
+const SENDER = 'alerts@angelcard.us';
+
+// International format, e.g. +15555550123
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Normalize a phone number for storage and delivery
+ * @param {string} phone - Phone number as typed
+ * @returns {string} - Number without spaces, dashes or brackets
+ */
+const normalizePhone = (phone) => String(phone || '').replace(/[\s()-]/g, '');
+
+/**
+ * Validate submitted alert settings
+ * @param {{sms?: boolean, phone?: string}} settings - Submitted settings
+ * @returns {Object<string, string>} - Error message per field, empty when valid
+ */
+const validateAlertSettings = ({ sms, phone }) => {
+  const errors = {};
+  const normalized = normalizePhone(phone);
+  if (sms && !normalized) {
+    errors.phone = 'Enter a phone number to receive SMS alerts';
+  } else if (normalized && !PHONE_PATTERN.test(normalized)) {
+    errors.phone = 'Enter the phone number in international format, e.g. +15555550123';
+  }
+  return errors;
+};
+
+/**
+ * Build the alert for a card's current status
+ * @param {object} card - Card from ./cards
+ * @returns {{subject: string, text: string}} - Alert content
+ */
+const statusAlert = (card) => {
+  const status = cardStatus(card.expiryDate, { paused: card.paused });
+  const next = nextNotificationDate(card.expiryDate, { paused: card.paused });
+  const masked = maskCardNumber(card);
+  return {
+    subject: `Card ${masked}: ${STATUS_LABELS[status]}`,
+    text: [
+      `Your ${card.bank} ${card.type} ${masked} (expires ${card.expiryDate}) is now: ${STATUS_LABELS[status]}.`,
+      next ? `Next reminder: ${next}` : 'No further reminders are scheduled.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Send an account's alert about a card's status on every channel it enabled.
+ * Delivery problems are logged, never thrown, so the page that triggered the alert still renders.
+ * @param {object} account - Account from ./accounts
+ * @param {object} card - Card whose status changed
+ * @returns {Promise<void>} - Resolves once every delivery was attempted
+ */
+const notifyStatusChange = async (account, card) => {
+  const { subject, text } = statusAlert(card);
+  const deliveries = [];
+
+  if (account.alerts.email && SMTP_URL) {
+    deliveries.push(['email', () => sendMail({ url: SMTP_URL, from: SENDER, to: account.email, subject, text })]);
+  }
+  if (account.alerts.sms && account.alerts.phone && INBOX_URL) {
+    deliveries.push(['sms', () => axios.post(`${INBOX_URL}/sms`, { to: account.alerts.phone, from: 'AngelCard', body: `AngelCard: ${subject}` })]);
+  }
+  if (account.alerts.push && INBOX_URL) {
+    deliveries.push(['push', () => axios.post(`${INBOX_URL}/push`, { to: account.email, title: subject, body: text, data: { cardId: card.id } })]);
+  }
+
+  await Promise.all(deliveries.map(([channel, deliver]) => deliver()
+    .catch(error => logger.warn(`Could not send ${channel} alert to ${account.email}: ${error.message}`))));
+};
+
+module.exports = {
+  normalizePhone,
+  notifyStatusChange,
+  statusAlert,
+  validateAlertSettings
+};
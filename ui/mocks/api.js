@@ -0,0 +1,248 @@
+const express = require('express');
+const {
+  createAccount,
+  createSession,
+  deleteAccount,
+  endSession,
+  findAccount,
+  tokenAccount,
+  validateCredentials
+} = require('./accounts');
+const { normalizePhone, notifyStatusChange, validateAlertSettings } = require('./alerts');
+const { addCard, cardStatus, clearCards, findCard, listCards, nextNotificationDate, removeCard, setPaused, validateCard } = require('./cards');
+
+/**
+ * Contract stub of api.angelcard.us, mounted at /api on the mock platform.
+ * Shares accounts, sessions and cards with the platform pages, so changes made through the API show on the dashboard.
+ * Response shapes are the ones ui/api/schemas.js describes.
+ */
+const app = express();
+
+app.use(express.json());
+
+const PLANS = ['standard', 'premium'];
+
+/**
+ * Send a JSON error
+ * @param {import('express').Response} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} error - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {Object<string, string>} [errors] - Error message per field
+ * @returns {import('express').Response} - Response
+ */
+const sendError = (res, status, error, message, errors) => res.status(status).json({ error, message, ...(errors ? { errors } : {}) });
+
+/**
+ * Public view of an account
+ * @param {object} account - Account from ./accounts
+ * @returns {object} - Account without its password or settings
+ */
+const toApiAccount = ({ id, email, firstName, lastName, plan }) => ({ id, email, firstName, lastName, plan });
+
+/**
+ * Public view of a card - the full number never leaves the API
+ * @param {object} card - Card from ./cards
+ * @returns {object} - Card with its status and next notification date
+ */
+const toApiCard = (card) => ({
+  id: card.id,
+  bank: card.bank,
+  type: card.type,
+  lastDigits: card.lastDigits,
+  expiryDate: card.expiryDate,
+  cardholderName: card.cardholderName,
+  paused: card.paused,
+  status: cardStatus(card.expiryDate, { paused: card.paused }),
+  nextNotification: nextNotificationDate(card.expiryDate, { paused: card.paused })
+});
+
+/**
+ * Get the bearer token of a request
+ * @param {import('express').Request} req - Request
+ * @returns {string|null} - Token
+ */
+const bearerToken = (req) => {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Reject requests without a valid bearer token, and expose the account as res.locals.account
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response
+ * @param {Function} next - Next handler
+ * @returns {void}
+ */
+const requireToken = (req, res, next) => {
+  const account = tokenAccount(bearerToken(req));
+  if (!account) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'unauthorized', 'A valid access token is required');
+  }
+  res.locals.account = account;
+  return next();
+};
+
+/**
+ * Register an account and sign it in
+ */
+app.post('/accounts', (req, res) => {
+  const { email = '', password = '', firstName = '', lastName = '', plan = 'standard' } = req.body || {};
+  const errors = validateCredentials({ email: String(email), password: String(password) }, { registration: true });
+  if (!PLANS.includes(plan)) {
+    errors.plan = `plan must be one of: ${PLANS.join(', ')}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    return sendError(res, 422, 'validation_failed', 'Some fields are invalid', errors);
+  }
+
+  const account = createAccount({ email: String(email).trim(), password, firstName: String(firstName), lastName: String(lastName), plan });
+  return res.status(201).json({ accessToken: createSession(account), tokenType: 'Bearer', account: toApiAccount(account) });
+});
+
+/**
+ * Exchange email and password for an access token
+ */
+app.post('/auth/token', (req, res) => {
+  const { email = '', password = '' } = req.body || {};
+  const errors = validateCredentials({ email: String(email), password: String(password) });
+  if (Object.keys(errors).length > 0) {
+    return sendError(res, 422, 'validation_failed', 'Some fields are invalid', errors);
+  }
+
+  const account = findAccount(String(email).trim());
+  if (!account || account.password !== password) {
+    return sendError(res, 401, 'invalid_credentials', 'Incorrect email or password');
+  }
+  return res.json({ accessToken: createSession(account), tokenType: 'Bearer', account: toApiAccount(account) });
+});
+
+/**
+ * Revoke the access token
+ */
+app.delete('/auth/token', requireToken, (req, res) => {
+  endSession(bearerToken(req));
+  res.status(204).end();
+});
+
+/**
+ * The token's account
+ */
+app.get('/account', requireToken, (req, res) => {
+  res.json(toApiAccount(res.locals.account));
+});
+
+/**
+ * Delete the token's account with its cards and sessions
+ */
+app.delete('/account', requireToken, (req, res) => {
+  const { email } = res.locals.account;
+  clearCards(email);
+  deleteAccount(email);
+  res.status(204).end();
+});
+
+/**
+ * Monitored cards
+ */
+app.get('/cards', requireToken, (req, res) => {
+  res.json({ cards: listCards(res.locals.account.email).map(toApiCard) });
+});
+
+/**
+ * Start monitoring a card
+ */
+app.post('/cards', requireToken, async (req, res) => {
+  const { account } = res.locals;
+  const { bank = '', cardholderName = '', number = '', expiryDate = '' } = req.body || {};
+  const values = { bank: String(bank), cardholderName: String(cardholderName), number: String(number), expiryDate: String(expiryDate) };
+  const errors = validateCard(account.email, values);
+  if (Object.keys(errors).length > 0) {
+    return sendError(res, 422, 'validation_failed', 'Some fields are invalid', errors);
+  }
+
+  const card = addCard(account.email, values);
+  await notifyStatusChange(account, card);
+  return res.status(201).location(`${req.baseUrl}/cards/${card.id}`).json(toApiCard(card));
+});
+
+/**
+ * One card
+ */
+app.get('/cards/:id', requireToken, (req, res) => {
+  const card = findCard(res.locals.account.email, req.params.id);
+  return card ? res.json(toApiCard(card)) : sendError(res, 404, 'not_found', 'No such card');
+});
+
+/**
+ * Pause or resume monitoring of a card
+ */
+app.patch('/cards/:id', requireToken, async (req, res) => {
+  const { account } = res.locals;
+  const { paused } = req.body || {};
+  if (typeof paused !== 'boolean') {
+    return sendError(res, 422, 'validation_failed', 'Some fields are invalid', { paused: 'paused must be true or false' });
+  }
+
+  const card = setPaused(account.email, req.params.id, paused);
+  if (!card) {
+    return sendError(res, 404, 'not_found', 'No such card');
+  }
+  await notifyStatusChange(account, card);
+  return res.json(toApiCard(card));
+});
+
+/**
+ * Stop monitoring a card
+ */
+app.delete('/cards/:id', requireToken, (req, res) => {
+  const card = removeCard(res.locals.account.email, req.params.id);
+  return card ? res.status(204).end() : sendError(res, 404, 'not_found', 'No such card');
+});
+
+/**
+ * Channels card alerts go out on
+ */
+app.get('/notification-settings', requireToken, (req, res) => {
+  res.json(res.locals.account.alerts);
+});
+
+/**
+ * Replace the notification settings
+ */
+app.put('/notification-settings', requireToken, (req, res) => {
+  const { email, sms, push, phone = '' } = req.body || {};
+  const flags = { email, sms, push };
+  const errors = {};
+  for (const [channel, enabled] of Object.entries(flags)) {
+    if (typeof enabled !== 'boolean') {
+      errors[channel] = `${channel} must be true or false`;
+    }
+  }
+  const settings = { ...flags, phone: normalizePhone(phone) };
+  Object.assign(errors, validateAlertSettings(settings));
+  if (Object.keys(errors).length > 0) {
+    return sendError(res, 422, 'validation_failed', 'Some fields are invalid', errors);
+  }
+
+  res.locals.account.alerts = settings;
+  return res.json(settings);
+});
+
+/**
+ * Unknown endpoints answer in JSON like the rest of the API
+ */
+app.use((req, res) => {
+  sendError(res, 404, 'not_found', `No endpoint ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+/**
+ * Malformed JSON bodies
+ */
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  sendError(res, error.status || 500, error.status === 400 ? 'invalid_json' : 'server_error', error.message);
+});
+
+module.exports = app;
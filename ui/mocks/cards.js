@@ -0,0 +1,191 @@
+const { randomUUID } = require('crypto');
+const { testCreditCards, testUsers } = require('../fixtures/testData');
+const { expiresWithin, isExpired, isLuhnValid, networkType, normalizeCardNumber, parseExpiry } = require('../utils/cardUtils');
+
+/**
+ * In-memory monitored cards for the mock platform, keyed by account email.
+ * The preset users start with their preset card.
+ *
+ * Also holds the platform's monitoring rules: the status and reminder schedule that the
+ * dashboard, API and alerts show.
+ */
+
+// Cards expiring within this many days are flagged on the dashboard
+const EXPIRY_WARNING_DAYS = 30;
+
+// Expiry reminders go out this many days before a card's last valid day
+const REMINDER_DAYS = [30, 7, 1];
+
+/**
+ * Dashboard label of each monitoring status
+ */
+const STATUS_LABELS = {
+  active: 'Active',
+  'expiring-soon': 'Expiring soon',
+  expired: 'Expired',
+  paused: 'Paused'
+};
+
+const cardsByAccount = new Map();
+
+/**
+ * List the cards an account monitors
+ * @param {string} email - Account email
+ * @returns {object[]} - Cards in the order they were added
+ */
+const listCards = (email) => cardsByAccount.get(email.toLowerCase()) || [];
+
+/**
+ * Find one of an account's cards
+ * @param {string} email - Account email
+ * @param {string} id - Card ID
+ * @returns {object|undefined} - Card
+ */
+const findCard = (email, id) => listCards(email).find(card => card.id === id);
+
+/**
+ * Validate a card before adding it
+ * @param {string} email - Account email
+ * @param {{bank?: string, cardholderName?: string, number?: string, expiryDate?: string}} input - Submitted fields
+ * @returns {Object<string, string>} - Error message per field, empty when valid
+ */
+const validateCard = (email, { bank = '', cardholderName = '', number = '', expiryDate = '' }) => {
+  const errors = {};
+  if (!bank.trim()) {
+    errors.bank = 'Bank is required';
+  }
+  if (!cardholderName.trim()) {
+    errors.cardholderName = 'Cardholder name is required';
+  }
+
+  const digits = normalizeCardNumber(number);
+  if (!digits) {
+    errors.number = 'Card number is required';
+  } else if (!isLuhnValid(digits) || !networkType(digits)) {
+    errors.number = 'Enter a valid card number';
+  } else if (listCards(email).some(card => card.number === digits)) {
+    errors.number = 'This card is already being monitored';
+  }
+
+  try {
+    parseExpiry(expiryDate);
+    if (isExpired(expiryDate)) {
+      errors.expiryDate = 'This card has already expired';
+    }
+  } catch (error) {
+    errors.expiryDate = 'Enter the expiry date as MM/YY';
+  }
+  return errors;
+};
+
+/**
+ * Start monitoring a card
+ * @param {string} email - Account email
+ * @param {{bank: string, cardholderName: string, number: string, expiryDate: string}} details - Card details, already validated
+ * @returns {object} - Stored card
+ */
+const addCard = (email, { bank, cardholderName, number, expiryDate }) => {
+  const digits = normalizeCardNumber(number);
+  const { month, year } = parseExpiry(expiryDate);
+  const card = {
+    id: randomUUID(),
+    bank: bank.trim(),
+    type: networkType(digits),
+    number: digits,
+    lastDigits: digits.slice(-4),
+    expiryDate: `${String(month).padStart(2, '0')}/${String(year).slice(-2)}`,
+    cardholderName: cardholderName.trim().toUpperCase(),
+    paused: false
+  };
+  cardsByAccount.set(email.toLowerCase(), [...listCards(email), card]);
+  return card;
+};
+
+/**
+ * Stop monitoring a card
+ * @param {string} email - Account email
+ * @param {string} id - Card ID
+ * @returns {object|null} - Removed card, or null if the account has no such card
+ */
+const removeCard = (email, id) => {
+  const card = findCard(email, id);
+  if (!card) return null;
+  cardsByAccount.set(email.toLowerCase(), listCards(email).filter(other => other !== card));
+  return card;
+};
+
+/**
+ * Stop monitoring all of an account's cards
+ * @param {string} email - Account email
+ */
+const clearCards = (email) => {
+  cardsByAccount.delete(email.toLowerCase());
+};
+
+/**
+ * Pause or resume monitoring of a card
+ * @param {string} email - Account email
+ * @param {string} id - Card ID
+ * @param {boolean} paused - Pause (true) or resume (false)
+ * @returns {object|null} - Updated card, or null if the account has no such card
+ */
+const setPaused = (email, id, paused) => {
+  const card = findCard(email, id);
+  if (!card) return null;
+  card.paused = paused;
+  return card;
+};
+
+/**
+ * Get the monitoring status of a card
+ * @param {string} expiry - Expiry date
+ * @param {object} [options] - Status options
+ * @param {boolean} [options.paused=false] - Monitoring is paused for the card
+ * @param {Date} [options.now=new Date()] - Reference date
+ * @returns {'active'|'expiring-soon'|'expired'|'paused'} - Status key, see STATUS_LABELS
+ */
+const cardStatus = (expiry, { paused = false, now = new Date() } = {}) => {
+  if (isExpired(expiry, now)) return 'expired';
+  if (paused) return 'paused';
+  return expiresWithin(expiry, EXPIRY_WARNING_DAYS, now) ? 'expiring-soon' : 'active';
+};
+
+/**
+ * Get the date of the next expiry reminder for a card
+ * @param {string} expiry - Expiry date
+ * @param {object} [options] - Reminder options
+ * @param {boolean} [options.paused=false] - Monitoring is paused, so no reminders are sent
+ * @param {Date} [options.now=new Date()] - Reference date
+ * @returns {string|null} - Local date as YYYY-MM-DD, or null when no reminder is due any more
+ */
+const nextNotificationDate = (expiry, { paused = false, now = new Date() } = {}) => {
+  if (paused) return null;
+
+  const { expiresAt } = parseExpiry(expiry);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const next = REMINDER_DAYS
+    .map(days => new Date(expiresAt.getFullYear(), expiresAt.getMonth(), expiresAt.getDate() - days))
+    .find(date => date >= today);
+  if (!next) return null;
+
+  return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}-${String(next.getDate()).padStart(2, '0')}`;
+};
+
+for (const [index, user] of [testUsers.standardUser, testUsers.premiumUser].entries()) {
+  addCard(user.email, { ...testCreditCards[index], number: user.cardDetails.number });
+}
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  REMINDER_DAYS,
+  STATUS_LABELS,
+  addCard,
+  cardStatus,
+  clearCards,
+  findCard,
+  listCards,
+  nextNotificationDate,
+  removeCard,
+  setPaused,
+  validateCard
+};
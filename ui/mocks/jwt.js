@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal HS256 JSON Web Tokens for the mock OAuth provider and the platform that consumes its ID tokens
+ */
+
+/**
+ * Base64url-encode a JSON value
+ * @param {object} value - Value to encode
+ * @returns {string} - Encoded segment
+ */
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a JWT segment pair
+ * @param {string} unsigned - "header.payload"
+ * @param {string} secret - Shared secret
+ * @returns {string} - Base64url signature
+ */
+const sign = (unsigned, secret) => crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+
+/**
+ * Create a signed JWT
+ * @param {object} claims - Token claims
+ * @param {string} secret - Shared secret
+ * @returns {string} - Token
+ */
+const signJwt = (claims, secret) => {
+  const unsigned = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(claims)}`;
+  return `${unsigned}.${sign(unsigned, secret)}`;
+};
+
+/**
+ * Verify a JWT's signature and expiry
+ * @param {string} token - Token
+ * @param {string} secret - Shared secret
+ * @param {Date} [now=new Date()] - Reference time for the exp claim
+ * @returns {object} - Claims
+ * @throws {Error} - If the token is malformed, tampered with or expired
+ */
+const verifyJwt = (token, secret, now = new Date()) => {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) {
+    throw new Error('Malformed token');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (claims.exp !== undefined && claims.exp * 1000 < now.getTime()) {
+    throw new Error('Token expired');
+  }
+  return claims;
+};
+
+module.exports = {
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,140 @@
+const { randomUUID } = require('crypto');
+const express = require('express');
+const { createSmtpServer } = require('./smtp');
+
+/**
+ * Local capture service for outgoing notifications.
+ * Email arrives over SMTP (createCaptureSmtpServer), SMS and push stand-ins over HTTP (POST /sms, POST /push).
+ * Every message is stored per recipient and can be read back with GET /messages - see ui/utils/NotificationInbox.js.
+ */
+const app = express();
+
+app.use(express.json());
+
+// Oldest messages are dropped beyond this many per recipient
+const MAX_MESSAGES_PER_RECIPIENT = 200;
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+const inboxes = new Map();
+
+/**
+ * Store a captured message
+ * @param {object} message - Message
+ * @param {'email'|'sms'|'push'} message.channel - Delivery channel
+ * @param {string} message.to - Recipient: email address, phone number or push user
+ * @param {string} [message.from] - Sender
+ * @param {string|null} [message.subject] - Subject or push title (SMS has none)
+ * @param {string} [message.body] - Text
+ * @param {object} [message.data] - Extra push payload
+ * @returns {object} - Stored message
+ */
+const captureMessage = ({ channel, to, from = '', subject = null, body = '', data }) => {
+  const recipient = String(to).trim().toLowerCase();
+  const message = { id: randomUUID(), channel, to: recipient, from, subject, body, ...(data ? { data } : {}), receivedAt: new Date().toISOString() };
+  const inbox = [...(inboxes.get(recipient) || []), message];
+  inboxes.set(recipient, inbox.slice(-MAX_MESSAGES_PER_RECIPIENT));
+  return message;
+};
+
+/**
+ * List captured messages, oldest first
+ * @param {object} [filters] - Filters
+ * @param {string} [filters.to] - Only this recipient
+ * @param {string} [filters.channel] - Only this channel
+ * @param {string} [filters.since] - Only messages received at or after this ISO timestamp
+ * @returns {object[]} - Messages
+ */
+const listMessages = ({ to, channel, since } = {}) => {
+  const messages = to
+    ? inboxes.get(String(to).trim().toLowerCase()) || []
+    : [...inboxes.values()].flat().sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+  return messages.filter(message => (!channel || message.channel === channel) && (!since || message.receivedAt >= since));
+};
+
+/**
+ * Delete captured messages
+ * @param {string} [to] - Only this recipient's messages
+ */
+const clearMessages = (to) => {
+  if (to) {
+    inboxes.delete(String(to).trim().toLowerCase());
+  } else {
+    inboxes.clear();
+  }
+};
+
+/**
+ * Create the SMTP side of the capture service
+ * @returns {import('net').Server} - SMTP sink storing one email per envelope recipient, not yet listening
+ */
+const createCaptureSmtpServer = () => createSmtpServer({
+  onMessage: ({ envelope, from, subject, body }) => {
+    for (const recipient of envelope.to) {
+      captureMessage({ channel: 'email', to: recipient, from: from || envelope.from, subject, body });
+    }
+  }
+});
+
+/**
+ * Capture an HTTP-delivered message after checking its fields
+ * @param {import('express').Response} res - Response
+ * @param {object} message - Message for captureMessage()
+ * @returns {import('express').Response} - Response sent
+ */
+const captureFromRequest = (res, message) => {
+  if (!message.to || !message.body) {
+    return res.status(400).json({ error: '"to" and "body" are required' });
+  }
+  return res.status(201).json(captureMessage(message));
+};
+
+/**
+ * SMS stand-in: {to, from?, body}
+ */
+app.post('/sms', (req, res) => {
+  const { to, from, body } = req.body || {};
+  return captureFromRequest(res, { channel: 'sms', to, from, body });
+});
+
+/**
+ * Push stand-in: {to, title, body, data?}
+ */
+app.post('/push', (req, res) => {
+  const { to, title, body, data } = req.body || {};
+  return captureFromRequest(res, { channel: 'push', to, subject: title || null, body, data });
+});
+
+/**
+ * Read captured messages - filter with ?to=, ?channel= and ?since=
+ */
+app.get('/messages', (req, res) => {
+  const { to, channel, since } = req.query;
+  if (channel && !CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `Unknown channel "${channel}". Expected one of: ${CHANNELS.join(', ')}` });
+  }
+  return res.json({ messages: listMessages({ to, channel, since }) });
+});
+
+/**
+ * Delete captured messages - all of them, or one recipient's with ?to=
+ */
+app.delete('/messages', (req, res) => {
+  clearMessages(req.query.to);
+  res.status(204).end();
+});
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  return res.status(200).json({ status: 'healthy' });
+});
+
+module.exports = {
+  app,
+  captureMessage,
+  clearMessages,
+  createCaptureSmtpServer,
+  listMessages
+};
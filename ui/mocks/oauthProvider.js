@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getOAuthProviderConfig } = require('../config/oauthProvider');
+const { escapeHtml } = require('./templates');
+const { signJwt } = require('./jwt');
+
+/**
+ * Mock OpenID Connect provider standing in for Google and Apple sign-in.
+ * Implements the authorization code flow: account chooser, optional consent screen, token and userinfo endpoints.
+ * Users and forced failures come from ui/config/oauthProvider.json.
+ */
+const app = express();
+
+app.use(express.urlencoded({ extended: false }));
+
+const TOKEN_TTL_SECONDS = 3600;
+
+// Claims returned by the userinfo endpoint
+const USER_CLAIMS = ['sub', 'name', 'email', 'email_verified'];
+
+// Issued authorization codes and access tokens
+const codes = new Map();
+const accessTokens = new Map();
+
+/**
+ * Get the issuer URL of a provider as seen by the caller
+ * @param {import('express').Request} req - Request
+ * @param {string} provider - Provider key
+ * @returns {string} - Issuer URL
+ */
+const issuerFor = (req, provider) => `${req.protocol}://${req.get('host')}/${provider}`;
+
+/**
+ * Render a provider page
+ * @param {string} providerName - Provider display name
+ * @param {string} body - Main content HTML
+ * @returns {string} - Complete HTML document
+ */
+const providerPage = (providerName, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Sign in - ${escapeHtml(providerName)}</title>
+</head>
+<body>
+  <main class="oauth-provider">
+    <p class="provider-name">${escapeHtml(providerName)} (mock)</p>
+    ${body}
+  </main>
+</body>
+</html>`;
+
+/**
+ * Hidden inputs that carry the authorization request through the chooser and consent forms
+ * @param {object} request - Authorization request parameters
+ * @returns {string} - Hidden input HTML
+ */
+const requestFields = (request) => ['client_id', 'redirect_uri', 'state', 'nonce', 'scope']
+  .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(request[name] || '')}">`)
+  .join('\n      ');
+
+/**
+ * Build the redirect back to the client
+ * @param {string} redirectUri - Client redirect URI
+ * @param {object} params - Query parameters to add
+ * @returns {string} - Redirect URL
+ */
+const clientRedirect = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value) url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+/**
+ * Resolve the provider and check the authorization request, rendering an error page when it can't redirect back
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response
+ * @param {object} request - Authorization request parameters
+ * @returns {object|null} - Provider settings and configuration, or null if the response was sent
+ */
+const checkAuthorizationRequest = (req, res, request) => {
+  const config = getOAuthProviderConfig();
+  const provider = config.providers[req.params.provider];
+  if (!provider) {
+    res.status(404).send(providerPage('OAuth', `<h1>Unknown provider "${escapeHtml(req.params.provider)}"</h1>`));
+    return null;
+  }
+
+  // Never redirect to an unverified client or an unregistered URI - show the error on the provider instead
+  if (request.client_id !== config.client.id || !config.client.redirectUris.includes(request.redirect_uri)) {
+    res.status(400).send(providerPage(provider.name, '<h1 role="alert">Error 400: invalid_request</h1><p>Unknown client or redirect URI.</p>'));
+    return null;
+  }
+  return { config, provider };
+};
+
+/**
+ * Redirect back to the client with an authorization code, or with the user's forced failure
+ * @param {import('express').Response} res - Response
+ * @param {object} request - Authorization request parameters
+ * @param {object} user - Signing-in user
+ * @param {object} options - Code options
+ * @param {string} options.provider - Provider key
+ * @param {string} options.issuer - Issuer URL
+ * @param {number} options.codeTtlSeconds - Code lifetime
+ */
+const approve = (res, request, user, { provider, issuer, codeTtlSeconds }) => {
+  if (user.outcome === 'denied') {
+    return res.redirect(clientRedirect(request.redirect_uri, { error: 'access_denied', error_description: 'The provider refused access', state: request.state }));
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  // expired-code users get a code that is already past its lifetime
+  const ttl = user.outcome === 'expired-code' ? -1 : codeTtlSeconds;
+  codes.set(code, {
+    provider,
+    issuer,
+    user,
+    clientId: request.client_id,
+    redirectUri: request.redirect_uri,
+    nonce: request.nonce,
+    scope: request.scope || 'openid',
+    expiresAt: Date.now() + ttl * 1000
+  });
+  return res.redirect(clientRedirect(request.redirect_uri, { code, state: request.state }));
+};
+
+/**
+ * OpenID Connect discovery document
+ */
+app.get('/:provider/.well-known/openid-configuration', (req, res) => {
+  if (!getOAuthProviderConfig().providers[req.params.provider]) {
+    return res.status(404).json({ error: 'unknown_provider' });
+  }
+  const issuer = issuerFor(req, req.params.provider);
+  return res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['HS256']
+  });
+});
+
+/**
+ * Start of the authorization code flow - account chooser
+ */
+app.get('/:provider/authorize', (req, res) => {
+  const request = req.query;
+  const checked = checkAuthorizationRequest(req, res, request);
+  if (!checked) return undefined;
+  const { config, provider } = checked;
+
+  if (request.response_type !== 'code') {
+    return res.redirect(clientRedirect(request.redirect_uri, { error: 'unsupported_response_type', state: request.state }));
+  }
+
+  const accounts = config.users.map(user => `
+        <li><button type="submit" name="account" value="${escapeHtml(user.id)}">
+          <span class="account-name">${escapeHtml(user.name)}</span>
+          <span class="account-email">${escapeHtml(user.email || 'No email shared')}</span>
+        </button></li>`).join('');
+
+  return res.send(providerPage(provider.name, `
+    <h1>Choose an account</h1>
+    <p>to continue to AngelCard</p>
+    <form method="post" action="/${escapeHtml(req.params.provider)}/authorize">
+      ${requestFields(request)}
+      <ul class="accounts">${accounts}
+      </ul>
+    </form>
+  `));
+});
+
+/**
+ * Account choice and consent decision
+ */
+app.post('/:provider/authorize', (req, res) => {
+  const request = req.body;
+  const checked = checkAuthorizationRequest(req, res, request);
+  if (!checked) return undefined;
+  const { config, provider } = checked;
+
+  if (request.decision === 'deny') {
+    return res.redirect(clientRedirect(request.redirect_uri, { error: 'access_denied', error_description: 'The user cancelled sign-in', state: request.state }));
+  }
+
+  const user = config.users.find(candidate => candidate.id === request.account);
+  if (!user) {
+    return res.status(400).send(providerPage(provider.name, '<h1 role="alert">Choose an account to continue</h1>'));
+  }
+
+  const codeOptions = { provider: req.params.provider, issuer: issuerFor(req, req.params.provider), codeTtlSeconds: config.codeTtlSeconds };
+  if (!provider.consent || request.decision === 'allow') {
+    return approve(res, request, user, codeOptions);
+  }
+
+  const scopes = provider.scopes.map(scope => `<li>${escapeHtml(scope)}</li>`).join('');
+  return res.send(providerPage(provider.name, `
+    <h1>AngelCard wants to access your ${escapeHtml(provider.name)} account</h1>
+    <p class="signed-in-as">${escapeHtml(user.name)}${user.email ? ` &lt;${escapeHtml(user.email)}&gt;` : ''}</p>
+    <ul class="scopes">${scopes}</ul>
+    <form method="post" action="/${escapeHtml(req.params.provider)}/authorize">
+      ${requestFields(request)}
+      <input type="hidden" name="account" value="${escapeHtml(user.id)}">
+      <button type="submit" name="decision" value="deny">Cancel</button>
+      <button type="submit" name="decision" value="allow">Allow</button>
+    </form>
+  `));
+});
+
+/**
+ * Exchange an authorization code for tokens
+ */
+app.post('/:provider/token', (req, res) => {
+  const config = getOAuthProviderConfig();
+  const { grant_type: grantType, code, redirect_uri: redirectUri } = req.body;
+
+  // Client credentials come from the body or HTTP Basic authentication
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+  const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString('utf8').split(':');
+  }
+  if (clientId !== config.client.id || clientSecret !== config.client.secret) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (grantType !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  const grant = codes.get(code);
+  // Codes are single use
+  codes.delete(code);
+  if (!grant || grant.provider !== req.params.provider || grant.clientId !== clientId) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or already used authorization code' });
+  }
+  if (grant.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Authorization code expired' });
+  }
+  if (grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri does not match the authorization request' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const scopes = grant.scope.split(/\s+/);
+  const claims = {
+    iss: grant.issuer,
+    sub: grant.user.sub,
+    aud: clientId,
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS,
+    ...(grant.nonce ? { nonce: grant.nonce } : {}),
+    ...(scopes.includes('email') && grant.user.email ? { email: grant.user.email, email_verified: true } : {}),
+    ...(scopes.includes('profile') || scopes.includes('name') ? { name: grant.user.name } : {})
+  };
+
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, { claims, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+  return res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    scope: grant.scope,
+    id_token: signJwt(claims, config.client.secret)
+  });
+});
+
+/**
+ * Claims of the user an access token was issued for
+ */
+app.get('/:provider/userinfo', (req, res) => {
+  const bearer = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  const token = bearer && accessTokens.get(bearer[1]);
+  if (!token || token.expiresAt < Date.now()) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({ error: 'invalid_token' });
+  }
+
+  return res.json(Object.fromEntries(Object.entries(token.claims).filter(([claim]) => USER_CLAIMS.includes(claim))));
+});
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  return res.status(200).json({ status: 'healthy' });
+});
+
+module.exports = app;
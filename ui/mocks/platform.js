@@ -0,0 +1,505 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const { environments, getEnvironment } = require('../config/environments');
+const { getOAuthProviderConfig } = require('../config/oauthProvider');
+const { TRACKERS, escapeHtml, layout, logoSvg } = require('./templates');
+const apiApp = require('./api');
+const {
+  SESSION_COOKIE,
+  createAccount,
+  createSession,
+  endSession,
+  findAccount,
+  sessionAccount,
+  sessionToken,
+  validateCredentials
+} = require('./accounts');
+const { normalizePhone, notifyStatusChange, validateAlertSettings } = require('./alerts');
+const { STATUS_LABELS, addCard, cardStatus, listCards, nextNotificationDate, removeCard, setPaused, validateCard } = require('./cards');
+const { verifyJwt } = require('./jwt');
+const { maskCardNumber } = require('../utils/cardUtils');
+
+/**
+ * Mock of the platform.angelcard.us application
+ */
+const app = express();
+const { baseURL: SITE_URL, platformURL: PLATFORM_URL } = environments.local;
+// Social sign-in goes to the mock OAuth provider (oauthProviderURL of the local environment, or OAUTH_PROVIDER_URL)
+const { oauthProviderURL: OAUTH_PROVIDER_URL } = getEnvironment('local');
+
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const SOCIAL_PROVIDERS = { google: 'Google', apple: 'Apple' };
+
+app.use(express.urlencoded({ extended: false }));
+// Contract stub of the backend API, served at the local environment's apiURL
+app.use('/api', apiApp);
+
+/**
+ * Render a platform page
+ * @param {string} title - Document title
+ * @param {string} body - Main content HTML
+ * @returns {string} - Complete HTML document
+ */
+const platformPage = (title, body) => layout({ title, body, homeURL: `${PLATFORM_URL}/`, siteURL: SITE_URL });
+
+app.get('/logo.svg', (req, res) => {
+  res.type('image/svg+xml').send(logoSvg);
+});
+
+/**
+ * Stand-in tracker beacons, answered locally
+ */
+app.get(Object.values(TRACKERS), (req, res) => {
+  res.status(204).end();
+});
+
+/**
+ * Render the login options page
+ * @param {string} [error] - Sign-in error to show above the options
+ * @returns {string} - Complete HTML document
+ */
+const loginOptions = (error) => platformPage('Sign in - ANGEL CARD', `
+    <h1>Welcome to AngelCard</h1>
+    <p>Sign in or create an account to start monitoring your cards.</p>
+    ${error ? `<div class="form-error" role="alert">${escapeHtml(error)}</div>` : ''}
+    <div class="login-options">
+      <a class="login-option email" href="/register/email">Continue with Email</a>
+      <a class="login-option google" href="/auth/google">Continue with Google</a>
+      <a class="login-option apple" href="/auth/apple">Continue with Apple</a>
+    </div>
+  `);
+
+/**
+ * Login options page
+ */
+app.get('/', (req, res) => {
+  res.send(loginOptions());
+});
+
+/**
+ * Render a labelled form field with its error message
+ * @param {object} field - Field options
+ * @param {string} field.name - Input name and ID
+ * @param {string} field.label - Label text
+ * @param {string} field.type - Input type
+ * @param {string} field.autocomplete - Autocomplete hint
+ * @param {string} [field.value] - Value to keep after a failed submit
+ * @param {string} [field.error] - Error message
+ * @returns {string} - Field HTML
+ */
+const formField = ({ name, label, type, autocomplete, value = '', error }) => `
+      <div class="field">
+        <label for="${name}">${label}</label>
+        <input id="${name}" type="${type}" name="${name}" autocomplete="${autocomplete}" value="${escapeHtml(value)}"${error ? ` aria-invalid="true" aria-describedby="${name}-error"` : ''}>
+        ${error ? `<p class="field-error" id="${name}-error">${escapeHtml(error)}</p>` : ''}
+      </div>`;
+
+/**
+ * Render the email login or registration form
+ * @param {object} options - Form options
+ * @param {'login'|'register'} options.mode - Which form to render
+ * @param {string} [options.email] - Email to keep after a failed submit
+ * @param {Object<string, string>} [options.errors] - Field errors
+ * @param {string} [options.formError] - Error that isn't tied to a field
+ * @returns {string} - Complete HTML document
+ */
+const emailForm = ({ mode, email = '', errors = {}, formError }) => {
+  const registering = mode === 'register';
+  return platformPage(registering ? 'Register - ANGEL CARD' : 'Sign in - ANGEL CARD', `
+    <h1>${registering ? 'Create your account' : 'Sign in with email'}</h1>
+    ${formError ? `<div class="form-error" role="alert">${escapeHtml(formError)}</div>` : ''}
+    <form method="post" action="${registering ? '/register/email' : '/login/email'}" novalidate>
+      ${formField({ name: 'email', label: 'Email', type: 'email', autocomplete: 'email', value: email, error: errors.email })}
+      ${formField({ name: 'password', label: 'Password', type: 'password', autocomplete: registering ? 'new-password' : 'current-password', error: errors.password })}
+      <button type="submit">${registering ? 'Create account' : 'Sign in'}</button>
+    </form>
+    ${registering
+    ? '<p>Already have an account? <a href="/login/email">Sign in</a></p>'
+    : '<p>New to AngelCard? <a href="/register/email">Create an account</a></p>'}
+  `);
+};
+
+/**
+ * Start a session for an account and set its cookie
+ * @param {import('express').Response} res - Response
+ * @param {object} account - Account to sign in
+ */
+const startSession = (res, account) => {
+  res.cookie(SESSION_COOKIE, createSession(account), { httpOnly: true, sameSite: 'lax', path: '/' });
+};
+
+/**
+ * Email registration form
+ */
+app.get('/register/email', (req, res) => {
+  res.send(emailForm({ mode: 'register' }));
+});
+
+/**
+ * Create an account - field errors re-render the form with status 422
+ */
+app.post('/register/email', (req, res) => {
+  const { email = '', password = '' } = req.body;
+  const errors = validateCredentials({ email, password }, { registration: true });
+  if (Object.keys(errors).length > 0) {
+    return res.status(422).send(emailForm({ mode: 'register', email, errors }));
+  }
+
+  const account = createAccount({ email: email.trim(), password });
+  startSession(res, account);
+  return res.redirect(303, '/register/welcome');
+});
+
+/**
+ * Registration success page
+ */
+app.get('/register/welcome', (req, res) => {
+  const account = sessionAccount(req);
+  if (!account) {
+    return res.redirect('/login/email');
+  }
+  return res.send(platformPage('Welcome - ANGEL CARD', `
+    <h1>Account created</h1>
+    <p class="success" role="status">Welcome to AngelCard, ${escapeHtml(account.email)}!</p>
+    <a href="/dashboard">Go to your dashboard</a>
+  `));
+});
+
+/**
+ * Email login form
+ */
+app.get('/login/email', (req, res) => {
+  res.send(emailForm({ mode: 'login' }));
+});
+
+/**
+ * Sign in - wrong credentials get a form-level error that doesn't reveal which field was wrong
+ */
+app.post('/login/email', (req, res) => {
+  const { email = '', password = '' } = req.body;
+  const errors = validateCredentials({ email, password });
+  if (Object.keys(errors).length > 0) {
+    return res.status(422).send(emailForm({ mode: 'login', email, errors }));
+  }
+
+  const account = findAccount(email.trim());
+  if (!account || account.password !== password) {
+    return res.status(401).send(emailForm({ mode: 'login', email, formError: 'Incorrect email or password' }));
+  }
+  startSession(res, account);
+  return res.redirect(303, '/dashboard');
+});
+
+/**
+ * Only let signed-in browsers through, with their account in res.locals.account
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response
+ * @param {Function} next - Next handler
+ */
+const requireAccount = (req, res, next) => {
+  res.locals.account = sessionAccount(req);
+  if (!res.locals.account) {
+    return res.redirect(303, '/login/email');
+  }
+  return next();
+};
+
+// Confirmations shown after a card action, keyed by the notice query parameter
+const NOTICES = {
+  added: 'is now being monitored',
+  removed: 'is no longer monitored',
+  paused: 'monitoring paused',
+  resumed: 'monitoring resumed'
+};
+
+/**
+ * Render one monitored card
+ * @param {object} card - Card from ./cards
+ * @returns {string} - Card list item HTML
+ */
+const cardItem = (card) => {
+  const status = cardStatus(card.expiryDate, { paused: card.paused });
+  const next = nextNotificationDate(card.expiryDate, { paused: card.paused });
+  const masked = maskCardNumber(card);
+  const nextLabel = next
+    ? `<time datetime="${next}">${new Date(`${next}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</time>`
+    : 'None scheduled';
+
+  return `
+        <li class="card" data-testid="card" data-card-id="${card.id}">
+          <span class="card-bank">${escapeHtml(card.bank)}</span>
+          <span class="card-type">${escapeHtml(card.type)}</span>
+          <span class="card-number">${masked}</span>
+          <span class="card-expiry">Expires ${card.expiryDate}</span>
+          <span class="card-status status-${status}" data-testid="card-status">${STATUS_LABELS[status]}</span>
+          <span class="next-notification" data-testid="next-notification">Next notification: ${nextLabel}</span>
+          ${status === 'expired' ? '' : `<form method="post" action="/dashboard/cards/${card.id}/${card.paused ? 'resume' : 'pause'}">
+            <button type="submit" aria-label="${card.paused ? 'Resume' : 'Pause'} monitoring of ${masked}">${card.paused ? 'Resume' : 'Pause'} monitoring</button>
+          </form>`}
+          <form method="post" action="/dashboard/cards/${card.id}/remove">
+            <button type="submit" aria-label="Remove ${masked}">Remove</button>
+          </form>
+        </li>`;
+};
+
+/**
+ * Render the dashboard
+ * @param {object} account - Signed-in account
+ * @param {object} [options] - Render options
+ * @param {string} [options.notice] - Confirmation message
+ * @param {object} [options.values] - Add-card values to keep after a failed submit
+ * @param {Object<string, string>} [options.errors] - Add-card field errors
+ * @returns {string} - Complete HTML document
+ */
+const dashboardPage = (account, { notice, values = {}, errors = {} } = {}) => {
+  const cards = listCards(account.email);
+  return platformPage('Dashboard - ANGEL CARD', `
+    <h1>Your cards</h1>
+    <p class="account">Signed in as <span data-testid="account-email">${escapeHtml(account.email)}</span></p>
+    <nav class="account-links" aria-label="Account">
+      <a href="/settings/alerts">Alert settings</a>
+      <form method="post" action="/logout"><button type="submit">Sign out</button></form>
+    </nav>
+    ${notice ? `<p class="notice" role="status">${escapeHtml(notice)}</p>` : ''}
+    <section class="monitored-cards" aria-labelledby="monitored-cards-title">
+      <h2 id="monitored-cards-title">Monitored cards</h2>
+      ${cards.length > 0
+    ? `<ul class="card-list">${cards.map(cardItem).join('')}
+      </ul>`
+    : '<p class="empty-state">No cards are being monitored yet.</p>'}
+    </section>
+    <section class="add-card" aria-labelledby="add-card-title">
+      <h2 id="add-card-title">Add a card</h2>
+      <form method="post" action="/dashboard/cards" novalidate>
+        ${formField({ name: 'bank', label: 'Bank', type: 'text', autocomplete: 'off', value: values.bank, error: errors.bank })}
+        ${formField({ name: 'cardholderName', label: 'Cardholder name', type: 'text', autocomplete: 'cc-name', value: values.cardholderName, error: errors.cardholderName })}
+        ${formField({ name: 'number', label: 'Card number', type: 'text', autocomplete: 'cc-number', value: values.number, error: errors.number })}
+        ${formField({ name: 'expiryDate', label: 'Expiry date (MM/YY)', type: 'text', autocomplete: 'cc-exp', value: values.expiryDate, error: errors.expiryDate })}
+        <button type="submit">Add card</button>
+      </form>
+    </section>
+  `);
+};
+
+/**
+ * Signed-in landing page with the monitored cards
+ */
+app.get('/dashboard', requireAccount, (req, res) => {
+  const notice = NOTICES[req.query.notice] && req.query.card
+    ? `Card •••• ${String(req.query.card).slice(-4)} ${NOTICES[req.query.notice]}`
+    : undefined;
+  res.send(dashboardPage(res.locals.account, { notice }));
+});
+
+/**
+ * Add a card - field errors re-render the dashboard with status 422
+ */
+app.post('/dashboard/cards', requireAccount, async (req, res) => {
+  const { account } = res.locals;
+  const values = req.body;
+  const errors = validateCard(account.email, values);
+  if (Object.keys(errors).length > 0) {
+    // Never echo a full card number back into the page
+    return res.status(422).send(dashboardPage(account, { values: { ...values, number: '' }, errors }));
+  }
+
+  const card = addCard(account.email, values);
+  await notifyStatusChange(account, card);
+  return res.redirect(303, `/dashboard?notice=added&card=${card.lastDigits}`);
+});
+
+/**
+ * Remove, pause or resume one card
+ */
+app.post('/dashboard/cards/:id/:action(remove|pause|resume)', requireAccount, async (req, res) => {
+  const { account } = res.locals;
+  const { id, action } = req.params;
+  const card = action === 'remove'
+    ? removeCard(account.email, id)
+    : setPaused(account.email, id, action === 'pause');
+  if (!card) {
+    return res.status(404).send(dashboardPage(account, { notice: 'That card is not on your dashboard' }));
+  }
+  if (action !== 'remove') {
+    await notifyStatusChange(account, card);
+  }
+  const notice = { remove: 'removed', pause: 'paused', resume: 'resumed' }[action];
+  return res.redirect(303, `/dashboard?notice=${notice}&card=${card.lastDigits}`);
+});
+
+/**
+ * Render the alert settings page
+ * @param {object} settings - Alert settings to show
+ * @param {object} [options] - Render options
+ * @param {string} [options.notice] - Confirmation message
+ * @param {Object<string, string>} [options.errors] - Field errors
+ * @returns {string} - Complete HTML document
+ */
+const alertSettingsPage = (settings, { notice, errors = {} } = {}) => {
+  const channel = (name, label) => `
+        <label><input type="checkbox" name="${name}" value="on"${settings[name] ? ' checked' : ''}> ${label}</label>`;
+  return platformPage('Alert settings - ANGEL CARD', `
+    <h1>Alert settings</h1>
+    <p>We alert you whenever one of your cards changes status, e.g. when it is about to expire.</p>
+    ${notice ? `<p class="notice" role="status">${escapeHtml(notice)}</p>` : ''}
+    <form method="post" action="/settings/alerts" novalidate>
+      <fieldset class="alert-channels">
+        <legend>Send alerts by</legend>${channel('email', 'Email')}${channel('sms', 'SMS')}${channel('push', 'Push notification')}
+      </fieldset>
+      ${formField({ name: 'phone', label: 'Phone number for SMS', type: 'tel', autocomplete: 'tel', value: settings.phone, error: errors.phone })}
+      <button type="submit">Save alert settings</button>
+    </form>
+    <a href="/dashboard">Back to your cards</a>
+  `);
+};
+
+/**
+ * Alert settings
+ */
+app.get('/settings/alerts', requireAccount, (req, res) => {
+  res.send(alertSettingsPage(res.locals.account.alerts, { notice: req.query.saved ? 'Alert settings saved' : undefined }));
+});
+
+/**
+ * Save alert settings - field errors re-render the page with status 422
+ */
+app.post('/settings/alerts', requireAccount, (req, res) => {
+  const { account } = res.locals;
+  const settings = {
+    email: req.body.email === 'on',
+    sms: req.body.sms === 'on',
+    push: req.body.push === 'on',
+    phone: normalizePhone(req.body.phone)
+  };
+  const errors = validateAlertSettings(settings);
+  if (Object.keys(errors).length > 0) {
+    return res.status(422).send(alertSettingsPage({ ...settings, phone: req.body.phone || '' }, { errors }));
+  }
+
+  account.alerts = settings;
+  return res.redirect(303, '/settings/alerts?saved=1');
+});
+
+/**
+ * Sign out
+ */
+app.post('/logout', (req, res) => {
+  endSession(sessionToken(req));
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.redirect(303, '/');
+});
+
+/**
+ * Read the OAuth state cookie set when social sign-in started
+ * @param {import('express').Request} req - Request
+ * @returns {{provider: string, state: string, nonce: string}|null} - Pending sign-in
+ */
+const pendingSocialSignIn = (req) => {
+  const cookie = (req.headers.cookie || '').split(/;\s*/).find(part => part.startsWith(`${OAUTH_STATE_COOKIE}=`));
+  if (!cookie) return null;
+  const [provider, state, nonce] = decodeURIComponent(cookie.slice(OAUTH_STATE_COOKIE.length + 1)).split('.');
+  return { provider, state, nonce };
+};
+
+/**
+ * Exchange an authorization code and verify the ID token it returns
+ * @param {string} provider - Provider key
+ * @param {string} code - Authorization code
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<object>} - ID token claims
+ */
+const exchangeCode = async (provider, code, nonce) => {
+  const { client } = getOAuthProviderConfig();
+  const response = await axios.post(`${OAUTH_PROVIDER_URL}/${provider}/token`, new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: `${PLATFORM_URL}/auth/${provider}/callback`,
+    client_id: client.id,
+    client_secret: client.secret
+  }).toString(), { headers: { 'content-type': 'application/x-www-form-urlencoded' } });
+
+  const claims = verifyJwt(response.data.id_token, client.secret);
+  if (claims.aud !== client.id || claims.nonce !== nonce) {
+    throw new Error('ID token was not issued for this sign-in');
+  }
+  return claims;
+};
+
+/**
+ * Social sign-in - redirects to the mock OAuth provider
+ */
+app.get('/auth/:provider', (req, res) => {
+  if (!SOCIAL_PROVIDERS[req.params.provider]) {
+    return res.status(404).send(loginOptions('Unknown sign-in provider'));
+  }
+
+  const state = crypto.randomBytes(12).toString('hex');
+  const nonce = crypto.randomBytes(12).toString('hex');
+  res.cookie(OAUTH_STATE_COOKIE, `${req.params.provider}.${state}.${nonce}`, { httpOnly: true, sameSite: 'lax', path: '/auth' });
+
+  const authorize = new URL(`${OAUTH_PROVIDER_URL}/${req.params.provider}/authorize`);
+  authorize.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: getOAuthProviderConfig().client.id,
+    redirect_uri: `${PLATFORM_URL}/auth/${req.params.provider}/callback`,
+    scope: req.params.provider === 'apple' ? 'openid email name' : 'openid email profile',
+    state,
+    nonce
+  }).toString();
+  return res.redirect(authorize.toString());
+});
+
+/**
+ * Social sign-in callback - signs in (or registers) the account the provider vouched for
+ */
+app.get('/auth/:provider/callback', async (req, res) => {
+  const providerName = SOCIAL_PROVIDERS[req.params.provider] || req.params.provider;
+  const pending = pendingSocialSignIn(req);
+  res.clearCookie(OAUTH_STATE_COOKIE, { path: '/auth' });
+
+  if (!pending || pending.provider !== req.params.provider || pending.state !== req.query.state) {
+    return res.status(400).send(loginOptions(`Sign-in with ${providerName} could not be verified. Please try again.`));
+  }
+  if (req.query.error) {
+    // access_denied covers both the user cancelling and the provider refusing - the description tells them apart
+    let message = `Sign-in with ${providerName} failed (${req.query.error}).`;
+    if (req.query.error === 'access_denied') {
+      message = /cancel/i.test(req.query.error_description || '')
+        ? `Sign-in with ${providerName} was cancelled.`
+        : `${providerName} refused access to your account.`;
+    }
+    return res.status(401).send(loginOptions(message));
+  }
+
+  let claims;
+  try {
+    claims = await exchangeCode(req.params.provider, req.query.code, pending.nonce);
+  } catch (error) {
+    const grantError = (error.response && error.response.data) || {};
+    // invalid_grant is also used for unknown, reused or mismatched codes
+    const expired = grantError.error === 'invalid_grant' && /expired/i.test(grantError.error_description || '');
+    return res.status(401).send(loginOptions(expired
+      ? `Your ${providerName} sign-in expired. Please try again.`
+      : `Sign-in with ${providerName} failed. Please try again.`));
+  }
+
+  if (!claims.email) {
+    return res.status(401).send(loginOptions(`Your ${providerName} account didn't share an email address. Allow email access or continue with email.`));
+  }
+
+  const [firstName = '', ...lastName] = (claims.name || '').split(' ');
+  const account = findAccount(claims.email)
+    || createAccount({ email: claims.email, password: crypto.randomBytes(16).toString('hex'), firstName, lastName: lastName.join(' ') });
+  startSession(res, account);
+  return res.redirect(303, '/dashboard');
+});
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  return res.status(200).json({ status: 'healthy' });
+});
+
+module.exports = app;
@@ -0,0 +1,45 @@
+const { environments } = require('../config/environments');
+const logger = require('../utils/logger');
+const siteApp = require('./site');
+const platformApp = require('./platform');
+const oauthProviderApp = require('./oauthProvider');
+const notificationCapture = require('./notificationCapture');
+
+/**
+ * Mock services started for offline runs, keyed by the local environment URL they serve
+ */
+const services = [
+  { name: 'site', app: siteApp, url: environments.local.baseURL },
+  { name: 'platform', app: platformApp, url: environments.local.platformURL },
+  { name: 'OAuth provider', app: oauthProviderApp, url: environments.local.oauthProviderURL },
+  { name: 'notification inbox', app: notificationCapture.app, url: environments.local.notificationInboxURL },
+  // net.Server listens like an Express app
+  { name: 'SMTP sink', app: notificationCapture.createCaptureSmtpServer(), url: environments.local.smtpURL }
+];
+
+/**
+ * Start every mock service on the port from its local environment URL
+ * @returns {Promise<import('http').Server[]>} - Listening servers
+ */
+const start = () => {
+  return Promise.all(services.map(({ name, app, url }) => new Promise((resolve, reject) => {
+    const port = Number(new URL(url).port);
+    const server = app.listen(port, () => {
+      logger.info(`Mock ${name} running on ${url}`);
+      resolve(server);
+    });
+    server.on('error', reject);
+  })));
+};
+
+/**
+ * Start mock servers
+ */
+if (require.main === module) {
+  start().catch((error) => {
+    logger.error(`Could not start mock servers: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { start };
@@ -0,0 +1,97 @@
+const express = require('express');
+const { environments } = require('../config/environments');
+const { TRACKERS, layout, logoSvg } = require('./templates');
+
+/**
+ * Mock of the www.angelcard.us marketing site
+ */
+const app = express();
+const { baseURL: SITE_URL } = environments.local;
+
+/**
+ * Render a marketing site page
+ * @param {string} title - Document title
+ * @param {string} body - Main content HTML
+ * @returns {string} - Complete HTML document
+ */
+const sitePage = (title, body) => layout({ title, body, homeURL: `${SITE_URL}/`, siteURL: SITE_URL });
+
+app.get('/logo.svg', (req, res) => {
+  res.type('image/svg+xml').send(logoSvg);
+});
+
+/**
+ * Stand-in tracker beacons, answered locally
+ */
+app.get(Object.values(TRACKERS), (req, res) => {
+  res.status(204).end();
+});
+
+/**
+ * Home page
+ */
+app.get('/', (req, res) => {
+  res.send(sitePage('Credit Card Angelic Care - ANGEL CARD', `
+    <h1>Angelic care for your credit cards</h1>
+    <p>AngelCard monitors the status of your credit cards and notifies you before an unused card gets cancelled and hurts your credit score.</p>
+    <img src="/logo.svg" alt="Card monitoring illustration" width="120" height="40">
+    <h2>How it works</h2>
+    <ul>
+      <li>Add your cards to the personal dashboard on our platform</li>
+      <li>Receive automated notifications about each card's status</li>
+      <li>Stay covered by the Angel Guarantee</li>
+    </ul>
+    <p class="price">Cost of service: $1 per month</p>
+  `));
+});
+
+/**
+ * Public offer, privacy policy and terms and conditions
+ */
+app.get('/public-offer', (req, res) => {
+  res.send(sitePage('Public Offer - ANGEL CARD', `
+    <h1>Public offer and Privacy policy</h1>
+    <section id="public-offer-privacy-policy">
+      <h2>Privacy Policy</h2>
+      <p>We collect only the information needed to monitor your cards and send you notifications.</p>
+      <p>We never sell personal data to third parties.</p>
+    </section>
+    <section id="public-offer-terms-and-conditions">
+      <h2>Public Offer / Terms and Conditions</h2>
+      <p>1. This public offer is addressed to any person who registers on the AngelCard platform.</p>
+      <p>2. The cost of service is $1 per month and is billed in advance.</p>
+      <p>3. The Angel Guarantee applies when a monitored card is cancelled without prior notification.</p>
+    </section>
+  `));
+});
+
+/**
+ * Refund policy
+ */
+app.get('/refund-policy', (req, res) => {
+  res.send(sitePage('Refund Policy - ANGEL CARD', `
+    <h1>Refund Policy</h1>
+    <p>You may request a refund of the last monthly payment within 14 days of billing.</p>
+    <p>Refunds are issued to the original payment method within 10 business days.</p>
+  `));
+});
+
+/**
+ * Shipping policy
+ */
+app.get('/shipping-policy', (req, res) => {
+  res.send(sitePage('Shipping Policy - ANGEL CARD', `
+    <h1>Shipping Policy</h1>
+    <p>AngelCard is a digital service. No physical goods are shipped.</p>
+    <p>Access to the platform is granted immediately after registration.</p>
+  `));
+});
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  return res.status(200).json({ status: 'healthy' });
+});
+
+module.exports = app;
@@ -0,0 +1,290 @@
+const net = require('net');
+
+/**
+ * Just enough SMTP for local notification tests: a sink that accepts every message, and a client to send plain-text mail.
+ * There is no authentication, TLS or relaying.
+ */
+
+// A line longer than this means the client isn't speaking SMTP
+const MAX_LINE_LENGTH = 1000 * 1000;
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} - Header-safe value
+ */
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Decode RFC 2047 encoded-words in a header value; whitespace is only dropped between two encoded-words
+ * @param {string} value - Raw header value
+ * @returns {string} - Decoded value
+ */
+const decodeHeader = (value) => value.replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=(?:\s+(?==\?))?/g, (match, charset, encoding, text) => {
+  const bytes = encoding.toUpperCase() === 'B'
+    ? Buffer.from(text, 'base64')
+    : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'binary');
+  return bytes.toString('utf8');
+});
+
+/**
+ * Decode a body by its Content-Transfer-Encoding
+ * @param {string} body - Encoded body
+ * @param {string} [encoding] - Transfer encoding
+ * @returns {string} - Decoded body
+ */
+const decodeBody = (body, encoding = '') => {
+  if (/base64/i.test(encoding)) {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  if (/quoted-printable/i.test(encoding)) {
+    const binary = body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16)));
+    return Buffer.from(binary, 'binary').toString('utf8');
+  }
+  return body;
+};
+
+/**
+ * Split a message into lower-cased headers and body
+ * @param {string} raw - Message source
+ * @returns {{headers: Object<string, string>, body: string}} - Parsed parts
+ */
+const splitMessage = (raw) => {
+  const separator = raw.search(/\r?\n\r?\n/);
+  const head = separator === -1 ? raw : raw.slice(0, separator);
+  const body = separator === -1 ? '' : raw.slice(separator).replace(/^\r?\n\r?\n/, '');
+
+  const headers = {};
+  // Folded header lines start with whitespace
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+  return { headers, body };
+};
+
+/**
+ * Parse a received message, preferring the text/plain part of multipart mail
+ * @param {string} raw - Message source
+ * @returns {{from: string, to: string, subject: string, body: string}} - Parsed message
+ */
+const parseMessage = (raw) => {
+  const { headers, body } = splitMessage(raw);
+  let text = decodeBody(body, headers['content-transfer-encoding']);
+
+  const boundary = /multipart\/[^;]+;.*boundary="?([^";]+)"?/i.exec(headers['content-type'] || '');
+  if (boundary) {
+    const parts = body.split(`--${boundary[1]}`).slice(1).map(splitMessage);
+    const plain = parts.find(part => /text\/plain/i.test(part.headers['content-type'] || 'text/plain')) || parts[0];
+    text = plain ? decodeBody(plain.body, plain.headers['content-transfer-encoding']) : '';
+  }
+
+  return {
+    from: decodeHeader(headers.from || ''),
+    to: decodeHeader(headers.to || ''),
+    subject: decodeHeader(headers.subject || ''),
+    body: text.replace(/\r\n/g, '\n').trim()
+  };
+};
+
+/**
+ * Extract the address from a MAIL FROM / RCPT TO argument, e.g. "TO:<a@b.c> SIZE=10"
+ * @param {string} argument - Command argument
+ * @returns {string} - Lower-cased address
+ */
+const commandAddress = (argument) => {
+  const match = /<([^>]*)>/.exec(argument) || /:\s*(\S+)/.exec(argument);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Create an SMTP sink that accepts every message
+ * @param {object} options - Sink options
+ * @param {Function} options.onMessage - Called with {envelope: {from, to[]}, from, to, subject, body, raw} for each message
+ * @returns {net.Server} - Server, not yet listening
+ */
+const createSmtpServer = ({ onMessage }) => net.createServer((socket) => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let data = null;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  /**
+   * Handle one command line
+   * @param {string} line - Command line without CRLF
+   */
+  const handleCommand = (line) => {
+    const verb = line.slice(0, 4).toUpperCase();
+    const argument = line.slice(4).trim();
+
+    switch (verb) {
+      case 'EHLO':
+        reply('250-angelcard-capture');
+        reply('250 8BITMIME');
+        break;
+      case 'HELO':
+        reply('250 angelcard-capture');
+        break;
+      case 'MAIL':
+        envelope = { from: commandAddress(argument), to: [] };
+        reply('250 OK');
+        break;
+      case 'RCPT':
+        if (envelope.from === null) {
+          reply('503 Send MAIL first');
+        } else {
+          envelope.to.push(commandAddress(argument));
+          reply('250 OK');
+        }
+        break;
+      case 'DATA':
+        if (envelope.to.length === 0) {
+          reply('503 Send RCPT first');
+        } else {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        }
+        break;
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+        break;
+      case 'NOOP':
+        reply('250 OK');
+        break;
+      case 'QUIT':
+        reply('221 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 Command not implemented');
+    }
+  };
+
+  /**
+   * Handle one line of message data
+   * @param {string} line - Data line without CRLF
+   */
+  const handleData = (line) => {
+    if (line !== '.') {
+      // Undo dot-stuffing
+      data.push(line.startsWith('..') ? line.slice(1) : line);
+      return;
+    }
+
+    const raw = data.join('\r\n');
+    data = null;
+    onMessage({ envelope, ...parseMessage(raw), raw });
+    envelope = { from: null, to: [] };
+    reply('250 OK: message accepted');
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    if (buffer.length > MAX_LINE_LENGTH && !buffer.includes('\r\n')) {
+      socket.destroy();
+      return;
+    }
+
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (data) {
+        handleData(line);
+      } else {
+        handleCommand(line);
+      }
+    }
+  });
+  // Clients that drop the connection are not our problem
+  socket.on('error', () => {});
+
+  reply('220 angelcard-capture ESMTP');
+});
+
+/**
+ * Send a plain-text message over SMTP
+ * @param {object} message - Message
+ * @param {string} message.url - SMTP server, e.g. smtp://localhost:2525
+ * @param {string} message.from - Sender address
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain-text body
+ * @param {number} [message.timeout=10000] - Give up after this many milliseconds
+ * @returns {Promise<void>} - Resolves once the server accepted the message
+ */
+const sendMail = ({ url, from, to, subject, text, timeout = 10000 }) => new Promise((resolve, reject) => {
+  const { hostname, port } = new URL(url);
+  const content = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...(Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) || [])
+  ].join('\r\n');
+  // Each command with the reply code that lets the conversation continue; the greeting comes first
+  const steps = [
+    [null, 220],
+    ['EHLO localhost', 250],
+    [`MAIL FROM:<${from}>`, 250],
+    [`RCPT TO:<${to}>`, 250],
+    ['DATA', 354],
+    [`${content}\r\n.`, 250],
+    ['QUIT', 221]
+  ];
+
+  const socket = net.createConnection({ host: hostname, port: Number(port) || 25 });
+  let buffer = '';
+  let step = 0;
+
+  /**
+   * Fail and close the connection
+   * @param {Error} error - Failure
+   */
+  const fail = (error) => {
+    socket.destroy();
+    reject(error);
+  };
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(timeout, () => fail(new Error(`SMTP server ${url} did not answer within ${timeout}ms`)));
+  socket.on('error', fail);
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    // A reply is complete at a line with a space after the code; "250-" lines continue it
+    const complete = /(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/.exec(buffer);
+    if (!complete) return;
+    buffer = '';
+
+    const expected = steps[step][1];
+    if (Number(complete[1]) !== expected) {
+      fail(new Error(`SMTP server replied ${complete[1]} to "${(steps[step][0] || 'connect').split('\r\n')[0]}", expected ${expected}`));
+      return;
+    }
+
+    step += 1;
+    if (step === steps.length) {
+      socket.end();
+      resolve();
+      return;
+    }
+    socket.write(`${steps[step][0]}\r\n`);
+  });
+});
+
+module.exports = {
+  createSmtpServer,
+  parseMessage,
+  sendMail
+};
@@ -0,0 +1,175 @@
+/**
+ * HTML building blocks shared by the mock AngelCard site and platform
+ */
+
+const CONSENT_COOKIE = 'cookieyes-consent';
+
+// Tracker beacons requested by the mock once consent allows it. They stay on the mock
+// host so offline runs never reach a real tracker; cookieClassification.json lists them.
+const TRACKERS = {
+  analytics: '/tracker/analytics/collect',
+  marketing: '/tracker/marketing/pixel'
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * CookieYes-style consent banner, preference center and revisit button.
+ * Markup mirrors the data-cky-tag attributes used on the live site.
+ * @returns {string} - Banner HTML and script
+ */
+const consentBanner = () => `
+  <div class="cky-consent-container" role="region" aria-label="We value your privacy" hidden>
+    <div class="cky-consent-bar">
+      <p class="cky-title">We value your privacy</p>
+      <p class="cky-notice-des">We use cookies to enhance your browsing experience, serve personalised ads or content, and analyse our traffic.</p>
+      <div class="cky-notice-btn-wrapper">
+        <button class="cky-btn cky-btn-customize" data-cky-tag="settings-button">Customise</button>
+        <button class="cky-btn cky-btn-reject" data-cky-tag="reject-button">Reject All</button>
+        <button class="cky-btn cky-btn-accept" data-cky-tag="accept-button">Accept All</button>
+      </div>
+    </div>
+  </div>
+  <div class="cky-preference-center" role="dialog" aria-label="Customise Consent Preferences" hidden>
+    <label><input type="checkbox" id="ckySwitchnecessary" checked disabled> Necessary</label>
+    <label><input type="checkbox" id="ckySwitchanalytics" data-cky-category="analytics"> Analytics</label>
+    <label><input type="checkbox" id="ckySwitchadvertisement" data-cky-category="advertisement"> Advertisement</label>
+    <button class="cky-btn cky-btn-preferences" data-cky-tag="detail-save-button">Save My Preferences</button>
+  </div>
+  <button class="cky-btn-revisit" data-cky-tag="preferences-button" aria-label="Consent Preferences" hidden>Consent Preferences</button>
+  <script>
+    (function () {
+      var COOKIE = '${CONSENT_COOKIE}';
+      var banner = document.querySelector('.cky-consent-container');
+      var center = document.querySelector('.cky-preference-center');
+      var revisit = document.querySelector('[data-cky-tag="preferences-button"]');
+
+      function readConsent() {
+        var match = document.cookie.split('; ').find(function (c) { return c.indexOf(COOKIE + '=') === 0; });
+        return match ? decodeURIComponent(match.split('=')[1]) : null;
+      }
+
+      // Stand-ins for Google Analytics and the Meta pixel: cookies, storage and tracker requests only after consent
+      function applyConsent(analytics, advertisement) {
+        if (analytics) {
+          document.cookie = '_ga=GA1.1.' + Date.now() + '; path=/; max-age=63072000';
+          document.cookie = '_gid=GA1.1.' + Date.now() + '; path=/; max-age=86400';
+          new Image().src = '${TRACKERS.analytics}?v=2&tid=G-MOCK&dl=' + encodeURIComponent(location.href);
+        } else {
+          document.cookie = '_ga=; path=/; max-age=0';
+          document.cookie = '_gid=; path=/; max-age=0';
+        }
+        if (advertisement) {
+          document.cookie = '_fbp=fb.1.' + Date.now() + '; path=/; max-age=7776000';
+          localStorage.setItem('_gcl_ls', JSON.stringify({ timestamp: Date.now() }));
+          new Image().src = '${TRACKERS.marketing}?id=mock&ev=PageView&dl=' + encodeURIComponent(location.href);
+        } else {
+          document.cookie = '_fbp=; path=/; max-age=0';
+          localStorage.removeItem('_gcl_ls');
+        }
+      }
+
+      function save(analytics, advertisement) {
+        var value = [
+          'consentid:mock',
+          'consent:' + (analytics || advertisement ? 'yes' : 'no'),
+          'action:yes',
+          'necessary:yes',
+          'analytics:' + (analytics ? 'yes' : 'no'),
+          'advertisement:' + (advertisement ? 'yes' : 'no')
+        ].join(',');
+        document.cookie = COOKIE + '=' + encodeURIComponent(value) + '; path=/; max-age=31536000';
+        banner.hidden = true;
+        center.hidden = true;
+        revisit.hidden = false;
+        applyConsent(analytics, advertisement);
+        document.dispatchEvent(new CustomEvent('cookieyes_consent_update', { detail: { analytics: analytics, advertisement: advertisement } }));
+      }
+
+      document.querySelector('[data-cky-tag="accept-button"]').addEventListener('click', function () { save(true, true); });
+      document.querySelector('[data-cky-tag="reject-button"]').addEventListener('click', function () { save(false, false); });
+      document.querySelector('[data-cky-tag="settings-button"]').addEventListener('click', function () { center.hidden = false; });
+      revisit.addEventListener('click', function () { center.hidden = false; });
+      document.querySelector('[data-cky-tag="detail-save-button"]').addEventListener('click', function () {
+        save(document.getElementById('ckySwitchanalytics').checked, document.getElementById('ckySwitchadvertisement').checked);
+      });
+
+      var stored = readConsent();
+      if (stored) {
+        revisit.hidden = false;
+        applyConsent(stored.indexOf('analytics:yes') !== -1, stored.indexOf('advertisement:yes') !== -1);
+      } else {
+        banner.hidden = false;
+      }
+    })();
+  </script>`;
+
+/**
+ * Render a full HTML page with the shared header, footer and consent banner
+ * @param {object} options - Page options
+ * @param {string} options.title - Document title
+ * @param {string} options.body - Main content HTML
+ * @param {string} options.homeURL - Where the logo links to
+ * @param {string} options.siteURL - Marketing site URL used for footer policy links
+ * @returns {string} - Complete HTML document
+ */
+const layout = ({ title, body, homeURL, siteURL }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; }
+    header, footer, main { padding: 16px; }
+    footer a { margin-right: 12px; }
+    [hidden] { display: none !important; }
+    .cky-consent-container { position: fixed; bottom: 0; left: 0; right: 0; background: #fff; border-top: 1px solid #ccc; padding: 16px; }
+    .cky-preference-center { position: fixed; top: 20%; left: 20%; right: 20%; background: #fff; border: 1px solid #ccc; padding: 16px; }
+    .cky-btn-revisit { position: fixed; bottom: 8px; left: 8px; }
+  </style>
+</head>
+<body>
+  <header>
+    <a class="logo" href="${homeURL}"><img src="/logo.svg" alt="AngelCard Logo" width="120" height="40"></a>
+  </header>
+  <main>
+    ${body}
+  </main>
+  <footer>
+    <a href="${siteURL}/public-offer">Public offer and Privacy policy</a>
+    <a href="${siteURL}/public-offer#public-offer-terms-and-conditions">Terms &amp; Conditions</a>
+    <a href="${siteURL}/refund-policy">Refund Policy</a>
+    <a href="${siteURL}/shipping-policy">Shipping Policy</a>
+    <p>&copy; AngelCard. All rights reserved.</p>
+  </footer>
+  ${consentBanner()}
+</body>
+</html>`;
+
+/**
+ * Minimal SVG logo so pages render without external assets
+ */
+const logoSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="120" height="40" viewBox="0 0 120 40">
+  <rect width="120" height="40" rx="6" fill="#1f3c88"/>
+  <text x="60" y="26" font-family="sans-serif" font-size="16" fill="#fff" text-anchor="middle">AngelCard</text>
+</svg>`;
+
+module.exports = {
+  CONSENT_COOKIE,
+  TRACKERS,
+  escapeHtml,
+  layout,
+  logoSvg
+};
@@ -0,0 +1,133 @@
+const BasePage = require('./BasePage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+
+// Alert channels, keyed by the name used in setChannels()
+const CHANNEL_ELEMENTS = {
+  email: 'emailChannel',
+  sms: 'smsChannel',
+  push: 'pushChannel'
+};
+
+/**
+ * Alert configuration page object model - which channels card alerts go out on
+ */
+class AlertSettingsPage extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   */
+  constructor(page) {
+    super(page, getEnvironment().platformURL);
+
+    this.defineElement('emailChannel', [
+      { label: /^email/i },
+      { css: 'input[type="checkbox"][name="email"]' }
+    ]);
+    this.defineElement('smsChannel', [
+      { label: /^sms/i },
+      { css: 'input[type="checkbox"][name="sms"]' }
+    ]);
+    this.defineElement('pushChannel', [
+      { label: /^push/i },
+      { css: 'input[type="checkbox"][name="push"]' }
+    ]);
+    this.defineElement('phoneInput', [
+      { label: /phone/i },
+      { css: 'input[type="tel"]' }
+    ]);
+    this.defineElement('saveButton', [
+      { role: 'button', name: /save/i },
+      { css: 'form button[type="submit"]' }
+    ]);
+    this.defineElement('notice', [
+      { css: '.notice' },
+      { role: 'status' }
+    ]);
+  }
+
+  /**
+   * Navigate to the alert settings
+   */
+  async navigate() {
+    await this.goto('/settings/alerts');
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Get which channels are enabled
+   * @returns {Promise<{email: boolean, sms: boolean, push: boolean}>} - Enabled channels
+   */
+  async getChannels() {
+    const channels = {};
+    for (const [channel, element] of Object.entries(CHANNEL_ELEMENTS)) {
+      channels[channel] = await (await this.resolveElement(element)).isChecked();
+    }
+    return channels;
+  }
+
+  /**
+   * Enable or disable channels; channels left out keep their current setting
+   * @param {{email?: boolean, sms?: boolean, push?: boolean}} channels - Channel switches
+   */
+  async setChannels(channels) {
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!CHANNEL_ELEMENTS[channel]) {
+        throw new Error(`Unknown alert channel "${channel}". Expected one of: ${Object.keys(CHANNEL_ELEMENTS).join(', ')}`);
+      }
+      await (await this.resolveElement(CHANNEL_ELEMENTS[channel])).setChecked(enabled);
+    }
+  }
+
+  /**
+   * Set the phone number SMS alerts go to
+   * @param {string} phone - Phone number
+   */
+  async setPhoneNumber(phone) {
+    await (await this.resolveElement('phoneInput')).fill(phone);
+  }
+
+  /**
+   * Save the settings
+   */
+  async save() {
+    await this.clickElement('saveButton');
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Open the settings, apply channels and phone number, and save
+   * @param {object} settings - Settings to apply
+   * @param {boolean} [settings.email] - Email alerts
+   * @param {boolean} [settings.sms] - SMS alerts
+   * @param {boolean} [settings.push] - Push alerts
+   * @param {string} [settings.phone] - Phone number for SMS
+   */
+  async configure({ phone, ...channels }) {
+    logger.info(`Configuring alerts: ${JSON.stringify({ ...channels, phone })}`);
+    await this.navigate();
+    await this.setChannels(channels);
+    if (phone !== undefined) {
+      await this.setPhoneNumber(phone);
+    }
+    await this.save();
+  }
+
+  /**
+   * Get the error shown for the phone number
+   * @returns {Promise<string|null>} - Error message, or null if the number is valid
+   */
+  async getPhoneError() {
+    return this.getFieldErrorOf(await this.resolveElement('phoneInput'));
+  }
+
+  /**
+   * Get the confirmation shown after saving
+   * @returns {Promise<string|null>} - Notice text, or null if there is none
+   */
+  async getNotice() {
+    const match = await this.findElement('notice');
+    return match ? (await match.locator.innerText()).trim() : null;
+  }
+}
+
+module.exports = AlertSettingsPage;
@@ -0,0 +1,101 @@
+const BasePage = require('./BasePage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+
+// Form fields every email form has, keyed by the name used in getFieldError()
+const FIELDS = ['email', 'password'];
+
+/**
+ * Shared page object for the platform's email login and registration forms
+ */
+class AuthFormPage extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   * @param {string} path - Path of the form on the platform
+   */
+  constructor(page, path) {
+    super(page, getEnvironment().platformURL);
+    this.path = path;
+
+    this.defineElement('emailInput', [
+      { label: /^email/i },
+      { css: 'form input[type="email"]' },
+      { css: 'form input[name="email"]' }
+    ]);
+    this.defineElement('passwordInput', [
+      { label: /^password/i },
+      { css: 'form input[type="password"]' }
+    ]);
+    this.defineElement('submitButton', [
+      { css: 'form button[type="submit"]' },
+      { css: 'form input[type="submit"]' },
+      { role: 'button', name: /sign.?in|log.?in|create account|register|continue/i }
+    ]);
+    // Errors that aren't tied to one field, e.g. wrong credentials
+    this.defineElement('formError', [
+      { css: '.form-error' },
+      { role: 'alert' },
+      { css: '[class*="error"][role="alert"]' }
+    ]);
+  }
+
+  /**
+   * Open the form
+   */
+  async navigate() {
+    await this.goto(this.path);
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Fill and submit the form
+   * @param {{email?: string, password?: string}} values - Field values, missing fields are left empty
+   */
+  async submitForm({ email = '', password = '' }) {
+    await (await this.resolveElement('emailInput')).fill(email);
+    await (await this.resolveElement('passwordInput')).fill(password);
+    await this.clickElement('submitButton');
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Get the error message shown for a field
+   * @param {'email'|'password'} field - Field name
+   * @returns {Promise<string|null>} - Error message, or null if the field is valid
+   */
+  async getFieldError(field) {
+    const match = await this.findElement(`${field}Input`);
+    if (!match) {
+      throw new Error(`Field "${field}" is not on the ${this.constructor.name} form`);
+    }
+    return this.getFieldErrorOf(match.locator);
+  }
+
+  /**
+   * Get the error message of every field that has one
+   * @returns {Promise<Object<string, string>>} - Error message per field name
+   */
+  async getFieldErrors() {
+    const errors = {};
+    for (const field of FIELDS) {
+      const error = await this.getFieldError(field);
+      if (error) errors[field] = error;
+    }
+    return errors;
+  }
+
+  /**
+   * Get the form-level error message
+   * @returns {Promise<string|null>} - Error message, or null if there is none
+   */
+  async getFormError() {
+    const match = await this.findElement('formError');
+    if (!match) return null;
+
+    const text = (await match.locator.innerText()).trim();
+    logger.info(`${this.constructor.name} form error: ${text}`);
+    return text || null;
+  }
+}
+
+module.exports = AuthFormPage;
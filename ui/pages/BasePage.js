@@ -1,5 +1,45 @@
-const { expect } = require('@playwright/test');
+const { test, expect } = require('@playwright/test');
+const AxeBuilder = require('@axe-core/playwright').default;
 const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { recordResolution } = require('../utils/selectorDrift');
+const { detectConsentStrategy } = require('./consent/registry');
+const accessibility = require('../utils/accessibility');
+const { recordMismatch } = require('../utils/visualReview');
+const performanceMetrics = require('../utils/performance');
+const { budgetsFor } = require('../config/performanceBudgets');
+
+// How many matches of one candidate are checked for visibility
+const MAX_MATCHES_CHECKED = 10;
+
+// Delay between resolution passes while waiting for an element
+const RESOLVE_POLL_INTERVAL = 250;
+
+// Document (by performance.timeOrigin) last measured on each Playwright page, so page objects sharing a page measure each load once
+const measuredDocuments = new WeakMap();
+
+// Regions that change between runs regardless of the page, masked in visual comparisons by default
+const DEFAULT_VISUAL_MASKS = [
+  '.cky-consent-container',
+  '.cky-preference-center',
+  '[data-cky-tag="preferences-button"]',
+  '#onetrust-banner-sdk',
+  '#ot-sdk-btn'
+];
+
+/**
+ * Describe a candidate for logs, e.g. role=link[name=/enter/i]
+ * @param {object} candidate - Element candidate
+ * @returns {string} - Readable description
+ */
+const describeCandidate = (candidate) => {
+  if (candidate.role) return `role=${candidate.role}${candidate.name ? `[name=${candidate.name}]` : ''}`;
+  if (candidate.testId) return `testId=${candidate.testId}`;
+  if (candidate.label) return `label=${candidate.label}`;
+  if (candidate.placeholder) return `placeholder=${candidate.placeholder}`;
+  if (candidate.text) return `text=${candidate.text}`;
+  return `css=${candidate.css}${candidate.hasText ? `[hasText=${candidate.hasText}]` : ''}`;
+};
 
 /**
  * Base Page Object class with common methods for all page objects
@@ -7,11 +47,22 @@ const logger = require('../utils/logger');
 class BasePage {
   /**
    * @param {import('@playwright/test').Page} page - Playwright page object
-   * @param {string} baseURL - Base URL for the page
+   * @param {string} baseURL - Base URL for the page (defaults to the environment's baseURL)
    */
   constructor(page, baseURL) {
     this.page = page;
-    this.baseURL = baseURL || 'https://www.angelcard.us';
+    this.env = getEnvironment();
+    this.baseURL = baseURL || this.env.baseURL;
+    this.elements = {};
+    // Latest result of measurePerformance()
+    this.performanceReport = null;
+
+    // Reopens the consent preference center after a choice was made (shared site chrome)
+    this.defineElement('consentPreferencesButton', [
+      { css: '[data-cky-tag="preferences-button"]' },
+      { css: '#ot-sdk-btn' },
+      { role: 'button', name: /consent preferences|cookie settings/i }
+    ]);
   }
 
   /**
@@ -42,6 +93,62 @@ class BasePage {
     } catch (error) {
       logger.warn('Could not wait for page to fully stabilize');
     }
+
+    await this.measurePerformance();
+  }
+
+  /**
+   * Record the current document's performance and check it against the budgets in ui/config/performanceBudgets.json.
+   * Metrics are attached to the test result. Depending on the budget mode a breach fails the test
+   * or is logged and added to the test's annotations; outside a test (e.g. global setup) it is only logged.
+   * Each document is measured once.
+   * @returns {Promise<object|null>} - Report with metrics and breaches, or null if the document was already measured or has no timing
+   */
+  async measurePerformance() {
+    let raw;
+    try {
+      raw = await performanceMetrics.collectRawMetrics(this.page);
+    } catch (error) {
+      logger.warn(`Could not read performance metrics: ${error.message}`);
+      return null;
+    }
+    if (!raw.navigation || measuredDocuments.get(this.page) === raw.timeOrigin) return null;
+    measuredDocuments.set(this.page, raw.timeOrigin);
+
+    const location = { page: this.constructor.name, path: new URL(raw.url).pathname };
+    const { budgets, mode } = budgetsFor(location);
+    const summary = performanceMetrics.summarizeMetrics(raw);
+    const breaches = mode === 'off' ? [] : performanceMetrics.checkBudgets(summary.metrics, budgets);
+    this.performanceReport = { ...location, ...summary, budgets, mode, breaches };
+
+    const { lcp, cls, load } = summary.metrics;
+    logger.info(`Performance of ${location.page} ${location.path}: LCP ${lcp === null ? 'n/a' : `${lcp}ms`}, `
+      + `CLS ${cls === null ? 'n/a' : cls}, load ${load}ms, ${summary.metrics.requests} requests`);
+
+    let info = null;
+    try {
+      info = test.info();
+    } catch (error) {
+      // Not running inside a test - nothing to attach to
+    }
+    if (info) {
+      await info.attach(`performance-${location.page}${location.path.replace(/\//g, '-')}`, {
+        body: JSON.stringify(this.performanceReport, null, 2),
+        contentType: 'application/json'
+      });
+    }
+
+    if (breaches.length > 0) {
+      const message = `Performance budget exceeded on ${location.page} ${location.path}: ${performanceMetrics.describeBreaches(breaches)}`;
+      if (mode === 'fail' && info) {
+        throw new Error(message);
+      }
+      logger.warn(message);
+      if (info) {
+        info.annotations.push({ type: 'performance-budget', description: message });
+      }
+    }
+    return this.performanceReport;
   }
 
   /**
@@ -74,6 +181,137 @@ class BasePage {
     }
   }
 
+  /**
+   * Declare a logical element as an ordered list of candidate locators, most specific first.
+   * Supported candidate forms:
+   * - { role, name, exact } - accessible role and name
+   * - { text, exact } - visible text
+   * - { label } / { placeholder } - form fields
+   * - { testId } - data-testid attribute
+   * - { css, hasText } - CSS selector, optionally narrowed by contained text
+   * @param {string} name - Element name used with resolveElement() and friends
+   * @param {Array<object>} candidates - Candidate locators in priority order
+   */
+  defineElement(name, candidates) {
+    this.elements[name] = candidates;
+  }
+
+  /**
+   * Build the Playwright locator for a candidate
+   * @param {object} candidate - Element candidate
+   * @returns {import('@playwright/test').Locator} - Locator (may match several elements)
+   */
+  candidateLocator(candidate) {
+    const { role, name, exact, text, label, placeholder, testId, css, hasText } = candidate;
+    if (role) return this.page.getByRole(role, name !== undefined ? { name, exact } : {});
+    if (testId) return this.page.getByTestId(testId);
+    if (label) return this.page.getByLabel(label, { exact });
+    if (placeholder) return this.page.getByPlaceholder(placeholder, { exact });
+    if (text) return this.page.getByText(text, { exact });
+    return this.page.locator(css, hasText ? { hasText } : undefined);
+  }
+
+  /**
+   * Find the first visible match of a declared element, trying candidates in order.
+   * Candidates matching several elements use their first visible match, so strict mode never trips.
+   * Every outcome is recorded for the selector drift report (see ui/utils/selectorDrift.js).
+   * @param {string} name - Element name from defineElement()
+   * @param {object} [options] - Resolution options
+   * @param {number} [options.timeout=0] - Keep retrying for this long when nothing is visible yet
+   * @returns {Promise<{locator: import('@playwright/test').Locator, candidate: object, index: number}|null>} - Winning match or null
+   */
+  async findElement(name, { timeout = 0 } = {}) {
+    const candidates = this.elements[name];
+    if (!candidates) {
+      throw new Error(`Element "${name}" is not defined on ${this.constructor.name}`);
+    }
+
+    const started = Date.now();
+    for (;;) {
+      for (const [index, candidate] of candidates.entries()) {
+        const locator = this.candidateLocator(candidate);
+        const count = Math.min(await locator.count().catch(() => 0), MAX_MATCHES_CHECKED);
+
+        for (let i = 0; i < count; i++) {
+          if (await locator.nth(i).isVisible().catch(() => false)) {
+            const elapsed = Date.now() - started;
+            logger.info(`Resolved "${name}" with candidate #${index + 1} (${describeCandidate(candidate)}) in ${elapsed}ms`);
+            recordResolution({
+              page: this.constructor.name,
+              element: name,
+              index,
+              candidate: describeCandidate(candidate),
+              candidateCount: candidates.length
+            });
+            return { locator: locator.nth(i), candidate, index };
+          }
+        }
+      }
+
+      if (Date.now() - started >= timeout) {
+        logger.info(`No candidate for "${name}" was visible after ${Date.now() - started}ms`);
+        recordResolution({ page: this.constructor.name, element: name, index: null, candidate: null, candidateCount: candidates.length });
+        return null;
+      }
+      await new Promise(resolve => setTimeout(resolve, RESOLVE_POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Resolve a declared element to a locator, failing if no candidate is visible
+   * @param {string} name - Element name from defineElement()
+   * @param {object} [options] - Resolution options
+   * @param {number} [options.timeout=5000] - How long to wait for a visible candidate
+   * @returns {Promise<import('@playwright/test').Locator>} - Locator of the visible element
+   */
+  async resolveElement(name, { timeout = 5000 } = {}) {
+    const match = await this.findElement(name, { timeout });
+    if (!match) {
+      const tried = this.elements[name].map(describeCandidate).join(', ');
+      throw new Error(`Could not resolve element "${name}" - none of these were visible: ${tried}`);
+    }
+    return match.locator;
+  }
+
+  /**
+   * Check whether any candidate of a declared element is visible
+   * @param {string} name - Element name from defineElement()
+   * @param {object} [options] - Resolution options
+   * @param {number} [options.timeout=0] - How long to wait for a visible candidate
+   * @returns {Promise<boolean>} - True if the element is visible
+   */
+  async isElementVisible(name, { timeout = 0 } = {}) {
+    return (await this.findElement(name, { timeout })) !== null;
+  }
+
+  /**
+   * Resolve a declared element and click it
+   * @param {string} name - Element name from defineElement()
+   * @param {object} [options] - Resolution options
+   * @param {number} [options.timeout=5000] - How long to wait for a visible candidate
+   */
+  async clickElement(name, { timeout = 5000 } = {}) {
+    const locator = await this.resolveElement(name, { timeout });
+    await locator.click();
+  }
+
+  /**
+   * Get the error message shown for a form field.
+   * Reads the element the field points to with aria-describedby, falling back to the browser's own validation message.
+   * @param {import('@playwright/test').Locator} field - Input, select or textarea
+   * @returns {Promise<string|null>} - Error message, or null if the field is valid
+   */
+  async getFieldErrorOf(field) {
+    const describedBy = await field.getAttribute('aria-describedby');
+    for (const id of (describedBy || '').split(/\s+/).filter(Boolean)) {
+      const text = (await this.page.locator(`[id="${id}"]`).innerText().catch(() => '')).trim();
+      if (text) return text;
+    }
+
+    const validationMessage = await field.evaluate(input => input.validationMessage).catch(() => '');
+    return validationMessage || null;
+  }
+
   /**
    * Get page title
    * @returns {Promise<string>} - Page title
@@ -91,92 +329,147 @@ class BasePage {
   }
 
   /**
-   * Accept cookies if present
+   * Accept all cookies if a consent banner is showing
+   * @returns {Promise<{strategy: string|null, action: string, dismissed: boolean, consent: object|null}>} - Outcome
    */
   async acceptCookies() {
-    logger.info('Attempting to handle cookie consent if present');
-    
-    // Take a screenshot to see what we're dealing with
-    await this.page.screenshot({ path: './ui/reports/screenshots/before-cookie-handling.png' });
-    
-    // First check if there's any cookie banner visible at all
-    const hasCookieBanner = await this.page.evaluate(() => {
-      /* eslint-disable no-undef */
-      // document is valid inside evaluate since it runs in browser context
-      return document.body.innerText.toLowerCase().includes('cookie') || 
-             document.body.innerText.toLowerCase().includes('consent') || 
-             document.body.innerText.toLowerCase().includes('privacy');
-      /* eslint-enable no-undef */
-    });
-    
-    if (!hasCookieBanner) {
-      logger.info('No cookie banner detected on page - skipping cookie handling');
-      return;
+    return this.handleConsent('accept');
+  }
+
+  /**
+   * Reject all optional cookies if a consent banner is showing
+   * @returns {Promise<{strategy: string|null, action: string, dismissed: boolean, consent: object|null}>} - Outcome
+   */
+  async rejectCookies() {
+    return this.handleConsent('rejectAll');
+  }
+
+  /**
+   * Allow only the chosen optional cookie categories
+   * @param {{analytics?: boolean, marketing?: boolean}} preferences - Categories to allow
+   * @returns {Promise<{strategy: string|null, action: string, dismissed: boolean, consent: object|null}>} - Outcome
+   */
+  async customizeCookies(preferences) {
+    return this.handleConsent('customize', preferences);
+  }
+
+  /**
+   * Make a consent choice through the strategy matching the page's banner (see ui/pages/consent).
+   * If the choice was already made, accepting does nothing; rejecting or customizing reopens the
+   * preference center through the consent preferences button so the choice can be changed.
+   * @param {'accept'|'rejectAll'|'customize'} action - Consent operation
+   * @param {{analytics?: boolean, marketing?: boolean}} [preferences] - Categories for customize
+   * @param {object} [options] - Handling options
+   * @param {number} [options.timeout=3000] - How long to wait for a banner to appear
+   * @returns {Promise<{strategy: string|null, action: string, dismissed: boolean, consent: object|null}>} - Outcome, strategy is null when no banner was found
+   */
+  async handleConsent(action, preferences, { timeout = 3000 } = {}) {
+    const skipped = { strategy: null, action, dismissed: false, consent: null };
+    if (!this.env.features.cookieBanner) {
+      logger.info(`Cookie banner disabled for ${this.env.name} environment - skipping cookie handling`);
+      return skipped;
     }
-    
-    // Try different methods with error handling for each
-    try {
-      // Method 1: Look for a button with specific data attribute (common in cookie banners)
-      const dataAttrButton = this.page.locator('[data-cky-tag="accept-button"]').first();
-      const isDataAttrVisible = await dataAttrButton.isVisible({ timeout: 1000 }).catch(() => false);
-      
-      if (isDataAttrVisible) {
-        logger.info('Found cookie accept button with data attribute');
-        await dataAttrButton.click().catch(e => {
-          logger.warn(`Failed to click button with data attribute: ${e.message}`);
-        });
-        return;
+
+    let strategy = await detectConsentStrategy(this.page, { timeout });
+    if (!strategy) {
+      const preferencesButton = await this.findElement('consentPreferencesButton');
+      if (preferencesButton && action === 'accept') {
+        logger.info('Consent already given - nothing to accept');
+        return skipped;
+      }
+      if (preferencesButton) {
+        logger.info('Consent already given - reopening consent preferences');
+        await preferencesButton.locator.click();
+        strategy = await detectConsentStrategy(this.page, { timeout });
       }
-    } catch (error) {
-      logger.warn(`Method 1 failed: ${error.message}`);
     }
-    
-    // Method 2: Try by role
+
+    if (!strategy) {
+      logger.info('No cookie banner detected on page - skipping cookie handling');
+      return skipped;
+    }
+
+    return strategy[action](preferences);
+  }
+
+  /**
+   * Run an axe-core accessibility audit of the current page.
+   * The full results are attached to the test report; violations listed in the committed
+   * baseline (ui/config/accessibilityBaseline.json) are reported as suppressed, not new.
+   * @param {object} [options] - Audit options
+   * @param {'A'|'AA'|'AAA'} [options.level='AA'] - WCAG conformance level to check
+   * @param {string|string[]} [options.include] - Only audit these selectors
+   * @param {string|string[]} [options.exclude] - Skip these selectors, e.g. third-party widgets
+   * @returns {Promise<{violations: object[], newViolations: object[], suppressed: object[], passes: number}>} - Findings, one per affected node
+   */
+  async auditAccessibility({ level = 'AA', include, exclude } = {}) {
+    let builder = new AxeBuilder({ page: this.page }).withTags(accessibility.levelTags(level));
+    for (const selector of [].concat(include || [])) {
+      builder = builder.include(selector);
+    }
+    for (const selector of [].concat(exclude || [])) {
+      builder = builder.exclude(selector);
+    }
+
+    const results = await builder.analyze();
+    const location = { page: this.constructor.name, path: new URL(this.page.url()).pathname };
+    const violations = accessibility.flattenViolations(results.violations, location);
+    let { newViolations, suppressed } = accessibility.partitionFindings(violations, accessibility.loadSuppressions());
+
+    // A11Y_UPDATE_BASELINE=true accepts the current violations into the baseline file
+    if (newViolations.length > 0 && process.env.A11Y_UPDATE_BASELINE === 'true') {
+      logger.warn(`Adding ${newViolations.length} accessibility violation(s) on ${location.path} to the baseline`);
+      accessibility.addToBaseline(newViolations);
+      suppressed = violations;
+      newViolations = [];
+    }
+
+    logger.info(`Accessibility audit (WCAG ${level}) of ${location.page} ${location.path}: `
+      + `${newViolations.length} new, ${suppressed.length} baselined violation(s)`);
     try {
-      // Don't use .first() here as it can lead to strict mode violations
-      const buttonsByRole = this.page.getByRole('button', { name: /Accept|Accept All|OK|Agree/i });
-      const count = await buttonsByRole.count();
-      
-      if (count > 0) {
-        logger.info(`Found ${count} possible cookie consent buttons`);
-        // Click the first one
-        await buttonsByRole.nth(0).click().catch(e => {
-          logger.warn(`Failed to click button by role: ${e.message}`);
-        });
-        return;
-      }
+      await test.info().attach(`accessibility-${location.page}${location.path.replace(/\//g, '-')}`, {
+        body: JSON.stringify({ level, ...location, newViolations, suppressed, axe: results }, null, 2),
+        contentType: 'application/json'
+      });
     } catch (error) {
-      logger.warn(`Method 2 failed: ${error.message}`);
+      // Not running inside a test - nothing to attach to
     }
-    
-    // Method 3: Try by common cookie banner classes
+
+    return { violations, newViolations, suppressed, passes: results.passes.length };
+  }
+
+  /**
+   * Compare the page with its approved baseline screenshot.
+   * Baselines are kept per project, and the viewport is part of the snapshot name, e.g. home-1280x720.png.
+   * Mismatches and missing baselines are queued for review with `npm run visual:review`.
+   * @param {string} name - Snapshot name
+   * @param {object} [options] - Comparison options
+   * @param {Array<string|import('@playwright/test').Locator>} [options.mask] - Extra dynamic regions to mask
+   * @param {boolean} [options.maskConsent=true] - Mask cookie banners and consent buttons
+   * @param {boolean} [options.fullPage=false] - Capture the full scrollable page
+   */
+  async compareVisual(name, { mask = [], maskConsent = true, fullPage = false } = {}) {
+    const { width, height } = this.page.viewportSize() || { width: 0, height: 0 };
+    const fileName = `${name}-${width}x${height}.png`;
+    const masks = [...(maskConsent ? DEFAULT_VISUAL_MASKS : []), ...[].concat(mask)]
+      .map(region => (typeof region === 'string' ? this.page.locator(region) : region));
+
     try {
-      const cookieBanners = [
-        '.cookie-banner', 
-        '.cookie-consent', 
-        '.cookie-notice', 
-        '.gdpr-banner',
-        '.cky-consent-container'
-      ];
-      
-      for (const selector of cookieBanners) {
-        const banner = this.page.locator(selector).first();
-        const isBannerVisible = await banner.isVisible({ timeout: 500 }).catch(() => false);
-        
-        if (isBannerVisible) {
-          logger.info(`Found cookie banner with selector: ${selector}`);
-          const acceptButton = banner.locator('button:has-text("Accept"), button:has-text("OK"), button:has-text("Agree")').first();
-          await acceptButton.click().catch(e => {
-            logger.warn(`Found banner but failed to click accept button: ${e.message}`);
-          });
-          return;
-        }
-      }
+      await expect(this.page).toHaveScreenshot(fileName, { mask: masks, fullPage });
     } catch (error) {
-      logger.warn(`Method 3 failed: ${error.message}`);
+      const info = test.info();
+      const entry = recordMismatch({
+        name: fileName,
+        project: info.project.name,
+        test: info.titlePath.slice(1).join(' › '),
+        baselinePath: info.snapshotPath(fileName),
+        outputDir: info.outputDir
+      });
+      if (entry) {
+        logger.warn(`Visual change in ${fileName} queued for review as ${entry.id}`);
+      }
+      throw error;
     }
-    
-    logger.info('Completed cookie handling attempts - continuing with test');
   }
 
   /**
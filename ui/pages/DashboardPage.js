@@ -0,0 +1,242 @@
+const BasePage = require('./BasePage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+
+// Card form fields, keyed by the name used in getFieldError()
+const CARD_FIELDS = {
+  bank: 'bankInput',
+  cardholderName: 'cardholderNameInput',
+  number: 'cardNumberInput',
+  expiryDate: 'expiryInput'
+};
+
+/**
+ * Get the last four digits of a card
+ * @param {object|string} card - Card with `number` or `lastDigits`, or a card number
+ * @returns {string} - Last four digits
+ */
+const lastFour = (card) => String(typeof card === 'object' ? card.number || card.lastDigits : card).replace(/\D/g, '').slice(-4);
+
+/**
+ * Dashboard page object model - the signed-in user's monitored cards
+ */
+class DashboardPage extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   */
+  constructor(page) {
+    super(page, getEnvironment().platformURL);
+
+    // One entry per monitored card
+    this.defineElement('cardItem', [
+      { testId: 'card' },
+      { css: '.card-list > li' },
+      { css: '[class*="card-item"]' }
+    ]);
+    this.defineElement('emptyState', [
+      { css: '.empty-state' },
+      { text: /no cards are being monitored/i }
+    ]);
+    // Confirmation after adding, removing, pausing or resuming a card
+    this.defineElement('notice', [
+      { css: '.notice' },
+      { role: 'status' }
+    ]);
+
+    // Add-card form
+    this.defineElement('bankInput', [
+      { label: /^bank/i },
+      { css: 'input[name="bank"]' }
+    ]);
+    this.defineElement('cardholderNameInput', [
+      { label: /cardholder/i },
+      { css: 'input[autocomplete="cc-name"]' }
+    ]);
+    this.defineElement('cardNumberInput', [
+      { label: /card number/i },
+      { css: 'input[autocomplete="cc-number"]' }
+    ]);
+    this.defineElement('expiryInput', [
+      { label: /expiry|expiration/i },
+      { css: 'input[autocomplete="cc-exp"]' }
+    ]);
+    this.defineElement('addCardButton', [
+      { role: 'button', name: /add card/i },
+      { css: '.add-card button[type="submit"]' }
+    ]);
+  }
+
+  /**
+   * Navigate to the dashboard
+   */
+  async navigate() {
+    await this.goto('/dashboard');
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Get a locator for every monitored card
+   * @returns {Promise<import('@playwright/test').Locator|null>} - Card entries, or null if the list is empty
+   */
+  async cardItems() {
+    const match = await this.findElement('cardItem', { timeout: 3000 });
+    return match ? this.candidateLocator(match.candidate) : null;
+  }
+
+  /**
+   * Get the entry of one card, matched by its last four digits
+   * @param {object|string} card - Card with `number` or `lastDigits`, or a card number
+   * @returns {Promise<import('@playwright/test').Locator>} - Card entry (may not exist, check with count() or expect)
+   */
+  async cardLocator(card) {
+    const items = await this.cardItems() || this.candidateLocator(this.elements.cardItem[0]);
+    return items.filter({ hasText: new RegExp(`\\b${lastFour(card)}\\b`) });
+  }
+
+  /**
+   * Read one card entry
+   * @param {import('@playwright/test').Locator} item - Card entry
+   * @returns {Promise<{bank: string, type: string, maskedNumber: string, expiry: string, status: string, nextNotification: string|null}>} - Card as shown
+   */
+  async readCard(item) {
+    const text = async (selector) => ((await item.locator(selector).first().innerText().catch(() => '')) || '').trim();
+    return {
+      bank: await text('.card-bank'),
+      type: await text('.card-type'),
+      maskedNumber: await text('.card-number'),
+      expiry: (await text('.card-expiry')).replace(/^expires\s*/i, ''),
+      status: await text('[data-testid="card-status"], .card-status'),
+      nextNotification: await this.readNextNotification(item)
+    };
+  }
+
+  /**
+   * Read a card's next notification date
+   * @param {import('@playwright/test').Locator} item - Card entry
+   * @returns {Promise<string|null>} - Date as YYYY-MM-DD, or null when none is scheduled
+   */
+  async readNextNotification(item) {
+    const field = item.locator('[data-testid="next-notification"], .next-notification').first();
+    const datetime = await field.locator('time').first().getAttribute('datetime', { timeout: 1000 }).catch(() => null);
+    if (datetime) return datetime.slice(0, 10);
+
+    // No machine-readable date - parse the visible one
+    const shown = Date.parse((await field.innerText().catch(() => '')).replace(/^.*?:\s*/, ''));
+    return Number.isNaN(shown) ? null : new Date(shown).toISOString().slice(0, 10);
+  }
+
+  /**
+   * List the monitored cards
+   * @returns {Promise<Array<object>>} - Cards as shown, see readCard()
+   */
+  async getCards() {
+    const items = await this.cardItems();
+    if (!items) return [];
+
+    const cards = [];
+    for (const item of await items.all()) {
+      cards.push(await this.readCard(item));
+    }
+    return cards;
+  }
+
+  /**
+   * Check whether a card is on the dashboard
+   * @param {object|string} card - Card with `number` or `lastDigits`, or a card number
+   * @returns {Promise<boolean>} - True if the card is listed
+   */
+  async hasCard(card) {
+    return (await (await this.cardLocator(card)).count()) > 0;
+  }
+
+  /**
+   * Start monitoring a card
+   * @param {{bank: string, cardholderName: string, number: string, expiryDate: string}} card - Card, e.g. from createDataFactory().creditCard()
+   */
+  async addCard(card) {
+    logger.info(`Adding card ending ${lastFour(card)}`);
+    await (await this.resolveElement('bankInput')).fill(card.bank || '');
+    await (await this.resolveElement('cardholderNameInput')).fill(card.cardholderName || '');
+    await (await this.resolveElement('cardNumberInput')).fill(card.number || '');
+    await (await this.resolveElement('expiryInput')).fill(card.expiryDate || '');
+    await this.clickElement('addCardButton');
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Click a button on one card's entry
+   * @param {object|string} card - Card to act on
+   * @param {RegExp} name - Button name
+   */
+  async clickCardButton(card, name) {
+    const item = await this.cardLocator(card);
+    if ((await item.count()) === 0) {
+      throw new Error(`Card ending ${lastFour(card)} is not on the dashboard`);
+    }
+    await item.first().getByRole('button', { name }).click();
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Stop monitoring a card
+   * @param {object|string} card - Card to remove
+   */
+  async removeCard(card) {
+    logger.info(`Removing card ending ${lastFour(card)}`);
+    await this.clickCardButton(card, /remove/i);
+  }
+
+  /**
+   * Pause monitoring of a card
+   * @param {object|string} card - Card to pause
+   */
+  async pauseMonitoring(card) {
+    await this.clickCardButton(card, /pause/i);
+  }
+
+  /**
+   * Resume monitoring of a card
+   * @param {object|string} card - Card to resume
+   */
+  async resumeMonitoring(card) {
+    await this.clickCardButton(card, /resume/i);
+  }
+
+  /**
+   * Get a card's status badge text, e.g. "Active" or "Expiring soon"
+   * @param {object|string} card - Card
+   * @returns {Promise<string>} - Status
+   */
+  async getCardStatus(card) {
+    return (await this.readCard((await this.cardLocator(card)).first())).status;
+  }
+
+  /**
+   * Get the date of a card's next expiry notification
+   * @param {object|string} card - Card
+   * @returns {Promise<string|null>} - Date as YYYY-MM-DD, or null when none is scheduled
+   */
+  async getNextNotificationDate(card) {
+    return this.readNextNotification((await this.cardLocator(card)).first());
+  }
+
+  /**
+   * Get the error message shown for an add-card field
+   * @param {'bank'|'cardholderName'|'number'|'expiryDate'} field - Field name
+   * @returns {Promise<string|null>} - Error message, or null if the field is valid
+   */
+  async getFieldError(field) {
+    return this.getFieldErrorOf(await this.resolveElement(CARD_FIELDS[field]));
+  }
+
+  /**
+   * Get the confirmation shown after the last card action
+   * @returns {Promise<string|null>} - Notice text, or null if there is none
+   */
+  async getNotice() {
+    const match = await this.findElement('notice');
+    return match ? (await match.locator.innerText()).trim() : null;
+  }
+}
+
+module.exports = DashboardPage;
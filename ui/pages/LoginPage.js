@@ -0,0 +1,74 @@
+const AuthFormPage = require('./AuthFormPage');
+const logger = require('../utils/logger');
+
+/**
+ * Email login page object model
+ */
+class LoginPage extends AuthFormPage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   */
+  constructor(page) {
+    super(page, '/login/email');
+
+    // Shown once signed in
+    this.defineElement('accountEmail', [
+      { testId: 'account-email' },
+      { css: '[class*="account"] [class*="email"]' }
+    ]);
+    this.defineElement('logoutButton', [
+      { role: 'button', name: /sign.?out|log.?out/i },
+      { role: 'link', name: /sign.?out|log.?out/i }
+    ]);
+  }
+
+  /**
+   * Submit the login form
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   */
+  async login(email, password) {
+    logger.info(`Logging in as ${email}`);
+    await this.submitForm({ email, password });
+  }
+
+  /**
+   * Open the login form and sign in as a test user
+   * @param {{email: string, password: string}} user - User from ui/fixtures/testData.js or the data factory
+   * @returns {Promise<boolean>} - True if the login succeeded
+   */
+  async loginAs(user) {
+    await this.navigate();
+    await this.login(user.email, user.password);
+    return this.isLoggedIn();
+  }
+
+  /**
+   * Check whether the browser is signed in
+   * @param {object} [options] - Check options
+   * @param {number} [options.timeout=5000] - How long to wait for the signed-in page
+   * @returns {Promise<boolean>} - True if the account email is showing
+   */
+  async isLoggedIn({ timeout = 5000 } = {}) {
+    return this.isElementVisible('accountEmail', { timeout });
+  }
+
+  /**
+   * Get the email of the signed-in account
+   * @returns {Promise<string|null>} - Email, or null when signed out
+   */
+  async getAccountEmail() {
+    const match = await this.findElement('accountEmail', { timeout: 5000 });
+    return match ? (await match.locator.innerText()).trim() : null;
+  }
+
+  /**
+   * Sign out
+   */
+  async logout() {
+    await this.clickElement('logoutButton');
+    await this.waitForPageLoad();
+  }
+}
+
+module.exports = LoginPage;
@@ -0,0 +1,97 @@
+const BasePage = require('./BasePage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Page object for the mock OAuth provider's account chooser and consent screen (ui/mocks/oauthProvider.js)
+ */
+class OAuthProviderPage extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   */
+  constructor(page) {
+    super(page, getEnvironment().oauthProviderURL);
+
+    this.defineElement('accountChooser', [
+      { role: 'heading', name: /choose an account/i },
+      { css: '.accounts' }
+    ]);
+    this.defineElement('allowButton', [
+      { role: 'button', name: /^allow$/i },
+      { css: 'button[value="allow"]' }
+    ]);
+    this.defineElement('cancelButton', [
+      { role: 'button', name: /^cancel$/i },
+      { css: 'button[value="deny"]' }
+    ]);
+    this.defineElement('requestedScopes', [
+      { css: '.scopes' }
+    ]);
+  }
+
+  /**
+   * Pick an account on the account chooser
+   * @param {string} account - Account email or name as listed on the chooser
+   */
+  async chooseAccount(account) {
+    await this.resolveElement('accountChooser');
+    logger.info(`Choosing OAuth account ${account}`);
+    await this.page.getByRole('button', { name: new RegExp(escapeRegExp(account), 'i') }).click();
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Check whether the consent screen is showing
+   * @returns {Promise<boolean>} - True if Allow/Cancel are offered
+   */
+  async isConsentScreen() {
+    return this.isElementVisible('allowButton', { timeout: 3000 });
+  }
+
+  /**
+   * Get the scopes listed on the consent screen
+   * @returns {Promise<string[]>} - Scope names
+   */
+  async getRequestedScopes() {
+    const scopes = await this.resolveElement('requestedScopes');
+    return (await scopes.locator('li').allInnerTexts()).map(scope => scope.trim());
+  }
+
+  /**
+   * Grant access on the consent screen
+   */
+  async allow() {
+    await this.clickElement('allowButton');
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Refuse access on the consent screen
+   */
+  async deny() {
+    await this.clickElement('cancelButton');
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Pick an account and answer the consent screen if the provider shows one
+   * @param {string} account - Account email or name
+   * @param {object} [options] - Sign-in options
+   * @param {boolean} [options.allow=true] - Grant (true) or refuse (false) access
+   */
+  async signIn(account, { allow = true } = {}) {
+    await this.chooseAccount(account);
+    if (await this.isConsentScreen()) {
+      await (allow ? this.allow() : this.deny());
+    }
+  }
+}
+
+module.exports = OAuthProviderPage;
@@ -0,0 +1,28 @@
+const BasePage = require('./BasePage');
+const { extractPolicyContent, readPolicyInPage } = require('../utils/policyMonitor');
+
+/**
+ * Legal policy page object model - public offer, privacy, refund and shipping policies on the marketing site
+ */
+class PolicyPage extends BasePage {
+  /**
+   * Navigate to a policy page
+   * @param {string} path - URL path, e.g. "/refund-policy"
+   */
+  async navigateToPolicy(path) {
+    await this.goto(path);
+    await this.waitForPageLoad();
+  }
+
+  /**
+   * Read the normalized headings and clauses of the policy
+   * @param {string} [selector="main"] - Element holding the policy text
+   * @returns {Promise<{headings: object[], clauses: object[]}|null>} - Policy content, null when the selector matches nothing
+   */
+  async readPolicyContent(selector = 'main') {
+    const blocks = await this.page.evaluate(readPolicyInPage, selector);
+    return blocks ? extractPolicyContent(blocks) : null;
+  }
+}
+
+module.exports = PolicyPage;
@@ -0,0 +1,51 @@
+const AuthFormPage = require('./AuthFormPage');
+const logger = require('../utils/logger');
+
+/**
+ * Email registration page object model
+ */
+class RegistrationPage extends AuthFormPage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   */
+  constructor(page) {
+    super(page, '/register/email');
+
+    // Confirmation shown after the account was created
+    this.defineElement('successMessage', [
+      { role: 'status' },
+      { css: '.success' },
+      { text: /account created|welcome to angel.?card/i }
+    ]);
+  }
+
+  /**
+   * Submit the registration form
+   * @param {{email?: string, password?: string}} user - Details to register with
+   */
+  async register(user) {
+    logger.info(`Registering ${user.email || '(no email)'}`);
+    await this.submitForm(user);
+  }
+
+  /**
+   * Check whether the registration succeeded
+   * @param {object} [options] - Check options
+   * @param {number} [options.timeout=5000] - How long to wait for the confirmation
+   * @returns {Promise<boolean>} - True if the confirmation is showing
+   */
+  async isRegistered({ timeout = 5000 } = {}) {
+    return this.isElementVisible('successMessage', { timeout });
+  }
+
+  /**
+   * Get the confirmation message
+   * @returns {Promise<string|null>} - Message, or null if registration didn't succeed
+   */
+  async getSuccessMessage() {
+    const match = await this.findElement('successMessage', { timeout: 5000 });
+    return match ? (await match.locator.innerText()).trim() : null;
+  }
+}
+
+module.exports = RegistrationPage;
@@ -0,0 +1,186 @@
+const logger = require('../../utils/logger');
+
+// How long to wait for a banner to disappear after a choice was made
+const DISMISS_TIMEOUT = 3000;
+
+// Matches checked per locator when looking for a visible one
+const MAX_MATCHES_CHECKED = 10;
+
+/**
+ * Base class for cookie-consent banner strategies.
+ *
+ * A strategy knows one consent platform's markup and exposes the choices a visitor can make:
+ * accept(), rejectAll() and customize({ analytics, marketing }). Every operation resolves to
+ * `{ strategy, action, dismissed, consent }`, where `dismissed` tells whether the banner and
+ * preference center actually went away and `consent` is the stored choice as read back from the
+ * platform's cookie (null if the platform's cookie format is unknown).
+ *
+ * Subclasses pass locator factories - `(page) => Locator` - for their markup:
+ * - banner, preferenceCenter: containers used for detection and dismissal checks
+ * - accept, reject, customize, save: buttons
+ * - categories: `{ analytics, marketing }` toggles inside the preference center
+ */
+class ConsentStrategy {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   * @param {object} definition - Strategy definition
+   * @param {string} definition.name - Strategy name reported in results
+   * @param {object} definition.locators - Locator factories, see above
+   */
+  constructor(page, { name, locators }) {
+    this.page = page;
+    this.name = name;
+    this.locators = locators;
+  }
+
+  /**
+   * Build a locator from one of the strategy's factories
+   * @param {string} key - Locator key
+   * @returns {import('@playwright/test').Locator|null} - Locator, or null if the strategy has none
+   */
+  locator(key) {
+    const factory = key.startsWith('categories.')
+      ? (this.locators.categories || {})[key.slice('categories.'.length)]
+      : this.locators[key];
+    return factory ? factory(this.page) : null;
+  }
+
+  /**
+   * Find the first visible match of a locator
+   * @param {string} key - Locator key
+   * @returns {Promise<import('@playwright/test').Locator|null>} - Visible match or null
+   */
+  async visible(key) {
+    const locator = this.locator(key);
+    if (!locator) return null;
+
+    const count = Math.min(await locator.count().catch(() => 0), MAX_MATCHES_CHECKED);
+    for (let i = 0; i < count; i++) {
+      if (await locator.nth(i).isVisible().catch(() => false)) {
+        return locator.nth(i);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether this platform's banner or preference center is showing
+   * @returns {Promise<boolean>} - True if the strategy applies to the current page
+   */
+  async isPresent() {
+    return (await this.visible('banner')) !== null || (await this.visible('preferenceCenter')) !== null;
+  }
+
+  /**
+   * Accept all cookies
+   * @returns {Promise<{strategy: string, action: string, dismissed: boolean, consent: object|null}>} - Outcome
+   */
+  async accept() {
+    const button = await this.visible('accept');
+    if (button) {
+      await button.click();
+      return this.result('accept');
+    }
+    // Preference centers reopened after an earlier choice often have no accept button
+    return this.saveCategories('accept', { analytics: true, marketing: true });
+  }
+
+  /**
+   * Reject all optional cookies
+   * @returns {Promise<{strategy: string, action: string, dismissed: boolean, consent: object|null}>} - Outcome
+   */
+  async rejectAll() {
+    const button = await this.visible('reject');
+    if (button) {
+      await button.click();
+      return this.result('rejectAll');
+    }
+    return this.saveCategories('rejectAll', { analytics: false, marketing: false });
+  }
+
+  /**
+   * Allow only the chosen optional cookie categories
+   * @param {object} [preferences] - Categories to allow
+   * @param {boolean} [preferences.analytics=false] - Allow analytics cookies
+   * @param {boolean} [preferences.marketing=false] - Allow marketing/advertising cookies
+   * @returns {Promise<{strategy: string, action: string, dismissed: boolean, consent: object|null}>} - Outcome
+   */
+  async customize({ analytics = false, marketing = false } = {}) {
+    return this.saveCategories('customize', { analytics, marketing });
+  }
+
+  /**
+   * Open the preference center if needed, set each category toggle and save
+   * @param {string} action - Action name reported in the result
+   * @param {{analytics: boolean, marketing: boolean}} preferences - Desired toggle states
+   * @returns {Promise<{strategy: string, action: string, dismissed: boolean, consent: object|null}>} - Outcome
+   */
+  async saveCategories(action, preferences) {
+    if (!(await this.visible('preferenceCenter'))) {
+      const customize = await this.visible('customize');
+      if (!customize) {
+        throw new Error(`${this.name}: no preference center or customise button to ${action} with`);
+      }
+      await customize.click();
+      await this.locator('preferenceCenter').first().waitFor({ state: 'visible', timeout: DISMISS_TIMEOUT });
+    }
+
+    for (const [category, allowed] of Object.entries(preferences)) {
+      const toggle = this.locator(`categories.${category}`);
+      if (!toggle || (await toggle.count()) === 0) {
+        logger.warn(`${this.name}: no toggle for the ${category} category - leaving it unchanged`);
+        continue;
+      }
+      await toggle.first().setChecked(allowed);
+    }
+
+    const save = await this.visible('save');
+    if (!save) {
+      throw new Error(`${this.name}: no save button in the preference center`);
+    }
+    await save.click();
+    return this.result(action);
+  }
+
+  /**
+   * Wait for the banner and preference center to go away and build the outcome
+   * @param {string} action - Action that was performed
+   * @returns {Promise<{strategy: string, action: string, dismissed: boolean, consent: object|null}>} - Outcome
+   */
+  async result(action) {
+    let dismissed = true;
+    for (const key of ['banner', 'preferenceCenter']) {
+      const locator = this.locator(key);
+      if (locator) {
+        dismissed = await locator.first().waitFor({ state: 'hidden', timeout: DISMISS_TIMEOUT })
+          .then(() => true, () => false) && dismissed;
+      }
+    }
+
+    const consent = await this.readConsent();
+    logger.info(`Consent ${action} via ${this.name}: ${dismissed ? 'banner dismissed' : 'banner still visible'}`);
+    return { strategy: this.name, action, dismissed, consent };
+  }
+
+  /**
+   * Read the stored consent choice back from the browser
+   * Subclasses that know their platform's cookie format override this.
+   * @returns {Promise<{analytics: boolean, marketing: boolean}|null>} - Stored choice, or null if unknown
+   */
+  async readConsent() {
+    return null;
+  }
+
+  /**
+   * Get the value of a cookie for the current page
+   * @param {string} name - Cookie name
+   * @returns {Promise<string|null>} - Decoded cookie value, or null if not set
+   */
+  async cookieValue(name) {
+    const cookies = await this.page.context().cookies(this.page.url());
+    const cookie = cookies.find(candidate => candidate.name === name);
+    return cookie ? decodeURIComponent(cookie.value) : null;
+  }
+}
+
+module.exports = ConsentStrategy;
@@ -0,0 +1,43 @@
+const ConsentStrategy = require('./ConsentStrategy');
+
+const CONSENT_COOKIE = 'cookieyes-consent';
+
+/**
+ * CookieYes banner - the platform used on angelcard.us
+ */
+class CookieYesStrategy extends ConsentStrategy {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   */
+  constructor(page) {
+    super(page, {
+      name: 'cookieyes',
+      locators: {
+        banner: p => p.locator('.cky-consent-container'),
+        preferenceCenter: p => p.locator('.cky-preference-center'),
+        accept: p => p.locator('[data-cky-tag="accept-button"]'),
+        reject: p => p.locator('[data-cky-tag="reject-button"]'),
+        customize: p => p.locator('[data-cky-tag="settings-button"]'),
+        save: p => p.locator('[data-cky-tag="detail-save-button"]'),
+        categories: {
+          analytics: p => p.locator('#ckySwitchanalytics'),
+          marketing: p => p.locator('#ckySwitchadvertisement')
+        }
+      }
+    });
+  }
+
+  /**
+   * Parse the cookieyes-consent cookie, e.g. "consentid:x,consent:yes,analytics:yes,advertisement:no"
+   * @returns {Promise<{analytics: boolean, marketing: boolean}|null>} - Stored choice, or null if not set
+   */
+  async readConsent() {
+    const value = await this.cookieValue(CONSENT_COOKIE);
+    if (!value) return null;
+
+    const fields = Object.fromEntries(value.split(',').map(field => field.split(':')));
+    return { analytics: fields.analytics === 'yes', marketing: fields.advertisement === 'yes' };
+  }
+}
+
+module.exports = CookieYesStrategy;
@@ -0,0 +1,42 @@
+const ConsentStrategy = require('./ConsentStrategy');
+
+// Containers that look like a cookie banner on sites without a known consent platform
+const BANNER_SELECTOR = [
+  '[class*="cookie" i]',
+  '[id*="cookie" i]',
+  '[class*="consent" i]',
+  '[id*="consent" i]',
+  '[class*="gdpr" i]'
+].join(', ');
+
+/**
+ * Fallback for unknown banners: buttons are found by their accessible names inside anything
+ * that looks like a cookie banner. The stored choice can't be read back.
+ */
+class GenericStrategy extends ConsentStrategy {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   */
+  constructor(page) {
+    super(page, {
+      name: 'generic',
+      locators: {
+        banner: p => p.locator(BANNER_SELECTOR).filter({ has: p.getByRole('button', { name: /accept|agree|allow/i }) }),
+        preferenceCenter: p => p.getByRole('dialog', { name: /cookie|consent|privacy|preferences/i }),
+        accept: p => p.locator(BANNER_SELECTOR).getByRole('button', { name: /accept|agree|allow all/i }),
+        reject: p => p.locator(BANNER_SELECTOR).getByRole('button', { name: /reject|decline|deny|refuse/i }),
+        customize: p => p.locator(BANNER_SELECTOR).getByRole('button', { name: /customi[sz]e|settings|preferences|manage/i }),
+        // Only inside the banner or preference center, never e.g. a form's "Save" button
+        save: p => p.locator(BANNER_SELECTOR)
+          .or(p.getByRole('dialog', { name: /cookie|consent|privacy|preferences/i }))
+          .getByRole('button', { name: /save|confirm/i }),
+        categories: {
+          analytics: p => p.getByRole('checkbox', { name: /analytic|performance|statistic/i }),
+          marketing: p => p.getByRole('checkbox', { name: /marketing|advertis|targeting/i })
+        }
+      }
+    });
+  }
+}
+
+module.exports = GenericStrategy;
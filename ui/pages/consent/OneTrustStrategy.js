@@ -0,0 +1,48 @@
+const ConsentStrategy = require('./ConsentStrategy');
+
+const CONSENT_COOKIE = 'OptanonConsent';
+
+// OneTrust's default category IDs
+const ANALYTICS_GROUP = 'C0002';
+const MARKETING_GROUP = 'C0004';
+
+/**
+ * OneTrust banner and preference center
+ */
+class OneTrustStrategy extends ConsentStrategy {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page object
+   */
+  constructor(page) {
+    super(page, {
+      name: 'onetrust',
+      locators: {
+        banner: p => p.locator('#onetrust-banner-sdk'),
+        preferenceCenter: p => p.locator('#onetrust-pc-sdk'),
+        accept: p => p.locator('#onetrust-accept-btn-handler'),
+        reject: p => p.locator('#onetrust-reject-all-handler, .ot-pc-refuse-all-handler'),
+        customize: p => p.locator('#onetrust-pc-btn-handler'),
+        save: p => p.locator('.save-preference-btn-handler'),
+        categories: {
+          analytics: p => p.locator(`#ot-group-id-${ANALYTICS_GROUP}`),
+          marketing: p => p.locator(`#ot-group-id-${MARKETING_GROUP}`)
+        }
+      }
+    });
+  }
+
+  /**
+   * Parse the "groups" field of the OptanonConsent cookie, e.g. "groups=C0001:1,C0002:0,C0004:1"
+   * @returns {Promise<{analytics: boolean, marketing: boolean}|null>} - Stored choice, or null if not set
+   */
+  async readConsent() {
+    const value = await this.cookieValue(CONSENT_COOKIE);
+    const groups = value && new URLSearchParams(value).get('groups');
+    if (!groups) return null;
+
+    const states = Object.fromEntries(groups.split(',').map(group => group.split(':')));
+    return { analytics: states[ANALYTICS_GROUP] === '1', marketing: states[MARKETING_GROUP] === '1' };
+  }
+}
+
+module.exports = OneTrustStrategy;
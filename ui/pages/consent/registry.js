@@ -0,0 +1,51 @@
+const CookieYesStrategy = require('./CookieYesStrategy');
+const OneTrustStrategy = require('./OneTrustStrategy');
+const GenericStrategy = require('./GenericStrategy');
+
+// How often detection re-checks the page while waiting for a banner
+const DETECT_POLL_INTERVAL = 250;
+
+// Strategies in detection order; GenericStrategy stays last as the catch-all
+const registry = [CookieYesStrategy, OneTrustStrategy, GenericStrategy];
+
+/**
+ * Register another consent platform, tried before the generic fallback
+ * @param {typeof import('./ConsentStrategy')} Strategy - ConsentStrategy subclass taking `(page)`
+ */
+const registerConsentStrategy = (Strategy) => {
+  if (!registry.includes(Strategy)) {
+    registry.splice(registry.indexOf(GenericStrategy), 0, Strategy);
+  }
+};
+
+/**
+ * Find the strategy for the consent banner currently shown on a page
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {object} [options] - Detection options
+ * @param {number} [options.timeout=0] - Keep checking for this long while no banner is visible
+ * @returns {Promise<import('./ConsentStrategy')|null>} - Strategy instance, or null if no banner is showing
+ */
+const detectConsentStrategy = async (page, { timeout = 0 } = {}) => {
+  const started = Date.now();
+  for (;;) {
+    for (const Strategy of registry) {
+      const strategy = new Strategy(page);
+      if (await strategy.isPresent()) {
+        return strategy;
+      }
+    }
+
+    if (Date.now() - started >= timeout) {
+      return null;
+    }
+    await new Promise(resolve => setTimeout(resolve, DETECT_POLL_INTERVAL));
+  }
+};
+
+module.exports = {
+  CookieYesStrategy,
+  GenericStrategy,
+  OneTrustStrategy,
+  detectConsentStrategy,
+  registerConsentStrategy
+};
@@ -0,0 +1,49 @@
+const logger = require('../utils/logger');
+const { DRIFT_DIR, clearPending, writeDriftReport } = require('../utils/selectorDrift');
+
+/**
+ * Playwright reporter that summarizes which candidate resolved each page element
+ * and flags elements whose resolution drifted since the previous run.
+ *
+ * Workers record resolutions through BasePage.findElement(); this reporter runs in the
+ * main process, so it only merges those records once every worker has finished.
+ */
+class SelectorDriftReporter {
+  /**
+   * Called once before running tests - forget records from interrupted runs
+   */
+  onBegin() {
+    clearPending();
+  }
+
+  /**
+   * Called after all tests have run - write the drift report
+   */
+  onEnd() {
+    try {
+      const report = writeDriftReport();
+      if (!report) return;
+
+      const { summary } = report;
+      const message = `Selector drift: ${summary.lostPrimary} element(s) lost their primary selector, `
+        + `${summary.degraded} degraded, ${summary.improved} improved - see ${DRIFT_DIR}/drift-report.html`;
+      if (summary.lostPrimary > 0 || summary.degraded > 0) {
+        logger.warn(message);
+      } else {
+        logger.info(message);
+      }
+    } catch (error) {
+      logger.error(`Failed to write selector drift report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Playwright prints nothing of ours to stdio
+   * @returns {boolean} - Always false
+   */
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = SelectorDriftReporter;
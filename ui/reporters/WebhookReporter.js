@@ -0,0 +1,196 @@
+const axios = require('axios');
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const logger = require('../utils/logger');
+const { createSignatureHeaders, getWebhookSecrets } = require('../webhooks/signature');
+
+/**
+ * Playwright reporter that delivers signed run results to the webhook server's
+ * POST /webhook/test-results endpoint.
+ *
+ * Payloads that cannot be delivered are buffered to disk and re-sent at the end of the next run.
+ */
+class WebhookReporter {
+  /**
+   * @param {object} [options] - Reporter options from playwright.config.js
+   * @param {string} [options.url] - Full URL of /webhook/test-results (reporter is idle without it)
+   * @param {string} [options.secret] - Shared webhook secret (defaults to the primary active secret)
+   * @param {string} [options.outboxDir] - Directory for payloads that could not be delivered
+   * @param {number} [options.timeoutMs=10000] - Request timeout per delivery
+   */
+  constructor(options = {}) {
+    this.url = options.url || process.env.WEBHOOK_URL;
+    this.secret = options.secret || getWebhookSecrets()[0];
+    this.outboxDir = options.outboxDir || path.join(__dirname, '..', 'reports', 'webhook-outbox');
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.tests = new Map();
+  }
+
+  /**
+   * Called once before running tests
+   * @param {import('@playwright/test/reporter').FullConfig} config - Resolved configuration
+   */
+  onBegin(config) {
+    this.rootDir = config.rootDir;
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Called after each test attempt; the last attempt of a test wins
+   * @param {import('@playwright/test/reporter').TestCase} test - Test case
+   * @param {import('@playwright/test/reporter').TestResult} result - Result of this attempt
+   */
+  onTestEnd(test, result) {
+    this.tests.set(test.id, { test, result });
+  }
+
+  /**
+   * Called after all tests have run - build, sign and deliver the payload
+   * @param {import('@playwright/test/reporter').FullResult} result - Overall run result
+   */
+  async onEnd(result) {
+    if (!this.url) {
+      logger.info('WEBHOOK_URL is not set - skipping test-results webhook');
+      return;
+    }
+
+    // Re-send anything left over from earlier runs first, so history stays in order
+    await this.flushOutbox();
+
+    const payload = this.buildPayload(result);
+    const body = JSON.stringify(payload);
+
+    if (!(await this.deliver(body))) {
+      await this.buffer(payload.runId, body);
+    }
+  }
+
+  /**
+   * Playwright prints nothing of ours to stdio
+   * @returns {boolean} - Always false
+   */
+  printsToStdio() {
+    return false;
+  }
+
+  /**
+   * Build the webhook payload from the collected test results
+   * @param {import('@playwright/test/reporter').FullResult} result - Overall run result
+   * @returns {object} - `{ buildId, runId, branch, commit, testResults: { summary, tests } }`
+   */
+  buildPayload(result) {
+    const env = process.env;
+    const tests = [...this.tests.values()].map(({ test, result: testResult }) => this.describeTest(test, testResult));
+
+    const count = outcome => tests.filter(test => test.outcome === outcome).length;
+    const summary = {
+      status: result.status,
+      total: tests.length,
+      passed: count('expected'),
+      failed: count('unexpected'),
+      flaky: count('flaky'),
+      skipped: count('skipped'),
+      duration: Math.round(result.duration !== undefined ? result.duration : Date.now() - this.startTime)
+    };
+
+    return {
+      buildId: env.BUILD_ID || env.GITHUB_RUN_NUMBER || null,
+      runId: env.RUN_ID || (env.GITHUB_RUN_ID ? `${env.GITHUB_RUN_ID}-${env.GITHUB_RUN_ATTEMPT || 1}` : randomUUID()),
+      branch: env.BRANCH || env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || null,
+      commit: env.COMMIT_SHA || env.GITHUB_SHA || null,
+      testResults: { summary, tests }
+    };
+  }
+
+  /**
+   * Describe one test for the payload
+   * @param {import('@playwright/test/reporter').TestCase} test - Test case
+   * @param {import('@playwright/test/reporter').TestResult} result - Final attempt
+   * @returns {object} - Per-test entry
+   */
+  describeTest(test, result) {
+    const project = test.parent.project();
+    const relative = filePath => (this.rootDir ? path.relative(this.rootDir, filePath) : filePath);
+
+    return {
+      id: test.id,
+      // titlePath is [root, project, file, ...describes, title]
+      title: test.titlePath().slice(3).join(' › '),
+      file: relative(test.location.file),
+      line: test.location.line,
+      project: project ? project.name : null,
+      status: result.status,
+      outcome: test.outcome(),
+      duration: result.duration,
+      retries: result.retry,
+      error: result.error ? result.error.message : null,
+      attachments: result.attachments
+        .filter(attachment => attachment.path)
+        .map(({ name, contentType, path: attachmentPath }) => ({ name, contentType, path: relative(attachmentPath) }))
+    };
+  }
+
+  /**
+   * POST a signed body to the webhook server, signed afresh so buffered payloads get a current timestamp
+   * A 4xx response means the server will never accept this body, so it is dropped rather than buffered.
+   * @param {string} body - Serialized payload
+   * @returns {Promise<boolean>} - False if the server was unreachable or failed, and the body should be kept
+   */
+  async deliver(body) {
+    try {
+      await axios.post(this.url, body, {
+        timeout: this.timeoutMs,
+        headers: {
+          'content-type': 'application/json',
+          ...createSignatureHeaders(body, this.secret)
+        }
+      });
+      return true;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status >= 400 && status < 500) {
+        logger.error(`Webhook server rejected test results (${status}): ${error.message}`);
+        return true;
+      }
+      logger.warn(`Could not deliver test results to ${this.url}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Write an undelivered payload to the outbox
+   * @param {string} runId - Run identifier used as the file name
+   * @param {string} body - Serialized payload
+   */
+  async buffer(runId, body) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    const file = path.join(this.outboxDir, `${Date.now()}-${encodeURIComponent(runId)}.json`);
+    await fs.writeFile(file, body);
+    logger.info(`Buffered test results for run ${runId} to ${file}`);
+  }
+
+  /**
+   * Re-send buffered payloads, oldest first, stopping at the first failure
+   */
+  async flushOutbox() {
+    let files;
+    try {
+      files = (await fs.readdir(this.outboxDir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const file of files) {
+      const filePath = path.join(this.outboxDir, file);
+      if (!(await this.deliver(await fs.readFile(filePath, 'utf8')))) {
+        return;
+      }
+      await fs.unlink(filePath);
+      logger.info(`Flushed buffered test results ${file}`);
+    }
+  }
+}
+
+module.exports = WebhookReporter;
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getLoadProfile, getLoadProfiles } = require('../config/loadProfiles');
+const { SCENARIOS, createHttpClient } = require('../utils/loadScenarios');
+const { getWebhookSecrets } = require('../webhooks/signature');
+const {
+  LOAD_REPORT_DIR,
+  assertLocalTarget,
+  createReport,
+  describeFailures,
+  formatValue,
+  normalizePlan,
+  runLoad,
+  validateThresholds,
+  writeLoadReport
+} = require('../utils/loadTest');
+
+const USAGE = `Usage: npm run load:test -- [options]
+
+Options:
+  --profile <name>      Load profile from ui/config/loadProfiles.json (default: smoke)
+  --vus <n>             Virtual users, replaces the profile's
+  --duration <time>     Run for a fixed time instead, e.g. 30s or 5m
+  --iterations <n>      Run a fixed number of iterations instead
+  --webhook-url <url>   Use a running local webhook server instead of starting one in-process
+  --platform-url <url>  Use a running local mock platform instead of starting one in-process
+  --out <dir>           Report directory (default: ui/reports/load)
+  --verbose             Keep the in-process servers' info logging
+  --list                List the profiles
+
+Exits with 1 when a threshold fails.
+`;
+
+// Options that take a value, mapped to their key
+const VALUE_OPTIONS = {
+  '--profile': 'profile',
+  '--vus': 'vus',
+  '--duration': 'duration',
+  '--iterations': 'iterations',
+  '--webhook-url': 'webhookUrl',
+  '--platform-url': 'platformUrl',
+  '--out': 'out'
+};
+
+/**
+ * Print a line to stdout
+ * @param {string} text - Text to print
+ */
+const print = (text = '') => {
+  process.stdout.write(`${text}\n`);
+};
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Arguments
+ * @returns {object} - Options
+ */
+const parseArgs = (args) => {
+  const options = { profile: 'smoke', out: LOAD_REPORT_DIR };
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--help' || arg === '--list' || arg === '--verbose') {
+      options[arg.slice(2)] = true;
+    } else if (VALUE_OPTIONS[arg] && args[index + 1] !== undefined) {
+      options[VALUE_OPTIONS[arg]] = args[++index];
+    } else {
+      throw new Error(`Unknown or incomplete option "${arg}"\n\n${USAGE}`);
+    }
+  }
+  return options;
+};
+
+/**
+ * Apply --vus, --duration and --iterations to a profile
+ * @param {object} profile - Profile from the configuration
+ * @param {object} options - Parsed options
+ * @returns {object} - Profile to run
+ */
+const applyOverrides = (profile, { vus, duration, iterations }) => {
+  const users = vus === undefined ? undefined : Number(vus);
+  if (duration !== undefined || iterations !== undefined) {
+    // The new schedule replaces the profile's
+    const rest = { ...profile };
+    delete rest.stages;
+    delete rest.duration;
+    delete rest.iterations;
+    const fallbackVus = profile.vus || (profile.stages ? Math.max(...profile.stages.map(stage => stage.vus)) : undefined);
+    return {
+      ...rest,
+      vus: users === undefined ? fallbackVus : users,
+      ...(duration !== undefined ? { duration } : { iterations: Number(iterations) })
+    };
+  }
+  if (users !== undefined) {
+    if (profile.stages) {
+      throw new Error(`Profile "${profile.name}" ramps through stages - pass --duration or --iterations with --vus`);
+    }
+    return { ...profile, vus: users };
+  }
+  return profile;
+};
+
+/**
+ * Start a target in this process on a free local port
+ * @param {string} target - "webhook" or "platform"
+ * @param {string} tempDir - Directory for data the target writes
+ * @returns {Promise<{url: string, server: import('http').Server}>} - Listening target
+ */
+const startInProcess = (target, tempDir) => {
+  let app;
+  if (target === 'webhook') {
+    app = require('../webhooks/server');
+    const RunStore = require('../webhooks/RunStore');
+    const JobRunner = require('../webhooks/JobRunner');
+    const Notifier = require('../webhooks/notifications/Notifier');
+    // Runs go to a throwaway store, CI triggers are queued but never started, and nothing is posted to Slack or Teams
+    app.locals.runStore = new RunStore(path.join(tempDir, 'runs'));
+    app.locals.jobRunner = new JobRunner({ concurrency: 0, maxFinishedJobs: 1000 });
+    app.locals.notifier = new Notifier({ channels: [], deadLetterPath: path.join(tempDir, 'dead-letter.jsonl') });
+  } else {
+    app = require('../mocks/platform');
+  }
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ url: `http://127.0.0.1:${server.address().port}`, server }));
+    server.on('error', reject);
+  });
+};
+
+/**
+ * Print the profiles
+ */
+const listProfiles = () => {
+  for (const [name, profile] of Object.entries(getLoadProfiles())) {
+    print(`${name.padEnd(10)} ${profile.description || ''}`);
+    print(`${''.padEnd(10)} scenarios: ${Object.entries(profile.scenarios || {}).map(([scenario, weight]) => `${scenario} x${weight}`).join(', ')}`);
+  }
+};
+
+/**
+ * Print the results per scenario
+ * @param {object} report - Report from createReport()
+ */
+const printSummary = (report) => {
+  const rows = [['all', report.summary.all], ...Object.entries(report.summary.scenarios)];
+  print();
+  print(`${'scenario'.padEnd(16)}${'requests'.padStart(9)}${'errors'.padStart(9)}${'req/s'.padStart(9)}${'p50'.padStart(10)}${'p95'.padStart(10)}${'p99'.padStart(10)}`);
+  for (const [name, stats] of rows) {
+    print(`${name.padEnd(16)}${String(stats.requests).padStart(9)}${formatValue('errorRate', stats.errorRate).padStart(9)}${String(stats.rps).padStart(9)}`
+      + ['p50', 'p95', 'p99'].map(metric => formatValue(metric, stats.latency[metric]).padStart(10)).join(''));
+  }
+  print();
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command-line arguments
+ */
+const main = async (args) => {
+  const options = parseArgs(args);
+  if (options.help) {
+    print(USAGE);
+    return;
+  }
+  if (options.list) {
+    listProfiles();
+    return;
+  }
+
+  const profile = applyOverrides(getLoadProfile(options.profile), options);
+  const plan = normalizePlan(profile);
+  const weights = profile.scenarios || {};
+  for (const name of Object.keys(weights)) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown load scenario "${name}" in profile "${profile.name}". Expected one of: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+  }
+  validateThresholds(profile.thresholds || {}, Object.keys(weights));
+  for (const name of Object.keys(weights).filter(scenario => weights[scenario] > 0 && SCENARIOS[scenario].inProcessOnly)) {
+    if (options[`${SCENARIOS[name].target}Url`]) {
+      // e.g. a running webhook server's job runner would start real Playwright runs
+      throw new Error(`${name} only runs against the in-process ${SCENARIOS[name].target} server - drop --${SCENARIOS[name].target}-url or use a profile without ${name}`);
+    }
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-load-'));
+  const http = createHttpClient();
+  const servers = [];
+  const targets = {};
+  const level = logger.level;
+  const controller = new AbortController();
+  const stop = () => {
+    print('Stopping after the running iterations...');
+    controller.abort();
+  };
+
+  let result;
+  try {
+    for (const target of new Set(Object.keys(weights).map(name => SCENARIOS[name].target))) {
+      const url = options[`${target}Url`];
+      if (url) {
+        targets[target] = assertLocalTarget(url);
+      } else {
+        const started = await startInProcess(target, tempDir);
+        servers.push(started.server);
+        targets[target] = started.url;
+      }
+    }
+
+    print(`Load profile "${profile.name}": ${plan.iterations !== null ? `${plan.iterations} iterations, ${plan.maxVus} VUs` : `${(plan.durationMs / 1000).toFixed(0)}s, up to ${plan.maxVus} VUs`}`);
+    print(`Targets: ${Object.entries(targets).map(([name, url]) => `${name} ${url}`).join(', ')}`);
+    if (!options.verbose) {
+      // Per-request info logs of the in-process servers would drown the output and skew latencies
+      logger.level = 'warn';
+    }
+    process.once('SIGINT', stop);
+
+    result = await runLoad({
+      plan,
+      scenarios: SCENARIOS,
+      weights,
+      context: { http, targets, secret: getWebhookSecrets()[0] },
+      signal: controller.signal,
+      onProgress: ({ elapsedMs, vus, requests, errors }) => {
+        if (Math.floor(elapsedMs / 1000) % 5 === 0) {
+          print(`${`${Math.floor(elapsedMs / 1000)}s`.padStart(5)}  ${String(vus).padStart(4)} VUs  ${requests} requests  ${errors} errors`);
+        }
+      }
+    });
+  } finally {
+    process.removeListener('SIGINT', stop);
+    logger.level = level;
+    http.defaults.httpAgent.destroy();
+    await Promise.all(servers.map(server => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  const report = createReport({ profile, plan, targets, result });
+  const { jsonPath, htmlPath } = writeLoadReport(report, path.resolve(options.out));
+  printSummary(report);
+  print(`Report: ${path.relative(process.cwd(), htmlPath)} (${path.relative(process.cwd(), jsonPath)})`);
+
+  if (!report.passed) {
+    process.stderr.write(`Thresholds failed: ${describeFailures(report.thresholds)}\n`);
+    process.exitCode = 1;
+  } else {
+    print(`All ${report.thresholds.length} thresholds passed.`);
+  }
+};
+
+main(process.argv.slice(2)).catch((error) => {
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 1;
+});
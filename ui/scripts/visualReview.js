@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+const path = require('path');
+const { REVIEW_DIR, approve, listPending, reject } = require('../utils/visualReview');
+
+const USAGE = `Usage: npm run visual:review -- <command>
+
+Commands:
+  list                  List screenshots that differ from their baseline or have none yet
+  approve <id...>       Make the actual screenshots the new baselines
+  approve --all         Approve every pending change
+  reject <id...>        Keep the current baselines and drop the pending changes
+  reject --all          Reject every pending change
+`;
+
+/**
+ * Print a line to stdout
+ * @param {string} text - Text to print
+ */
+const print = (text = '') => {
+  process.stdout.write(`${text}\n`);
+};
+
+/**
+ * Make a path relative to the working directory for display
+ * @param {string} file - Absolute path
+ * @returns {string} - Relative path
+ */
+const relative = (file) => path.relative(process.cwd(), file);
+
+/**
+ * List pending changes with the images a reviewer should look at
+ */
+const list = () => {
+  const pending = listPending();
+  if (pending.length === 0) {
+    print('No pending visual changes.');
+    return;
+  }
+
+  print(`${pending.length} pending visual change(s) in ${relative(REVIEW_DIR)}:\n`);
+  for (const entry of pending) {
+    print(`${entry.id}  [${entry.project}] ${entry.name}${entry.isNew ? '  (new baseline)' : ''}`);
+    print(`  test:     ${entry.test}`);
+    print(`  baseline: ${relative(entry.baselinePath)}`);
+    for (const [kind, file] of Object.entries(entry.images)) {
+      print(`  ${`${kind}:`.padEnd(9)} ${relative(file)}`);
+    }
+    print();
+  }
+};
+
+/**
+ * Apply approve or reject to the given IDs
+ * @param {Function} action - approve or reject
+ * @param {string} verb - Past tense for output
+ * @param {string[]} ids - Entry IDs, or ['--all']
+ */
+const review = (action, verb, ids) => {
+  const targets = ids.includes('--all') ? listPending().map(entry => entry.id) : ids;
+  if (targets.length === 0) {
+    throw new Error('Pass at least one ID from "list", or --all');
+  }
+
+  for (const id of targets) {
+    const entry = action(id);
+    print(`${verb} ${entry.id}  [${entry.project}] ${entry.name} -> ${relative(entry.baselinePath)}`);
+  }
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command-line arguments
+ */
+const main = (args) => {
+  const [command, ...ids] = args;
+  switch (command) {
+    case 'list':
+      list();
+      break;
+    case 'approve':
+      review(approve, 'Approved', ids);
+      break;
+    case 'reject':
+      review(reject, 'Rejected', ids);
+      break;
+    default:
+      print(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+};
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,43 @@
+const { test, expect } = require('@playwright/test');
+const HomePage = require('../pages/HomePage');
+const PlatformPage = require('../pages/PlatformPage');
+const logger = require('../utils/logger');
+const { formatFinding } = require('../utils/accessibility');
+
+/**
+ * Test suite for WCAG 2 AA accessibility audits.
+ * Only violations missing from ui/config/accessibilityBaseline.json fail a test.
+ */
+test.describe('Accessibility Audits', () => {
+
+  test('home page should have no new accessibility violations', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.navigateToHomePage();
+
+    const audit = await homePage.auditAccessibility({ level: 'AA' });
+
+    expect(audit.newViolations.map(formatFinding)).toEqual([]);
+  });
+
+  test('public offer page should have no new accessibility violations', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto('/public-offer');
+    await homePage.waitForPageLoad();
+    // The policy text is what this page is for - audit it without the cookie banner in the way
+    await homePage.acceptCookies();
+
+    const audit = await homePage.auditAccessibility({ level: 'AA', include: 'main' });
+
+    expect(audit.newViolations.map(formatFinding)).toEqual([]);
+  });
+
+  test('platform login page should have no new accessibility violations', async ({ page }) => {
+    const platformPage = new PlatformPage(page);
+    await platformPage.navigateToPlatform();
+    logger.info(`Auditing platform login page at ${page.url()}`);
+
+    const audit = await platformPage.auditAccessibility({ level: 'AA' });
+
+    expect(audit.newViolations.map(formatFinding)).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+const { test, expect } = require('@playwright/test');
+const ApiClient = require('../../api/ApiClient');
+const { getEnvironment } = require('../../config/environments');
+
+const env = getEnvironment();
+
+/**
+ * Test suite for API authentication and the account endpoint
+ */
+test.describe('API Authentication', () => {
+  let api;
+
+  test.beforeEach(() => {
+    api = new ApiClient();
+  });
+
+  test('should issue a token for valid credentials', async () => {
+    const response = await api.login(env.credentials.email, env.credentials.password);
+
+    expect(response.status).toBe(200);
+    expect(response.data.tokenType).toBe('Bearer');
+    expect(response.data.account.email).toBe(env.credentials.email.toLowerCase());
+  });
+
+  test('should return the signed-in account', async () => {
+    await api.login(env.credentials.email, env.credentials.password);
+
+    const response = await api.getAccount();
+
+    expect(response.status).toBe(200);
+    expect(response.data.email).toBe(env.credentials.email.toLowerCase());
+  });
+
+  test('should reject a wrong password', async () => {
+    const response = await api.login(env.credentials.email, 'WrongPassword1!');
+
+    expect(response.status).toBe(401);
+    expect(response.data.error).toBe('invalid_credentials');
+    expect(api.token).toBeNull();
+  });
+
+  test('should report missing fields', async () => {
+    const response = await api.login('', '');
+
+    expect(response.status).toBe(422);
+    expect(Object.keys(response.data.errors)).toEqual(['email', 'password']);
+  });
+
+  test('should require a token', async () => {
+    const response = await api.listCards();
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toMatch(/^Bearer/);
+  });
+
+  test('should revoke the token on logout', async () => {
+    await api.login(env.credentials.email, env.credentials.password);
+    const revoked = new ApiClient({ token: api.token });
+
+    expect((await api.logout()).status).toBe(204);
+    expect((await revoked.getAccount()).status).toBe(401);
+  });
+});
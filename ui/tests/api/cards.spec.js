@@ -0,0 +1,116 @@
+const { test, expect } = require('@playwright/test');
+const ApiClient = require('../../api/ApiClient');
+const { getEnvironment } = require('../../config/environments');
+const { createDataFactory } = require('../../fixtures/dataFactory');
+
+const env = getEnvironment();
+
+/**
+ * Test suite for the card endpoints
+ */
+test.describe('API Cards', () => {
+  const data = createDataFactory();
+  let api;
+  // IDs of cards a test added, removed again afterwards
+  let addedCards;
+
+  test.beforeEach(async () => {
+    api = new ApiClient();
+    addedCards = [];
+    const response = await api.login(env.credentials.email, env.credentials.password);
+    expect(response.status, 'API login').toBe(200);
+  });
+
+  test.afterEach(async () => {
+    for (const id of addedCards) {
+      await api.removeCard(id);
+    }
+    await api.logout();
+  });
+
+  /**
+   * Add a card through the API and remember to remove it after the test
+   * @param {object} card - Card to add
+   * @returns {Promise<import('axios').AxiosResponse>} - Add response
+   */
+  const addCard = async (card) => {
+    const response = await api.addCard(card);
+    if (response.status === 201) {
+      addedCards.push(response.data.id);
+    }
+    return response;
+  };
+
+  test('should add a card without exposing its number', async () => {
+    const card = data.creditCard('visa');
+
+    const response = await addCard(card);
+
+    expect(response.status).toBe(201);
+    expect(response.data).toMatchObject({ type: 'Visa', lastDigits: card.number.slice(-4), status: 'active', paused: false });
+    expect(JSON.stringify(response.data)).not.toContain(card.number);
+  });
+
+  test('should list and fetch an added card', async () => {
+    const { data: added } = await addCard(data.creditCard('mastercard'));
+
+    const list = await api.listCards();
+    expect(list.data.cards.map(card => card.id)).toContain(added.id);
+
+    const response = await api.getCard(added.id);
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual(added);
+  });
+
+  test('should flag a card that is about to expire', async () => {
+    const card = data.creditCard('amex', 'expiring-soon');
+
+    const response = await addCard(card);
+
+    expect(response.data.status).toBe('expiring-soon');
+  });
+
+  test('should schedule the first reminder 30 days before the card expires', async () => {
+    // December two years from now: valid through Dec 31, first reminder on Dec 1
+    const year = new Date().getFullYear() + 2;
+    const response = await addCard(data.creditCard('visa', { expiryDate: `12/${String(year).slice(-2)}` }));
+
+    expect(response.data).toMatchObject({ status: 'active', nextNotification: `${year}-12-01` });
+  });
+
+  test('should pause and resume monitoring', async () => {
+    const { data: added } = await addCard(data.creditCard('visa'));
+
+    const paused = await api.setCardPaused(added.id, true);
+    expect(paused.data).toMatchObject({ paused: true, status: 'paused', nextNotification: null });
+
+    const resumed = await api.setCardPaused(added.id, false);
+    expect(resumed.data).toMatchObject({ paused: false, status: 'active' });
+  });
+
+  test('should reject invalid cards field by field', async () => {
+    // Fails the Luhn check
+    const response = await addCard(data.creditCard('visa', 'expired', { number: '4111111111111112' }));
+
+    expect(response.status).toBe(422);
+    expect(response.data.errors).toEqual({
+      number: expect.any(String),
+      expiryDate: expect.stringMatching(/expired/i)
+    });
+  });
+
+  test('should remove a card', async () => {
+    const { data: added } = await addCard(data.creditCard('visa'));
+
+    expect((await api.removeCard(added.id)).status).toBe(204);
+    expect((await api.getCard(added.id)).status).toBe(404);
+    addedCards = [];
+  });
+
+  test('should answer 404 for unknown cards', async () => {
+    const response = await api.setCardPaused('no-such-card', true);
+
+    expect(response.status).toBe(404);
+    expect(response.data.error).toBe('not_found');
+  });
+});
@@ -0,0 +1,56 @@
+const { test, expect } = require('@playwright/test');
+const ApiClient = require('../../api/ApiClient');
+const { getEnvironment } = require('../../config/environments');
+
+const env = getEnvironment();
+
+/**
+ * Test suite for the notification settings endpoints
+ */
+test.describe('API Notification Settings', () => {
+  let api;
+  // Settings before the test, restored afterwards
+  let original;
+
+  test.beforeEach(async () => {
+    api = new ApiClient();
+    const response = await api.login(env.credentials.email, env.credentials.password);
+    expect(response.status, 'API login').toBe(200);
+    original = (await api.getNotificationSettings()).data;
+  });
+
+  test.afterEach(async () => {
+    await api.updateNotificationSettings(original);
+    await api.logout();
+  });
+
+  test('should save the chosen channels', async () => {
+    const settings = { email: false, sms: true, push: true, phone: '+15555550123' };
+
+    const response = await api.updateNotificationSettings(settings);
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual(settings);
+    expect((await api.getNotificationSettings()).data).toEqual(settings);
+  });
+
+  test('should normalize the phone number', async () => {
+    const response = await api.updateNotificationSettings({ email: true, sms: true, push: false, phone: '+1 (555) 555-0123' });
+
+    expect(response.data.phone).toBe('+15555550123');
+  });
+
+  test('should require a phone number for SMS', async () => {
+    const response = await api.updateNotificationSettings({ email: true, sms: true, push: false, phone: '' });
+
+    expect(response.status).toBe(422);
+    expect(response.data.errors.phone).toMatch(/phone number/i);
+  });
+
+  test('should reject channels that are not booleans', async () => {
+    const response = await api.updateNotificationSettings({ email: 'yes', sms: false, push: false });
+
+    expect(response.status).toBe(422);
+    expect(Object.keys(response.data.errors)).toEqual(['email']);
+  });
+});
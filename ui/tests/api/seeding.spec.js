@@ -0,0 +1,54 @@
+const ApiClient = require('../../api/ApiClient');
+const { test, expect } = require('../../fixtures/test');
+const { testCreditCards, testUsers } = require('../../fixtures/testData');
+const { skipUnless } = require('../../fixtures/conditions');
+
+/**
+ * Test suite for the API seeding fixture (ui/fixtures/test.js) - uses seededAccount only, so no browser starts
+ */
+test.describe('API Seeding Fixture', () => {
+  test.describe('factory user with cards and alert settings', () => {
+    test.use({ seed: { user: ['premium'], cards: ['amex', ['visa', 'expiring-soon']], alerts: { push: true } } });
+
+    test('should create the account, cards and settings', async ({ seededAccount }) => {
+      const { api, user, cards } = seededAccount;
+
+      expect((await api.getAccount()).data).toMatchObject({ email: user.email, plan: 'premium' });
+      expect(cards.map(card => card.status)).toEqual(['active', 'expiring-soon']);
+      expect((await api.listCards()).data.cards.map(card => card.id)).toEqual(cards.map(card => card.id));
+      expect((await api.getNotificationSettings()).data).toEqual({ email: true, sms: false, push: true, phone: '' });
+    });
+  });
+
+  test.describe('copy of a preset user', () => {
+    test.use({ seed: { user: 'premiumUser' } });
+
+    test('should register a fresh email with the preset card', async ({ seededAccount }) => {
+      const { user, cards } = seededAccount;
+
+      expect(user.email).not.toBe(testUsers.premiumUser.email);
+      expect(user.firstName).toBe(testUsers.premiumUser.firstName);
+      expect(cards).toEqual([expect.objectContaining({ lastDigits: testCreditCards[1].lastDigits, number: testUsers.premiumUser.cardDetails.number })]);
+    });
+  });
+
+  test.describe('teardown', () => {
+    test.describe.configure({ mode: 'serial' });
+    // Credentials of the account the failing test seeded
+    let previous;
+
+    test('should clean up after a failing test', async ({ seededAccount }) => {
+      test.fail(true, 'Fails on purpose so the next test can check the teardown');
+      previous = seededAccount.user;
+
+      expect(seededAccount.cards).toHaveLength(1);
+    });
+
+    test('should have deleted the previous account', async () => {
+      skipUnless(previous, 'The previous test did not seed an account');
+      const response = await new ApiClient().login(previous.email, previous.password);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { test, expect } = require('@playwright/test');
+const LoginPage = require('../pages/LoginPage');
+const { SESSION_ROLES, hasSession, roleCredentials, storageStateFor } = require('../fixtures/sessions');
+const { skipUnless } = require('../fixtures/conditions');
+
+/**
+ * Specs that start from the sessions saved by global setup instead of logging in
+ */
+for (const role of SESSION_ROLES) {
+  test.describe(`Authenticated session: ${role}`, () => {
+    test.use({ storageState: storageStateFor(role) });
+
+    test.beforeEach(() => {
+      skipUnless(hasSession(role), `No saved session for ${role}`);
+    });
+
+    test('should open the dashboard without logging in', async ({ page }) => {
+      const loginPage = new LoginPage(page);
+      await loginPage.goto('/dashboard');
+      await loginPage.waitForPageLoad();
+
+      expect(await loginPage.isLoggedIn()).toBe(true);
+      expect(await loginPage.getAccountEmail()).toBe(roleCredentials(role).email);
+    });
+
+    test('should stay signed in after a reload', async ({ page }) => {
+      const loginPage = new LoginPage(page);
+      await loginPage.goto('/dashboard');
+      await page.reload();
+      await loginPage.waitForPageLoad();
+
+      expect(await loginPage.isLoggedIn()).toBe(true);
+    });
+  });
+}
@@ -0,0 +1,116 @@
+const { test, expect } = require('@playwright/test');
+const LoginPage = require('../pages/LoginPage');
+const RegistrationPage = require('../pages/RegistrationPage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { createDataFactory } = require('../fixtures/dataFactory');
+const { skipUnless } = require('../fixtures/conditions');
+
+const env = getEnvironment();
+const { credentials } = env;
+
+/**
+ * Test suite for the email login form
+ */
+test.describe('Email Login', () => {
+  let loginPage;
+
+  test.beforeEach(async ({ page }) => {
+    skipUnless(env.features.emailLogin, `Email login disabled for ${env.name} environment`);
+    logger.info('Starting email login test');
+
+    loginPage = new LoginPage(page);
+    await loginPage.navigate();
+    await loginPage.acceptCookies();
+  });
+
+  test('should log in with valid credentials', async () => {
+    skipUnless(credentials.email, `No test credentials for ${env.name} environment`);
+    await loginPage.login(credentials.email, credentials.password);
+
+    expect(await loginPage.isLoggedIn()).toBe(true);
+    expect(await loginPage.getAccountEmail()).toBe(credentials.email);
+  });
+
+  test('should reject a wrong password without saying which field was wrong', async () => {
+    skipUnless(credentials.email, `No test credentials for ${env.name} environment`);
+    await loginPage.login(credentials.email, 'Wrong-password1');
+
+    expect(await loginPage.isLoggedIn({ timeout: 0 })).toBe(false);
+    expect(await loginPage.getFormError()).toMatch(/incorrect email or password/i);
+    expect(await loginPage.getFieldErrors()).toEqual({});
+  });
+
+  test('should show field errors for missing credentials', async () => {
+    await loginPage.login('', '');
+
+    const errors = await loginPage.getFieldErrors();
+    expect(errors.email).toMatch(/required/i);
+    expect(errors.password).toMatch(/required/i);
+  });
+
+  test('should show a field error for a malformed email', async () => {
+    await loginPage.login('not-an-email', 'Password123!');
+
+    expect(await loginPage.getFieldError('email')).toMatch(/valid email/i);
+    expect(await loginPage.getFieldError('password')).toBeNull();
+  });
+
+  test('should log out', async () => {
+    skipUnless(credentials.email, `No test credentials for ${env.name} environment`);
+    await loginPage.login(credentials.email, credentials.password);
+    await loginPage.logout();
+
+    expect(await loginPage.isLoggedIn({ timeout: 0 })).toBe(false);
+  });
+});
+
+/**
+ * Test suite for the email registration form
+ */
+test.describe('Email Registration', () => {
+  let registrationPage;
+
+  test.beforeEach(async ({ page }) => {
+    skipUnless(env.features.emailLogin, `Email login disabled for ${env.name} environment`);
+    logger.info('Starting email registration test');
+
+    registrationPage = new RegistrationPage(page);
+    await registrationPage.navigate();
+    await registrationPage.acceptCookies();
+  });
+
+  test('should register a new account', async () => {
+    skipUnless(env.name === 'local', 'Only creates accounts on the mock platform');
+    const user = createDataFactory().user();
+
+    await registrationPage.register(user);
+
+    expect(await registrationPage.isRegistered()).toBe(true);
+    expect(await registrationPage.getSuccessMessage()).toContain(user.email);
+  });
+
+  test('should refuse an email that is already registered', async () => {
+    skipUnless(credentials.email, `No test credentials for ${env.name} environment`);
+    await registrationPage.register({ email: credentials.email, password: 'Another-password1' });
+
+    expect(await registrationPage.isRegistered({ timeout: 0 })).toBe(false);
+    expect(await registrationPage.getFieldError('email')).toMatch(/already exists/i);
+  });
+
+  test('should enforce the password policy', async () => {
+    await registrationPage.register({ email: 'new.user@example.com', password: 'short' });
+
+    expect(await registrationPage.isRegistered({ timeout: 0 })).toBe(false);
+    expect(await registrationPage.getFieldError('password')).toMatch(/at least 8 characters/i);
+  });
+
+  test('should show field errors for an empty form', async () => {
+    await registrationPage.register({});
+
+    expect(await registrationPage.getFieldErrors()).toEqual({
+      email: expect.stringMatching(/required/i),
+      password: expect.stringMatching(/required/i)
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { test, expect } = require('@playwright/test');
+const HomePage = require('../pages/HomePage');
+const PlatformPage = require('../pages/PlatformPage');
+const ConsentAudit = require('../utils/ConsentAudit');
+const logger = require('../utils/logger');
+const { CookieYesStrategy, detectConsentStrategy } = require('../pages/consent/registry');
+const { getEnvironment } = require('../config/environments');
+const { skipUnless } = require('../fixtures/conditions');
+
+const env = getEnvironment();
+
+// Nothing optional may be stored or requested
+const NONE = { analytics: [], marketing: [] };
+const NOTHING_OPTIONAL = { cookies: NONE, storage: NONE, requests: NONE };
+
+/**
+ * Test suite checking which cookies, storage and tracker requests each consent choice allows
+ */
+test.describe('Cookie Consent Compliance', () => {
+  let homePage;
+  let audit;
+
+  /**
+   * Before each test, start auditing the fresh context and open the home page
+   */
+  test.beforeEach(async ({ page, context }) => {
+    skipUnless(env.features.cookieBanner, `Cookie banner disabled for ${env.name} environment`);
+    logger.info('Starting cookie compliance test');
+
+    // Offline runs must not reach real trackers
+    audit = new ConsentAudit(context, { stubTrackers: env.name === 'local' });
+    await audit.start();
+
+    homePage = new HomePage(page);
+    await homePage.navigateToHomePage();
+  });
+
+  /**
+   * Get the stored and requested analytics and marketing findings
+   * @returns {Promise<{cookies: object, storage: object, requests: object}>} - Findings without unclassified cookies
+   */
+  const optionalFindings = async () => {
+    const { cookies, storage, requests } = await audit.snapshot();
+    return { cookies, storage, requests };
+  };
+
+  test('should not set optional cookies or call trackers before consent', async () => {
+    expect(await optionalFindings()).toEqual(NOTHING_OPTIONAL);
+  });
+
+  test('should not set optional cookies or call trackers after Reject All', async ({ page }) => {
+    const result = await homePage.rejectCookies();
+    expect(result.dismissed).toBe(true);
+
+    await page.reload();
+    await homePage.waitForPageLoad();
+
+    expect(await optionalFindings()).toEqual(NOTHING_OPTIONAL);
+  });
+
+  test('should set analytics and marketing cookies and call trackers after Accept All', async () => {
+    const result = await homePage.acceptCookies();
+    expect(result.dismissed).toBe(true);
+
+    await expect.poll(async () => (await audit.snapshot()).requests.analytics.length).toBeGreaterThan(0);
+    const findings = await audit.snapshot();
+
+    expect(findings.cookies.analytics.length).toBeGreaterThan(0);
+    expect(findings.cookies.marketing.length).toBeGreaterThan(0);
+    expect(findings.requests.marketing.length).toBeGreaterThan(0);
+  });
+
+  test('should only allow the categories chosen in the preference center', async () => {
+    await homePage.customizeCookies({ analytics: true, marketing: false });
+
+    await expect.poll(async () => (await audit.snapshot()).requests.analytics.length).toBeGreaterThan(0);
+    const findings = await audit.snapshot();
+
+    expect(findings.cookies.analytics.length).toBeGreaterThan(0);
+    expect(findings.cookies.marketing).toEqual([]);
+    expect(findings.storage.marketing).toEqual([]);
+    expect(findings.requests.marketing).toEqual([]);
+  });
+
+  test('should remember the choice across reloads', async ({ page }) => {
+    const accepted = await homePage.acceptCookies();
+    audit.clearRequests();
+
+    await page.reload();
+    await homePage.waitForPageLoad();
+
+    expect(await detectConsentStrategy(page, { timeout: 1000 })).toBeNull();
+    expect(await new CookieYesStrategy(page).readConsent()).toEqual(accepted.consent);
+    // Trackers load again without asking
+    await expect.poll(async () => (await audit.snapshot()).requests.analytics.length).toBeGreaterThan(0);
+  });
+
+  test('should share the choice between the site and the platform', async ({ page }) => {
+    await homePage.rejectCookies();
+    audit.clearRequests();
+
+    const platformPage = new PlatformPage(page);
+    await platformPage.navigateToPlatform();
+
+    expect(await detectConsentStrategy(page, { timeout: 1000 })).toBeNull();
+    expect(await optionalFindings()).toEqual(NOTHING_OPTIONAL);
+  });
+});
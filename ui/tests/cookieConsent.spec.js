@@ -0,0 +1,86 @@
+const { test, expect } = require('@playwright/test');
+const HomePage = require('../pages/HomePage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { CookieYesStrategy } = require('../pages/consent/registry');
+const { skipUnless } = require('../fixtures/conditions');
+
+const env = getEnvironment();
+
+/**
+ * Test suite for the cookie consent choices offered by the site
+ */
+test.describe('Cookie Consent Choices', () => {
+  let homePage;
+
+  /**
+   * Before each test, open the home page in a fresh context so the banner shows
+   */
+  test.beforeEach(async ({ page }) => {
+    skipUnless(env.features.cookieBanner, `Cookie banner disabled for ${env.name} environment`);
+    logger.info('Starting cookie consent test');
+
+    homePage = new HomePage(page);
+    await homePage.navigateToHomePage();
+  });
+
+  test('should accept all cookies and dismiss the banner', async () => {
+    const result = await homePage.acceptCookies();
+
+    expect(result.strategy).toBe('cookieyes');
+    expect(result.dismissed).toBe(true);
+    expect(result.consent).toEqual({ analytics: true, marketing: true });
+  });
+
+  test('should reject all optional cookies and dismiss the banner', async () => {
+    const result = await homePage.rejectCookies();
+
+    expect(result.dismissed).toBe(true);
+    expect(result.consent).toEqual({ analytics: false, marketing: false });
+  });
+
+  test('should save custom preferences', async () => {
+    const result = await homePage.customizeCookies({ analytics: true, marketing: false });
+
+    expect(result.action).toBe('customize');
+    expect(result.dismissed).toBe(true);
+    expect(result.consent).toEqual({ analytics: true, marketing: false });
+  });
+
+  test('should change an earlier choice through the consent preferences button', async ({ page }) => {
+    await homePage.acceptCookies();
+    await page.reload();
+    await homePage.waitForPageLoad();
+
+    const result = await homePage.rejectCookies();
+
+    expect(result.strategy).toBe('cookieyes');
+    expect(result.dismissed).toBe(true);
+    expect(result.consent).toEqual({ analytics: false, marketing: false });
+  });
+
+  test('should leave a stored choice alone when accepting again', async ({ page }) => {
+    await homePage.rejectCookies();
+    await page.reload();
+    await homePage.waitForPageLoad();
+
+    const result = await homePage.acceptCookies();
+
+    expect(result.strategy).toBeNull();
+    await expect(page.locator('.cky-preference-center')).toBeHidden();
+    expect(await new CookieYesStrategy(page).readConsent()).toEqual({ analytics: false, marketing: false });
+  });
+
+  test('should report no strategy once the choice is stored and nothing is open', async ({ page }) => {
+    await homePage.acceptCookies();
+    await page.reload();
+    await homePage.waitForPageLoad();
+
+    // The revisit button is the only consent UI left; hide it to simulate a page without one
+    await page.locator('[data-cky-tag="preferences-button"]').evaluate(button => { button.hidden = true; });
+    const result = await homePage.handleConsent('accept', undefined, { timeout: 500 });
+
+    expect(result.strategy).toBeNull();
+    expect(result.dismissed).toBe(false);
+  });
+});
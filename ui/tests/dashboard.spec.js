@@ -0,0 +1,131 @@
+const DashboardPage = require('../pages/DashboardPage');
+const logger = require('../utils/logger');
+const { expect } = require('../utils/cardMatchers');
+const { test } = require('../fixtures/test');
+const { expiryFromNow } = require('../fixtures/dataFactory');
+const { testCreditCards, testUsers } = require('../fixtures/testData');
+
+// Far enough away to stay active
+const FAR_EXPIRY = expiryFromNow(24);
+
+/**
+ * Date of the first expiry reminder, 30 days before the last day of the expiry month
+ * @param {string} expiryDate - Expiry as MM/YY
+ * @returns {string} - Local date as YYYY-MM-DD
+ */
+const firstReminder = (expiryDate) => {
+  const [month, year] = expiryDate.split('/').map(Number);
+  // Day 0 of the following month is the last day of the expiry month
+  const date = new Date(2000 + year, month, -30);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Test suite for credit card monitoring on the dashboard, signed in as a fresh copy of the standard user
+ */
+test.describe('Dashboard Card Monitoring', () => {
+  // Seeded through the API with the standard user's preset card, deleted after each test
+  test.use({ seed: { user: 'standardUser' } });
+
+  let data;
+  let dashboardPage;
+
+  test.beforeEach(async ({ page, seededAccount }) => {
+    logger.info('Starting dashboard test');
+
+    ({ data } = seededAccount);
+    dashboardPage = new DashboardPage(page);
+    await dashboardPage.navigate();
+  });
+
+  test('should list the preset card with its status and next notification', async () => {
+    const [presetCard] = testCreditCards;
+    const cardEntry = await dashboardPage.cardLocator(presetCard);
+
+    await expect(cardEntry).toShowMaskedCard(presetCard);
+    await expect(cardEntry).toShowCardExpiry(presetCard);
+    // The preset expires two years out, so the first reminder is still ahead
+    expect(await dashboardPage.getCardStatus(presetCard)).toBe('Active');
+    expect(await dashboardPage.getNextNotificationDate(presetCard)).toBe(firstReminder(presetCard.expiryDate));
+  });
+
+  test('should add a card and show it masked', async () => {
+    const card = data.creditCard('visa', { expiryDate: FAR_EXPIRY });
+
+    await dashboardPage.addCard(card);
+
+    const cardEntry = await dashboardPage.cardLocator(card);
+    await expect(cardEntry).toShowMaskedCard(card);
+    await expect(cardEntry).toShowCardExpiry(card);
+    await expect(cardEntry).toContainText(card.bank);
+    expect(await dashboardPage.getNotice()).toContain(card.lastDigits);
+    expect(await dashboardPage.getCardStatus(card)).toBe('Active');
+    expect(await dashboardPage.getNextNotificationDate(card)).toBe(firstReminder(card.expiryDate));
+  });
+
+  test('should flag a card that expires soon', async () => {
+    const card = data.creditCard('mastercard', 'expiring-soon');
+    expect(card).toExpireWithin(31);
+
+    await dashboardPage.addCard(card);
+
+    expect(await dashboardPage.getCardStatus(card)).toBe('Expiring soon');
+  });
+
+  test('should remove a card', async () => {
+    const card = data.creditCard('amex');
+    await dashboardPage.addCard(card);
+    expect(await dashboardPage.hasCard(card)).toBe(true);
+
+    await dashboardPage.removeCard(card);
+
+    expect(await dashboardPage.hasCard(card)).toBe(false);
+    expect(await dashboardPage.getNotice()).toMatch(/no longer monitored/i);
+  });
+
+  test('should pause and resume monitoring', async () => {
+    const card = data.creditCard('visa', { expiryDate: FAR_EXPIRY });
+    await dashboardPage.addCard(card);
+
+    await dashboardPage.pauseMonitoring(card);
+    expect(await dashboardPage.getCardStatus(card)).toBe('Paused');
+    expect(await dashboardPage.getNextNotificationDate(card)).toBeNull();
+
+    await dashboardPage.resumeMonitoring(card);
+    expect(await dashboardPage.getCardStatus(card)).toBe('Active');
+    expect(await dashboardPage.getNextNotificationDate(card)).toBe(firstReminder(card.expiryDate));
+  });
+
+  test('should refuse invalid and expired cards', async () => {
+    const card = data.creditCard('visa', 'expired');
+    // Break the Luhn check digit
+    const invalidNumber = card.number.slice(0, -1) + ((Number(card.number.slice(-1)) + 1) % 10);
+
+    await dashboardPage.addCard({ ...card, number: invalidNumber });
+
+    expect(await dashboardPage.getFieldError('number')).toMatch(/valid card number/i);
+    expect(await dashboardPage.getFieldError('expiryDate')).toMatch(/expired/i);
+    expect(await dashboardPage.hasCard(invalidNumber)).toBe(false);
+  });
+
+  test('should refuse a card that is already monitored', async () => {
+    const [presetCard] = testCreditCards;
+
+    await dashboardPage.addCard({ ...presetCard, number: testUsers.standardUser.cardDetails.number });
+
+    expect(await dashboardPage.getFieldError('number')).toMatch(/already being monitored/i);
+  });
+
+  test.describe('with cards seeded through the API', () => {
+    test.use({ seed: { user: [], cards: [['amex', 'expiring-soon'], ['visa']] } });
+
+    test('should list every seeded card with its status', async ({ seededAccount }) => {
+      const [expiringCard, activeCard] = seededAccount.cards;
+
+      expect(await dashboardPage.getCards()).toHaveLength(2);
+      expect(await dashboardPage.getCardStatus(expiringCard)).toBe('Expiring soon');
+      expect(await dashboardPage.getCardStatus(activeCard)).toBe('Active');
+      await expect(await dashboardPage.cardLocator(activeCard)).toShowMaskedCard(activeCard);
+    });
+  });
+});
@@ -1,6 +1,9 @@
 const { test, expect } = require('@playwright/test');
 const HomePage = require('../pages/HomePage');
 const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+
+const env = getEnvironment();
 
 /**
  * Test suite for home page navigation
@@ -53,7 +56,7 @@ test.describe('Home Page Navigation Tests', () => {
     logger.info('Performing smoke test for home page');
     
     // Verify we've reached the right website
-    expect(page.url()).toContain('angelcard.us');
+    expect(page.url()).toContain(env.domain);
     
     // Take a screenshot for evidence
     await page.screenshot({ path: './ui/reports/screenshots/homepage.png' });
@@ -119,8 +122,7 @@ test.describe('Home Page Navigation Tests', () => {
     try {
       // Act - Click the Public Offer link
       logger.info('Clicking Public Offer link');
-      await homePage.publicOfferLink.click();
-      await homePage.waitForPageLoad();
+      await homePage.clickPublicOfferLink();
       
       // Assert - URL should contain public-offer
       logger.info(`Navigated to: ${page.url()}`);
@@ -154,8 +156,9 @@ test.describe('Home Page Navigation Tests', () => {
     logger.info('Clicking Terms and Conditions link');
     await homePage.clickTermsAndConditions();
     
-    // Assert
+    // Assert - the URL carries the fragment and the fragment has an element to land on
     await expect(page.url()).toContain('#public-offer-terms-and-conditions');
+    await expect(page.locator('#public-offer-terms-and-conditions')).toBeAttached();
   });
 
   /**
@@ -183,14 +186,14 @@ test.describe('Home Page Navigation Tests', () => {
       // 1. Return to homepage (angelcard.us without path)
       // 2. Stay on the current page
       // 3. Navigate to some other legitimate page on the site
-      // We just verify it's still on the angelcard.us domain
-      expect(page.url()).toContain('angelcard.us');
+      // We just verify it's still on the site's domain
+      expect(page.url()).toContain(env.domain);
       
       // Take screenshot
       await page.screenshot({ path: './ui/reports/screenshots/after-logo-click.png' });
       
       // Log what actually happened for clarity
-      if (page.url().match(/.*angelcard\.us\/?$/) || page.url().match(/.*angelcard\.us\/$/)) {
+      if (homePage.isHomeUrl(page.url())) {
         logger.info('Logo click returned to home page as expected');
       } else if (page.url().includes('public-offer')) {
         logger.info('Logo click remained on public-offer page - this appears to be the site behavior');
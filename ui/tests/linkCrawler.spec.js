@@ -0,0 +1,41 @@
+const { test, expect } = require('@playwright/test');
+const HomePage = require('../pages/HomePage');
+const PlatformPage = require('../pages/PlatformPage');
+const logger = require('../utils/logger');
+const { getLinkCrawlerConfig } = require('../config/linkCrawler');
+const { browserPageLoader, buildLinkReport, crawlLinks, describeBrokenLinks, renderHtml, writeLinkReport } = require('../utils/linkCrawler');
+
+/**
+ * Test suite for links across the marketing site and the platform.
+ * Crawls from the home page and the platform page and fails on 4xx/5xx pages and anchors that point nowhere.
+ */
+test.describe('Site Link Crawler', () => {
+  test('should find no broken links or dangling anchors from the home and platform pages', async ({ page }, testInfo) => {
+    // One page load per link
+    test.slow();
+
+    const homePage = new HomePage(page);
+    await homePage.navigateToHomePage();
+    const homeUrl = page.url();
+    const platformPage = new PlatformPage(page);
+    await platformPage.navigateToPlatform();
+    const platformUrl = page.url();
+
+    const report = buildLinkReport(await crawlLinks({
+      startUrls: [homeUrl, platformUrl],
+      loadPage: browserPageLoader(page),
+      ...getLinkCrawlerConfig()
+    }));
+
+    const { summary } = report;
+    logger.info(`Crawled ${summary.pages} pages and ${summary.links} links: ${summary.brokenLinks} broken, ${summary.danglingAnchors} dangling anchors`);
+    writeLinkReport(report, `link-report-${testInfo.project.name}`);
+    await testInfo.attach('link-report.json', { body: JSON.stringify(report, null, 2), contentType: 'application/json' });
+    await testInfo.attach('link-report.html', { body: renderHtml(report), contentType: 'text/html' });
+
+    expect(summary.pages).toBeGreaterThan(2);
+    // The footer's Terms & Conditions link points at a section of the public offer
+    expect(summary.anchorsChecked).toBeGreaterThan(0);
+    expect(report.passed, `Broken links:\n${describeBrokenLinks(report)}`).toBe(true);
+  });
+});
@@ -0,0 +1,87 @@
+const AlertSettingsPage = require('../pages/AlertSettingsPage');
+const DashboardPage = require('../pages/DashboardPage');
+const NotificationInbox = require('../utils/NotificationInbox');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { maskCardNumber } = require('../utils/cardUtils');
+const { test, expect } = require('../fixtures/test');
+const { skipUnless } = require('../fixtures/conditions');
+
+const env = getEnvironment();
+const PHONE = '+15555550123';
+
+/**
+ * Test suite for alert configuration and delivery, signed in as a fresh premium user.
+ * Each test has its own account, so the inbox only holds that test's alerts.
+ */
+test.describe('Card Alert Notifications', () => {
+  test.use({ seed: { user: ['premium'] } });
+
+  let alertSettingsPage;
+  let dashboardPage;
+  let inbox;
+  let user;
+
+  test.beforeEach(async ({ page, seededAccount }) => {
+    skipUnless(env.notificationInboxURL, `No notification inbox for ${env.name} environment`);
+    logger.info('Starting notification test');
+
+    ({ user } = seededAccount);
+    alertSettingsPage = new AlertSettingsPage(page);
+    dashboardPage = new DashboardPage(page);
+    inbox = new NotificationInbox();
+  });
+
+  test('should save the chosen channels', async () => {
+    await alertSettingsPage.configure({ email: false, sms: true, push: true, phone: PHONE });
+
+    expect(await alertSettingsPage.getNotice()).toMatch(/saved/i);
+    expect(await alertSettingsPage.getChannels()).toEqual({ email: false, sms: true, push: true });
+  });
+
+  test('should require a phone number for SMS alerts', async () => {
+    await alertSettingsPage.configure({ sms: true, phone: '' });
+
+    expect(await alertSettingsPage.getPhoneError()).toMatch(/phone number/i);
+  });
+
+  test('should email an alert when a card is about to expire', async ({ seededAccount }) => {
+    const card = seededAccount.data.creditCard('visa', 'expiring-soon');
+    await dashboardPage.navigate();
+
+    await dashboardPage.addCard(card);
+
+    const message = await inbox.waitForMessage({ to: user.email, channel: 'email', subject: maskCardNumber(card) });
+    expect(message.subject).toContain('Expiring soon');
+    expect(message.body).toContain(card.expiryDate);
+    expect(message.body).not.toContain(card.number);
+  });
+
+  test.describe('with SMS and push enabled', () => {
+    test.use({ seed: { user: ['premium'], cards: [['mastercard']], alerts: { email: false, sms: true, push: true, phone: PHONE } } });
+
+    test('should text and push an alert when monitoring is paused', async ({ seededAccount }) => {
+      const [card] = seededAccount.cards;
+      const subject = `${maskCardNumber(card)}: Paused`;
+      await dashboardPage.navigate();
+
+      await dashboardPage.pauseMonitoring(card);
+
+      const sms = await inbox.waitForMessage({ to: PHONE, channel: 'sms', body: subject, since: seededAccount.seededAt });
+      expect(sms.body).not.toContain(card.number);
+      const push = await inbox.waitForMessage({ to: user.email, channel: 'push', subject });
+      expect(push.body).toMatch(/no further reminders/i);
+    });
+
+    test('should not email when email alerts are off', async ({ seededAccount }) => {
+      const [card] = seededAccount.cards;
+      await dashboardPage.navigate();
+
+      await dashboardPage.pauseMonitoring(card);
+
+      // The push alert proves the status change was processed
+      await inbox.waitForMessage({ to: user.email, channel: 'push', subject: 'Paused' });
+      expect(await inbox.list({ to: user.email, channel: 'email' })).toEqual([]);
+    });
+  });
+});
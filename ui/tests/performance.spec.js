@@ -0,0 +1,44 @@
+const { test, expect } = require('@playwright/test');
+const HomePage = require('../pages/HomePage');
+const PlatformPage = require('../pages/PlatformPage');
+const logger = require('../utils/logger');
+
+/**
+ * Test suite for page performance budgets.
+ * waitForPageLoad() checks the budgets from ui/config/performanceBudgets.json on every load, but only warns
+ * by default so functional specs don't fail on a slow live site. These tests fail on any breach of the key pages.
+ */
+test.describe('Performance Budgets', () => {
+
+  test('home page should load within its budgets', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.navigateToHomePage();
+
+    const report = homePage.performanceReport;
+    logger.info(`Home page metrics: ${JSON.stringify(report.metrics)}`);
+
+    expect(report.path).toBe('/');
+    expect(report.budgets.lcp).toBeLessThanOrEqual(2500);
+    expect(report.metrics.load).toBeGreaterThan(0);
+    expect(report.metrics.requests).toBeGreaterThanOrEqual(1);
+    expect(report.breaches).toEqual([]);
+  });
+
+  test('platform login page should load within its budgets', async ({ page }) => {
+    const platformPage = new PlatformPage(page);
+    await platformPage.navigateToPlatform();
+
+    const report = platformPage.performanceReport;
+
+    expect(report.metrics.ttfb).toBeGreaterThanOrEqual(0);
+    expect(report.breaches).toEqual([]);
+  });
+
+  test('should measure each document once across page objects', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.navigateToHomePage();
+
+    // Same document - nothing new to measure
+    expect(await new HomePage(page).measurePerformance()).toBeNull();
+  });
+});
@@ -1,7 +1,11 @@
 const { test, expect } = require('@playwright/test');
 const HomePage = require('../pages/HomePage');
 const PlatformPage = require('../pages/PlatformPage');
+const RegistrationPage = require('../pages/RegistrationPage');
 const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+
+const env = getEnvironment();
 
 /**
  * Test suite for platform entry and authentication flows
@@ -37,48 +41,21 @@ test.describe('Platform Entry Tests', () => {
       // Take debug screenshot
       await page.screenshot({ path: './ui/reports/screenshots/before-enter-platform.png' });
       
-      // Try to click the enter platform button, which may or may not exist
+      // Click the enter platform button where the environment has one (FEATURE_ENTER_PLATFORM_BUTTON).
+      // HomePage falls back to any sign-in/register/platform link on its own.
       try {
         await homePage.clickEnterPlatform();
-        logger.info('Clicked enter platform button');
+        logger.info('Entered the platform from the home page');
       } catch (e) {
+        // No platform entry link anywhere - navigate to the platform URL directly
         logger.warn(`Could not click enter platform button: ${e.message}`);
-        // Try to find any button that might lead to platform/login
-        const possibleButtons = [
-          page.getByRole('link', { name: /sign.?in|log.?in|register|enter|platform/i }),
-          page.locator('a:has-text(/sign.?in|log.?in|register|enter|platform/i)'),
-          page.getByRole('button', { name: /sign.?in|log.?in|register|enter|platform/i }),
-          page.locator('button:has-text(/sign.?in|log.?in|register|enter|platform/i)')
-        ];
-        
-        let clicked = false;
-        for (const buttonLocator of possibleButtons) {
-          const count = await buttonLocator.count();
-          if (count > 0) {
-            for (let i = 0; i < count; i++) {
-              const button = buttonLocator.nth(i);
-              if (await button.isVisible({ timeout: 1000 }).catch(() => false)) {
-                logger.info(`Clicking potential platform entry button #${i + 1}`);
-                await button.click();
-                await page.waitForTimeout(2000);
-                clicked = true;
-                break;
-              }
-            }
-            if (clicked) break;
-          }
-        }
-        
-        if (!clicked) {
-          // If we still can't find any button, try to directly navigate to the platform URL
-          logger.info('No platform entry button found, trying direct navigation');
-          await page.goto('https://platform.angelcard.us/');
-        }
+        logger.info('No platform entry button found, trying direct navigation');
+        await page.goto(env.platformURL);
       }
     } catch (error) {
       logger.error(`Platform navigation failed: ${error.message}`);
       // As a last resort, try direct navigation
-      await page.goto('https://platform.angelcard.us/');
+      await page.goto(env.platformURL);
     }
     
     // Take a screenshot after navigation attempts
@@ -153,24 +130,11 @@ test.describe('Platform Entry Tests', () => {
       // Take screenshot after clicking
       await platformPage.takeDebugScreenshot('after-email-login');
       
-      // Assert - we should be on some form of registration or login page
-      // This is more flexible than expecting a specific URL
-      const formElements = [
-        page.locator('input[type="email"]'),
-        page.locator('input[type="password"]'),
-        page.locator('form button[type="submit"]'),
-        page.locator('form input[type="submit"]')
-      ];
-      
-      let foundFormElement = false;
-      for (const element of formElements) {
-        if (await element.isVisible().catch(() => false)) {
-          foundFormElement = true;
-          break;
-        }
-      }
-      
-      expect(foundFormElement).toBe(true);
+      // Assert - we should be on the email registration or login form
+      const registrationPage = new RegistrationPage(page);
+      expect(await registrationPage.isElementVisible('emailInput', { timeout: 5000 })).toBe(true);
+      expect(await registrationPage.isElementVisible('passwordInput')).toBe(true);
+      expect(await registrationPage.isElementVisible('submitButton')).toBe(true);
       logger.info('Successfully found form elements after clicking email login');
     } catch (error) {
       logger.error(`Failed to click email login: ${error.message}`);
@@ -192,7 +156,7 @@ test.describe('Platform Entry Tests', () => {
     await platformPage.takeDebugScreenshot('before-logo-click');
     
     // Check if logo is visible
-    const isLogoVisible = await platformPage.angelCardLogo.isVisible().catch(() => false);
+    const isLogoVisible = await platformPage.isElementVisible('angelCardLogo');
     if (!isLogoVisible) {
       logger.warn('Platform logo not found - making test pass with basic assertion');
       expect(true).toBe(true);
@@ -205,7 +169,7 @@ test.describe('Platform Entry Tests', () => {
     
     // Act
     logger.info('Clicking platform logo');
-    await platformPage.angelCardLogo.click();
+    await platformPage.clickElement('angelCardLogo');
     await platformPage.waitForPageLoad();
     
     // Take screenshot after clicking
@@ -216,8 +180,8 @@ test.describe('Platform Entry Tests', () => {
     const afterUrl = page.url();
     logger.info(`URL after clicking logo: ${afterUrl}`);
     
-    // Just verify we're still on the angelcard domain
-    expect(afterUrl).toContain('angelcard');
+    // Just verify we're still on the site's domain
+    expect(afterUrl).toContain(env.domain);
     
     // Verify page has content (not a 404)
     const pageContent = await page.locator('body').textContent();
@@ -239,27 +203,27 @@ test.describe('Platform Entry Tests', () => {
     
     // Check if we have any policy links
     const policyLinks = [
-      { locator: platformPage.publicOfferLink, name: 'Public Offer' },
-      { locator: platformPage.termsAndConditionsLink, name: 'Terms & Conditions' },
-      { locator: platformPage.refundPolicyLink, name: 'Refund Policy' },
-      { locator: platformPage.shippingPolicyLink, name: 'Shipping Policy' }
+      { element: 'publicOfferLink', name: 'Public Offer' },
+      { element: 'termsAndConditionsLink', name: 'Terms & Conditions' },
+      { element: 'refundPolicyLink', name: 'Refund Policy' },
+      { element: 'shippingPolicyLink', name: 'Shipping Policy' }
     ];
     
     let foundPolicyLink = false;
     for (const link of policyLinks) {
-      const isVisible = await link.locator.isVisible().catch(() => false);
-      if (isVisible) {
+      const match = await platformPage.findElement(link.element);
+      if (match) {
         foundPolicyLink = true;
         logger.info(`Found policy link: ${link.name}`);
         
         // Act - click the policy link
-        await link.locator.click().catch(async e => {
+        await match.locator.click().catch(async e => {
           logger.warn(`Could not click policy link: ${e.message}`);
           // Try alternative click approaches
           try {
             // Try scrolling into view first
-            await link.locator.scrollIntoViewIfNeeded();
-            await link.locator.click();
+            await match.locator.scrollIntoViewIfNeeded();
+            await match.locator.click();
           } catch (e2) {
             logger.error(`Alternative click approach failed: ${e2.message}`);
             throw e2;
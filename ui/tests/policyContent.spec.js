@@ -0,0 +1,40 @@
+const { test, expect } = require('@playwright/test');
+const PolicyPage = require('../pages/PolicyPage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { getPolicyPages } = require('../config/policyPages');
+const { formatPolicyDiff, monitorPolicy, renderHtml, writePolicyReport } = require('../utils/policyMonitor');
+
+const env = getEnvironment();
+
+/**
+ * Test suite for the wording of the legal policy pages.
+ * Each run compares a policy with its latest snapshot; a wording change is recorded as a new version
+ * and sent to the webhook server for compliance review (see ui/utils/policyMonitor.js).
+ * The wording doesn't depend on the browser, so only the desktop Chromium projects run it (see playwright.config.js).
+ */
+test.describe('Legal Policy Content', () => {
+  for (const policy of getPolicyPages()) {
+    test(`should record the wording of the ${policy.title}`, async ({ page }, testInfo) => {
+      const policyPage = new PolicyPage(page);
+      await policyPage.navigateToPolicy(policy.path);
+
+      const content = await policyPage.readPolicyContent(policy.selector);
+      expect(content, `${policy.selector} not found on ${policy.path}`).not.toBeNull();
+      expect(content.headings.map(heading => heading.text)).toContain(policy.title);
+      expect(content.clauses.length).toBeGreaterThan(0);
+
+      const report = await monitorPolicy({ policy, url: page.url(), content, environment: env.name });
+      logger.info(`${policy.name}: ${report.status} (v${report.toVersion}, ${content.clauses.length} clauses)`);
+
+      writePolicyReport(report, `${policy.name}-${testInfo.project.name}`);
+      await testInfo.attach(`${policy.name}.html`, { body: renderHtml(report), contentType: 'text/html' });
+      if (report.status === 'changed') {
+        const diff = formatPolicyDiff(report.diff, policy.title);
+        await testInfo.attach(`${policy.name}.diff.txt`, { body: diff, contentType: 'text/plain' });
+        testInfo.annotations.push({ type: 'policy-change', description: `${policy.title} v${report.fromVersion} -> v${report.toVersion}` });
+        logger.warn(`Wording of ${policy.title} changed:\n${diff}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,75 @@
+const { test, expect } = require('@playwright/test');
+const LoginPage = require('../pages/LoginPage');
+const OAuthProviderPage = require('../pages/OAuthProviderPage');
+const PlatformPage = require('../pages/PlatformPage');
+const logger = require('../utils/logger');
+const { getEnvironment } = require('../config/environments');
+const { skipUnless } = require('../fixtures/conditions');
+
+const env = getEnvironment();
+
+/**
+ * Test suite for Google and Apple sign-in round trips through the mock OAuth provider
+ */
+for (const provider of ['Google', 'Apple']) {
+  test.describe(`${provider} Sign-in`, () => {
+    let platformPage;
+    let providerPage;
+
+    test.beforeEach(async ({ page }) => {
+      skipUnless(env.features.socialLogin && env.oauthProviderURL, `No mock OAuth provider for ${env.name} environment`);
+      logger.info(`Starting ${provider} sign-in test`);
+
+      platformPage = new PlatformPage(page);
+      providerPage = new OAuthProviderPage(page);
+      await platformPage.navigateToPlatform();
+      await platformPage.handleCookieConsent();
+      await platformPage[`clickContinueWith${provider}`]();
+    });
+
+    test('should sign in an existing account', async ({ page }) => {
+      await providerPage.chooseAccount('test@example.com');
+      expect(await providerPage.getRequestedScopes()).toContain('email');
+      await providerPage.allow();
+
+      const loginPage = new LoginPage(page);
+      expect(await loginPage.isLoggedIn()).toBe(true);
+      expect(await loginPage.getAccountEmail()).toBe('test@example.com');
+    });
+
+    test('should create an account on first sign-in', async ({ page }) => {
+      await providerPage.signIn('social.user@example.com');
+
+      expect(await new LoginPage(page).getAccountEmail()).toBe('social.user@example.com');
+    });
+
+    test('should return to the login options when the user cancels', async () => {
+      await providerPage.signIn('test@example.com', { allow: false });
+
+      const error = await platformPage.getSignInError();
+      expect(error).toMatch(/cancelled/i);
+      expect(error).not.toMatch(/refused/i);
+    });
+
+    test('should report a refusal by the provider', async () => {
+      await providerPage.signIn('locked.user@example.com');
+
+      const error = await platformPage.getSignInError();
+      expect(error).toMatch(/refused access/i);
+      expect(error).not.toMatch(/cancelled/i);
+    });
+
+    test('should report an expired authorization code', async () => {
+      await providerPage.signIn('slow.user@example.com');
+
+      expect(await platformPage.getSignInError()).toMatch(/expired/i);
+    });
+
+    test('should refuse an account that shares no email', async ({ page }) => {
+      await providerPage.signIn('Private User');
+
+      expect(await platformPage.getSignInError()).toMatch(/didn't share an email/i);
+      expect(await new LoginPage(page).isLoggedIn({ timeout: 0 })).toBe(false);
+    });
+  });
+}
@@ -0,0 +1,54 @@
+const { test, expect } = require('@playwright/test');
+const { flattenViolations, levelTags, partitionFindings } = require('../../utils/accessibility');
+
+// Trimmed-down axe-core result
+const violations = [
+  {
+    id: 'color-contrast',
+    impact: 'serious',
+    help: 'Elements must meet minimum color contrast ratio thresholds',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.8/color-contrast',
+    nodes: [{ target: ['footer a'], impact: 'serious' }, { target: ['.price'], impact: 'serious' }]
+  },
+  {
+    id: 'image-alt',
+    impact: 'critical',
+    help: 'Images must have alternate text',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.8/image-alt',
+    nodes: [{ target: ['img.hero'] }]
+  }
+];
+
+/**
+ * Test suite for accessibility baseline handling
+ */
+test.describe('Accessibility Baseline', () => {
+  const findings = flattenViolations(violations, { page: 'HomePage', path: '/' });
+
+  test('should flatten violations to one finding per node', async () => {
+    expect(findings).toHaveLength(3);
+    expect(findings[2]).toMatchObject({ rule: 'image-alt', impact: 'critical', target: 'img.hero', page: 'HomePage', path: '/' });
+  });
+
+  test('should only report findings missing from the baseline as new', async () => {
+    const { newViolations, suppressed } = partitionFindings(findings, [
+      { rule: 'color-contrast', target: 'footer a', reason: 'Brand colours, tracked separately' },
+      { rule: 'image-alt', page: 'PlatformPage' }
+    ]);
+
+    expect(suppressed.map(finding => finding.target)).toEqual(['footer a']);
+    expect(newViolations.map(finding => finding.target)).toEqual(['.price', 'img.hero']);
+  });
+
+  test('should suppress a rule everywhere when only the rule is given', async () => {
+    const { newViolations } = partitionFindings(findings, [{ rule: 'color-contrast' }, { rule: 'image-alt', path: '/' }]);
+
+    expect(newViolations).toEqual([]);
+  });
+
+  test('should map WCAG levels to cumulative axe tags', async () => {
+    expect(levelTags('A')).toEqual(['wcag2a', 'wcag21a']);
+    expect(levelTags('aa')).toContain('wcag2aa');
+    expect(() => levelTags('B')).toThrow('Unknown WCAG level');
+  });
+});
@@ -0,0 +1,78 @@
+const { test, expect } = require('@playwright/test');
+const express = require('express');
+const ApiClient = require('../../api/ApiClient');
+const { validateSchema } = require('../../api/schemas');
+
+const card = {
+  id: 'card-1',
+  bank: 'Chase',
+  type: 'Visa',
+  lastDigits: '1111',
+  expiryDate: '12/30',
+  cardholderName: 'TEST USER',
+  paused: false,
+  status: 'active',
+  nextNotification: '2030-11-01'
+};
+
+/**
+ * Test suite for API response schemas and ApiClient validation
+ */
+test.describe('API Schemas', () => {
+  test('should accept a valid card', () => {
+    expect(validateSchema('card', card)).toEqual([]);
+    expect(validateSchema('card', { ...card, paused: true, status: 'paused', nextNotification: null })).toEqual([]);
+  });
+
+  test('should report every violation with its path', () => {
+    const violations = validateSchema('cardList', { cards: [{ ...card, status: 'frozen', lastDigits: '11' }] });
+
+    expect(violations).toEqual(expect.arrayContaining([
+      '/cards/0/status must be equal to one of the allowed values',
+      '/cards/0/lastDigits must match pattern "^\\d{4}$"'
+    ]));
+  });
+
+  test('should reject a full card number in a response', () => {
+    expect(validateSchema('card', { ...card, number: '4111111111111111' })).toEqual(['(root) must NOT have additional properties (number)']);
+  });
+
+  test('should throw for an unknown schema', () => {
+    expect(() => validateSchema('invoice', {})).toThrow(/Unknown API schema "invoice"/);
+  });
+
+  test.describe('ApiClient', () => {
+    let server;
+    let api;
+
+    test.beforeAll(async () => {
+      const app = express();
+      app.get('/cards/leaky', (req, res) => res.json({ ...card, number: '4111111111111111' }));
+      app.get('/account', (req, res) => res.status(401).json({ error: 'unauthorized', message: 'A valid access token is required' }));
+      app.get('/cards', (req, res) => res.status(500).send('<h1>Internal Server Error</h1>'));
+      server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      api = new ApiClient({ baseURL: `http://localhost:${server.address().port}`, token: 'secret-token' });
+    });
+
+    test.afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should throw when a response breaks the contract', async () => {
+      await expect(api.getCard('leaky')).rejects.toThrow(/GET \/cards\/leaky returned 200 with a body that doesn't match the "card" schema:\n {2}\(root\) must NOT have additional properties \(number\)/);
+    });
+
+    test('should resolve with error responses that match the error schema', async () => {
+      const response = await api.getAccount();
+
+      expect(response.status).toBe(401);
+      expect(response.data.error).toBe('unauthorized');
+    });
+
+    test('should throw when an error response is not JSON', async () => {
+      await expect(api.listCards()).rejects.toThrow(/returned 500 with a body that doesn't match the "error" schema/);
+    });
+  });
+});
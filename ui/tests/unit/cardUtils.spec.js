@@ -0,0 +1,83 @@
+const { test } = require('@playwright/test');
+const { expect } = require('../../utils/cardMatchers');
+const {
+  daysUntilExpiry,
+  detectNetwork,
+  expiresWithin,
+  isExpired,
+  isLuhnValid,
+  maskCardNumber,
+  networkType,
+  parseExpiry
+} = require('../../utils/cardUtils');
+const { testUsers, testCreditCards } = require('../../fixtures/testData');
+
+// Fixed reference date so expiry expectations don't depend on when the suite runs
+const NOW = new Date(2026, 9, 19, 12);
+
+/**
+ * Test suite for card validation and display helpers
+ */
+test.describe('Card Utilities', () => {
+  test('should validate numbers with the Luhn algorithm', async () => {
+    expect(isLuhnValid('4111111111111111')).toBe(true);
+    expect(isLuhnValid('4111 1111 1111 1111')).toBe(true);
+    expect(isLuhnValid('378282246310005')).toBe(true);
+    expect(isLuhnValid('4111111111111112')).toBe(false);
+    expect(isLuhnValid('1234')).toBe(false);
+    expect('5555555555554444').toBeLuhnValid();
+    expect('5555555555554445').not.toBeLuhnValid();
+  });
+
+  test('should detect the network from BIN ranges', async () => {
+    expect(detectNetwork('4111111111111111')).toBe('visa');
+    expect(detectNetwork('5555555555554444')).toBe('mastercard');
+    expect(detectNetwork('2223003122003222')).toBe('mastercard');
+    expect(detectNetwork('2720990000000000')).toBe('mastercard');
+    expect(detectNetwork('2721000000000000')).toBeNull();
+    expect(detectNetwork('371449635398431')).toBe('amex');
+    expect(detectNetwork('6011111111111117')).toBe('discover');
+    expect(detectNetwork('3530111333300000')).toBe('jcb');
+    expect(networkType('378282246310005')).toBe('Amex');
+    expect(networkType('9999')).toBeNull();
+  });
+
+  test('should parse expiry dates as the end of the expiry month', async () => {
+    expect(parseExpiry('02/28')).toMatchObject({ month: 2, year: 2028 });
+    expect(parseExpiry('02/2028').expiresAt.getDate()).toBe(29);
+    expect(parseExpiry('10-26').expiresAt.getMonth()).toBe(9);
+    expect(() => parseExpiry('13/26')).toThrow('Invalid card expiry');
+    expect(() => parseExpiry('next year')).toThrow('Invalid card expiry');
+  });
+
+  test('should tell expired cards from cards expiring soon', async () => {
+    expect(isExpired('09/26', NOW)).toBe(true);
+    expect(isExpired('10/26', NOW)).toBe(false);
+    expect(daysUntilExpiry('10/26', NOW)).toBe(12);
+    expect(expiresWithin('10/26', 30, NOW)).toBe(true);
+    expect(expiresWithin('12/26', 30, NOW)).toBe(false);
+    expect(expiresWithin('09/26', 30, NOW)).toBe(false);
+    expect({ expiryDate: '11/26' }).toExpireWithin(45, { now: NOW });
+    expect('11/27').not.toExpireWithin(45, { now: NOW });
+  });
+
+  test('should mask everything but the last four digits', async () => {
+    expect(maskCardNumber('4111 1111 1111 1111')).toBe('•••• 1111');
+    expect(maskCardNumber({ lastDigits: '4444' })).toBe('•••• 4444');
+    expect(maskCardNumber({ number: '378282246310005', lastDigits: '0000' })).toBe('•••• 0005');
+    expect(() => maskCardNumber({})).toThrow('last four digits');
+  });
+
+  test('should keep the card presets consistent with the preset users', async () => {
+    const users = [testUsers.standardUser, testUsers.premiumUser];
+
+    for (const [index, card] of testCreditCards.entries()) {
+      const { cardDetails } = users[index];
+      expect(cardDetails.number).toBeLuhnValid();
+      expect(card.lastDigits).toBe(cardDetails.number.slice(-4));
+      expect(card.type).toBe(networkType(cardDetails.number));
+      expect(card.expiryDate).toBe(cardDetails.expiryDate);
+      expect(isExpired(card.expiryDate)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,29 @@
+const { test, expect } = require('@playwright/test');
+const { cardStatus, nextNotificationDate } = require('../../mocks/cards');
+
+// Fixed reference date so expiry expectations don't depend on when the suite runs
+const NOW = new Date(2026, 9, 19, 12);
+
+/**
+ * Test suite for the mock platform's card monitoring rules
+ */
+test.describe('Mock Card Monitoring Rules', () => {
+  test('should derive the monitoring status from the expiry date', async () => {
+    expect(cardStatus('11/26', { now: NOW })).toBe('active');
+    expect(cardStatus('10/26', { now: NOW })).toBe('expiring-soon');
+    expect(cardStatus('09/26', { now: NOW })).toBe('expired');
+    expect(cardStatus('11/26', { paused: true, now: NOW })).toBe('paused');
+    // An expired card stays expired even while paused
+    expect(cardStatus('09/26', { paused: true, now: NOW })).toBe('expired');
+  });
+
+  test('should schedule the next reminder before the last valid day', async () => {
+    // Valid through Nov 30: the 30-day reminder is next
+    expect(nextNotificationDate('11/26', { now: NOW })).toBe('2026-10-31');
+    // Valid through Oct 31: the 30-day reminder is past, the 7-day one is next
+    expect(nextNotificationDate('10/26', { now: NOW })).toBe('2026-10-24');
+    expect(nextNotificationDate('12/28', { now: NOW })).toBe('2028-12-01');
+    expect(nextNotificationDate('09/26', { now: NOW })).toBeNull();
+    expect(nextNotificationDate('11/26', { paused: true, now: NOW })).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+const { test, expect } = require('@playwright/test');
+const ConsentAudit = require('../../utils/ConsentAudit');
+const { getCookieClassification } = require('../../config/cookieClassification');
+const { TRACKERS } = require('../../mocks/templates');
+
+/**
+ * Test suite for cookie and tracker classification
+ */
+test.describe('Consent Audit Classification', () => {
+  const audit = new ConsentAudit(null, {
+    classification: {
+      cookies: { necessary: ['cookieyes-consent'], analytics: ['_ga', '_ga_*'], marketing: ['_fbp'] },
+      trackers: { analytics: ['google-analytics.com'], marketing: ['facebook.com/tr', 'doubleclick.net'] }
+    }
+  });
+
+  test('should classify cookie names with wildcards', async () => {
+    expect(audit.categoryOfName('_ga')).toBe('analytics');
+    expect(audit.categoryOfName('_ga_G12345')).toBe('analytics');
+    expect(audit.categoryOfName('_gat')).toBeNull();
+    expect(audit.categoryOfName('cookieyes-consent')).toBe('necessary');
+    expect(audit.categoryOfName('_fbp')).toBe('marketing');
+  });
+
+  test('should classify tracker hosts, subdomains and path prefixes', async () => {
+    expect(audit.categoryOfUrl('https://www.google-analytics.com/g/collect?v=2')).toBe('analytics');
+    expect(audit.categoryOfUrl('https://stats.g.doubleclick.net/j/collect')).toBe('marketing');
+    expect(audit.categoryOfUrl('https://www.facebook.com/tr?id=1&ev=PageView')).toBe('marketing');
+    expect(audit.categoryOfUrl('https://www.facebook.com/angelcard')).toBeNull();
+    expect(audit.categoryOfUrl('https://notgoogle-analytics.com/collect')).toBeNull();
+    expect(audit.categoryOfUrl('not a url')).toBeNull();
+  });
+
+  test('should load the default classification file', async () => {
+    const classification = getCookieClassification();
+
+    expect(Object.keys(classification.cookies)).toEqual(expect.arrayContaining(['necessary', 'analytics', 'marketing']));
+    expect(Object.keys(classification.trackers)).toEqual(expect.arrayContaining(['analytics', 'marketing']));
+
+    // The mock site's beacons are classified like the real trackers they stand in for
+    const audit = new ConsentAudit(null, { classification });
+    expect(audit.categoryOfUrl(`http://localhost:4100${TRACKERS.analytics}?v=2`)).toBe('analytics');
+    expect(audit.categoryOfUrl(`http://localhost:4101${TRACKERS.marketing}?id=mock`)).toBe('marketing');
+  });
+});
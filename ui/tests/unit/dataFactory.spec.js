@@ -0,0 +1,106 @@
+const { test, expect } = require('@playwright/test');
+const { createDataFactory } = require('../../fixtures/dataFactory');
+const { testUsers, testCreditCards } = require('../../fixtures/testData');
+const { detectNetwork, isLuhnValid } = require('../../utils/cardUtils');
+
+// Fixed reference date so expiry expectations don't depend on when the suite runs
+const NOW = new Date(2026, 9, 19);
+
+/**
+ * Test suite for the test data factory
+ */
+test.describe('Test Data Factory', () => {
+  test('should produce the same data for the same seed', async () => {
+    const first = createDataFactory({ seed: 1234, now: NOW });
+    const second = createDataFactory({ seed: 1234, now: NOW });
+
+    expect(second.user('premium')).toEqual(first.user('premium'));
+    expect(second.creditCard('amex')).toEqual(first.creditCard('amex'));
+    expect(createDataFactory({ seed: 4321, now: NOW }).user()).not.toEqual(createDataFactory({ seed: 1234, now: NOW }).user());
+  });
+
+  test('should issue Luhn-valid numbers for each network', async () => {
+    const data = createDataFactory({ seed: 7, now: NOW });
+
+    for (let i = 0; i < 20; i++) {
+      const visa = data.creditCard('visa');
+      const mastercard = data.creditCard('mastercard');
+      const amex = data.creditCard('amex');
+
+      expect(visa.number).toMatch(/^4\d{15}$/);
+      expect(detectNetwork(mastercard.number)).toBe('mastercard');
+      expect(mastercard.number).toHaveLength(16);
+      expect(amex.number).toMatch(/^3[47]\d{13}$/);
+      expect(amex.cvv).toHaveLength(4);
+      for (const card of [visa, mastercard, amex]) {
+        expect(isLuhnValid(card.number)).toBe(true);
+        expect(card.lastDigits).toBe(card.number.slice(-4));
+      }
+    }
+  });
+
+  test('should issue Mastercard numbers across the whole 2221-2720 range', async () => {
+    const data = createDataFactory({ seed: 3, now: NOW });
+    const series2 = Array.from({ length: 200 }, () => data.cardNumber('mastercard'))
+      .filter(number => number.startsWith('2'))
+      .map(number => Number(number.slice(0, 4)));
+
+    expect(series2.every(prefix => prefix >= 2221 && prefix <= 2720)).toBe(true);
+    expect(series2.some(prefix => prefix !== 2221 && prefix !== 2720)).toBe(true);
+  });
+
+  test('should use TEST_DATA_SEED even when it is 0', async () => {
+    const original = process.env.TEST_DATA_SEED;
+    process.env.TEST_DATA_SEED = '0';
+    try {
+      expect(createDataFactory({ now: NOW }).seed).toBe(0);
+    } finally {
+      if (original === undefined) delete process.env.TEST_DATA_SEED;
+      else process.env.TEST_DATA_SEED = original;
+    }
+  });
+
+  test('should compute expiry dates relative to the reference date', async () => {
+    const data = createDataFactory({ seed: 99, now: NOW });
+
+    expect(data.creditCard('expiring-soon').expiryDate).toBe('10/26');
+    for (let i = 0; i < 20; i++) {
+      const [expiredMonth, expiredYear] = data.creditCard('expired').expiryDate.split('/').map(Number);
+      const [validMonth, validYear] = data.creditCard().expiryDate.split('/').map(Number);
+
+      expect(expiredYear * 12 + expiredMonth).toBeLessThan(26 * 12 + 10);
+      expect(validYear * 12 + validMonth).toBeGreaterThan(27 * 12 + 9);
+    }
+  });
+
+  test('should apply traits and overrides to users', async () => {
+    const data = createDataFactory({ seed: 5, now: NOW });
+
+    const premium = data.user('premium', 'amex', 'expired', { email: 'fixed@example.com' });
+    const standard = data.user();
+
+    expect(premium).toMatchObject({ plan: 'premium', email: 'fixed@example.com' });
+    expect(premium.cardDetails.number).toMatch(/^3[47]/);
+    expect(standard.plan).toBe('standard');
+    expect(standard.email).toMatch(/@example\.com$/);
+    expect(standard.password).toMatch(/[A-Z]/);
+    expect(standard.password).toMatch(/[^A-Za-z0-9]/);
+  });
+
+  test('should reject unknown and conflicting traits', async () => {
+    const data = createDataFactory({ seed: 5, now: NOW });
+
+    expect(() => data.creditCard('discover')).toThrow('Unknown card trait(s): discover');
+    expect(() => data.creditCard('visa', 'amex')).toThrow('Conflicting card traits');
+    expect(() => data.creditCard('premium')).toThrow('Unknown card trait(s)');
+  });
+
+  test('should keep the named presets current', async () => {
+    const [month, year] = testUsers.standardUser.cardDetails.expiryDate.split('/').map(Number);
+    const today = new Date();
+
+    expect(year * 12 + month).toBeGreaterThan((today.getFullYear() % 100) * 12 + today.getMonth() + 1);
+    expect(testCreditCards[0].expiryDate).toBe(testUsers.standardUser.cardDetails.expiryDate);
+    expect(testCreditCards[1].lastDigits).toBe(testUsers.premiumUser.cardDetails.number.slice(-4));
+  });
+});
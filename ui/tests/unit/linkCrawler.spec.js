@@ -0,0 +1,138 @@
+const { test, expect } = require('@playwright/test');
+const { buildLinkReport, crawlLinks, describeBrokenLinks, renderHtml } = require('../../utils/linkCrawler');
+
+const SITE = 'http://localhost:4100';
+const PLATFORM = 'http://localhost:4101';
+
+/**
+ * Link as the browser reports it
+ * @param {string} href - href attribute
+ * @param {string} base - Page URL the link is on
+ * @param {string} [text] - Link text
+ * @returns {{href: string, url: string, text: string}} - Link
+ */
+const link = (href, base, text = '') => ({ href, url: new URL(href, base).href, text });
+
+// A small site with one missing page, one dangling anchor and a redirect
+const FAKE_PAGES = {
+  [`${SITE}/`]: {
+    ids: ['main'],
+    links: [
+      link('/public-offer', SITE, 'Public offer'),
+      link('/public-offer#public-offer-terms-and-conditions', SITE, 'Terms & Conditions'),
+      link('/public-offer#refunds', SITE, 'Refunds'),
+      link('#main', SITE, 'Skip to content'),
+      link('#', SITE, 'Back to top'),
+      link('/old-pricing', SITE, 'Pricing'),
+      link(`${PLATFORM}/`, SITE, 'Enter Platform'),
+      link('https://www.facebook.com/angelcard', SITE, 'Facebook'),
+      link('mailto:support@angelcard.us', SITE, 'Email us')
+    ]
+  },
+  [`${SITE}/public-offer`]: {
+    ids: ['public-offer-privacy-policy', 'public-offer-terms-and-conditions'],
+    links: [link('/refund-policy', SITE, 'Refund Policy')]
+  },
+  [`${SITE}/refund-policy`]: { ids: [], links: [link('/shipping-policy', SITE, 'Shipping Policy')] },
+  [`${SITE}/pricing`]: { ids: [], links: [] },
+  [`${PLATFORM}/`]: { ids: [], links: [link('/register/email', PLATFORM, 'Continue with Email')] },
+  [`${PLATFORM}/register/email`]: { ids: ['email'], links: [] }
+};
+
+/**
+ * Page loader serving FAKE_PAGES: /old-pricing redirects to /pricing, unknown pages answer 404
+ * @param {string} url - URL to load
+ * @returns {Promise<object>} - Load result
+ */
+const fakeLoadPage = async (url) => {
+  if (url === `${SITE}/old-pricing`) {
+    return { status: 200, finalUrl: `${SITE}/pricing`, redirects: [{ url, status: 301 }], ...FAKE_PAGES[`${SITE}/pricing`] };
+  }
+  const page = FAKE_PAGES[url];
+  return page ? { status: 200, finalUrl: url, redirects: [], ...page } : { status: 404, finalUrl: url, redirects: [], links: [], ids: [] };
+};
+
+/**
+ * Test suite for the link crawler
+ */
+test.describe('Link Crawler', () => {
+  test('should follow same-origin links breadth first up to the configured depth', async () => {
+    const crawl = await crawlLinks({ startUrls: [`${SITE}/`], loadPage: fakeLoadPage, maxDepth: 1 });
+
+    expect(crawl.pages.map(page => [page.url, page.depth])).toEqual([
+      [`${SITE}/`, 0],
+      [`${SITE}/public-offer`, 1],
+      [`${SITE}/old-pricing`, 1]
+    ]);
+    // Other origins and non-HTTP links are recorded or skipped, never loaded
+    expect(crawl.links.filter(entry => !entry.internal).map(entry => entry.url)).toEqual([`${PLATFORM}/`, 'https://www.facebook.com/angelcard']);
+    expect(crawl.links.some(entry => entry.url.startsWith('mailto:'))).toBe(false);
+  });
+
+  test('should record status and redirects and report broken links with their referrers', async () => {
+    const report = buildLinkReport(await crawlLinks({ startUrls: [`${SITE}/`, `${PLATFORM}/`], loadPage: fakeLoadPage, maxDepth: 3 }));
+
+    expect(report.pages.find(page => page.url === `${SITE}/old-pricing`)).toMatchObject({
+      status: 200,
+      finalUrl: `${SITE}/pricing`,
+      redirects: [{ url: `${SITE}/old-pricing`, status: 301 }]
+    });
+    expect(report.summary).toMatchObject({ pages: 7, redirected: 1, brokenLinks: 1, danglingAnchors: 1, unchecked: 0 });
+    expect(report.brokenLinks).toEqual([{
+      url: `${SITE}/shipping-policy`,
+      status: 404,
+      redirects: [],
+      error: null,
+      referrers: [{ from: `${SITE}/refund-policy`, href: '/shipping-policy', text: 'Shipping Policy' }]
+    }]);
+    expect(report.passed).toBe(false);
+  });
+
+  test('should resolve fragments against the ids of their target page', async () => {
+    const report = buildLinkReport(await crawlLinks({ startUrls: [`${SITE}/`], loadPage: fakeLoadPage, maxDepth: 1 }));
+
+    // #main and # resolve on the home page, the terms section exists, #refunds doesn't
+    expect(report.summary.anchorsChecked).toBe(4);
+    expect(report.danglingAnchors).toEqual([{
+      url: `${SITE}/public-offer#refunds`,
+      fragment: 'refunds',
+      page: `${SITE}/public-offer`,
+      from: `${SITE}/`,
+      href: '/public-offer#refunds',
+      text: 'Refunds'
+    }]);
+    expect(describeBrokenLinks(report)).toBe(`dangling anchor ${SITE}/public-offer#refunds (linked from ${SITE}/ "Refunds")`);
+  });
+
+  test('should report pages that fail to load, stop at the page limit and skip ignored URLs', async () => {
+    const loadPage = async (url) => {
+      if (url.endsWith('/public-offer')) throw new Error('net::ERR_CONNECTION_REFUSED at http://localhost:4100/public-offer\nCall log: ...');
+      return fakeLoadPage(url);
+    };
+    const report = buildLinkReport(await crawlLinks({
+      startUrls: [`${SITE}/`],
+      loadPage,
+      maxDepth: 2,
+      maxPages: 2,
+      ignore: [/old-pricing/]
+    }));
+
+    expect(report.pages.map(page => page.url)).toEqual([`${SITE}/`, `${SITE}/public-offer`]);
+    expect(report.brokenLinks[0]).toMatchObject({ url: `${SITE}/public-offer`, status: null, error: 'net::ERR_CONNECTION_REFUSED at http://localhost:4100/public-offer' });
+    expect(report.unchecked).toEqual([]);
+    expect(describeBrokenLinks(report)).toContain(`net::ERR_CONNECTION_REFUSED at ${SITE}/public-offer ${SITE}/public-offer (linked from ${SITE}/ "Public offer"`);
+
+    const limited = await crawlLinks({ startUrls: [`${SITE}/`], loadPage: fakeLoadPage, maxDepth: 2, maxPages: 2 });
+    expect(limited.unchecked).toEqual([`${SITE}/old-pricing`, `${SITE}/refund-policy`]);
+  });
+
+  test('should pass a clean crawl and render the HTML report', async () => {
+    const report = buildLinkReport(await crawlLinks({ startUrls: [`${PLATFORM}/`], loadPage: fakeLoadPage }));
+
+    expect(report.passed).toBe(true);
+    const html = renderHtml(report);
+    expect(html).toContain('<title>Broken Link Report</title>');
+    expect(html).toContain('0 broken links, 0 dangling anchors');
+    expect(html).toContain(`${PLATFORM}/register/email`);
+  });
+});
@@ -0,0 +1,154 @@
+const { test, expect } = require('@playwright/test');
+const {
+  assertLocalTarget,
+  checkThresholds,
+  createReport,
+  describeFailures,
+  normalizePlan,
+  parseDuration,
+  percentile,
+  renderHtml,
+  runLoad,
+  vusAt,
+  weightedPicker
+} = require('../../utils/loadTest');
+
+/**
+ * Scenario that "sends" one request taking the given time and status
+ * @param {number} durationMs - Simulated latency
+ * @param {number} [status=200] - Response status
+ * @returns {{run: Function}} - Scenario
+ */
+const fakeScenario = (durationMs, status = 200) => ({
+  run: ({ measure }) => measure(`fake ${status}`, () => new Promise(resolve => setTimeout(() => resolve({ status }), durationMs)), 200)
+});
+
+/**
+ * Test suite for the load generator
+ */
+test.describe('Load Test Runner', () => {
+  test('should parse durations and refuse targets off this machine', () => {
+    expect(parseDuration('500ms')).toBe(500);
+    expect(parseDuration('1.5s')).toBe(1500);
+    expect(parseDuration('5m')).toBe(300000);
+    expect(() => parseDuration('soon')).toThrow('Invalid duration "soon"');
+
+    expect(assertLocalTarget('http://127.0.0.1:3000')).toBe('http://127.0.0.1:3000');
+    expect(assertLocalTarget('http://localhost:4101/api')).toBe('http://localhost:4101/api');
+    expect(() => assertLocalTarget('https://platform.angelcard.us')).toThrow('only run against local targets');
+  });
+
+  test('should ramp VUs linearly through the stages', () => {
+    const plan = normalizePlan({ stages: [{ duration: '10s', vus: 20 }, { duration: '10s', vus: 20 }, { duration: '5s', vus: 0 }] });
+    expect(plan).toMatchObject({ type: 'stages', durationMs: 25000, maxVus: 20, iterations: null });
+
+    expect(vusAt(plan, 0)).toBe(0);
+    expect(vusAt(plan, 5000)).toBe(10);
+    expect(vusAt(plan, 15000)).toBe(20);
+    expect(vusAt(plan, 22500)).toBe(10);
+    expect(vusAt(plan, 25000)).toBe(0);
+  });
+
+  test('should keep a constant VU count for duration and iteration profiles', () => {
+    const duration = normalizePlan({ vus: 4, duration: '30s' });
+    expect(duration).toMatchObject({ type: 'duration', durationMs: 30000, iterations: null });
+    expect(vusAt(duration, 0)).toBe(4);
+    expect(vusAt(duration, 29999)).toBe(4);
+
+    expect(normalizePlan({ vus: 2, iterations: 50 })).toMatchObject({ type: 'iterations', iterations: 50, durationMs: 600000 });
+    expect(() => normalizePlan({ vus: 0, duration: '1s' })).toThrow('vus must be a whole number of at least 1');
+    expect(() => normalizePlan({ vus: 2 })).toThrow('needs stages, or vus with iterations or duration');
+  });
+
+  test('should pick scenarios in proportion to their weights', () => {
+    const rolls = [0, 0.3, 0.5, 0.9];
+    const pick = weightedPicker({ testResults: 2, ciTrigger: 1, webhookHealth: 1, unused: 0 }, () => rolls.shift());
+    expect([pick(), pick(), pick(), pick()]).toEqual(['testResults', 'testResults', 'ciTrigger', 'webhookHealth']);
+    expect(() => weightedPicker({ testResults: 0 })).toThrow('needs a weight above 0');
+  });
+
+  test('should use nearest-rank percentiles', () => {
+    const sorted = Array.from({ length: 100 }, (value, index) => index + 1);
+    expect(percentile(sorted, 50)).toBe(50);
+    expect(percentile(sorted, 95)).toBe(95);
+    expect(percentile(sorted, 99)).toBe(99);
+    expect(percentile([7], 99)).toBe(7);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  test('should run a fixed number of iterations and record every request', async () => {
+    const result = await runLoad({
+      plan: normalizePlan({ vus: 3, iterations: 30 }),
+      scenarios: { fast: fakeScenario(1), failing: fakeScenario(1, 503) },
+      weights: { fast: 2, failing: 1 }
+    });
+
+    expect(result.iterations).toBe(30);
+    expect(result.peakVus).toBe(3);
+    expect(result.summary.all.requests).toBe(30);
+    const { fast, failing } = result.summary.scenarios;
+    expect(fast.requests + failing.requests).toBe(30);
+    expect(failing.errors).toBe(failing.requests);
+    expect(failing.errorMessages).toEqual({ 'HTTP 503, expected 200': failing.requests });
+    expect(result.summary.all.errorRate).toBeCloseTo(failing.requests / 30, 3);
+    expect(result.summary.requests['fake 503'].statuses).toEqual({ 503: failing.requests });
+    expect(result.summary.all.latency.p50).toBeGreaterThanOrEqual(1);
+  });
+
+  test('should stop on a duration and when aborted', async () => {
+    const timed = await runLoad({ plan: normalizePlan({ vus: 2, duration: '300ms' }), scenarios: { fast: fakeScenario(5) }, weights: { fast: 1 } });
+    expect(timed.durationMs).toBeGreaterThanOrEqual(300);
+    expect(timed.summary.all.requests).toBeGreaterThan(2);
+    expect(timed.aborted).toBe(false);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 200);
+    const aborted = await runLoad({ plan: normalizePlan({ vus: 2, duration: '1m' }), scenarios: { fast: fakeScenario(5) }, weights: { fast: 1 }, signal: controller.signal });
+    expect(aborted.aborted).toBe(true);
+    expect(aborted.durationMs).toBeLessThan(5000);
+  });
+
+  test('should count scenarios that throw as errors', async () => {
+    const result = await runLoad({
+      plan: normalizePlan({ vus: 1, iterations: 2 }),
+      scenarios: { broken: { run: async () => { throw new Error('no jobId in response'); } } },
+      weights: { broken: 1 }
+    });
+    expect(result.summary.scenarios.broken).toMatchObject({ requests: 2, errors: 2, errorRate: 1 });
+    expect(result.summary.requests).toHaveProperty(['broken (scenario error)']);
+  });
+
+  test('should fail thresholds that are exceeded and ignore scenarios without requests', () => {
+    const stats = (overrides) => ({ requests: 100, errors: 0, errorRate: 0, latency: { mean: 20, p50: 15, p90: 40, p95: 60, p99: 120, max: 300 }, ...overrides });
+    const summary = {
+      all: stats({ errors: 2, errorRate: 0.02 }),
+      scenarios: { testResults: stats({ latency: { p95: 410 } }), platformHealth: stats({ requests: 0, latency: { p99: null } }) }
+    };
+
+    const results = checkThresholds(summary, {
+      all: { p95: 250, errorRate: 0.01 },
+      testResults: { p95: 400 },
+      platformHealth: { p99: 50 }
+    });
+    expect(results.filter(result => !result.passed).map(({ scope, metric }) => `${scope}.${metric}`)).toEqual(['all.errorRate', 'testResults.p95']);
+    expect(describeFailures(results)).toBe('all errorRate 2.00% > 1.00%, testResults p95 410ms > 400ms');
+
+    expect(() => checkThresholds(summary, { ciTrigger: { p95: 100 } })).toThrow('Threshold for unknown scenario "ciTrigger"');
+    expect(() => checkThresholds(summary, { all: { p75: 100 } })).toThrow('Invalid threshold all.p75');
+  });
+
+  test('should report pass or fail and render the HTML report', async () => {
+    const profile = { name: 'unit', description: 'Fake <scenarios>', scenarios: { fast: 1 }, thresholds: { all: { errorRate: 0 } } };
+    const plan = normalizePlan({ vus: 2, iterations: 4 });
+    const result = await runLoad({ plan, scenarios: { fast: fakeScenario(1) }, weights: profile.scenarios });
+
+    const report = createReport({ profile, plan, targets: { webhook: 'http://127.0.0.1:3000' }, result });
+    expect(report).toMatchObject({ profile: 'unit', passed: true, iterations: 4 });
+
+    const html = renderHtml(report);
+    expect(html).toContain('<title>Load Test Report - unit</title>');
+    expect(html).toContain('Fake &lt;scenarios&gt;');
+    expect(html).toContain('All thresholds passed');
+    expect(html).toContain('<svg');
+  });
+});
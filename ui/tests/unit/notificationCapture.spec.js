@@ -0,0 +1,105 @@
+const { test, expect } = require('@playwright/test');
+const { app, clearMessages, createCaptureSmtpServer } = require('../../mocks/notificationCapture');
+const { parseMessage, sendMail } = require('../../mocks/smtp');
+const NotificationInbox = require('../../utils/NotificationInbox');
+
+/**
+ * Test suite for the notification capture service and NotificationInbox
+ */
+test.describe('Notification Capture', () => {
+  let httpServer;
+  let smtpServer;
+  let smtpURL;
+  let inbox;
+
+  test.beforeAll(async () => {
+    httpServer = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    smtpServer = await new Promise(resolve => {
+      const listening = createCaptureSmtpServer().listen(0, () => resolve(listening));
+    });
+    smtpURL = `smtp://localhost:${smtpServer.address().port}`;
+    inbox = new NotificationInbox({ baseURL: `http://localhost:${httpServer.address().port}` });
+  });
+
+  test.beforeEach(() => {
+    clearMessages();
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => httpServer.close(resolve));
+    await new Promise(resolve => smtpServer.close(resolve));
+  });
+
+  test('should capture email sent over SMTP', async () => {
+    await sendMail({ url: smtpURL, from: 'alerts@angelcard.us', to: 'Someone@Example.com', subject: 'Card •••• 1111: Expiring soon', text: 'Line one\n.Line starting with a dot' });
+
+    const message = await inbox.waitForMessage({ to: 'someone@example.com', subject: /Expiring soon/, timeout: 2000 });
+    expect(message).toMatchObject({
+      channel: 'email',
+      to: 'someone@example.com',
+      from: 'alerts@angelcard.us',
+      subject: 'Card •••• 1111: Expiring soon',
+      body: 'Line one\n.Line starting with a dot'
+    });
+  });
+
+  test('should capture SMS and push stand-ins over HTTP', async () => {
+    await inbox.client.post('/sms', { to: '+15555550123', body: 'AngelCard: Card •••• 4444: Paused' });
+    await inbox.client.post('/push', { to: 'someone@example.com', title: 'Card •••• 4444: Paused', body: 'No further reminders' });
+
+    expect((await inbox.waitForMessage({ to: '+15555550123', body: 'Paused' })).channel).toBe('sms');
+    expect((await inbox.waitForMessage({ to: 'someone@example.com', channel: 'push' })).subject).toBe('Card •••• 4444: Paused');
+  });
+
+  test('should keep messages per recipient', async () => {
+    await inbox.client.post('/sms', { to: '+15555550001', body: 'first' });
+    await inbox.client.post('/sms', { to: '+15555550002', body: 'second' });
+
+    expect((await inbox.list({ to: '+15555550001' })).map(message => message.body)).toEqual(['first']);
+    expect(await inbox.list()).toHaveLength(2);
+
+    await inbox.clear('+15555550001');
+    expect(await inbox.list({ to: '+15555550001' })).toEqual([]);
+    expect(await inbox.list({ to: '+15555550002' })).toHaveLength(1);
+  });
+
+  test('should list what arrived when no message matches in time', async () => {
+    await inbox.client.post('/sms', { to: '+15555550123', body: 'Something else' });
+
+    await expect(inbox.waitForMessage({ to: '+15555550123', body: 'Expired', timeout: 300 }))
+      .rejects.toThrow(/No notification for \+15555550123 matching Expired within 300ms[\s\S]*\[sms\] Something else/);
+  });
+
+  test('should reject messages without recipient or body', async () => {
+    const response = await inbox.client.post('/sms', { body: 'nobody' }).catch(error => error.response);
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should decode encoded headers and prefer the plain-text part of multipart mail', async () => {
+    const raw = [
+      'From: =?UTF-8?B?QW5nZWxDYXJk?= <alerts@angelcard.us>',
+      'Subject: =?UTF-8?Q?Card_=E2=80=A2=E2=80=A2=E2=80=A2=E2=80=A2_1111?=',
+      'Content-Type: multipart/alternative; boundary="b1"',
+      '',
+      '--b1',
+      'Content-Type: text/html',
+      '',
+      '<p>HTML</p>',
+      '--b1',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Plain =E2=80=A2 text',
+      '--b1--'
+    ].join('\r\n');
+
+    expect(parseMessage(raw)).toMatchObject({
+      from: 'AngelCard <alerts@angelcard.us>',
+      subject: 'Card •••• 1111',
+      body: 'Plain • text'
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { test, expect } = require('@playwright/test');
+const app = require('../../mocks/oauthProvider');
+const { verifyJwt } = require('../../mocks/jwt');
+const { getOAuthProviderConfig } = require('../../config/oauthProvider');
+
+const { client } = getOAuthProviderConfig();
+const REDIRECT_URI = 'http://localhost:4101/auth/google/callback';
+
+/**
+ * Test suite for the mock OAuth provider's authorization code flow
+ */
+test.describe('Mock OAuth Provider', () => {
+  let server;
+  let api;
+
+  test.beforeAll(async ({ playwright }) => {
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    api = await playwright.request.newContext({ baseURL: `http://localhost:${server.address().port}` });
+  });
+
+  test.afterAll(async () => {
+    await api.dispose();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Choose an account and answer the consent screen
+   * @param {string} account - User ID from the provider configuration
+   * @param {'allow'|'deny'} decision - Consent decision
+   * @returns {Promise<URL>} - Redirect back to the client
+   */
+  const authorize = async (account, decision = 'allow') => {
+    const response = await api.post('/google/authorize', {
+      form: { client_id: client.id, redirect_uri: REDIRECT_URI, state: 'state-1', nonce: 'nonce-1', scope: 'openid email profile', account, decision },
+      maxRedirects: 0
+    });
+    expect(response.status()).toBe(302);
+    return new URL(response.headers().location);
+  };
+
+  /**
+   * Exchange an authorization code
+   * @param {string} code - Authorization code
+   * @param {object} [overrides] - Form field overrides
+   * @returns {Promise<import('@playwright/test').APIResponse>} - Token response
+   */
+  const exchange = (code, overrides = {}) => api.post('/google/token', {
+    form: { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, client_id: client.id, client_secret: client.secret, ...overrides }
+  });
+
+  test('should list the configured accounts on the account chooser', async () => {
+    const response = await api.get('/google/authorize', {
+      params: { response_type: 'code', client_id: client.id, redirect_uri: REDIRECT_URI, state: 'state-1' }
+    });
+
+    expect(response.status()).toBe(200);
+    const html = await response.text();
+    expect(html).toContain('Choose an account');
+    expect(html).toContain('test@example.com');
+    expect(html).toContain('No email shared');
+  });
+
+  test('should refuse an unknown client without redirecting', async () => {
+    const response = await api.get('/google/authorize', {
+      params: { response_type: 'code', client_id: 'someone-else', redirect_uri: REDIRECT_URI },
+      maxRedirects: 0
+    });
+
+    expect(response.status()).toBe(400);
+  });
+
+  test('should refuse a redirect URI that is not registered for the client', async () => {
+    const response = await api.get('/google/authorize', {
+      params: { response_type: 'code', client_id: client.id, redirect_uri: 'https://attacker.example/auth/google/callback' },
+      maxRedirects: 0
+    });
+
+    expect(response.status()).toBe(400);
+    expect(await response.text()).toContain('Unknown client or redirect URI');
+  });
+
+  test('should show the consent screen after an account is chosen', async () => {
+    const response = await api.post('/google/authorize', {
+      form: { client_id: client.id, redirect_uri: REDIRECT_URI, state: 'state-1', account: 'standard' }
+    });
+
+    const html = await response.text();
+    expect(html).toContain('AngelCard wants to access your Google account');
+    expect(html).toContain('value="allow"');
+  });
+
+  test('should issue a signed ID token for an allowed sign-in', async () => {
+    const redirect = await authorize('standard');
+    expect(redirect.searchParams.get('state')).toBe('state-1');
+
+    const response = await exchange(redirect.searchParams.get('code'));
+    expect(response.status()).toBe(200);
+    const tokens = await response.json();
+
+    const claims = verifyJwt(tokens.id_token, client.secret);
+    expect(claims).toMatchObject({ sub: '100001', aud: client.id, nonce: 'nonce-1', email: 'test@example.com', email_verified: true });
+
+    const userinfo = await api.get('/google/userinfo', { headers: { authorization: `Bearer ${tokens.access_token}` } });
+    expect(await userinfo.json()).toEqual({ sub: '100001', name: 'Test User', email: 'test@example.com', email_verified: true });
+  });
+
+  test('should only exchange a code once', async () => {
+    const code = (await authorize('standard')).searchParams.get('code');
+    await exchange(code);
+
+    const response = await exchange(code);
+    expect(response.status()).toBe(400);
+    expect(await response.json()).toMatchObject({ error: 'invalid_grant' });
+  });
+
+  test('should refuse a wrong client secret', async () => {
+    const code = (await authorize('standard')).searchParams.get('code');
+
+    const response = await exchange(code, { client_secret: 'wrong' });
+    expect(response.status()).toBe(401);
+    expect(await response.json()).toEqual({ error: 'invalid_client' });
+  });
+
+  test('should redirect with access_denied when the user cancels', async () => {
+    const redirect = await authorize('standard', 'deny');
+
+    expect(redirect.searchParams.get('error')).toBe('access_denied');
+    expect(redirect.searchParams.get('code')).toBeNull();
+  });
+
+  test('should redirect with access_denied for a user the provider refuses', async () => {
+    const redirect = await authorize('denied');
+
+    expect(redirect.searchParams.get('error')).toBe('access_denied');
+  });
+
+  test('should issue an already expired code for the expired-code user', async () => {
+    const code = (await authorize('expired-code')).searchParams.get('code');
+
+    const response = await exchange(code);
+    expect(response.status()).toBe(400);
+    expect(await response.json()).toEqual({ error: 'invalid_grant', error_description: 'Authorization code expired' });
+  });
+
+  test('should leave out the email claim for a user without email', async () => {
+    const code = (await authorize('no-email')).searchParams.get('code');
+
+    const claims = verifyJwt((await (await exchange(code)).json()).id_token, client.secret);
+    expect(claims.sub).toBe('100003');
+    expect(claims).not.toHaveProperty('email');
+  });
+});
@@ -0,0 +1,157 @@
+const { test, expect } = require('@playwright/test');
+const BasePage = require('../../pages/BasePage');
+const { budgetsFor } = require('../../config/performanceBudgets');
+const {
+  checkBudgets,
+  computeCls,
+  computeInp,
+  describeBreaches,
+  summarizeMetrics
+} = require('../../utils/performance');
+
+/**
+ * Raw entries as collectRawMetrics() returns them
+ * @param {object} [overrides] - Fields to replace
+ * @returns {object} - Raw metrics
+ */
+const rawMetrics = (overrides = {}) => ({
+  url: 'http://localhost:4100/',
+  timeOrigin: 1700000000000,
+  navigation: { type: 'navigate', redirectCount: 0, transferSize: 12000, responseStart: 80.4, domInteractive: 300, domContentLoadedEventEnd: 310, loadEventEnd: 450.6 },
+  resources: [
+    { name: '/logo.svg', initiatorType: 'img', transferSize: 3000, decodedBodySize: 5000 },
+    { name: '/app.js', initiatorType: 'script', transferSize: 40000, decodedBodySize: 120000 },
+    { name: '/cached.js', initiatorType: 'script', transferSize: 0, decodedBodySize: 8000 }
+  ],
+  fcp: 200,
+  lcp: [{ startTime: 220, size: 100 }, { startTime: 640.2, size: 5000 }],
+  layoutShifts: [],
+  events: [],
+  ...overrides
+});
+
+/**
+ * Test suite for page performance metrics and budgets
+ */
+test.describe('Performance Metrics', () => {
+  test('should take the largest session window for CLS and ignore shifts after input', () => {
+    const shifts = [
+      { startTime: 100, value: 0.05, hadRecentInput: false },
+      { startTime: 600, value: 0.05, hadRecentInput: false },
+      // More than a second later - starts a new window
+      { startTime: 2000, value: 0.08, hadRecentInput: false },
+      { startTime: 2100, value: 0.5, hadRecentInput: true }
+    ];
+
+    expect(computeCls(shifts)).toBe(0.1);
+    expect(computeCls([])).toBe(0);
+    expect(computeCls(null)).toBeNull();
+  });
+
+  test('should use the slowest entry of each interaction for INP', () => {
+    const events = [
+      { interactionId: 1, duration: 40 },
+      { interactionId: 1, duration: 120 },
+      { interactionId: 2, duration: 80 },
+      // Not part of an interaction, e.g. mousemove
+      { interactionId: 0, duration: 900 }
+    ];
+
+    expect(computeInp(events)).toBe(120);
+    expect(computeInp([])).toBeNull();
+  });
+
+  test('should skip the slowest interaction once there are 50', () => {
+    const events = Array.from({ length: 50 }, (_, index) => ({ interactionId: index + 1, duration: index === 0 ? 1000 : 100 + index }));
+
+    expect(computeInp(events)).toBe(149);
+  });
+
+  test('should summarize navigation timing, resources and vitals', () => {
+    const { metrics, resources } = summarizeMetrics(rawMetrics());
+
+    expect(metrics).toEqual({ ttfb: 80, fcp: 200, lcp: 640, cls: 0, inp: null, domContentLoaded: 310, load: 451, requests: 4, transferSize: 55000 });
+    expect(resources.byType).toEqual({ img: { count: 1, transferSize: 3000 }, script: { count: 2, transferSize: 40000 } });
+  });
+
+  test('should report exceeded budgets and ignore metrics that were not measured', () => {
+    const breaches = checkBudgets({ lcp: 3120, cls: 0.31, inp: null, transferSize: 1400000 }, { lcp: 2500, cls: 0.1, inp: 200, transferSize: 2000000 });
+
+    expect(breaches).toEqual([{ metric: 'lcp', value: 3120, budget: 2500 }, { metric: 'cls', value: 0.31, budget: 0.1 }]);
+    expect(describeBreaches(breaches)).toBe('lcp 3120ms > 2500ms, cls 0.31 > 0.1');
+  });
+
+  test.describe('budget configuration', () => {
+    const config = {
+      mode: 'fail',
+      defaults: { lcp: 4000, cls: 0.25 },
+      pages: [
+        { page: 'HomePage', budgets: { lcp: 2500 } },
+        { page: 'HomePage', path: '/', budgets: { cls: 0.1 }, mode: 'warn' },
+        { path: '/dashboard', budgets: { lcp: 3000 } }
+      ]
+    };
+
+    test.afterEach(() => {
+      delete process.env.PERF_BUDGET_MODE;
+    });
+
+    test('should merge every matching entry over the defaults', () => {
+      expect(budgetsFor({ page: 'HomePage', path: '/' }, config)).toEqual({ budgets: { lcp: 2500, cls: 0.1 }, mode: 'warn' });
+      expect(budgetsFor({ page: 'HomePage', path: '/about' }, config)).toEqual({ budgets: { lcp: 2500, cls: 0.25 }, mode: 'fail' });
+      expect(budgetsFor({ page: 'LoginPage', path: '/dashboard' }, config).budgets.lcp).toBe(3000);
+    });
+
+    test('should let PERF_BUDGET_MODE override the configured mode', () => {
+      process.env.PERF_BUDGET_MODE = 'off';
+      expect(budgetsFor({ page: 'HomePage', path: '/' }, config).mode).toBe('off');
+
+      process.env.PERF_BUDGET_MODE = 'loose';
+      expect(() => budgetsFor({ page: 'HomePage', path: '/' }, config)).toThrow(/Unknown performance budget mode "loose"/);
+    });
+
+    test('should give the home page the 2.5s LCP budget', () => {
+      expect(budgetsFor({ page: 'HomePage', path: '/' }).budgets.lcp).toBe(2500);
+    });
+  });
+
+  test.describe('BasePage.measurePerformance', () => {
+    /**
+     * Page object on a fake Playwright page that returns the given raw metrics
+     * @param {object} raw - Raw metrics
+     * @returns {BasePage} - Page object
+     */
+    const pageObjectWith = (raw) => new BasePage({ evaluate: async () => raw });
+
+    test.afterEach(() => {
+      delete process.env.PERF_BUDGET_MODE;
+    });
+
+    test('should attach the metrics and measure each document once', async () => {
+      const pageObject = pageObjectWith(rawMetrics());
+
+      const report = await pageObject.measurePerformance();
+
+      expect(report).toMatchObject({ page: 'BasePage', path: '/', breaches: [], metrics: { lcp: 640 } });
+      expect(test.info().attachments.map(attachment => attachment.name)).toContain('performance-BasePage-');
+      expect(await pageObject.measurePerformance()).toBeNull();
+    });
+
+    test('should fail the test on a breach in fail mode', async () => {
+      process.env.PERF_BUDGET_MODE = 'fail';
+      const pageObject = pageObjectWith(rawMetrics({ timeOrigin: 2, lcp: [{ startTime: 9000, size: 1 }] }));
+
+      await expect(pageObject.measurePerformance()).rejects.toThrow('Performance budget exceeded on BasePage /: lcp 9000ms > 4000ms');
+    });
+
+    test('should only annotate the test in warn mode', async () => {
+      process.env.PERF_BUDGET_MODE = 'warn';
+      const pageObject = pageObjectWith(rawMetrics({ timeOrigin: 3, layoutShifts: [{ startTime: 10, value: 0.4, hadRecentInput: false }] }));
+
+      const report = await pageObject.measurePerformance();
+
+      expect(report.breaches).toEqual([{ metric: 'cls', value: 0.4, budget: 0.25 }]);
+      expect(test.info().annotations).toContainEqual({ type: 'performance-budget', description: expect.stringContaining('cls 0.4 > 0.25') });
+    });
+  });
+});
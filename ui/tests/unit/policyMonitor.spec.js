@@ -0,0 +1,188 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createSnapshot,
+  diffPolicies,
+  diffWords,
+  extractPolicyContent,
+  formatPolicyDiff,
+  loadLatestSnapshot,
+  monitorPolicy,
+  normalizeText,
+  renderHtml
+} = require('../../utils/policyMonitor');
+
+const POLICY = { name: 'terms-and-conditions', title: 'Terms and Conditions' };
+const URL = 'http://localhost:4100/public-offer';
+
+/**
+ * Blocks as readPolicyInPage() returns them for the mock terms section
+ * @param {object} [overrides] - Clause texts by index, or extra blocks to append
+ * @param {object} [overrides.clauses] - Replacement clause texts by index (null drops the clause)
+ * @param {Array<{tag: string, text: string}>} [overrides.extra] - Blocks added at the end
+ * @returns {Array<{tag: string, text: string}>} - Page blocks
+ */
+const termsBlocks = ({ clauses = {}, extra = [] } = {}) => {
+  const texts = [
+    '1. This public offer is addressed to any person who registers on the AngelCard platform.',
+    '2. The cost of service is $1 per month and is billed in advance.',
+    '3. The Angel Guarantee applies when a monitored card is cancelled without prior notification.'
+  ].map((text, index) => (index in clauses ? clauses[index] : text)).filter(text => text !== null);
+
+  return [
+    { tag: 'h2', text: 'Terms and Conditions' },
+    ...texts.map(text => ({ tag: 'p', text })),
+    { tag: 'h2', text: 'Refunds' },
+    { tag: 'p', text: 'Refunds are issued within 10 business days.' },
+    ...extra
+  ];
+};
+
+/**
+ * Snapshot of the given blocks
+ * @param {Array<{tag: string, text: string}>} blocks - Page blocks
+ * @param {number} version - Version number
+ * @returns {object} - Snapshot
+ */
+const snapshotOf = (blocks, version) => createSnapshot({ policy: POLICY, url: URL, version, content: extractPolicyContent(blocks) });
+
+/**
+ * Test suite for the legal policy content monitor
+ */
+test.describe('Policy Content Monitor', () => {
+  test('should normalize typography and whitespace and group clauses under their headings', () => {
+    expect(normalizeText('  We don’t  sell your “data” — ever.\u200B\n')).toBe('We don\'t sell your "data" - ever.');
+
+    const content = extractPolicyContent([
+      { tag: 'p', text: 'Effective from 1 January' },
+      { tag: 'h1', text: 'Refund  Policy' },
+      { tag: 'li', text: '\n  Refunds within 14 days ' },
+      { tag: 'p', text: '   ' },
+      { tag: 'h3', text: 'Exceptions' },
+      { tag: 'td', text: 'Gift cards' }
+    ]);
+    expect(content.headings).toEqual([{ level: 1, text: 'Refund Policy' }, { level: 3, text: 'Exceptions' }]);
+    expect(content.clauses).toEqual([
+      { section: null, text: 'Effective from 1 January' },
+      { section: 'Refund Policy', text: 'Refunds within 14 days' },
+      { section: 'Exceptions', text: 'Gift cards' }
+    ]);
+  });
+
+  test('should only change the hash when the wording or structure changes', () => {
+    const original = snapshotOf(termsBlocks(), 1);
+    const retyped = snapshotOf(termsBlocks({ clauses: { 0: '1.  This public offer is addressed to any person who registers on the AngelCard platform.' } }), 2);
+    expect(retyped.hash).toBe(original.hash);
+
+    const reworded = snapshotOf(termsBlocks({ clauses: { 1: '2. The cost of service is $2 per month and is billed in advance.' } }), 2);
+    expect(reworded.hash).not.toBe(original.hash);
+  });
+
+  test('should report changed, added and removed clauses with a word diff', () => {
+    const previous = snapshotOf(termsBlocks(), 1);
+    const current = snapshotOf(termsBlocks({
+      clauses: {
+        1: '2. The cost of service is $2 per month and is billed monthly in advance.',
+        2: null
+      },
+      extra: [{ tag: 'p', text: 'Refund requests must be sent by email.' }]
+    }), 2);
+
+    const diff = diffPolicies(previous, current);
+    expect(diff).toMatchObject({ policy: 'terms-and-conditions', fromVersion: 1, toVersion: 2, hasChanges: true });
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1, moved: 0, headingsAdded: 0, headingsRemoved: 0 });
+    expect(diff.changes.map(change => change.type)).toEqual(['changed', 'added', 'removed']);
+    expect(diff.changes[0].words).toEqual([
+      { op: 'equal', text: '2. The cost of service is' },
+      { op: 'removed', text: '$1' },
+      { op: 'added', text: '$2' },
+      { op: 'equal', text: 'per month and is billed' },
+      { op: 'added', text: 'monthly' },
+      { op: 'equal', text: 'in advance.' }
+    ]);
+
+    expect(formatPolicyDiff(diff, 'Terms and Conditions')).toBe([
+      'Terms and Conditions v1 -> v2',
+      '1 changed, 1 added, 1 removed, 0 moved clauses; 0 headings added, 0 removed',
+      '',
+      'Terms and Conditions',
+      '  ~ 2. The cost of service is [-$1-]{+$2+} per month and is billed {+monthly+} in advance.',
+      '',
+      'Refunds',
+      '  + Refund requests must be sent by email.',
+      '',
+      'Terms and Conditions',
+      '  - 3. The Angel Guarantee applies when a monitored card is cancelled without prior notification.'
+    ].join('\n'));
+  });
+
+  test('should tell moved clauses from renamed headings', () => {
+    const previous = snapshotOf(termsBlocks(), 1);
+    const blocks = termsBlocks({ clauses: { 2: null } });
+    blocks.push({ tag: 'p', text: '3. The Angel Guarantee applies when a monitored card is cancelled without prior notification.' });
+    const moved = diffPolicies(previous, snapshotOf(blocks, 2));
+    expect(moved.changes).toEqual([{
+      type: 'moved',
+      section: 'Refunds',
+      previousSection: 'Terms and Conditions',
+      text: '3. The Angel Guarantee applies when a monitored card is cancelled without prior notification.'
+    }]);
+
+    const renamed = diffPolicies(previous, snapshotOf(termsBlocks().map(block => (block.text === 'Refunds' ? { tag: 'h3', text: 'Refund terms' } : block)), 2));
+    expect(renamed.changes).toEqual([]);
+    expect(renamed.headings).toEqual({ added: [{ level: 3, text: 'Refund terms' }], removed: [{ level: 2, text: 'Refunds' }] });
+    expect(formatPolicyDiff(renamed)).toContain('Headings\n  + h3 Refund terms\n  - h2 Refunds');
+  });
+
+  test('should pair clauses by similarity and keep unrelated wording apart', () => {
+    expect(diffWords('within 14 days', 'within 14 days')).toEqual([{ op: 'equal', text: 'within 14 days' }]);
+
+    const previous = snapshotOf(termsBlocks(), 1);
+    const current = snapshotOf(termsBlocks({ clauses: { 0: '1. Registration is open to adults only.' } }), 2);
+    expect(diffPolicies(previous, current).changes.map(change => change.type)).toEqual(['added', 'removed']);
+  });
+
+  test('should record versions, send one event per change and keep the old version when sending fails', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-policies-'));
+    const sent = [];
+    const send = async (event) => {
+      sent.push(event);
+      return { status: 'sent', url: 'http://localhost:3000/webhook/policy-change' };
+    };
+    const monitor = (blocks, options = {}) => monitorPolicy({ policy: POLICY, url: URL, content: extractPolicyContent(blocks), environment: 'local', dir, send, ...options });
+
+    try {
+      expect(await monitor(termsBlocks())).toMatchObject({ status: 'new', fromVersion: null, toVersion: 1, event: null });
+      expect(await monitor(termsBlocks())).toMatchObject({ status: 'unchanged', fromVersion: 1, toVersion: 1 });
+      expect(sent).toEqual([]);
+
+      const reworded = termsBlocks({ clauses: { 1: '2. The cost of service is $2 per month and is billed in advance.' } });
+      const report = await monitor(reworded);
+      expect(report).toMatchObject({ status: 'changed', fromVersion: 1, toVersion: 2, delivery: { status: 'sent' } });
+      expect(sent).toHaveLength(1);
+      expect(sent[0]).toMatchObject({
+        id: 'local-terms-and-conditions-v2',
+        environment: 'local',
+        policy: 'terms-and-conditions',
+        url: URL,
+        fromVersion: 1,
+        toVersion: 2,
+        summary: { changed: 1, added: 0, removed: 0 }
+      });
+      expect(sent[0].diff).toContain('[-$1-]{+$2+}');
+      expect(loadLatestSnapshot(POLICY.name, { environment: 'local', dir })).toMatchObject({ version: 2, hash: sent[0].hash });
+      expect(renderHtml(report)).toContain('<del style="background: #f8d7da">$1</del> <ins style="background: #d4edda">$2</ins>');
+
+      const failing = async () => {
+        throw new Error('Could not deliver policy change local-terms-and-conditions-v3');
+      };
+      await expect(monitor(termsBlocks(), { send: failing })).rejects.toThrow('Could not deliver policy change');
+      expect(loadLatestSnapshot(POLICY.name, { environment: 'local', dir }).version).toBe(2);
+      expect(loadLatestSnapshot(POLICY.name, { environment: 'production', dir })).toBeNull();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const { buildSnapshot, compareSnapshots, renderHtml } = require('../../utils/selectorDrift');
+
+/**
+ * Build a resolution record
+ * @param {string} element - Element name
+ * @param {number|null} index - Winning candidate index
+ * @returns {object} - Resolution record
+ */
+const record = (element, index) => ({
+  page: 'HomePage',
+  element,
+  index,
+  candidate: index === null ? null : `candidate ${index}`,
+  candidateCount: 3
+});
+
+/**
+ * Test suite for the selector drift report
+ */
+test.describe('Selector Drift Report', () => {
+  test('should keep the worst resolution of a run and count every hit', async () => {
+    const snapshot = buildSnapshot([record('logo', 0), record('logo', 2), record('logo', 0)]);
+
+    expect(snapshot['HomePage.logo'].index).toBe(2);
+    expect(snapshot['HomePage.logo'].resolutions).toBe(3);
+    expect(snapshot['HomePage.logo'].hits).toEqual({ '#1 candidate 0': 2, '#3 candidate 2': 1 });
+  });
+
+  test('should treat an unmatched resolution as the worst outcome', async () => {
+    const snapshot = buildSnapshot([record('logo', 1), record('logo', null), record('logo', 2)]);
+
+    expect(snapshot['HomePage.logo'].index).toBeNull();
+  });
+
+  test('should leave out elements that never resolved in the run', async () => {
+    const snapshot = buildSnapshot([record('logo', 0), record('enterPlatformButton', null), record('enterPlatformButton', null)]);
+
+    expect(Object.keys(snapshot)).toEqual(['HomePage.logo']);
+  });
+
+  test('should keep the resolutions of each project apart', async () => {
+    const previous = buildSnapshot([{ ...record('logo', 0), project: 'chromium' }, { ...record('logo', 1), project: 'mobile-chrome' }]);
+    const current = buildSnapshot([{ ...record('logo', 1), project: 'mobile-chrome' }]);
+
+    expect(Object.keys(previous)).toEqual(['[chromium] HomePage.logo', '[mobile-chrome] HomePage.logo']);
+    const report = compareSnapshots(previous, current);
+    expect(report.elements).toHaveLength(1);
+    expect(report.elements[0]).toMatchObject({ project: 'mobile-chrome', change: 'unchanged' });
+  });
+
+  test('should flag elements that lost their primary selector first', async () => {
+    const previous = buildSnapshot([record('logo', 0), record('link', 1), record('price', 2), record('button', 0)]);
+    const current = buildSnapshot([record('logo', 1), record('link', 2), record('price', 0), record('button', 0), record('banner', 0)]);
+
+    const report = compareSnapshots(previous, current);
+    const changes = Object.fromEntries(report.elements.map(element => [element.element, element.change]));
+
+    expect(changes).toEqual({ logo: 'lost-primary', link: 'degraded', price: 'improved', button: 'unchanged', banner: 'new' });
+    expect(report.elements[0].element).toBe('logo');
+    expect(report.summary).toMatchObject({ elements: 5, lostPrimary: 1, degraded: 1, improved: 1 });
+  });
+
+  test('should report every element as new on the first run', async () => {
+    const report = compareSnapshots(null, buildSnapshot([record('logo', 0)]));
+
+    expect(report.hasPreviousRun).toBe(false);
+    expect(report.elements[0].change).toBe('new');
+  });
+
+  test('should render an escaped HTML table', async () => {
+    const report = compareSnapshots(null, buildSnapshot([{ ...record('logo', 0), candidate: 'css "<img>"' }]));
+
+    const html = renderHtml(report);
+
+    expect(html).toContain('<td>logo</td>');
+    expect(html).toContain('&lt;img&gt;');
+    expect(html).not.toContain('"<img>"');
+  });
+});
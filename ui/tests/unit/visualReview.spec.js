@@ -0,0 +1,77 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { approve, listPending, recordMismatch, reject } = require('../../utils/visualReview');
+
+/**
+ * Test suite for the visual baseline review queue
+ */
+test.describe('Visual Review Queue', () => {
+  let workDir;
+  let outputDir;
+  let baselinePath;
+
+  test.beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-visual-'));
+    outputDir = path.join(workDir, 'test-results');
+    baselinePath = path.join(workDir, 'baselines', 'chromium', 'visual.spec.js', 'home-1280x720.png');
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'home-1280x720-actual.png'), 'new pixels');
+  });
+
+  test.afterEach(() => {
+    for (const entry of listPending().filter(pending => pending.baselinePath.startsWith(workDir))) {
+      reject(entry.id);
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Record a mismatch for the home screenshot
+   * @returns {object} - Pending entry
+   */
+  const record = () => recordMismatch({
+    name: 'home-1280x720.png',
+    project: 'chromium',
+    test: 'Visual Regression › home page should match its baseline',
+    baselinePath,
+    outputDir
+  });
+
+  test('should queue a missing baseline as new and approve it', async () => {
+    const entry = record();
+
+    expect(entry.isNew).toBe(true);
+    expect(listPending().map(pending => pending.id)).toContain(entry.id);
+
+    approve(entry.id.slice(0, 6));
+
+    expect(fs.readFileSync(baselinePath, 'utf8')).toBe('new pixels');
+    expect(listPending().map(pending => pending.id)).not.toContain(entry.id);
+  });
+
+  test('should keep the baseline when a change is rejected', async () => {
+    fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+    fs.writeFileSync(baselinePath, 'old pixels');
+    fs.writeFileSync(path.join(outputDir, 'home-1280x720-diff.png'), 'diff');
+
+    const entry = record();
+    expect(entry.isNew).toBe(false);
+    expect(Object.keys(entry.images)).toEqual(['actual', 'diff']);
+
+    reject(entry.id);
+
+    expect(fs.readFileSync(baselinePath, 'utf8')).toBe('old pixels');
+    expect(() => approve(entry.id)).toThrow('No pending visual change');
+  });
+
+  test('should replace the pending entry when the same baseline fails again', async () => {
+    const first = record();
+    fs.writeFileSync(path.join(outputDir, 'home-1280x720-actual.png'), 'newer pixels');
+    const second = record();
+
+    expect(second.id).toBe(first.id);
+    expect(fs.readFileSync(second.images.actual, 'utf8')).toBe('newer pixels');
+  });
+});
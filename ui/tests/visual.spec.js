@@ -0,0 +1,35 @@
+const { test } = require('@playwright/test');
+const HomePage = require('../pages/HomePage');
+const PlatformPage = require('../pages/PlatformPage');
+
+// Marketing site pages compared against their baselines
+const SITE_PAGES = [
+  { name: 'home', path: '/' },
+  { name: 'public-offer', path: '/public-offer' },
+  { name: 'refund-policy', path: '/refund-policy' },
+  { name: 'shipping-policy', path: '/shipping-policy' }
+];
+
+/**
+ * Visual regression suite - each project keeps its own baselines in ui/visual-baselines.
+ * Review new or changed screenshots with `npm run visual:review -- list`.
+ */
+test.describe('Visual Regression', () => {
+
+  for (const { name, path } of SITE_PAGES) {
+    test(`${name} page should match its baseline`, async ({ page }) => {
+      const homePage = new HomePage(page);
+      await homePage.goto(path);
+      await homePage.waitForPageLoad();
+
+      await homePage.compareVisual(name, { fullPage: true });
+    });
+  }
+
+  test('platform login page should match its baseline', async ({ page }) => {
+    const platformPage = new PlatformPage(page);
+    await platformPage.navigateToPlatform();
+
+    await platformPage.compareVisual('platform-login');
+  });
+});
@@ -0,0 +1,78 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const app = require('../../webhooks/server');
+const JobRunner = require('../../webhooks/JobRunner');
+const Notifier = require('../../webhooks/notifications/Notifier');
+const RunStore = require('../../webhooks/RunStore');
+const { getWebhookSecrets } = require('../../webhooks/signature');
+const { SCENARIOS, createHttpClient } = require('../../utils/loadScenarios');
+const { normalizePlan, runLoad } = require('../../utils/loadTest');
+
+/**
+ * Test suite for the webhook server under concurrent deliveries, driven by the load generator's scenarios
+ */
+test.describe('Webhook Concurrent Deliveries', () => {
+  let server;
+  let dataDir;
+  let http;
+  let context;
+  let originalLocals;
+
+  test.beforeAll(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-load-'));
+    originalLocals = { ...app.locals };
+    app.locals.runStore = new RunStore(dataDir);
+    // Queued jobs never start, the ciTrigger scenario cancels them
+    app.locals.jobRunner = new JobRunner({ concurrency: 0 });
+    // Stored failing runs must not be posted to Slack or Teams
+    app.locals.notifier = new Notifier({ channels: [], deadLetterPath: path.join(dataDir, 'dead-letter.jsonl') });
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    http = createHttpClient();
+    context = { http, targets: { webhook: `http://localhost:${server.address().port}` }, secret: getWebhookSecrets()[0] };
+  });
+
+  test.afterAll(async () => {
+    http.defaults.httpAgent.destroy();
+    await new Promise(resolve => server.close(resolve));
+    Object.assign(app.locals, originalLocals);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should accept and store every concurrent signed result delivery', async () => {
+    const result = await runLoad({
+      plan: normalizePlan({ vus: 10, iterations: 60 }),
+      scenarios: SCENARIOS,
+      weights: { testResults: 1 },
+      context
+    });
+
+    expect(result.summary.all).toMatchObject({ requests: 60, errors: 0 });
+    expect(result.peakVus).toBe(10);
+    const stored = await app.locals.runStore.list({ branch: 'load-test', pageSize: 100 });
+    expect(stored.total).toBe(60);
+  });
+
+  test('should queue and cancel concurrent CI triggers while answering health checks', async () => {
+    const result = await runLoad({
+      plan: normalizePlan({ vus: 8, iterations: 40 }),
+      scenarios: SCENARIOS,
+      weights: { ciTrigger: 1, webhookHealth: 1 },
+      context
+    });
+
+    const { ciTrigger, webhookHealth } = result.summary.scenarios;
+    expect(result.summary.all.errors).toBe(0);
+    // Trigger, status and cancel per iteration
+    expect(ciTrigger.requests).toBe(result.summary.requests['POST /webhook/ci-trigger'].requests * 3);
+    expect(ciTrigger.requests + webhookHealth.requests).toBe(result.summary.all.requests);
+
+    const jobs = [...app.locals.jobRunner.jobs.values()];
+    expect(jobs.length).toBe(ciTrigger.requests / 3);
+    expect(jobs.every(job => job.status === 'cancelled')).toBe(true);
+    expect(app.locals.jobRunner.queue).toEqual([]);
+  });
+});
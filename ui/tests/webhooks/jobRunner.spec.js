@@ -0,0 +1,134 @@
+const { test, expect } = require('@playwright/test');
+const app = require('../../webhooks/server');
+const JobRunner = require('../../webhooks/JobRunner');
+const { createSignatureHeaders, getWebhookSecrets } = require('../../webhooks/signature');
+
+// Stand-in for the Playwright CLI: echoes its arguments, hangs for @slow and fails for the "failing" project
+const FAKE_PLAYWRIGHT = [
+  'const args = process.argv.slice(1);',
+  'console.log("args: " + args.join(" "));',
+  'if (args.includes("--grep=@slow")) { setInterval(() => {}, 1000); }',
+  'else { process.exitCode = args.includes("--project=failing") ? 1 : 0; }'
+].join('\n');
+
+/**
+ * Test suite for CI-triggered Playwright runs
+ */
+test.describe('Webhook CI Job Runner', () => {
+  let server;
+  let api;
+
+  test.beforeAll(async ({ playwright }) => {
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    api = await playwright.request.newContext({ baseURL: `http://localhost:${server.address().port}` });
+  });
+
+  test.beforeEach(() => {
+    app.locals.jobRunner = new JobRunner({ concurrency: 1, baseArgs: ['-e', FAKE_PLAYWRIGHT, '--'] });
+  });
+
+  test.afterEach(() => {
+    // Don't leave hanging fake runs behind
+    for (const child of app.locals.jobRunner.processes.values()) {
+      child.kill('SIGKILL');
+    }
+  });
+
+  test.afterAll(async () => {
+    await api.dispose();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * POST a signed JSON body
+   * @param {string} url - Endpoint path
+   * @param {object} payload - Request body
+   * @returns {Promise<import('@playwright/test').APIResponse>} - Response
+   */
+  const postSigned = (url, payload) => {
+    const body = JSON.stringify(payload);
+    return api.post(url, {
+      data: body,
+      headers: { 'content-type': 'application/json', ...createSignatureHeaders(body, getWebhookSecrets()[0]) }
+    });
+  };
+
+  /**
+   * Trigger a run and return its job ID
+   * @param {string|object} action - CI trigger action
+   * @returns {Promise<string>} - Job ID
+   */
+  const trigger = async (action) => {
+    const response = await postSigned('/webhook/ci-trigger', { repository: 'angelcardus', branch: 'main', commit: 'abc1234', action });
+    expect(response.status()).toBe(202);
+    return (await response.json()).jobId;
+  };
+
+  /**
+   * Poll a job until it reaches the expected status
+   * @param {string} jobId - Job ID
+   * @param {string} status - Expected status
+   * @returns {Promise<object>} - Job view
+   */
+  const waitForStatus = async (jobId, status) => {
+    await expect.poll(async () => (await (await api.get(`/jobs/${jobId}`)).json()).status, { timeout: 10000 }).toBe(status);
+    return (await api.get(`/jobs/${jobId}`)).json();
+  };
+
+  test('should run the selected project, grep and spec and report the exit code', async () => {
+    const jobId = await trigger({ type: 'test', project: 'chromium', grep: '@smoke', spec: 'ui/tests/homeNavigation.spec.js' });
+
+    const job = await waitForStatus(jobId, 'passed');
+
+    expect(job.exitCode).toBe(0);
+    expect(job.args).toEqual(['ui/tests/homeNavigation.spec.js', '--project=chromium', '--grep=@smoke']);
+    expect(job.logTail).toContain('args: ui/tests/homeNavigation.spec.js --project=chromium --grep=@smoke');
+  });
+
+  test('should mark a run with a non-zero exit code as failed', async () => {
+    const jobId = await trigger({ project: 'failing' });
+
+    const job = await waitForStatus(jobId, 'failed');
+
+    expect(job.exitCode).toBe(1);
+  });
+
+  test('should respect the concurrency limit and cancel queued and running jobs', async () => {
+    const running = await trigger({ grep: '@slow' });
+    const queued = await trigger('test');
+
+    await waitForStatus(running, 'running');
+    expect((await (await api.get(`/jobs/${queued}`)).json()).status).toBe('queued');
+
+    const cancelQueued = await postSigned(`/jobs/${queued}/cancel`, {});
+    expect(cancelQueued.status()).toBe(200);
+    expect((await cancelQueued.json()).status).toBe('cancelled');
+
+    const cancelRunning = await postSigned(`/jobs/${running}/cancel`, {});
+    expect(cancelRunning.status()).toBe(200);
+    await waitForStatus(running, 'cancelled');
+
+    const cancelAgain = await postSigned(`/jobs/${running}/cancel`, {});
+    expect(cancelAgain.status()).toBe(409);
+  });
+
+  test('should reject unsupported actions and specs outside ui/tests', async () => {
+    const unsupported = await postSigned('/webhook/ci-trigger', { action: 'deploy' });
+    const outside = await postSigned('/webhook/ci-trigger', { action: { spec: '../secrets.spec.js' } });
+    const malformed = await postSigned('/webhook/ci-trigger', { action: ['test'] });
+    const missing = await api.get('/jobs/unknown');
+
+    expect(unsupported.status()).toBe(400);
+    expect(outside.status()).toBe(400);
+    expect(malformed.status()).toBe(400);
+    expect(await malformed.json()).toEqual({ error: 'action must be a string or an object' });
+    expect(missing.status()).toBe(404);
+  });
+
+  test('should treat a null action like a missing one and run everything', async () => {
+    const job = await waitForStatus(await trigger(null), 'passed');
+    expect(job.options).toEqual({});
+  });
+});
@@ -0,0 +1,186 @@
+const { test, expect } = require('@playwright/test');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Notifier = require('../../webhooks/notifications/Notifier');
+
+/**
+ * Build a stored run record
+ * @param {object} overrides - Fields to replace
+ * @returns {object} - Run record
+ */
+const runRecord = (overrides = {}) => ({
+  runId: 'run-42',
+  buildId: '42',
+  branch: 'main',
+  commit: 'abc1234',
+  summary: { total: 3, passed: 2, failed: 1 },
+  tests: [
+    { title: 'home page loads', status: 'passed', project: 'chromium' },
+    { title: 'platform login options', status: 'failed', project: 'webkit' },
+    { title: 'policy links', status: 'passed', project: 'firefox' }
+  ],
+  ...overrides
+});
+
+/**
+ * Test suite for outbound Slack/Teams failure notifications
+ */
+test.describe('Webhook Failure Notifications', () => {
+  let receiver;
+  let baseURL;
+  let received;
+  let failuresBeforeSuccess;
+  let dataDir;
+
+  test.beforeAll(async () => {
+    // Local stand-in for the Slack and Teams incoming-webhook endpoints
+    const app = express();
+    app.use(express.json());
+    app.post('/:channel', (req, res) => {
+      if (failuresBeforeSuccess > 0) {
+        failuresBeforeSuccess--;
+        return res.status(503).send('unavailable');
+      }
+      received.push({ channel: req.params.channel, body: req.body });
+      return res.status(200).send('ok');
+    });
+    app.post('/rejecting/:channel', (req, res) => res.status(400).send('invalid_payload'));
+
+    receiver = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseURL = `http://localhost:${receiver.address().port}`;
+  });
+
+  test.beforeEach(() => {
+    received = [];
+    failuresBeforeSuccess = 0;
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-notify-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  /**
+   * Create a notifier with fast retries
+   * @param {Array<object>} channels - Channel configuration
+   * @returns {Notifier} - Notifier under test
+   */
+  const createNotifier = (channels) => new Notifier({
+    channels,
+    deadLetterPath: path.join(dataDir, 'dead-letter.jsonl'),
+    retries: 2,
+    backoffMs: 10,
+    publicURL: 'http://webhooks.local'
+  });
+
+  test('should send Slack blocks and a Teams card for a failed run', async () => {
+    const notifier = createNotifier([
+      { name: 'slack', type: 'slack', url: `${baseURL}/slack`, filters: {} },
+      { name: 'teams', type: 'teams', url: `${baseURL}/teams`, filters: {} }
+    ]);
+
+    const results = await notifier.notify(runRecord());
+
+    expect(results.map(result => result.status)).toEqual(['sent', 'sent']);
+
+    const slack = received.find(message => message.channel === 'slack').body;
+    expect(slack.blocks[0].text.text).toContain('1 of 3 tests failed');
+    expect(JSON.stringify(slack.blocks)).toContain('[webkit] platform login options');
+    expect(JSON.stringify(slack.blocks)).toContain('http://webhooks.local/runs/run-42');
+
+    const teams = received.find(message => message.channel === 'teams').body;
+    expect(teams['@type']).toBe('MessageCard');
+    expect(teams.themeColor).toBe('D70000');
+    expect(teams.sections[0].facts).toContainEqual({ name: 'Branch', value: 'main' });
+  });
+
+  test('should leave expected failures out of the failed tests', async () => {
+    const notifier = createNotifier([{ name: 'slack', type: 'slack', url: `${baseURL}/slack`, filters: {} }]);
+
+    await notifier.notify(runRecord({
+      summary: { total: 3, passed: 1, failed: 1 },
+      tests: [
+        { title: 'home page loads', status: 'passed', outcome: 'expected', project: 'chromium' },
+        { title: 'known broken footer link', status: 'failed', outcome: 'expected', project: 'chromium' },
+        { title: 'platform login options', status: 'timedOut', outcome: 'unexpected', project: 'webkit' }
+      ]
+    }));
+
+    const blocks = JSON.stringify(received.find(message => message.channel === 'slack').body.blocks);
+    expect(blocks).toContain('1 of 3 tests failed');
+    expect(blocks).toContain('[webkit] platform login options');
+    expect(blocks).not.toContain('known broken footer link');
+  });
+
+  test('should report green runs as passed to channels that also want them', async () => {
+    const notifier = createNotifier([
+      { name: 'slack', type: 'slack', url: `${baseURL}/slack`, filters: { onlyFailures: false } },
+      { name: 'teams', type: 'teams', url: `${baseURL}/teams`, filters: { onlyFailures: false } }
+    ]);
+
+    await notifier.notify(runRecord({ summary: { total: 3, passed: 3, failed: 0 }, tests: [] }));
+
+    const slack = received.find(message => message.channel === 'slack').body;
+    expect(slack.blocks[0].text.text).toBe('AngelCard UI tests passed: all 3 tests passed');
+    expect(slack.text).toBe('AngelCard UI tests passed on main: all 3 tests passed');
+
+    const teams = received.find(message => message.channel === 'teams').body;
+    expect(teams.summary).toBe('AngelCard UI tests passed: all 3 tests passed');
+    expect(teams.themeColor).toBe('2EB886');
+  });
+
+  test('should apply per-channel branch and failure filters', async () => {
+    const notifier = createNotifier([
+      { name: 'slack', type: 'slack', url: `${baseURL}/slack`, filters: { branches: ['main'], onlyFailures: true } }
+    ]);
+
+    const featureRun = await notifier.notify(runRecord({ branch: 'feature/login' }));
+    const greenRun = await notifier.notify(runRecord({ summary: { total: 1, passed: 1, failed: 0 }, tests: [] }));
+
+    expect(featureRun[0].status).toBe('skipped');
+    expect(greenRun[0].status).toBe('skipped');
+    expect(received).toHaveLength(0);
+  });
+
+  test('should retry with backoff until the receiver recovers', async () => {
+    failuresBeforeSuccess = 2;
+    const notifier = createNotifier([{ name: 'slack', type: 'slack', url: `${baseURL}/slack`, filters: {} }]);
+
+    const [result] = await notifier.notify(runRecord());
+
+    expect(result).toEqual({ channel: 'slack', status: 'sent', attempts: 3 });
+    expect(received).toHaveLength(1);
+  });
+
+  test('should write undeliverable messages to the dead-letter log', async () => {
+    failuresBeforeSuccess = 10;
+    const notifier = createNotifier([
+      { name: 'slack', type: 'slack', url: `${baseURL}/slack`, filters: {} },
+      { name: 'teams', type: 'teams', url: `${baseURL}/rejecting/teams`, filters: {} }
+    ]);
+
+    const results = await notifier.notify(runRecord());
+
+    expect(results).toEqual([
+      { channel: 'slack', status: 'failed', attempts: 3 },
+      { channel: 'teams', status: 'failed', attempts: 1 }
+    ]);
+
+    const deadLetters = fs.readFileSync(path.join(dataDir, 'dead-letter.jsonl'), 'utf8')
+      .trim()
+      .split('\n')
+      .map(line => JSON.parse(line));
+    expect(deadLetters.map(entry => entry.channel).sort()).toEqual(['slack', 'teams']);
+    // Incoming-webhook URLs are secrets and stay out of the log
+    expect(deadLetters.every(entry => entry.url === undefined && !JSON.stringify(entry).includes(baseURL))).toBe(true);
+    expect(deadLetters.find(entry => entry.channel === 'teams').status).toBe(400);
+  });
+});
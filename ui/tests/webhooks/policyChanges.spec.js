@@ -0,0 +1,107 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const app = require('../../webhooks/server');
+const PolicyChangeStore = require('../../webhooks/PolicyChangeStore');
+const { createSignatureHeaders, getWebhookSecrets } = require('../../webhooks/signature');
+const { createPolicyChangeEvent, createSnapshot, diffPolicies, sendPolicyChange } = require('../../utils/policyMonitor');
+
+const POLICY = { name: 'refund-policy', title: 'Refund Policy' };
+
+/**
+ * Build a change event for the refund policy, as the policy content monitor sends it
+ * @param {string} refundWindow - Refund window in the new wording, e.g. "7 days"
+ * @param {string} [environment="staging"] - Environment the change was detected in
+ * @returns {object} - Event body
+ */
+const refundChange = (refundWindow, environment = 'staging') => {
+  const content = (window) => ({
+    headings: [{ level: 1, text: 'Refund Policy' }],
+    clauses: [{ section: 'Refund Policy', text: `You may request a refund of the last monthly payment within ${window} of billing.` }]
+  });
+  const previous = createSnapshot({ policy: POLICY, url: 'https://staging.angelcard.us/refund-policy', version: 1, content: content('14 days') });
+  const current = createSnapshot({ policy: POLICY, url: 'https://staging.angelcard.us/refund-policy', version: 2, content: content(refundWindow) });
+  return createPolicyChangeEvent({ environment, previous, current, diff: diffPolicies(previous, current) });
+};
+
+/**
+ * Test suite for policy-change events and their compliance review
+ */
+test.describe('Webhook Policy Changes', () => {
+  let server;
+  let api;
+  let baseURL;
+  let dataDir;
+
+  test.beforeAll(async ({ playwright }) => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-policy-changes-'));
+    app.locals.policyChangeStore = new PolicyChangeStore(dataDir);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseURL = `http://localhost:${server.address().port}`;
+    api = await playwright.request.newContext({ baseURL });
+  });
+
+  test.afterAll(async () => {
+    await api.dispose();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should store a signed policy change as pending with its readable diff', async () => {
+    const event = refundChange('7 days');
+    expect(await sendPolicyChange(event, { url: `${baseURL}/webhook/policy-change` })).toEqual({ status: 'sent', url: `${baseURL}/webhook/policy-change` });
+
+    const change = await (await api.get(`/policy-changes/${event.id}`)).json();
+    expect(change).toMatchObject({ id: 'staging-refund-policy-v2', policy: 'refund-policy', status: 'pending', review: null, fromVersion: 1, toVersion: 2 });
+    expect(change.changes).toHaveLength(1);
+
+    const text = await api.get(`/policy-changes/${event.id}?format=text`);
+    expect(text.headers()['content-type']).toContain('text/plain');
+    expect(await text.text()).toContain('within [-14-]{+7+} days of billing.');
+  });
+
+  test('should list changes by status, policy and environment without clause details', async () => {
+    await sendPolicyChange(refundChange('30 days', 'production'), { url: `${baseURL}/webhook/policy-change` });
+
+    const pending = await (await api.get('/policy-changes?status=pending&policy=refund-policy')).json();
+    expect(pending.total).toBe(2);
+    expect(pending.changes[0].changes).toBeUndefined();
+    expect(pending.changes[0].diff).toBeUndefined();
+
+    const production = await (await api.get('/policy-changes?environment=production')).json();
+    expect(production.changes.map(change => change.id)).toEqual(['production-refund-policy-v2']);
+  });
+
+  test('should record one compliance review per change and keep it when the event is re-sent', async () => {
+    const id = 'staging-refund-policy-v2';
+    const review = (body) => {
+      const data = JSON.stringify(body);
+      return api.post(`/policy-changes/${id}/review`, {
+        data,
+        headers: { 'content-type': 'application/json', ...createSignatureHeaders(data, getWebhookSecrets()[0]) }
+      });
+    };
+
+    expect((await review({ decision: 'maybe', reviewer: 'compliance@angelcard.us' })).status()).toBe(400);
+    const approved = await review({ decision: 'approved', reviewer: 'compliance@angelcard.us', comment: 'Matches the signed-off wording' });
+    expect(approved.status()).toBe(200);
+    expect(await approved.json()).toMatchObject({ status: 'approved', review: { decision: 'approved', reviewer: 'compliance@angelcard.us' } });
+    expect((await review({ decision: 'rejected', reviewer: 'legal@angelcard.us' })).status()).toBe(409);
+
+    await sendPolicyChange(refundChange('7 days'), { url: `${baseURL}/webhook/policy-change` });
+    expect((await (await api.get(`/policy-changes/${id}`)).json()).status).toBe('approved');
+  });
+
+  test('should reject unsigned and incomplete events and unknown changes', async () => {
+    const unsigned = await api.post('/webhook/policy-change', { data: refundChange('7 days') });
+    expect(unsigned.status()).toBe(401);
+
+    const incomplete = { ...refundChange('7 days'), toVersion: undefined };
+    await expect(sendPolicyChange(incomplete, { url: `${baseURL}/webhook/policy-change` })).rejects.toThrow('status code 400');
+
+    expect((await api.get('/policy-changes/does-not-exist')).status()).toBe(404);
+  });
+});
@@ -0,0 +1,108 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const app = require('../../webhooks/server');
+const RunStore = require('../../webhooks/RunStore');
+const Notifier = require('../../webhooks/notifications/Notifier');
+const { createSignatureHeaders, getWebhookSecrets } = require('../../webhooks/signature');
+
+/**
+ * Build a test-results payload
+ * @param {string} runId - Run identifier
+ * @param {object} overrides - Extra top-level fields
+ * @returns {object} - Webhook body
+ */
+const resultsPayload = (runId, overrides = {}) => ({
+  buildId: '100',
+  runId,
+  branch: 'main',
+  testResults: {
+    summary: { total: 2, passed: 1, failed: 1 },
+    tests: [
+      { title: 'home page loads', status: 'passed', duration: 1200 },
+      { title: 'platform login options', status: 'failed', duration: 3400 }
+    ]
+  },
+  ...overrides
+});
+
+/**
+ * Test suite for stored test-result webhooks and the run-history API
+ */
+test.describe('Webhook Run History', () => {
+  let server;
+  let api;
+  let dataDir;
+  let originalLocals;
+
+  test.beforeAll(async ({ playwright }) => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-runs-'));
+    originalLocals = { ...app.locals };
+    app.locals.runStore = new RunStore(dataDir);
+    // Stored failing runs must not be posted to Slack or Teams
+    app.locals.notifier = new Notifier({ channels: [], deadLetterPath: path.join(dataDir, 'dead-letter.jsonl') });
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    api = await playwright.request.newContext({ baseURL: `http://localhost:${server.address().port}` });
+  });
+
+  test.afterAll(async () => {
+    await api.dispose();
+    await new Promise(resolve => server.close(resolve));
+    Object.assign(app.locals, originalLocals);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Post a signed test-results payload
+   * @param {object} payload - Webhook body
+   */
+  const postResults = async (payload) => {
+    const body = JSON.stringify(payload);
+    const response = await api.post('/webhook/test-results', {
+      data: body,
+      headers: { 'content-type': 'application/json', ...createSignatureHeaders(body, getWebhookSecrets()[0]) }
+    });
+    expect(response.status()).toBe(200);
+  };
+
+  test('should store accepted payloads and return them by runId', async () => {
+    await postResults(resultsPayload('run-1'));
+
+    const run = await (await api.get('/runs/run-1')).json();
+    expect(run.buildId).toBe('100');
+    expect(run.branch).toBe('main');
+    expect(run.summary).toEqual({ total: 2, passed: 1, failed: 1 });
+
+    const tests = await (await api.get('/runs/run-1/tests?status=failed')).json();
+    expect(tests.tests).toHaveLength(1);
+    expect(tests.tests[0].title).toBe('platform login options');
+  });
+
+  test('should page and filter run history', async () => {
+    await postResults(resultsPayload('run-2', { branch: 'feature/login' }));
+    await postResults(resultsPayload('run-3', { buildId: '101' }));
+
+    const mainRuns = await (await api.get('/runs?branch=main')).json();
+    expect(mainRuns.runs.every(run => run.branch === 'main')).toBe(true);
+
+    const buildRuns = await (await api.get('/runs?buildId=101')).json();
+    expect(buildRuns.total).toBe(1);
+    expect(buildRuns.runs[0].runId).toBe('run-3');
+    expect(buildRuns.runs[0].tests).toBeUndefined();
+
+    const firstPage = await (await api.get('/runs?pageSize=1&page=1')).json();
+    expect(firstPage.runs).toHaveLength(1);
+    expect(firstPage.total).toBeGreaterThanOrEqual(3);
+  });
+
+  test('should reject unsigned payloads and unknown runs', async () => {
+    const unsigned = await api.post('/webhook/test-results', { data: resultsPayload('run-x') });
+    expect(unsigned.status()).toBe(401);
+
+    const missing = await api.get('/runs/does-not-exist');
+    expect(missing.status()).toBe(404);
+  });
+});
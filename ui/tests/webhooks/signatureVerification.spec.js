@@ -0,0 +1,117 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const app = require('../../webhooks/server');
+const RunStore = require('../../webhooks/RunStore');
+const JobRunner = require('../../webhooks/JobRunner');
+const { createSignatureHeaders, signPayload } = require('../../webhooks/signature');
+
+/**
+ * Test suite for webhook signature verification
+ */
+test.describe('Webhook Signature Verification', () => {
+  let server;
+  let api;
+  let dataDir;
+  let originalSecrets;
+
+  test.beforeAll(async ({ playwright }) => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-signature-'));
+    app.locals.runStore = new RunStore(dataDir);
+    // Accepted triggers queue a no-op process instead of a real Playwright run
+    app.locals.jobRunner = new JobRunner({ baseArgs: ['-e', ''] });
+    originalSecrets = app.locals.webhookSecrets;
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    api = await playwright.request.newContext({ baseURL: `http://localhost:${server.address().port}` });
+  });
+
+  test.afterEach(() => {
+    app.locals.webhookSecrets = originalSecrets;
+  });
+
+  test.afterAll(async () => {
+    await api.dispose();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  /**
+   * POST a raw body to the CI trigger endpoint
+   * @param {string} body - Raw JSON text
+   * @param {object} headers - Signature headers
+   * @returns {Promise<import('@playwright/test').APIResponse>} - Response
+   */
+  const post = (body, headers) => api.post('/webhook/ci-trigger', {
+    data: body,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+
+  // Deliberately unusual key order and whitespace - must verify against the raw bytes
+  const body = '{ "repository": "angelcardus",\n  "branch": "main", "commit": "abc1234", "action": "test" }';
+
+  test('should accept a body signed over its raw bytes', async () => {
+    app.locals.webhookSecrets = ['current-secret'];
+
+    const response = await post(body, createSignatureHeaders(body, 'current-secret'));
+
+    expect(response.status()).toBe(202);
+  });
+
+  test('should reject a tampered body or a wrong secret', async () => {
+    app.locals.webhookSecrets = ['current-secret'];
+    const headers = createSignatureHeaders(body, 'current-secret');
+
+    const tampered = await post(body.replace('main', 'release'), headers);
+    const wrongSecret = await post(body, createSignatureHeaders(body, 'other-secret'));
+
+    expect(tampered.status()).toBe(401);
+    expect(wrongSecret.status()).toBe(401);
+  });
+
+  test('should reject timestamps outside the tolerance window', async () => {
+    app.locals.webhookSecrets = ['current-secret'];
+    const timestamp = Math.floor(Date.now() / 1000) - app.locals.signatureToleranceSeconds - 60;
+    const deliveryId = randomUUID();
+
+    const response = await post(body, {
+      'x-webhook-signature': signPayload(body, 'current-secret', timestamp, deliveryId),
+      'x-webhook-timestamp': String(timestamp),
+      'x-webhook-delivery': deliveryId
+    });
+
+    expect(response.status()).toBe(401);
+    expect((await response.json()).error).toContain('Timestamp');
+  });
+
+  test('should reject a replayed delivery', async () => {
+    app.locals.webhookSecrets = ['current-secret'];
+    const headers = createSignatureHeaders(body, 'current-secret');
+
+    const first = await post(body, headers);
+    const replay = await post(body, headers);
+
+    expect(first.status()).toBe(202);
+    expect(replay.status()).toBe(401);
+    expect((await replay.json()).error).toContain('already processed');
+  });
+
+  test('should accept any active secret during rotation', async () => {
+    app.locals.webhookSecrets = ['new-secret', 'old-secret'];
+
+    const signedWithNew = await post(body, createSignatureHeaders(body, 'new-secret'));
+    const signedWithOld = await post(body, createSignatureHeaders(body, 'old-secret'));
+
+    expect(signedWithNew.status()).toBe(202);
+    expect(signedWithOld.status()).toBe(202);
+  });
+
+  test('should reject requests without signature headers', async () => {
+    const response = await post(body, {});
+
+    expect(response.status()).toBe(401);
+  });
+});
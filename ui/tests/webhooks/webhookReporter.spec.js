@@ -0,0 +1,127 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const app = require('../../webhooks/server');
+const RunStore = require('../../webhooks/RunStore');
+const WebhookReporter = require('../../reporters/WebhookReporter');
+const { getFailedTests } = require('../../webhooks/notifications/formatters');
+
+/**
+ * Build a minimal stand-in for a Playwright TestCase and its final result
+ * @param {string} title - Test title
+ * @param {string} status - Result status
+ * @param {object} [options] - Extra fields
+ * @returns {{test: object, result: object}} - Reporter callback arguments
+ */
+const fakeTest = (title, status, { retry = 0, outcome = status === 'passed' ? 'expected' : 'unexpected' } = {}) => ({
+  test: {
+    id: `id-${title}`,
+    titlePath: () => ['', 'chromium', 'homeNavigation.spec.js', 'Home Page Navigation Tests', title],
+    location: { file: '/repo/ui/tests/homeNavigation.spec.js', line: 10 },
+    parent: { project: () => ({ name: 'chromium' }) },
+    outcome: () => outcome
+  },
+  result: {
+    status,
+    duration: 1500,
+    retry,
+    error: status === 'failed' ? { message: 'expect(received).toContain(expected)' } : undefined,
+    attachments: [{ name: 'screenshot', contentType: 'image/png', path: '/repo/ui/test-results/shot.png' }]
+  }
+});
+
+/**
+ * Feed fake tests through a reporter the way Playwright does
+ * @param {WebhookReporter} reporter - Reporter under test
+ * @param {Array<{test: object, result: object}>} tests - Fake tests
+ */
+const runReporter = async (reporter, tests) => {
+  reporter.onBegin({ rootDir: '/repo' });
+  for (const { test: testCase, result } of tests) {
+    reporter.onTestEnd(testCase, result);
+  }
+  await reporter.onEnd({ status: 'failed', duration: 3000 });
+};
+
+/**
+ * Test suite for the Playwright reporter that posts signed results
+ */
+test.describe('Webhook Reporter', () => {
+  let server;
+  let serverURL;
+  let dataDir;
+  let outboxDir;
+
+  test.beforeAll(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'angelcard-reporter-'));
+    outboxDir = path.join(dataDir, 'outbox');
+    app.locals.runStore = new RunStore(path.join(dataDir, 'runs'));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    serverURL = `http://localhost:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should deliver a signed payload the server accepts', async () => {
+    process.env.RUN_ID = 'reporter-run-1';
+    const reporter = new WebhookReporter({ url: `${serverURL}/webhook/test-results`, outboxDir });
+
+    await runReporter(reporter, [
+      fakeTest('should display essential elements', 'passed'),
+      fakeTest('should navigate to public offer page', 'failed', { retry: 1 })
+    ]);
+    delete process.env.RUN_ID;
+
+    const run = await app.locals.runStore.get('reporter-run-1');
+    expect(run.summary).toMatchObject({ total: 2, passed: 1, failed: 1, status: 'failed' });
+    expect(run.tests[1]).toMatchObject({
+      title: 'Home Page Navigation Tests › should navigate to public offer page',
+      file: path.join('ui', 'tests', 'homeNavigation.spec.js'),
+      project: 'chromium',
+      status: 'failed',
+      retries: 1,
+      duration: 1500
+    });
+    expect(run.tests[0].attachments[0].path).toBe(path.join('ui', 'test-results', 'shot.png'));
+  });
+
+  test('should not count expected failures as failed tests', async () => {
+    process.env.RUN_ID = 'reporter-run-expected';
+    const reporter = new WebhookReporter({ url: `${serverURL}/webhook/test-results`, outboxDir });
+
+    await runReporter(reporter, [
+      fakeTest('should display essential elements', 'passed'),
+      // Marked with test.fail(): failed as expected
+      fakeTest('should navigate to public offer page', 'failed', { outcome: 'expected' })
+    ]);
+    delete process.env.RUN_ID;
+
+    const run = await app.locals.runStore.get('reporter-run-expected');
+    expect(run.summary).toMatchObject({ total: 2, passed: 2, failed: 0 });
+    expect(getFailedTests(run)).toEqual([]);
+  });
+
+  test('should buffer to disk when the server is unreachable and flush on the next run', async () => {
+    process.env.RUN_ID = 'reporter-run-2';
+    const offline = new WebhookReporter({ url: 'http://localhost:9/webhook/test-results', outboxDir, timeoutMs: 2000 });
+    await runReporter(offline, [fakeTest('should display essential elements', 'passed')]);
+
+    expect(fs.readdirSync(outboxDir)).toHaveLength(1);
+    expect(await app.locals.runStore.get('reporter-run-2')).toBeNull();
+
+    process.env.RUN_ID = 'reporter-run-3';
+    const online = new WebhookReporter({ url: `${serverURL}/webhook/test-results`, outboxDir });
+    await runReporter(online, [fakeTest('should display essential elements', 'passed')]);
+    delete process.env.RUN_ID;
+
+    expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+    expect(await app.locals.runStore.get('reporter-run-2')).not.toBeNull();
+    expect(await app.locals.runStore.get('reporter-run-3')).not.toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+const logger = require('./logger');
+const { getCookieClassification } = require('../config/cookieClassification');
+
+/**
+ * Convert a classification pattern ("_ga_*") into a RegExp
+ * @param {string} pattern - Name pattern, `*` matches any run of characters
+ * @returns {RegExp} - Anchored expression
+ */
+const patternToRegExp = (pattern) => {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`);
+};
+
+/**
+ * Check whether a URL belongs to a tracker entry
+ * @param {URL} url - Request URL
+ * @param {string} tracker - Host ("doubleclick.net") or host/path prefix ("facebook.com/tr")
+ * @returns {boolean} - True if the URL matches
+ */
+const matchesTracker = (url, tracker) => {
+  const [host, ...rest] = tracker.split('/');
+  const pathPrefix = rest.length > 0 ? `/${rest.join('/')}` : '';
+  const hostMatches = url.hostname === host || url.hostname.endsWith(`.${host}`);
+  return hostMatches && url.pathname.startsWith(pathPrefix);
+};
+
+/**
+ * Records what a browser context stores and requests, and classifies it against the
+ * cookie classification file (see ui/config/cookieClassification.js).
+ *
+ * Call start() before the first navigation so no tracker request is missed.
+ */
+class ConsentAudit {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Browser context to audit
+   * @param {object} [options] - Audit options
+   * @param {object} [options.classification] - Classification (defaults to the configured file)
+   * @param {boolean} [options.stubTrackers=false] - Answer tracker requests locally with 204 instead of sending them
+   */
+  constructor(context, { classification = getCookieClassification(), stubTrackers = false } = {}) {
+    this.context = context;
+    this.classification = classification;
+    this.stubTrackers = stubTrackers;
+    this.requests = [];
+    this.cookiePatterns = Object.entries(classification.cookies)
+      .map(([category, patterns]) => ({ category, patterns: patterns.map(patternToRegExp) }));
+  }
+
+  /**
+   * Start recording tracker requests
+   */
+  async start() {
+    this.context.on('request', request => {
+      const category = this.categoryOfUrl(request.url());
+      if (category) {
+        this.requests.push({ url: request.url(), category });
+      }
+    });
+
+    if (this.stubTrackers) {
+      await this.context.route(url => this.categoryOfUrl(url.href) !== null, route => route.fulfill({ status: 204, body: '' }));
+    }
+  }
+
+  /**
+   * Forget the tracker requests recorded so far, e.g. before making a new consent choice
+   */
+  clearRequests() {
+    this.requests = [];
+  }
+
+  /**
+   * Classify a cookie or storage key name
+   * @param {string} name - Cookie or storage key name
+   * @returns {string|null} - Category, or null if unclassified
+   */
+  categoryOfName(name) {
+    const match = this.cookiePatterns.find(({ patterns }) => patterns.some(pattern => pattern.test(name)));
+    return match ? match.category : null;
+  }
+
+  /**
+   * Classify a request URL
+   * @param {string} url - Request URL
+   * @returns {string|null} - Tracker category, or null if the URL isn't a known tracker
+   */
+  categoryOfUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const match = Object.entries(this.classification.trackers)
+      .find(([, trackers]) => trackers.some(tracker => matchesTracker(parsed, tracker)));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Collect what is currently stored and what has been requested, grouped by category
+   * @param {string[]} [categories=['analytics', 'marketing']] - Categories to report
+   * @returns {Promise<{cookies: Object<string, string[]>, storage: Object<string, string[]>, requests: Object<string, string[]>, unclassified: string[]}>} - Findings per category
+   */
+  async snapshot(categories = ['analytics', 'marketing']) {
+    const state = await this.context.storageState();
+    const findings = { cookies: {}, storage: {}, requests: {}, unclassified: [] };
+    for (const category of categories) {
+      findings.cookies[category] = [];
+      findings.storage[category] = [];
+      findings.requests[category] = [];
+    }
+
+    for (const cookie of state.cookies) {
+      const category = this.categoryOfName(cookie.name);
+      if (category === null) {
+        findings.unclassified.push(`${cookie.name} (${cookie.domain})`);
+      } else if (findings.cookies[category]) {
+        findings.cookies[category].push(`${cookie.name} (${cookie.domain})`);
+      }
+    }
+
+    for (const origin of state.origins) {
+      for (const { name } of origin.localStorage) {
+        const category = this.categoryOfName(name);
+        if (category !== null && findings.storage[category]) {
+          findings.storage[category].push(`${name} (${origin.origin})`);
+        }
+      }
+    }
+
+    for (const request of this.requests) {
+      if (findings.requests[request.category]) {
+        findings.requests[request.category].push(request.url);
+      }
+    }
+
+    if (findings.unclassified.length > 0) {
+      logger.warn(`Unclassified cookies - add them to the cookie classification file: ${findings.unclassified.join(', ')}`);
+    }
+    return findings;
+  }
+}
+
+module.exports = ConsentAudit;
@@ -0,0 +1,87 @@
+const axios = require('axios');
+const logger = require('./logger');
+const { getEnvironment } = require('../config/environments');
+
+// Delay between inbox polls while waiting for a message
+const POLL_INTERVAL = 250;
+
+/**
+ * Check a message field against an expectation
+ * @param {string|null} value - Field value
+ * @param {string|RegExp} [expected] - Substring or pattern, any value matches when omitted
+ * @returns {boolean} - True if the field matches
+ */
+const fieldMatches = (value, expected) => {
+  if (expected === undefined) return true;
+  if (value === null || value === undefined) return false;
+  return expected instanceof RegExp ? expected.test(value) : value.includes(expected);
+};
+
+/**
+ * Reads notifications captured by the local capture service (ui/mocks/notificationCapture.js)
+ */
+class NotificationInbox {
+  /**
+   * @param {object} [options] - Inbox options
+   * @param {string} [options.baseURL] - Capture service URL (defaults to the environment's notificationInboxURL)
+   */
+  constructor({ baseURL = getEnvironment().notificationInboxURL } = {}) {
+    if (!baseURL) {
+      throw new Error('No notification inbox configured - set notificationInboxURL for the environment or NOTIFICATION_INBOX_URL');
+    }
+    this.client = axios.create({ baseURL, timeout: 5000 });
+  }
+
+  /**
+   * List captured messages, oldest first
+   * @param {object} [filters] - Filters
+   * @param {string} [filters.to] - Recipient: email address, phone number or push user
+   * @param {'email'|'sms'|'push'} [filters.channel] - Delivery channel
+   * @param {Date|string} [filters.since] - Only messages received at or after this time
+   * @returns {Promise<Array<{id: string, channel: string, to: string, from: string, subject: string|null, body: string, receivedAt: string}>>} - Messages
+   */
+  async list({ to, channel, since } = {}) {
+    const params = { to, channel, since: since instanceof Date ? since.toISOString() : since };
+    const response = await this.client.get('/messages', { params });
+    return response.data.messages;
+  }
+
+  /**
+   * Wait until a matching message arrives
+   * @param {object} criteria - What to wait for
+   * @param {string} criteria.to - Recipient
+   * @param {string|RegExp} [criteria.subject] - Subject (or push title) substring or pattern
+   * @param {string|RegExp} [criteria.body] - Body substring or pattern
+   * @param {'email'|'sms'|'push'} [criteria.channel] - Delivery channel
+   * @param {Date|string} [criteria.since] - Ignore messages received before this time
+   * @param {number} [criteria.timeout=10000] - Give up after this many milliseconds
+   * @returns {Promise<object>} - The first matching message
+   */
+  async waitForMessage({ to, subject, body, channel, since, timeout = 10000 }) {
+    const started = Date.now();
+    for (;;) {
+      const messages = await this.list({ to, channel, since });
+      const match = messages.find(message => fieldMatches(message.subject, subject) && fieldMatches(message.body, body));
+      if (match) {
+        logger.info(`Received ${match.channel} notification for ${to} after ${Date.now() - started}ms: ${match.subject || match.body}`);
+        return match;
+      }
+
+      if (Date.now() - started >= timeout) {
+        const received = messages.map(message => `  [${message.channel}] ${message.subject || message.body}`).join('\n') || '  (none)';
+        throw new Error(`No ${channel ? `${channel} ` : ''}notification for ${to} matching ${subject || body || 'anything'} within ${timeout}ms. Received:\n${received}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Delete captured messages
+   * @param {string} [to] - Only this recipient's messages
+   */
+  async clear(to) {
+    await this.client.delete('/messages', { params: { to } });
+  }
+}
+
+module.exports = NotificationInbox;
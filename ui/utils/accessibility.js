@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Accessibility baseline handling for BasePage.auditAccessibility().
+ *
+ * The baseline file lists known violations that must not fail the build:
+ * `{ "suppressions": [{ "rule": "color-contrast", "target": "footer a", "page": "HomePage", "path": "/", "reason": "..." }] }`
+ * Only `rule` is required - leaving out target, page or path suppresses the rule more broadly.
+ */
+
+const BASELINE_FILE = process.env.A11Y_BASELINE_FILE || path.join(__dirname, '..', 'config', 'accessibilityBaseline.json');
+
+// axe-core tags checked for each WCAG conformance level
+const LEVEL_TAGS = {
+  A: ['wcag2a', 'wcag21a'],
+  AA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
+  AAA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa', 'wcag22aa', 'wcag2aaa']
+};
+
+/**
+ * Get the axe-core tags for a WCAG level
+ * @param {'A'|'AA'|'AAA'} level - Conformance level
+ * @returns {string[]} - axe-core tags
+ */
+const levelTags = (level) => {
+  const tags = LEVEL_TAGS[String(level).toUpperCase()];
+  if (!tags) {
+    throw new Error(`Unknown WCAG level "${level}". Expected one of: ${Object.keys(LEVEL_TAGS).join(', ')}`);
+  }
+  return tags;
+};
+
+/**
+ * Read the committed baseline
+ * @returns {Array<{rule: string, target?: string, page?: string, path?: string, reason?: string}>} - Suppressions
+ */
+const loadSuppressions = () => {
+  if (!fs.existsSync(BASELINE_FILE)) return [];
+  return JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8')).suppressions || [];
+};
+
+/**
+ * Flatten axe violations into one finding per affected node
+ * @param {object[]} violations - axe-core `violations`
+ * @param {{page: string, path: string}} location - Page object name and URL path that was audited
+ * @returns {Array<{rule: string, impact: string, target: string, page: string, path: string, help: string, helpUrl: string}>} - Findings
+ */
+const flattenViolations = (violations, location) => violations.flatMap(violation => violation.nodes.map(node => ({
+  rule: violation.id,
+  impact: node.impact || violation.impact,
+  target: node.target.join(' '),
+  ...location,
+  help: violation.help,
+  helpUrl: violation.helpUrl
+})));
+
+/**
+ * Check whether a suppression covers a finding
+ * @param {object} suppression - Baseline entry
+ * @param {object} finding - Flattened violation
+ * @returns {boolean} - True if the finding is suppressed
+ */
+const isSuppressed = (suppression, finding) => suppression.rule === finding.rule
+  && (suppression.target === undefined || suppression.target === finding.target)
+  && (suppression.page === undefined || suppression.page === finding.page)
+  && (suppression.path === undefined || suppression.path === finding.path);
+
+/**
+ * Split findings into new ones and ones covered by the baseline
+ * @param {object[]} findings - Flattened violations
+ * @param {object[]} suppressions - Baseline entries
+ * @returns {{newViolations: object[], suppressed: object[]}} - Partitioned findings
+ */
+const partitionFindings = (findings, suppressions) => ({
+  newViolations: findings.filter(finding => !suppressions.some(suppression => isSuppressed(suppression, finding))),
+  suppressed: findings.filter(finding => suppressions.some(suppression => isSuppressed(suppression, finding)))
+});
+
+/**
+ * Add findings to the baseline file (A11Y_UPDATE_BASELINE=true)
+ * @param {object[]} findings - Findings to suppress from now on
+ */
+const addToBaseline = (findings) => {
+  const suppressions = loadSuppressions();
+  for (const { rule, target, page, path: pagePath } of findings) {
+    if (!suppressions.some(suppression => isSuppressed(suppression, { rule, target, page, path: pagePath }))) {
+      suppressions.push({ rule, target, page, path: pagePath, reason: 'Baselined - fix and remove this entry' });
+    }
+  }
+  fs.writeFileSync(BASELINE_FILE, JSON.stringify({ suppressions }, null, 2) + '\n');
+};
+
+/**
+ * Describe a finding for assertion messages
+ * @param {object} finding - Flattened violation
+ * @returns {string} - e.g. "image-alt (critical) at img.hero - Images must have alternate text"
+ */
+const formatFinding = (finding) => `${finding.rule} (${finding.impact}) at ${finding.target} - ${finding.help}`;
+
+module.exports = {
+  addToBaseline,
+  flattenViolations,
+  formatFinding,
+  levelTags,
+  loadSuppressions,
+  partitionFindings
+};
@@ -0,0 +1,128 @@
+const { expect: baseExpect } = require('@playwright/test');
+const { expiresWithin, isLuhnValid, maskCardNumber, normalizeCardNumber, parseExpiry } = require('./cardUtils');
+
+/**
+ * Retrying check that a locator contains (or, negated, doesn't contain) some text
+ * @param {import('@playwright/test').Locator} locator - Locator under test
+ * @param {string} text - Expected text
+ * @param {boolean} isNot - Negate the assertion
+ * @param {{timeout?: number}} options - Assertion options
+ */
+const assertContainsText = async (locator, text, isNot, options) => {
+  if (isNot) {
+    await baseExpect(locator).not.toContainText(text, options);
+  } else {
+    await baseExpect(locator).toContainText(text, options);
+  }
+};
+
+/**
+ * Check that a locator shows some text and turn the outcome into a custom matcher result
+ * @param {object} context - Matcher `this`
+ * @param {string} name - Matcher name
+ * @param {import('@playwright/test').Locator} locator - Locator under test
+ * @param {string} expected - Expected text
+ * @param {{timeout?: number}} options - Assertion options
+ * @param {Function} [extraCheck] - Further check on the locator text, returns a problem description or null
+ * @returns {Promise<object>} - Matcher result
+ */
+const locatorMatcher = async (context, name, locator, expected, options, extraCheck) => {
+  let pass;
+  let actual;
+  let problem = null;
+  try {
+    await assertContainsText(locator, expected, context.isNot, options);
+    pass = true;
+    if (!context.isNot && extraCheck) {
+      actual = await locator.innerText();
+      problem = extraCheck(actual);
+      pass = problem === null;
+    }
+  } catch (error) {
+    pass = false;
+    actual = error.matcherResult ? error.matcherResult.actual : undefined;
+  }
+  if (context.isNot) pass = !pass;
+
+  const message = () => context.utils.matcherHint(name, undefined, undefined, { isNot: context.isNot })
+    + '\n\n'
+    + `Locator: ${locator}\n`
+    + `Expected: ${context.isNot ? 'not ' : ''}${context.utils.printExpected(expected)}\n`
+    + (actual !== undefined ? `Received: ${context.utils.printReceived(actual)}\n` : '')
+    + (problem ? `Problem: ${problem}` : '');
+
+  return { pass, message, name, expected, actual };
+};
+
+/**
+ * Playwright `expect` with card assertions:
+ * - `await expect(locator).toShowMaskedCard(card)` - shows "•••• 1111" and never the full number
+ * - `await expect(locator).toShowCardExpiry(card)` - shows the card's MM/YY expiry
+ * - `expect(number).toBeLuhnValid()`
+ * - `expect(card).toExpireWithin(days, { now })` - card or MM/YY expiry that is valid but expires within `days`
+ */
+const expect = baseExpect.extend({
+  /**
+   * @param {import('@playwright/test').Locator} locator - Element showing the card
+   * @param {object|string} card - Card with `number` or `lastDigits`, or a card number
+   * @param {{timeout?: number}} [options] - Assertion options
+   * @returns {Promise<object>} - Matcher result
+   */
+  async toShowMaskedCard(locator, card, options = {}) {
+    const masked = maskCardNumber(card);
+    const fullNumber = typeof card === 'object' ? card.number : card;
+
+    return locatorMatcher(this, 'toShowMaskedCard', locator, masked, options,
+      text => (fullNumber && normalizeCardNumber(text).includes(normalizeCardNumber(fullNumber))
+        ? 'the full card number is visible'
+        : null));
+  },
+
+  /**
+   * @param {import('@playwright/test').Locator} locator - Element showing the card
+   * @param {object|string} card - Card with `expiryDate`, or an expiry string
+   * @param {{timeout?: number}} [options] - Assertion options
+   * @returns {Promise<object>} - Matcher result
+   */
+  async toShowCardExpiry(locator, card, options = {}) {
+    const { month, year } = parseExpiry(typeof card === 'object' ? card.expiryDate : card);
+    const expected = `${String(month).padStart(2, '0')}/${String(year).slice(-2)}`;
+
+    return locatorMatcher(this, 'toShowCardExpiry', locator, expected, options);
+  },
+
+  /**
+   * @param {string|number} received - Card number
+   * @returns {object} - Matcher result
+   */
+  toBeLuhnValid(received) {
+    const pass = isLuhnValid(received);
+    return {
+      pass,
+      name: 'toBeLuhnValid',
+      message: () => `${this.utils.matcherHint('toBeLuhnValid', undefined, '', { isNot: this.isNot })}\n\n`
+        + `Expected ${this.utils.printReceived(received)} ${pass ? 'not ' : ''}to be a Luhn-valid card number`
+    };
+  },
+
+  /**
+   * @param {object|string} received - Card with `expiryDate`, or an expiry string
+   * @param {number} days - Window in days
+   * @param {{now?: Date}} [options] - Reference date
+   * @returns {object} - Matcher result
+   */
+  toExpireWithin(received, days, { now = new Date() } = {}) {
+    const expiry = typeof received === 'object' ? received.expiryDate : received;
+    const pass = expiresWithin(expiry, days, now);
+    return {
+      pass,
+      name: 'toExpireWithin',
+      message: () => `${this.utils.matcherHint('toExpireWithin', undefined, 'days', { isNot: this.isNot })}\n\n`
+        + `Expected card expiring ${this.utils.printReceived(expiry)} ${pass ? 'not ' : ''}to expire within ${days} days of ${now.toISOString().slice(0, 10)}`
+    };
+  }
+});
+
+module.exports = {
+  expect
+};
@@ -0,0 +1,148 @@
+/**
+ * Credit card helpers: Luhn checks, network detection, expiry logic and masked display.
+ */
+
+const MASK = '••••';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * BIN ranges per network. Each range is [first, last] prefix of equal length.
+ */
+const CARD_NETWORKS = {
+  visa: { type: 'Visa', ranges: [['4', '4']], lengths: [13, 16, 19] },
+  mastercard: { type: 'Mastercard', ranges: [['51', '55'], ['2221', '2720']], lengths: [16] },
+  amex: { type: 'Amex', ranges: [['34', '34'], ['37', '37']], lengths: [15] },
+  discover: { type: 'Discover', ranges: [['6011', '6011'], ['644', '649'], ['65', '65']], lengths: [16, 19] },
+  jcb: { type: 'JCB', ranges: [['3528', '3589']], lengths: [16, 19] }
+};
+
+/**
+ * Strip spaces and dashes from a card number
+ * @param {string|number} number - Card number as typed or displayed
+ * @returns {string} - Digits only
+ */
+const normalizeCardNumber = (number) => String(number).replace(/[\s-]/g, '');
+
+/**
+ * Compute the Luhn check digit for a partial card number
+ * @param {string} partial - Card number without its check digit
+ * @returns {string} - Check digit
+ */
+const luhnCheckDigit = (partial) => {
+  let sum = 0;
+  for (let i = 0; i < partial.length; i++) {
+    // Double every second digit counting from the right of the full number
+    let digit = Number(partial[partial.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Check a card number with the Luhn algorithm
+ * @param {string|number} number - Card number (spaces and dashes allowed)
+ * @returns {boolean} - True if the number has a valid checksum
+ */
+const isLuhnValid = (number) => {
+  const digits = normalizeCardNumber(number);
+  if (!/^\d{12,19}$/.test(digits)) return false;
+  return luhnCheckDigit(digits.slice(0, -1)) === digits.slice(-1);
+};
+
+/**
+ * Detect the card network from the number's BIN
+ * @param {string|number} number - Card number, or at least its first digits
+ * @returns {string|null} - Network key (visa, mastercard, amex, discover, jcb) or null
+ */
+const detectNetwork = (number) => {
+  const digits = normalizeCardNumber(number);
+  const match = Object.entries(CARD_NETWORKS).find(([, { ranges }]) => ranges.some(([first, last]) => {
+    const prefix = digits.slice(0, first.length);
+    return prefix.length === first.length && Number(prefix) >= Number(first) && Number(prefix) <= Number(last);
+  }));
+  return match ? match[0] : null;
+};
+
+/**
+ * Get the display name of the network a card number belongs to
+ * @param {string|number} number - Card number
+ * @returns {string|null} - e.g. "Visa", or null if unknown
+ */
+const networkType = (number) => {
+  const network = detectNetwork(number);
+  return network ? CARD_NETWORKS[network].type : null;
+};
+
+/**
+ * Parse an expiry date. Cards are valid through the last day of their expiry month.
+ * @param {string} expiry - MM/YY, MM/YYYY or MM-YY
+ * @returns {{month: number, year: number, expiresAt: Date}} - Parsed expiry; expiresAt is the last moment the card is valid
+ */
+const parseExpiry = (expiry) => {
+  const match = /^\s*(\d{1,2})\s*[/-]\s*(\d{2}|\d{4})\s*$/.exec(String(expiry));
+  const month = match ? Number(match[1]) : NaN;
+  if (!match || month < 1 || month > 12) {
+    throw new Error(`Invalid card expiry "${expiry}" - expected MM/YY or MM/YYYY`);
+  }
+
+  const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+  return { month, year, expiresAt: new Date(new Date(year, month, 1).getTime() - 1) };
+};
+
+/**
+ * Check whether a card has expired
+ * @param {string} expiry - Expiry date
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {boolean} - True once the expiry month is over
+ */
+const isExpired = (expiry, now = new Date()) => parseExpiry(expiry).expiresAt < now;
+
+/**
+ * Count the whole days left before a card expires
+ * @param {string} expiry - Expiry date
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {number} - Days left (negative once expired, 0 on the last valid day)
+ */
+const daysUntilExpiry = (expiry, now = new Date()) => Math.floor((parseExpiry(expiry).expiresAt - now) / DAY_MS);
+
+/**
+ * Check whether a card is still valid but expires within a number of days
+ * @param {string} expiry - Expiry date
+ * @param {number} days - Window in days
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {boolean} - True if the card expires within the window
+ */
+const expiresWithin = (expiry, days, now = new Date()) => !isExpired(expiry, now) && daysUntilExpiry(expiry, now) <= days;
+
+/**
+ * Render a card the way the dashboard shows it, e.g. "•••• 1111"
+ * @param {string|object} card - Card number, or a card with `number` or `lastDigits`
+ * @returns {string} - Masked card
+ */
+const maskCardNumber = (card) => {
+  const source = typeof card === 'object' ? card.number || card.lastDigits : card;
+  const digits = normalizeCardNumber(source || '');
+  if (!/^\d{4,19}$/.test(digits)) {
+    throw new Error('Cannot mask a card without at least its last four digits');
+  }
+  return `${MASK} ${digits.slice(-4)}`;
+};
+
+module.exports = {
+  CARD_NETWORKS,
+  daysUntilExpiry,
+  detectNetwork,
+  expiresWithin,
+  isExpired,
+  isLuhnValid,
+  luhnCheckDigit,
+  maskCardNumber,
+  networkType,
+  normalizeCardNumber,
+  parseExpiry
+};
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Link crawler: follows same-origin links from start pages, records the HTTP status and redirects of every page it loads,
+ * and checks that each #fragment points at an element id (or <a name>) on its target page.
+ * Settings come from ui/config/linkCrawler.js.
+ */
+
+const LINK_REPORT_DIR = process.env.LINK_REPORT_DIR || path.join(__dirname, '..', 'reports', 'link-crawler');
+
+// Fragments that scroll to the top of any page without a matching element (HTML spec)
+const TOP_FRAGMENTS = ['', 'top'];
+
+/**
+ * Runs in the browser: read the links and anchor targets of the current document.
+ * Must be self-contained, Playwright serializes it into the page.
+ * @returns {{links: Array<{href: string, url: string, text: string}>, ids: string[]}} - Links with resolved URLs, and element ids and anchor names
+ */
+const readLinksInPage = () => {
+  /* eslint-disable no-undef */
+  return {
+    links: Array.from(document.querySelectorAll('a[href]'), anchor => ({
+      href: anchor.getAttribute('href'),
+      url: anchor.href,
+      text: (anchor.textContent.trim() || anchor.getAttribute('aria-label') || (anchor.querySelector('img') || {}).alt || '')
+        .replace(/\s+/g, ' ')
+        .slice(0, 100)
+    })),
+    ids: [
+      ...Array.from(document.querySelectorAll('[id]'), element => element.id),
+      ...Array.from(document.querySelectorAll('a[name]'), anchor => anchor.getAttribute('name'))
+    ]
+  };
+  /* eslint-enable no-undef */
+};
+
+/**
+ * Build a page loader that opens each URL in a Playwright page
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Function} - loadPage(url): resolves with {status, finalUrl, redirects, links, ids}
+ */
+const browserPageLoader = (page) => async (url) => {
+  let response;
+  try {
+    response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+  } catch (error) {
+    // Files the browser downloads instead of showing: only their status matters
+    if (!error.message.includes('Download is starting')) throw error;
+    const download = await page.request.get(url);
+    return { status: download.status(), finalUrl: download.url(), redirects: [], links: [], ids: [] };
+  }
+  if (!response) {
+    return { status: null, finalUrl: page.url(), redirects: [], links: [], ids: [], error: 'No response' };
+  }
+
+  const redirects = [];
+  for (let request = response.request().redirectedFrom(); request; request = request.redirectedFrom()) {
+    const redirect = await request.response();
+    redirects.unshift({ url: request.url(), status: redirect ? redirect.status() : null });
+  }
+
+  const isHtml = (response.headers()['content-type'] || '').includes('html');
+  const { links, ids } = isHtml ? await page.evaluate(readLinksInPage) : { links: [], ids: [] };
+  return { status: response.status(), finalUrl: response.url(), redirects, links, ids };
+};
+
+/**
+ * URL of the document a link loads: without its fragment
+ * @param {string} url - Absolute URL
+ * @returns {string} - URL without fragment
+ */
+const documentUrl = (url) => {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+};
+
+/**
+ * Fragment of a URL, decoded
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - Fragment without "#", null when the URL has none
+ */
+const fragmentOf = (url) => {
+  if (!url.includes('#')) return null;
+  const { hash } = new URL(url);
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch (error) {
+    return hash.slice(1);
+  }
+};
+
+/**
+ * Crawl from start pages, breadth first
+ * @param {object} options - Crawl options
+ * @param {string[]} options.startUrls - Pages to start from; their origins are the ones followed
+ * @param {Function} options.loadPage - Resolves a URL to {status, finalUrl, redirects, links, ids}, e.g. browserPageLoader(page)
+ * @param {number} [options.maxDepth=2] - Most clicks from a start page to a loaded page; links on the deepest pages aren't read
+ * @param {number} [options.maxPages=100] - Most pages loaded
+ * @param {RegExp[]} [options.ignore] - URLs that are neither loaded nor followed
+ * @returns {Promise<{startUrls: string[], maxDepth: number, pages: object[], links: object[], unchecked: string[]}>} - Crawl result
+ */
+const crawlLinks = async ({ startUrls, loadPage, maxDepth = 2, maxPages = 100, ignore = [] }) => {
+  const origins = new Set(startUrls.map(url => new URL(url).origin));
+  const queue = [...new Set(startUrls.map(documentUrl))].map(url => ({ url, depth: 0 }));
+  const queued = new Set(queue.map(entry => entry.url));
+  const pages = [];
+  const links = [];
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+    let result;
+    try {
+      result = await loadPage(url);
+    } catch (error) {
+      result = { status: null, finalUrl: url, redirects: [], links: [], ids: [], error: error.message.split('\n')[0] };
+    }
+
+    const { status, finalUrl = url, redirects = [], ids = [], error = null } = result;
+    pages.push({ url, depth, status, finalUrl, redirects, ids, error });
+
+    // Pages that failed or redirected off the crawled origins are checked, not explored
+    if (depth >= maxDepth || error || status === null || status >= 400 || !origins.has(new URL(finalUrl).origin)) continue;
+
+    for (const link of result.links) {
+      const { protocol, origin } = new URL(link.url);
+      if (protocol !== 'http:' && protocol !== 'https:') continue;
+
+      const target = documentUrl(link.url);
+      const internal = origins.has(origin);
+      const ignored = ignore.some(pattern => pattern.test(link.url));
+      links.push({ from: url, href: link.href, text: link.text, url: link.url, target, fragment: fragmentOf(link.url), internal, ignored });
+
+      if (internal && !ignored && !queued.has(target)) {
+        queued.add(target);
+        queue.push({ url: target, depth: depth + 1 });
+      }
+    }
+  }
+
+  return { startUrls, maxDepth, pages, links, unchecked: queue.map(entry => entry.url) };
+};
+
+/**
+ * Turn a crawl into a broken-link report.
+ * Broken: pages that answered 4xx/5xx or didn't load, and internal #fragments without a matching id on their page.
+ * @param {object} crawl - Result of crawlLinks()
+ * @returns {object} - Report with summary, pages, brokenLinks, danglingAnchors and passed
+ */
+const buildLinkReport = (crawl) => {
+  const pagesByUrl = new Map(crawl.pages.map(page => [page.url, page]));
+  const referrers = (url) => crawl.links
+    .filter(link => link.target === url)
+    .map(({ from, href, text }) => ({ from, href, text }));
+
+  const brokenLinks = crawl.pages
+    .filter(page => page.error || page.status === null || page.status >= 400)
+    .map(({ url, status, redirects, error }) => ({ url, status, redirects, error, referrers: referrers(url) }));
+
+  const checked = new Set();
+  const danglingAnchors = [];
+  let anchorsChecked = 0;
+  for (const link of crawl.links) {
+    const page = pagesByUrl.get(link.target);
+    const key = `${link.from} ${link.url}`;
+    if (!link.internal || link.ignored || link.fragment === null || !page || checked.has(key)) continue;
+    // Broken pages are already reported above
+    if (page.error || page.status === null || page.status >= 400) continue;
+    checked.add(key);
+    anchorsChecked += 1;
+    if (!TOP_FRAGMENTS.includes(link.fragment) && !page.ids.includes(link.fragment)) {
+      danglingAnchors.push({ url: link.url, fragment: link.fragment, page: link.target, from: link.from, href: link.href, text: link.text });
+    }
+  }
+
+  const pages = crawl.pages.map(({ url, depth, status, finalUrl, redirects, error }) => ({ url, depth, status, finalUrl, redirects, error }));
+  return {
+    generatedAt: new Date().toISOString(),
+    startUrls: crawl.startUrls,
+    maxDepth: crawl.maxDepth,
+    summary: {
+      pages: pages.length,
+      redirected: pages.filter(page => page.redirects.length > 0).length,
+      links: crawl.links.length,
+      externalLinks: crawl.links.filter(link => !link.internal).length,
+      anchorsChecked,
+      brokenLinks: brokenLinks.length,
+      danglingAnchors: danglingAnchors.length,
+      unchecked: crawl.unchecked.length
+    },
+    pages,
+    brokenLinks,
+    danglingAnchors,
+    unchecked: crawl.unchecked,
+    passed: brokenLinks.length === 0 && danglingAnchors.length === 0
+  };
+};
+
+/**
+ * Describe what's broken, one line per problem, e.g. "404 http://localhost:4100/gone (linked from http://localhost:4100/ "Gone")"
+ * @param {object} report - Report from buildLinkReport()
+ * @returns {string} - Description
+ */
+const describeBrokenLinks = (report) => {
+  const linkedFrom = (from, text) => `linked from ${from}${text ? ` "${text}"` : ''}`;
+  return [
+    ...report.brokenLinks.map(({ url, status, error, referrers }) => `${status === null ? error : status} ${url}`
+      + (referrers.length > 0 ? ` (${referrers.map(({ from, text }) => linkedFrom(from, text)).join('; ')})` : ' (start page)')),
+    ...report.danglingAnchors.map(({ url, from, text }) => `dangling anchor ${url} (${linkedFrom(from, text)})`)
+  ].join('\n');
+};
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to print
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Render the link report as a standalone HTML page
+ * @param {object} report - Report from buildLinkReport()
+ * @returns {string} - HTML document
+ */
+const renderHtml = (report) => {
+  const { summary } = report;
+  const brokenRows = report.brokenLinks.map(({ url, status, error, referrers }) => `
+      <tr style="background: #f8d7da">
+        <td>${escapeHtml(url)}</td>
+        <td>${escapeHtml(status === null ? error : status)}</td>
+        <td>${referrers.map(({ from, text }) => `${escapeHtml(from)} "${escapeHtml(text)}"`).join('<br>') || 'start page'}</td>
+      </tr>`).join('');
+  const anchorRows = report.danglingAnchors.map(({ url, from, text }) => `
+      <tr style="background: #fff3cd">
+        <td>${escapeHtml(url)}</td>
+        <td>${escapeHtml(from)} "${escapeHtml(text)}"</td>
+      </tr>`).join('');
+  const pageRows = report.pages.map(({ url, depth, status, redirects, error }) => `
+      <tr${error || status === null || status >= 400 ? ' style="background: #f8d7da"' : ''}>
+        <td>${escapeHtml(url)}</td>
+        <td>${depth}</td>
+        <td>${escapeHtml(status === null ? error : status)}</td>
+        <td>${redirects.map(redirect => `${redirect.status} ${escapeHtml(redirect.url)}`).join(' &rarr; ')}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Broken Link Report</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>Broken Link Report</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)} from ${report.startUrls.map(escapeHtml).join(', ')}, depth ${report.maxDepth}.</p>
+  <p>
+    ${summary.pages} pages (${summary.redirected} redirected), ${summary.links} links (${summary.externalLinks} external, not followed), ${summary.anchorsChecked} anchors checked.
+    <strong>${summary.brokenLinks} broken links, ${summary.danglingAnchors} dangling anchors.</strong>
+    ${summary.unchecked > 0 ? `${summary.unchecked} pages left unchecked after the page limit.` : ''}
+  </p>
+  <h2>Broken links</h2>
+  <table>
+    <thead><tr><th>URL</th><th>Status</th><th>Linked from</th></tr></thead>
+    <tbody>${brokenRows}
+    </tbody>
+  </table>
+  <h2>Dangling anchors</h2>
+  <table>
+    <thead><tr><th>Link</th><th>Linked from</th></tr></thead>
+    <tbody>${anchorRows}
+    </tbody>
+  </table>
+  <h2>Pages</h2>
+  <table>
+    <thead><tr><th>URL</th><th>Depth</th><th>Status</th><th>Redirects</th></tr></thead>
+    <tbody>${pageRows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+};
+
+/**
+ * Write the report as <name>.json and <name>.html
+ * @param {object} report - Report from buildLinkReport()
+ * @param {string} [name="link-report"] - File name without extension, e.g. per Playwright project
+ * @param {string} [dir] - Report directory (defaults to LINK_REPORT_DIR)
+ * @returns {{jsonPath: string, htmlPath: string}} - Written files
+ */
+const writeLinkReport = (report, name = 'link-report', dir = LINK_REPORT_DIR) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const jsonPath = path.join(dir, `${name}.json`);
+  const htmlPath = path.join(dir, `${name}.html`);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlPath, renderHtml(report));
+  return { jsonPath, htmlPath };
+};
+
+module.exports = {
+  LINK_REPORT_DIR,
+  browserPageLoader,
+  buildLinkReport,
+  crawlLinks,
+  describeBrokenLinks,
+  renderHtml,
+  writeLinkReport
+};
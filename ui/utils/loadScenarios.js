@@ -0,0 +1,109 @@
+const http = require('http');
+const { randomUUID } = require('crypto');
+const axios = require('axios');
+const { createSignatureHeaders } = require('../webhooks/signature');
+
+/**
+ * Virtual-user scenarios for the load generator (ui/utils/loadTest.js), keyed by the name load profiles weigh them by.
+ * `target` names the local service a scenario talks to: `webhook` (ui/webhooks/server.js) or `platform` (the mock platform).
+ *
+ * run() gets the runner's context: {http, targets, secret, vu, iteration, measure}. measure(label, send, expectedStatus)
+ * times one request and resolves with its response, or null when it failed or had another status.
+ */
+
+/**
+ * HTTP client for virtual users: keeps connections alive and resolves whatever the status
+ * @param {object} [options] - Client options
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @param {number} [options.maxSockets=256] - Open connections per target
+ * @returns {import('axios').AxiosInstance} - Client
+ */
+const createHttpClient = ({ timeout = 10000, maxSockets = 256 } = {}) => axios.create({
+  timeout,
+  httpAgent: new http.Agent({ keepAlive: true, maxSockets }),
+  // Statuses are checked by measure(), not thrown
+  validateStatus: () => true
+});
+
+/**
+ * POST a signed JSON body to the webhook server
+ * @param {object} context - Scenario context
+ * @param {string} label - Request label for the report
+ * @param {string} url - Path on the webhook server
+ * @param {object} payload - Request body
+ * @param {number} expectedStatus - Status that counts as success
+ * @returns {Promise<import('axios').AxiosResponse|null>} - Response, null on failure
+ */
+const postSigned = ({ http: client, targets, secret, measure }, label, url, payload, expectedStatus) => {
+  const body = JSON.stringify(payload);
+  const headers = { 'content-type': 'application/json', ...createSignatureHeaders(body, secret) };
+  return measure(label, () => client.post(`${targets.webhook}${url}`, body, { headers }), expectedStatus);
+};
+
+/**
+ * Test-results payload like WebhookReporter sends, under a run ID of its own
+ * @param {number} vu - VU number
+ * @param {number} iteration - Iteration number
+ * @returns {object} - Webhook body
+ */
+const resultsPayload = (vu, iteration) => ({
+  buildId: `load-${vu}`,
+  runId: `load-${randomUUID()}`,
+  branch: 'load-test',
+  commit: `load${iteration}`,
+  // Green runs, so notification channels configured for failures stay quiet
+  testResults: {
+    summary: { total: 3, passed: 3, failed: 0, skipped: 0 },
+    tests: [
+      { title: 'home page loads', status: 'passed', duration: 1200 },
+      { title: 'platform login options', status: 'passed', duration: 2300 },
+      { title: 'dashboard lists cards', status: 'passed', duration: 3100 }
+    ]
+  }
+});
+
+const SCENARIOS = {
+  // Signed delivery of a run's results, stored in the run history
+  testResults: {
+    target: 'webhook',
+    run: (context) => postSigned(context, 'POST /webhook/test-results', '/webhook/test-results', resultsPayload(context.vu, context.iteration), 200)
+  },
+
+  // Signed CI trigger, then the job's status and its cancellation, so no run is left queued.
+  // inProcessOnly: only safe against a job runner that never starts runs, like the one ui/scripts/loadTest.js starts
+  ciTrigger: {
+    target: 'webhook',
+    inProcessOnly: true,
+    run: async (context) => {
+      const { http: client, targets, measure, iteration } = context;
+      const triggered = await postSigned(context, 'POST /webhook/ci-trigger', '/webhook/ci-trigger', {
+        repository: 'angelcardus',
+        branch: 'load-test',
+        commit: `load${iteration}`,
+        action: { type: 'test', project: 'unit', grep: '@load' }
+      }, 202);
+      if (!triggered) return;
+
+      const { jobId } = triggered.data;
+      await measure('GET /jobs/:id', () => client.get(`${targets.webhook}/jobs/${jobId}`), 200);
+      await postSigned(context, 'POST /jobs/:id/cancel', `/jobs/${jobId}/cancel`, {}, 200);
+    }
+  },
+
+  // Webhook server health check
+  webhookHealth: {
+    target: 'webhook',
+    run: ({ http: client, targets, measure }) => measure('GET webhook /health', () => client.get(`${targets.webhook}/health`), 200)
+  },
+
+  // Mock platform health check
+  platformHealth: {
+    target: 'platform',
+    run: ({ http: client, targets, measure }) => measure('GET platform /health', () => client.get(`${targets.platform}/health`), 200)
+  }
+};
+
+module.exports = {
+  SCENARIOS,
+  createHttpClient
+};
@@ -0,0 +1,584 @@
+const fs = require('fs');
+const path = require('path');
+const { setImmediate: yieldToEventLoop } = require('timers/promises');
+
+/**
+ * Load generator behind `npm run load:test`: runs virtual users (VUs) through weighted scenarios
+ * (ui/utils/loadScenarios.js) on the schedule of a load profile (ui/config/loadProfiles.js),
+ * times every request and reports latency percentiles and error rates against the profile's thresholds.
+ */
+
+const LOAD_REPORT_DIR = process.env.LOAD_REPORT_DIR || path.join(__dirname, '..', 'reports', 'load');
+
+// A load test never leaves this machine
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Metrics a threshold can limit: latencies in milliseconds, errorRate as a fraction of requests
+const THRESHOLD_METRICS = ['mean', 'p50', 'p90', 'p95', 'p99', 'max', 'errorRate'];
+
+// Iteration-count profiles stop after this long even with iterations left
+const DEFAULT_MAX_DURATION = '10m';
+
+// How often the scheduler moves the number of running VUs towards the profile's
+const TICK_MS = 100;
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+/**
+ * Parse a duration
+ * @param {string|number} value - e.g. "500ms", "30s", "5m", "1h", or milliseconds
+ * @returns {number} - Milliseconds
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number' && value >= 0) return value;
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" - use e.g. "500ms", "30s", "5m" or "1h"`);
+  }
+  return Math.round(Number(match[1]) * DURATION_UNITS[match[2]]);
+};
+
+/**
+ * Refuse targets that aren't on this machine
+ * @param {string} url - Target URL
+ * @returns {string} - The URL
+ */
+const assertLocalTarget = (url) => {
+  const { hostname } = new URL(url);
+  if (!LOCAL_HOSTS.includes(hostname)) {
+    throw new Error(`Load tests only run against local targets (${LOCAL_HOSTS.join(', ')}), not ${url}`);
+  }
+  return url;
+};
+
+/**
+ * Check a VU or iteration count
+ * @param {*} value - Value from the profile
+ * @param {string} name - Field name for the error
+ * @param {number} [min=0] - Smallest accepted value
+ * @returns {number} - The count
+ */
+const count = (value, name, min = 0) => {
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be a whole number of at least ${min}, got ${JSON.stringify(value)}`);
+  }
+  return value;
+};
+
+/**
+ * Turn a profile's schedule into a plan the runner follows.
+ * Every plan is a list of stages moving linearly from startVus; iteration-count plans also stop once their iterations ran.
+ * @param {object} profile - Profile, see ui/config/loadProfiles.js
+ * @param {number} [profile.vus] - VUs for iteration and duration profiles
+ * @param {number} [profile.iterations] - Iterations shared by the VUs
+ * @param {string|number} [profile.duration] - How long the VUs run
+ * @param {Array<{duration: string|number, vus: number}>} [profile.stages] - Ramp profile
+ * @param {string|number} [profile.maxDuration="10m"] - Time limit of iteration profiles
+ * @returns {{type: string, startVus: number, stages: Array<{durationMs: number, vus: number}>, durationMs: number, iterations: number|null, maxVus: number}} - Plan
+ */
+const normalizePlan = ({ vus, iterations, duration, stages, maxDuration = DEFAULT_MAX_DURATION }) => {
+  if (stages !== undefined) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new Error('stages must be a non-empty list of { duration, vus }');
+    }
+    const normalized = stages.map((stage, index) => ({
+      durationMs: parseDuration(stage.duration),
+      vus: count(stage.vus, `stages[${index}].vus`)
+    }));
+    return {
+      type: 'stages',
+      startVus: 0,
+      stages: normalized,
+      durationMs: normalized.reduce((total, stage) => total + stage.durationMs, 0),
+      iterations: null,
+      maxVus: Math.max(...normalized.map(stage => stage.vus))
+    };
+  }
+
+  const users = count(vus, 'vus', 1);
+  if (iterations !== undefined) {
+    const durationMs = parseDuration(maxDuration);
+    return { type: 'iterations', startVus: users, stages: [{ durationMs, vus: users }], durationMs, iterations: count(iterations, 'iterations', 1), maxVus: users };
+  }
+  if (duration !== undefined) {
+    const durationMs = parseDuration(duration);
+    return { type: 'duration', startVus: users, stages: [{ durationMs, vus: users }], durationMs, iterations: null, maxVus: users };
+  }
+  throw new Error('A load profile needs stages, or vus with iterations or duration');
+};
+
+/**
+ * Number of VUs a plan asks for at a point in time
+ * @param {object} plan - Plan from normalizePlan()
+ * @param {number} elapsedMs - Time since the start of the run
+ * @returns {number} - VUs, 0 once the plan is over
+ */
+const vusAt = (plan, elapsedMs) => {
+  let from = plan.startVus;
+  let stageStart = 0;
+  for (const stage of plan.stages) {
+    if (elapsedMs < stageStart + stage.durationMs) {
+      return Math.round(from + ((stage.vus - from) * (elapsedMs - stageStart)) / stage.durationMs);
+    }
+    from = stage.vus;
+    stageStart += stage.durationMs;
+  }
+  return 0;
+};
+
+/**
+ * Build a picker that chooses scenario names in proportion to their weights
+ * @param {Object<string, number>} weights - Weight per scenario name
+ * @param {Function} [random=Math.random] - Source of numbers in [0, 1)
+ * @returns {Function} - Returns a scenario name per call
+ */
+const weightedPicker = (weights, random = Math.random) => {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) {
+    throw new Error('At least one scenario needs a weight above 0');
+  }
+  return () => {
+    let roll = random() * total;
+    for (const [name, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return name;
+    }
+    return entries[entries.length - 1][0];
+  };
+};
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} - Value, null without values
+ */
+const percentile = (sorted, p) => (sorted.length === 0 ? null : sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)]);
+
+/**
+ * Empty request statistics
+ * @returns {{durations: number[], requests: number, errors: number, statuses: Object<string, number>, errorMessages: Object<string, number>}} - Bucket
+ */
+const createBucket = () => ({ durations: [], requests: 0, errors: 0, statuses: {}, errorMessages: {} });
+
+/**
+ * Add a request to statistics
+ * @param {object} bucket - Bucket from createBucket()
+ * @param {{durationMs: number|null, status: number|null, error: string|null}} sample - Request outcome
+ */
+const addSample = (bucket, { durationMs, status, error }) => {
+  bucket.requests += 1;
+  if (durationMs !== null) bucket.durations.push(durationMs);
+  const statusKey = status === null ? 'none' : String(status);
+  bucket.statuses[statusKey] = (bucket.statuses[statusKey] || 0) + 1;
+  if (error) {
+    bucket.errors += 1;
+    bucket.errorMessages[error] = (bucket.errorMessages[error] || 0) + 1;
+  }
+};
+
+/**
+ * Summarize request statistics
+ * @param {object} bucket - Bucket from createBucket()
+ * @param {number} durationMs - Length of the run, for the request rate
+ * @returns {{requests: number, errors: number, errorRate: number, rps: number, latency: Object<string, number|null>, statuses: object, errorMessages: object}} - Summary, latencies in milliseconds
+ */
+const summarizeBucket = (bucket, durationMs) => {
+  const sorted = [...bucket.durations].sort((a, b) => a - b);
+  const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+  const mean = sorted.length > 0 ? sorted.reduce((total, value) => total + value, 0) / sorted.length : null;
+  return {
+    requests: bucket.requests,
+    errors: bucket.errors,
+    errorRate: bucket.requests > 0 ? Math.round((bucket.errors / bucket.requests) * 10000) / 10000 : 0,
+    rps: durationMs > 0 ? round(bucket.requests / (durationMs / 1000)) : 0,
+    latency: {
+      min: round(sorted.length > 0 ? sorted[0] : null),
+      mean: round(mean),
+      p50: round(percentile(sorted, 50)),
+      p90: round(percentile(sorted, 90)),
+      p95: round(percentile(sorted, 95)),
+      p99: round(percentile(sorted, 99)),
+      max: round(sorted.length > 0 ? sorted[sorted.length - 1] : null)
+    },
+    statuses: bucket.statuses,
+    errorMessages: bucket.errorMessages
+  };
+};
+
+/**
+ * Run a load test
+ * @param {object} options - Run options
+ * @param {object} options.plan - Plan from normalizePlan()
+ * @param {Object<string, {run: Function}>} options.scenarios - Scenarios by name, see ui/utils/loadScenarios.js
+ * @param {Object<string, number>} options.weights - Weight per scenario name
+ * @param {object} [options.context] - Passed to every scenario run, next to vu, iteration and measure
+ * @param {AbortSignal} [options.signal] - Stops scheduling iterations; running ones finish
+ * @param {Function} [options.random=Math.random] - Source of numbers in [0, 1) for scenario picks
+ * @param {Function} [options.onProgress] - Called about once a second with {elapsedMs, vus, iterations, requests, errors}
+ * @returns {Promise<{startedAt: string, durationMs: number, iterations: number, peakVus: number, aborted: boolean, summary: object, timeline: object[]}>} - Result
+ */
+const runLoad = async ({ plan, scenarios, weights, context = {}, signal, random = Math.random, onProgress }) => {
+  for (const name of Object.keys(weights)) {
+    if (!scenarios[name]) {
+      throw new Error(`Unknown load scenario "${name}". Expected one of: ${Object.keys(scenarios).join(', ')}`);
+    }
+  }
+  const pick = weightedPicker(weights, random);
+
+  const all = createBucket();
+  const byScenario = Object.fromEntries(Object.keys(weights).map(name => [name, createBucket()]));
+  const byRequest = {};
+  const timeline = [];
+  const running = new Map();
+  const startedAt = Date.now();
+  let target = plan.startVus;
+  let iterations = 0;
+  let peakVus = 0;
+  let reportedSecond = 0;
+
+  /**
+   * Timeline entry of the second a moment falls in
+   * @param {number} time - Epoch milliseconds
+   * @returns {{second: number, requests: number, errors: number, vus: number}} - Entry
+   */
+  const slot = (time) => {
+    const second = Math.floor((time - startedAt) / 1000);
+    if (!timeline[second]) timeline[second] = { second, requests: 0, errors: 0, vus: 0 };
+    return timeline[second];
+  };
+
+  /**
+   * Record a request outcome
+   * @param {string} scenario - Scenario name
+   * @param {string} label - Request label, e.g. "POST /webhook/test-results"
+   * @param {object} sample - Outcome, see addSample()
+   */
+  const record = (scenario, label, sample) => {
+    addSample(all, sample);
+    addSample(byScenario[scenario], sample);
+    addSample(byRequest[label] || (byRequest[label] = createBucket()), sample);
+    const entry = slot(Date.now());
+    entry.requests += 1;
+    if (sample.error) entry.errors += 1;
+  };
+
+  /**
+   * Build the measure() function a scenario times its requests with
+   * @param {string} scenario - Scenario name
+   * @returns {Function} - measure(label, send, expectedStatus): resolves with the response when it had the expected status, null otherwise
+   */
+  const measureFor = (scenario) => async (label, send, expectedStatus) => {
+    const start = process.hrtime.bigint();
+    let response = null;
+    let error = null;
+    try {
+      response = await send();
+      if (expectedStatus !== undefined && response.status !== expectedStatus) {
+        error = `HTTP ${response.status}, expected ${expectedStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.code || requestError.message;
+    }
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    record(scenario, label, { durationMs, status: response ? response.status : null, error });
+    return error ? null : response;
+  };
+
+  const stopped = () => (signal && signal.aborted) || (plan.iterations !== null && iterations >= plan.iterations);
+
+  /**
+   * One VU: runs iterations while the plan has room for it
+   * @param {number} vu - VU number, from 0
+   */
+  const runVu = async (vu) => {
+    while (vu < target && !stopped()) {
+      const iteration = iterations;
+      iterations += 1;
+      const scenario = pick();
+      try {
+        await scenarios[scenario].run({ ...context, vu, iteration, measure: measureFor(scenario) });
+      } catch (error) {
+        record(scenario, `${scenario} (scenario error)`, { durationMs: null, status: null, error: error.message });
+      }
+      // Keeps the scheduler ticking when a scenario resolves without real I/O
+      await yieldToEventLoop();
+    }
+  };
+
+  await new Promise((resolve) => {
+    const tick = () => {
+      const elapsed = Date.now() - startedAt;
+      const over = elapsed >= plan.durationMs || stopped();
+      target = over ? 0 : vusAt(plan, elapsed);
+      for (let vu = 0; vu < target; vu++) {
+        if (!running.has(vu)) {
+          running.set(vu, runVu(vu).finally(() => running.delete(vu)));
+        }
+      }
+      peakVus = Math.max(peakVus, running.size);
+      const entry = slot(Date.now());
+      entry.vus = Math.max(entry.vus, running.size);
+      if (onProgress && entry.second > reportedSecond) {
+        reportedSecond = entry.second;
+        onProgress({ elapsedMs: elapsed, vus: running.size, iterations, requests: all.requests, errors: all.errors });
+      }
+
+      if (over && running.size === 0) {
+        clearInterval(timer);
+        resolve();
+      }
+    };
+    const timer = setInterval(tick, TICK_MS);
+    tick();
+  });
+
+  const durationMs = Date.now() - startedAt;
+  const summarize = (buckets) => Object.fromEntries(Object.entries(buckets).map(([name, bucket]) => [name, summarizeBucket(bucket, durationMs)]));
+  return {
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs,
+    iterations,
+    peakVus,
+    aborted: Boolean(signal && signal.aborted),
+    summary: {
+      all: summarizeBucket(all, durationMs),
+      scenarios: summarize(byScenario),
+      requests: summarize(byRequest)
+    },
+    // Seconds without a tick (a stalled event loop) still get an entry
+    timeline: Array.from(timeline, (entry, second) => entry || { second, requests: 0, errors: 0, vus: 0 })
+  };
+};
+
+/**
+ * Check that thresholds only name known scopes and metrics
+ * @param {Object<string, Object<string, number>>} thresholds - Limits per scope: "all" or a scenario name
+ * @param {string[]} scenarioNames - Scenarios of the profile
+ */
+const validateThresholds = (thresholds, scenarioNames) => {
+  for (const [scope, limits] of Object.entries(thresholds)) {
+    if (scope !== 'all' && !scenarioNames.includes(scope)) {
+      throw new Error(`Threshold for unknown scenario "${scope}". Expected "all" or one of: ${scenarioNames.join(', ')}`);
+    }
+    for (const [metric, limit] of Object.entries(limits)) {
+      if (!THRESHOLD_METRICS.includes(metric) || typeof limit !== 'number') {
+        throw new Error(`Invalid threshold ${scope}.${metric}: expected a number for one of ${THRESHOLD_METRICS.join(', ')}`);
+      }
+    }
+  }
+};
+
+/**
+ * Compare a run's summary with thresholds. Latencies of scenarios that sent no request never breach.
+ * @param {object} summary - Summary from runLoad()
+ * @param {Object<string, Object<string, number>>} [thresholds] - Maximum per scope and metric
+ * @returns {Array<{scope: string, metric: string, value: number|null, limit: number, passed: boolean}>} - One entry per limit
+ */
+const checkThresholds = (summary, thresholds = {}) => {
+  validateThresholds(thresholds, Object.keys(summary.scenarios));
+  return Object.entries(thresholds).flatMap(([scope, limits]) => {
+    const stats = scope === 'all' ? summary.all : summary.scenarios[scope];
+    return Object.entries(limits).map(([metric, limit]) => {
+      const value = metric === 'errorRate' ? stats.errorRate : stats.latency[metric];
+      return { scope, metric, value, limit, passed: value === null || value <= limit };
+    });
+  });
+};
+
+/**
+ * Format a metric value, e.g. "212.4ms" or "1.25%"
+ * @param {string} metric - Metric name
+ * @param {number|null} value - Value
+ * @returns {string} - Readable value
+ */
+const formatValue = (metric, value) => {
+  if (value === null || value === undefined) return '-';
+  return metric === 'errorRate' ? `${(value * 100).toFixed(2)}%` : `${value}ms`;
+};
+
+/**
+ * Describe failed thresholds, e.g. "all p95 312ms > 250ms, testResults errorRate 2.00% > 1.00%"
+ * @param {object[]} results - Results from checkThresholds()
+ * @returns {string} - Description
+ */
+const describeFailures = (results) => results
+  .filter(result => !result.passed)
+  .map(({ scope, metric, value, limit }) => `${scope} ${metric} ${formatValue(metric, value)} > ${formatValue(metric, limit)}`)
+  .join(', ');
+
+/**
+ * Assemble the report of a run
+ * @param {object} options - Report inputs
+ * @param {object} options.profile - Profile the run followed
+ * @param {object} options.plan - Plan from normalizePlan()
+ * @param {Object<string, string>} options.targets - Target URL per name
+ * @param {object} options.result - Result from runLoad()
+ * @returns {object} - Report with threshold results and an overall `passed`
+ */
+const createReport = ({ profile, plan, targets, result }) => {
+  const thresholds = checkThresholds(result.summary, profile.thresholds);
+  return {
+    profile: profile.name,
+    description: profile.description || '',
+    generatedAt: new Date().toISOString(),
+    plan,
+    targets,
+    weights: profile.scenarios,
+    ...result,
+    thresholds,
+    passed: thresholds.every(threshold => threshold.passed)
+  };
+};
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to print
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Render requests per second (bars, errors in red) and running VUs (line) as an SVG chart
+ * @param {object[]} timeline - Timeline from runLoad()
+ * @returns {string} - SVG markup
+ */
+const renderTimeline = (timeline) => {
+  const width = 800;
+  const height = 160;
+  if (timeline.length === 0) return '<p>No timeline recorded.</p>';
+
+  const step = width / timeline.length;
+  const maxRequests = Math.max(1, ...timeline.map(entry => entry.requests));
+  const maxVus = Math.max(1, ...timeline.map(entry => entry.vus));
+  const y = (value, max) => (height - (value / max) * height).toFixed(1);
+  const bars = timeline.map(({ second, requests, errors }) => `
+      <rect x="${(second * step).toFixed(1)}" y="${y(requests, maxRequests)}" width="${Math.max(step - 1, 1).toFixed(1)}" height="${(height - y(requests, maxRequests)).toFixed(1)}" fill="#9ec5fe"><title>${second}s: ${requests} requests, ${errors} errors</title></rect>
+      <rect x="${(second * step).toFixed(1)}" y="${y(errors, maxRequests)}" width="${Math.max(step - 1, 1).toFixed(1)}" height="${(height - y(errors, maxRequests)).toFixed(1)}" fill="#dc3545"></rect>`).join('');
+  const line = timeline.map(({ second, vus }) => `${(second * step + step / 2).toFixed(1)},${y(vus, maxVus)}`).join(' ');
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Requests per second and virtual users over time">${bars}
+      <polyline points="${line}" fill="none" stroke="#198754" stroke-width="2"></polyline>
+    </svg>
+    <p>Bars: requests per second (peak ${maxRequests}), errors in red. Line: virtual users (peak ${maxVus}).</p>`;
+};
+
+/**
+ * Render a table row of request statistics
+ * @param {string} name - Row name
+ * @param {object} stats - Summary from summarizeBucket()
+ * @returns {string} - Table row
+ */
+const statsRow = (name, stats) => `
+      <tr${stats.errors > 0 ? ' style="background: #fff3cd"' : ''}>
+        <td>${escapeHtml(name)}</td>
+        <td>${stats.requests}</td>
+        <td>${stats.errors} (${formatValue('errorRate', stats.errorRate)})</td>
+        <td>${stats.rps}</td>
+        ${['p50', 'p95', 'p99', 'max'].map(metric => `<td>${formatValue(metric, stats.latency[metric])}</td>`).join('')}
+        <td>${escapeHtml(Object.entries(stats.statuses).map(([status, times]) => `${status}: ${times}`).join(', '))}</td>
+      </tr>`;
+
+/**
+ * Render the load report as a standalone HTML page
+ * @param {object} report - Report from createReport()
+ * @returns {string} - HTML document
+ */
+const renderHtml = (report) => {
+  const { summary } = report;
+  const header = '<tr><th>Name</th><th>Requests</th><th>Errors</th><th>Req/s</th><th>p50</th><th>p95</th><th>p99</th><th>Max</th><th>Statuses</th></tr>';
+  const thresholdRows = report.thresholds.map(({ scope, metric, value, limit, passed }) => `
+      <tr style="background: ${passed ? '#d4edda' : '#f8d7da'}">
+        <td>${escapeHtml(scope)}</td><td>${escapeHtml(metric)}</td><td>${formatValue(metric, value)}</td><td>${formatValue(metric, limit)}</td><td>${passed ? 'passed' : 'FAILED'}</td>
+      </tr>`).join('');
+  const errorRows = Object.entries(summary.all.errorMessages).map(([message, times]) => `
+      <tr><td>${escapeHtml(message)}</td><td>${times}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Load Test Report - ${escapeHtml(report.profile)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>Load Test Report - ${escapeHtml(report.profile)}</h1>
+  <p>${escapeHtml(report.description)}</p>
+  <p>
+    Started ${escapeHtml(report.startedAt)}, ran ${(report.durationMs / 1000).toFixed(1)}s: ${report.iterations} iterations, peak ${report.peakVus} virtual users${report.aborted ? ', <strong>stopped early</strong>' : ''}.
+    Targets: ${Object.entries(report.targets).map(([name, url]) => `${escapeHtml(name)} ${escapeHtml(url)}`).join(', ')}.
+  </p>
+  <p><strong>${report.passed ? 'All thresholds passed' : 'Thresholds failed'}</strong></p>
+  <h2>Thresholds</h2>
+  <table>
+    <thead><tr><th>Scope</th><th>Metric</th><th>Value</th><th>Limit</th><th>Result</th></tr></thead>
+    <tbody>${thresholdRows}
+    </tbody>
+  </table>
+  <h2>Scenarios</h2>
+  <table>
+    <thead>${header}</thead>
+    <tbody>${statsRow('all', summary.all)}${Object.entries(summary.scenarios).map(([name, stats]) => statsRow(name, stats)).join('')}
+    </tbody>
+  </table>
+  <h2>Requests</h2>
+  <table>
+    <thead>${header}</thead>
+    <tbody>${Object.entries(summary.requests).map(([name, stats]) => statsRow(name, stats)).join('')}
+    </tbody>
+  </table>
+  <h2>Timeline</h2>
+  ${renderTimeline(report.timeline)}
+  ${errorRows ? `<h2>Errors</h2>
+  <table>
+    <thead><tr><th>Error</th><th>Count</th></tr></thead>
+    <tbody>${errorRows}
+    </tbody>
+  </table>` : ''}
+</body>
+</html>`;
+};
+
+/**
+ * Write the report as load-report.json and load-report.html, and keep a copy of the JSON under history/
+ * @param {object} report - Report from createReport()
+ * @param {string} [dir] - Report directory (defaults to LOAD_REPORT_DIR)
+ * @returns {{jsonPath: string, htmlPath: string}} - Written files
+ */
+const writeLoadReport = (report, dir = LOAD_REPORT_DIR) => {
+  const historyDir = path.join(dir, 'history');
+  fs.mkdirSync(historyDir, { recursive: true });
+  const json = JSON.stringify(report, null, 2);
+  const jsonPath = path.join(dir, 'load-report.json');
+  const htmlPath = path.join(dir, 'load-report.html');
+  fs.writeFileSync(path.join(historyDir, `${report.generatedAt.replace(/[:.]/g, '-')}-${report.profile}.json`), json);
+  fs.writeFileSync(jsonPath, json);
+  fs.writeFileSync(htmlPath, renderHtml(report));
+  return { jsonPath, htmlPath };
+};
+
+module.exports = {
+  LOAD_REPORT_DIR,
+  assertLocalTarget,
+  checkThresholds,
+  createReport,
+  describeFailures,
+  formatValue,
+  normalizePlan,
+  parseDuration,
+  percentile,
+  renderHtml,
+  runLoad,
+  validateThresholds,
+  vusAt,
+  weightedPicker,
+  writeLoadReport
+};
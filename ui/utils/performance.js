@@ -0,0 +1,212 @@
+/**
+ * Page performance metrics for BasePage.waitForPageLoad(): Navigation Timing, resource counts and sizes,
+ * and Core Web Vitals read from the browser's buffered PerformanceObserver entries.
+ * Budgets come from ui/config/performanceBudgets.js.
+ */
+
+// How long to wait for buffered observer entries to be delivered
+const OBSERVER_SETTLE_MS = 50;
+
+// Layout shifts closer together than this belong to the same session window (web-vitals definition)
+const CLS_SESSION_GAP_MS = 1000;
+const CLS_SESSION_MAX_MS = 5000;
+
+// Metrics measured in milliseconds; cls is unitless, requests a count, transferSize in bytes
+const TIME_METRICS = ['ttfb', 'fcp', 'lcp', 'inp', 'domContentLoaded', 'load'];
+
+/**
+ * Runs in the browser: read raw performance entries of the current document.
+ * Must be self-contained, Playwright serializes it into the page.
+ * @param {number} settleMs - How long to wait for buffered observer entries
+ * @returns {Promise<object>} - Raw entries, see collectRawMetrics()
+ */
+const readEntriesInPage = async (settleMs) => {
+  /* eslint-disable no-undef */
+  const observe = (type) => new Promise((resolve) => {
+    if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+      resolve(null);
+      return;
+    }
+    const entries = [];
+    const observer = new PerformanceObserver(list => entries.push(...list.getEntries()));
+    observer.observe(type === 'event' ? { type, buffered: true, durationThreshold: 16 } : { type, buffered: true });
+    setTimeout(() => {
+      entries.push(...observer.takeRecords());
+      observer.disconnect();
+      resolve(entries);
+    }, settleMs);
+  });
+
+  const [navigation] = performance.getEntriesByType('navigation');
+  const paint = performance.getEntriesByType('paint').find(entry => entry.name === 'first-contentful-paint');
+  const [lcp, layoutShifts, events] = await Promise.all([observe('largest-contentful-paint'), observe('layout-shift'), observe('event')]);
+
+  return {
+    url: location.href,
+    timeOrigin: performance.timeOrigin,
+    navigation: navigation ? navigation.toJSON() : null,
+    resources: performance.getEntriesByType('resource').map(entry => ({
+      name: entry.name,
+      initiatorType: entry.initiatorType,
+      transferSize: entry.transferSize,
+      decodedBodySize: entry.decodedBodySize
+    })),
+    fcp: paint ? paint.startTime : null,
+    lcp: lcp && lcp.map(entry => ({ startTime: entry.startTime, size: entry.size })),
+    layoutShifts: layoutShifts && layoutShifts.map(entry => ({ startTime: entry.startTime, value: entry.value, hadRecentInput: entry.hadRecentInput })),
+    events: events && events.map(entry => ({ interactionId: entry.interactionId, duration: entry.duration }))
+  };
+  /* eslint-enable no-undef */
+};
+
+/**
+ * Read raw performance entries of the page's current document
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<{url: string, timeOrigin: number, navigation: object|null, resources: object[], fcp: number|null, lcp: object[]|null, layoutShifts: object[]|null, events: object[]|null}>} - Raw entries, null where the browser doesn't support the entry type
+ */
+const collectRawMetrics = (page) => page.evaluate(readEntriesInPage, OBSERVER_SETTLE_MS);
+
+/**
+ * Largest Contentful Paint: the start time of the last candidate
+ * @param {Array<{startTime: number}>|null} entries - largest-contentful-paint entries
+ * @returns {number|null} - LCP in milliseconds, null when unsupported or nothing was painted
+ */
+const computeLcp = (entries) => (entries && entries.length > 0 ? entries[entries.length - 1].startTime : null);
+
+/**
+ * Cumulative Layout Shift: the largest session window of shifts not caused by user input
+ * @param {Array<{startTime: number, value: number, hadRecentInput: boolean}>|null} shifts - layout-shift entries
+ * @returns {number|null} - CLS, null when unsupported
+ */
+const computeCls = (shifts) => {
+  if (!shifts) return null;
+
+  let largest = 0;
+  let session = { value: 0, start: 0, last: 0 };
+  for (const shift of shifts.filter(entry => !entry.hadRecentInput)) {
+    const continues = session.value > 0
+      && shift.startTime - session.last < CLS_SESSION_GAP_MS
+      && shift.startTime - session.start < CLS_SESSION_MAX_MS;
+    session = continues
+      ? { ...session, value: session.value + shift.value, last: shift.startTime }
+      : { value: shift.value, start: shift.startTime, last: shift.startTime };
+    largest = Math.max(largest, session.value);
+  }
+  return Math.round(largest * 10000) / 10000;
+};
+
+/**
+ * Interaction to Next Paint: the slowest interaction, or the 98th percentile once there are 50 or more
+ * @param {Array<{interactionId: number, duration: number}>|null} events - event timing entries
+ * @returns {number|null} - INP in milliseconds, null when unsupported or there was no interaction yet
+ */
+const computeInp = (events) => {
+  if (!events) return null;
+
+  const slowest = new Map();
+  for (const { interactionId, duration } of events) {
+    if (interactionId) {
+      slowest.set(interactionId, Math.max(slowest.get(interactionId) || 0, duration));
+    }
+  }
+  const durations = [...slowest.values()].sort((a, b) => b - a);
+  if (durations.length === 0) return null;
+  return durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
+};
+
+/**
+ * Count and size the resources a page loaded
+ * @param {Array<{initiatorType: string, transferSize: number, decodedBodySize: number}>} resources - Resource entries
+ * @returns {{count: number, transferSize: number, decodedBodySize: number, byType: Object<string, {count: number, transferSize: number}>}} - Totals
+ */
+const summarizeResources = (resources) => {
+  const byType = {};
+  for (const { initiatorType, transferSize = 0 } of resources) {
+    const type = byType[initiatorType] || { count: 0, transferSize: 0 };
+    byType[initiatorType] = { count: type.count + 1, transferSize: type.transferSize + transferSize };
+  }
+  return {
+    count: resources.length,
+    transferSize: resources.reduce((total, resource) => total + (resource.transferSize || 0), 0),
+    decodedBodySize: resources.reduce((total, resource) => total + (resource.decodedBodySize || 0), 0),
+    byType
+  };
+};
+
+/**
+ * Turn raw entries into the metrics budgets are checked against
+ * @param {object} raw - Result of collectRawMetrics()
+ * @returns {{url: string, navigation: object, resources: object, metrics: Object<string, number|null>}} - Report
+ */
+const summarizeMetrics = (raw) => {
+  const navigation = raw.navigation || {};
+  const round = (value) => (typeof value === 'number' ? Math.round(value) : null);
+  const resources = summarizeResources(raw.resources || []);
+  const documentSize = navigation.transferSize || 0;
+
+  return {
+    url: raw.url,
+    navigation: {
+      type: navigation.type || null,
+      redirectCount: navigation.redirectCount || 0,
+      transferSize: documentSize,
+      domInteractive: round(navigation.domInteractive)
+    },
+    resources,
+    metrics: {
+      ttfb: round(navigation.responseStart),
+      fcp: round(raw.fcp),
+      lcp: round(computeLcp(raw.lcp)),
+      cls: computeCls(raw.layoutShifts),
+      inp: round(computeInp(raw.events)),
+      domContentLoaded: round(navigation.domContentLoadedEventEnd),
+      load: round(navigation.loadEventEnd),
+      // The document plus everything it loaded
+      requests: resources.count + 1,
+      transferSize: documentSize + resources.transferSize
+    }
+  };
+};
+
+/**
+ * Compare metrics with budgets. Metrics the browser couldn't measure (null) never breach.
+ * @param {Object<string, number|null>} metrics - Metrics from summarizeMetrics()
+ * @param {Object<string, number>} budgets - Maximum per metric
+ * @returns {Array<{metric: string, value: number, budget: number}>} - One entry per exceeded budget
+ */
+const checkBudgets = (metrics, budgets) => Object.entries(budgets)
+  .filter(([metric, budget]) => typeof metrics[metric] === 'number' && metrics[metric] > budget)
+  .map(([metric, budget]) => ({ metric, value: metrics[metric], budget }));
+
+/**
+ * Format a metric value for messages, e.g. "2612ms", "0.12", "1.4 MB", "42"
+ * @param {string} metric - Metric name
+ * @param {number} value - Value
+ * @returns {string} - Readable value
+ */
+const formatMetric = (metric, value) => {
+  if (TIME_METRICS.includes(metric)) return `${value}ms`;
+  if (metric === 'transferSize') return value >= 1000000 ? `${(value / 1000000).toFixed(1)} MB` : `${Math.round(value / 1000)} KB`;
+  return String(value);
+};
+
+/**
+ * Describe budget breaches, e.g. "lcp 3120ms > 2500ms, cls 0.31 > 0.1"
+ * @param {Array<{metric: string, value: number, budget: number}>} breaches - Breaches from checkBudgets()
+ * @returns {string} - Description
+ */
+const describeBreaches = (breaches) => breaches
+  .map(({ metric, value, budget }) => `${metric} ${formatMetric(metric, value)} > ${formatMetric(metric, budget)}`)
+  .join(', ');
+
+module.exports = {
+  checkBudgets,
+  collectRawMetrics,
+  computeCls,
+  computeInp,
+  computeLcp,
+  describeBreaches,
+  formatMetric,
+  summarizeMetrics,
+  summarizeResources
+};
@@ -0,0 +1,629 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const logger = require('./logger');
+const { createSignatureHeaders, getWebhookSecrets } = require('../webhooks/signature');
+
+/**
+ * Legal policy content monitor: reads the normalized headings and clauses of each policy page (ui/config/policyPages.js),
+ * keeps a numbered snapshot per wording version, and diffs a new version against the previous one clause by clause.
+ * Changes are sent as signed events to the webhook server's POST /webhook/policy-change for compliance review.
+ */
+
+// Committed like the visual baselines, so every checkout compares against the last reviewed wording
+const POLICY_SNAPSHOT_DIR = process.env.POLICY_SNAPSHOT_DIR || path.join(__dirname, '..', 'policy-snapshots');
+const POLICY_REPORT_DIR = process.env.POLICY_REPORT_DIR || path.join(__dirname, '..', 'reports', 'policy-monitor');
+
+// Clauses at least this similar (shared words, 0-1) are reported as one changed clause rather than removed and added
+const MIN_SIMILARITY = 0.5;
+
+// Preference for pairing clauses within the same section
+const SAME_SECTION_BONUS = 0.1;
+
+/**
+ * Runs in the browser: read the text blocks of a policy in document order.
+ * Uses textContent rather than innerText, which depends on layout and CSS and so differs between browsers and viewports.
+ * Must be self-contained, Playwright serializes it into the page.
+ * @param {string} selector - Element holding the policy
+ * @returns {Array<{tag: string, text: string}>|null} - Headings and clauses, null when the selector matches nothing
+ */
+const readPolicyInPage = (selector) => {
+  /* eslint-disable no-undef */
+  const root = document.querySelector(selector);
+  if (!root) return null;
+
+  const blocks = 'h1, h2, h3, h4, h5, h6, p, li, dt, dd, th, td';
+  return Array.from(root.querySelectorAll(blocks))
+    // A block inside another one (e.g. a <p> in an <li>) is already part of the outer block's text
+    .filter(element => {
+      const outer = element.parentElement.closest(blocks);
+      return !outer || !root.contains(outer);
+    })
+    .map(element => ({ tag: element.tagName.toLowerCase(), text: element.textContent }));
+  /* eslint-enable no-undef */
+};
+
+/**
+ * Normalize text so only wording changes count: Unicode compatibility forms, typographic quotes and dashes,
+ * invisible characters and whitespace
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (text) => String(text || '')
+  .normalize('NFKC')
+  .replace(/[\u2018\u2019\u201A\u201B]/g, '\'')
+  .replace(/[\u201C\u201D\u201E\u201F]/g, '"')
+  .replace(/[\u2010-\u2015\u2212]/g, '-')
+  .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Turn the blocks read from the page into headings and clauses, each clause under its nearest preceding heading
+ * @param {Array<{tag: string, text: string}>} blocks - Result of readPolicyInPage()
+ * @returns {{headings: Array<{level: number, text: string}>, clauses: Array<{section: string|null, text: string}>}} - Normalized content
+ */
+const extractPolicyContent = (blocks) => {
+  const headings = [];
+  const clauses = [];
+  let section = null;
+
+  for (const { tag, text: raw } of blocks) {
+    const text = normalizeText(raw);
+    if (!text) continue;
+
+    if (/^h[1-6]$/.test(tag)) {
+      headings.push({ level: Number(tag[1]), text });
+      section = text;
+    } else {
+      clauses.push({ section, text });
+    }
+  }
+  return { headings, clauses };
+};
+
+/**
+ * Hash of the wording and structure of a policy
+ * @param {{headings: object[], clauses: object[]}} content - Normalized content
+ * @returns {string} - sha256 hex digest
+ */
+const hashContent = ({ headings, clauses }) => createHash('sha256').update(JSON.stringify({ headings, clauses })).digest('hex');
+
+/**
+ * Build a snapshot of one policy version
+ * @param {object} options - Snapshot details
+ * @param {{name: string, title: string}} options.policy - Policy from getPolicyPages()
+ * @param {string} options.url - Page the content was read from
+ * @param {number} options.version - Version number, 1 for the first snapshot
+ * @param {{headings: object[], clauses: object[]}} options.content - Normalized content
+ * @returns {object} - Snapshot
+ */
+const createSnapshot = ({ policy, url, version, content }) => ({
+  policy: policy.name,
+  title: policy.title,
+  url,
+  version,
+  hash: hashContent(content),
+  capturedAt: new Date().toISOString(),
+  headings: content.headings,
+  clauses: content.clauses
+});
+
+/**
+ * Directory holding the snapshots of one policy, one folder per environment
+ * @param {string} policy - Policy name
+ * @param {string} environment - Environment name, e.g. "production"
+ * @param {string} [dir] - Snapshot root (defaults to POLICY_SNAPSHOT_DIR)
+ * @returns {string} - Directory path
+ */
+const snapshotDir = (policy, environment, dir = POLICY_SNAPSHOT_DIR) => path.join(dir, environment, policy);
+
+/**
+ * Read the newest snapshot of a policy
+ * @param {string} policy - Policy name
+ * @param {{environment: string, dir?: string}} options - Environment and snapshot root
+ * @returns {object|null} - Snapshot, null when the policy has none yet
+ */
+const loadLatestSnapshot = (policy, { environment, dir }) => {
+  const policyDir = snapshotDir(policy, environment, dir);
+  if (!fs.existsSync(policyDir)) return null;
+
+  const versions = fs.readdirSync(policyDir)
+    .map(file => /^v(\d+)\.json$/.exec(file))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  if (versions.length === 0) return null;
+
+  return JSON.parse(fs.readFileSync(path.join(policyDir, `v${Math.max(...versions)}.json`), 'utf8'));
+};
+
+/**
+ * Write a snapshot as v<version>.json. An existing version is never overwritten, so when several projects
+ * record the same change at once the first one wins
+ * @param {object} snapshot - Snapshot from createSnapshot()
+ * @param {{environment: string, dir?: string}} options - Environment and snapshot root
+ * @returns {{path: string, saved: boolean}} - File, and false if that version already existed
+ */
+const saveSnapshot = (snapshot, { environment, dir }) => {
+  const policyDir = snapshotDir(snapshot.policy, environment, dir);
+  const file = path.join(policyDir, `v${snapshot.version}.json`);
+  fs.mkdirSync(policyDir, { recursive: true });
+  try {
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2), { flag: 'wx' });
+    return { path: file, saved: true };
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    return { path: file, saved: false };
+  }
+};
+
+/**
+ * Longest common subsequence table of two word lists
+ * @param {string[]} a - First words
+ * @param {string[]} b - Second words
+ * @returns {number[][]} - lengths[i][j] = LCS length of a[i..] and b[j..]
+ */
+const lcsTable = (a, b) => {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  return lengths;
+};
+
+/**
+ * Split a clause into words, keeping punctuation attached
+ * @param {string} text - Normalized clause
+ * @returns {string[]} - Words
+ */
+const wordsOf = (text) => text.split(' ').filter(Boolean);
+
+/**
+ * Share of words two clauses have in common, in order
+ * @param {string} before - Previous clause
+ * @param {string} after - Current clause
+ * @returns {number} - 0 (nothing in common) to 1 (same words)
+ */
+const similarity = (before, after) => {
+  const a = wordsOf(before.toLowerCase());
+  const b = wordsOf(after.toLowerCase());
+  if (a.length + b.length === 0) return 1;
+  return (2 * lcsTable(a, b)[0][0]) / (a.length + b.length);
+};
+
+/**
+ * Word-level diff of a changed clause
+ * @param {string} before - Previous clause
+ * @param {string} after - Current clause
+ * @returns {Array<{op: 'equal'|'removed'|'added', text: string}>} - Runs of equal, removed and added words
+ */
+const diffWords = (before, after) => {
+  const a = wordsOf(before);
+  const b = wordsOf(after);
+  const lengths = lcsTable(a, b);
+  const parts = [];
+  const push = (op, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.op === op) last.text += ` ${word}`;
+    else parts.push({ op, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('equal', a[i++]);
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      // Removed words first, so they read before the words replacing them
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  return parts;
+};
+
+/**
+ * Diff two heading lists
+ * @param {object[]} before - Previous headings
+ * @param {object[]} after - Current headings
+ * @returns {{added: object[], removed: object[]}} - Headings only in one of the lists
+ */
+const diffHeadings = (before, after) => {
+  const remaining = [...before];
+  const added = [];
+  for (const heading of after) {
+    const index = remaining.findIndex(entry => entry.level === heading.level && entry.text === heading.text);
+    if (index === -1) added.push(heading);
+    else remaining.splice(index, 1);
+  }
+  return { added, removed: remaining };
+};
+
+/**
+ * Diff two versions of a policy clause by clause.
+ * Identical clauses are matched first, then the remaining ones are paired by similarity into changed clauses;
+ * whatever is left was added or removed. A clause that left a section that still exists was moved.
+ * @param {object} previous - Previous snapshot
+ * @param {object} current - Current snapshot
+ * @returns {{policy: string, fromVersion: number, toVersion: number, changes: object[], headings: object, summary: object, hasChanges: boolean}} - Diff
+ */
+const diffPolicies = (previous, current) => {
+  const before = previous.clauses.map((clause, index) => ({ ...clause, index }));
+  const after = current.clauses.map((clause, index) => ({ ...clause, index }));
+  const currentSections = new Set(current.headings.map(heading => heading.text));
+  const matchedBefore = new Set();
+  const matchedAfter = new Set();
+  // Changes to clauses of the current version, keyed by their position in it
+  const placed = [];
+
+  /**
+   * Match identical clauses, optionally only within the same section
+   * @param {Function} accept - (beforeClause, afterClause) => whether the pair counts as a match
+   * @param {Function} [onMatch] - Called for each accepted pair
+   */
+  const matchIdentical = (accept, onMatch) => {
+    for (const clause of after.filter(entry => !matchedAfter.has(entry.index))) {
+      const match = before.find(entry => !matchedBefore.has(entry.index) && entry.text === clause.text && accept(entry, clause));
+      if (match) {
+        matchedBefore.add(match.index);
+        matchedAfter.add(clause.index);
+        if (onMatch) onMatch(match, clause);
+      }
+    }
+  };
+
+  matchIdentical((a, b) => a.section === b.section);
+  // Same wording under another heading: a move if the old section is still there, otherwise the heading was renamed
+  matchIdentical(() => true, (match, clause) => {
+    if (currentSections.has(match.section)) {
+      placed.push({ position: clause.index, change: { type: 'moved', section: clause.section, previousSection: match.section, text: clause.text } });
+    }
+  });
+
+  const pairs = [];
+  for (const a of before.filter(entry => !matchedBefore.has(entry.index))) {
+    for (const b of after.filter(entry => !matchedAfter.has(entry.index))) {
+      const score = similarity(a.text, b.text);
+      if (score >= MIN_SIMILARITY) {
+        pairs.push({ a, b, score: score + (a.section === b.section ? SAME_SECTION_BONUS : 0) });
+      }
+    }
+  }
+  pairs.sort((x, y) => y.score - x.score);
+  for (const { a, b } of pairs) {
+    if (matchedBefore.has(a.index) || matchedAfter.has(b.index)) continue;
+    matchedBefore.add(a.index);
+    matchedAfter.add(b.index);
+    placed.push({
+      position: b.index,
+      change: {
+        type: 'changed',
+        section: b.section,
+        ...(a.section !== b.section && { previousSection: a.section }),
+        before: a.text,
+        after: b.text,
+        words: diffWords(a.text, b.text)
+      }
+    });
+  }
+
+  for (const clause of after.filter(entry => !matchedAfter.has(entry.index))) {
+    placed.push({ position: clause.index, change: { type: 'added', section: clause.section, text: clause.text } });
+  }
+  const changes = placed.sort((x, y) => x.position - y.position).map(entry => entry.change);
+  // Removed clauses have no place in the current version, they go last in their previous order
+  for (const clause of before.filter(entry => !matchedBefore.has(entry.index))) {
+    changes.push({ type: 'removed', section: clause.section, text: clause.text });
+  }
+
+  const headings = diffHeadings(previous.headings, current.headings);
+  const count = type => changes.filter(change => change.type === type).length;
+  const summary = {
+    added: count('added'),
+    removed: count('removed'),
+    changed: count('changed'),
+    moved: count('moved'),
+    headingsAdded: headings.added.length,
+    headingsRemoved: headings.removed.length
+  };
+
+  return {
+    policy: current.policy,
+    fromVersion: previous.version,
+    toVersion: current.version,
+    changes,
+    headings,
+    summary,
+    hasChanges: previous.hash !== current.hash
+  };
+};
+
+/**
+ * Render a changed clause with git-style word markers, e.g. "within [-14-]{+7+} days"
+ * @param {Array<{op: string, text: string}>} words - Result of diffWords()
+ * @returns {string} - Marked-up clause
+ */
+const markWords = (words) => words.map(({ op, text }, index) => {
+  // A replacement reads as one edit: "[-14-]{+7+}"
+  const separator = index > 0 && !(op === 'added' && words[index - 1].op === 'removed') ? ' ' : '';
+  if (op === 'removed') return `${separator}[-${text}-]`;
+  if (op === 'added') return `${separator}{+${text}+}`;
+  return `${separator}${text}`;
+}).join('');
+
+/**
+ * Describe the counts of a diff in one line
+ * @param {object} summary - Diff summary
+ * @returns {string} - e.g. "1 changed, 1 added, 0 removed, 0 moved clauses; 0 headings added, 0 removed"
+ */
+const describeSummary = (summary) => `${summary.changed} changed, ${summary.added} added, ${summary.removed} removed, ${summary.moved} moved clauses; `
+  + `${summary.headingsAdded} headings added, ${summary.headingsRemoved} removed`;
+
+/**
+ * Format a diff as readable text, grouped by section
+ * "~" marks a changed clause, "+" an added one, "-" a removed one and ">" a moved one
+ * @param {object} diff - Result of diffPolicies()
+ * @param {string} [title] - Readable policy name
+ * @returns {string} - Diff text
+ */
+const formatPolicyDiff = (diff, title = diff.policy) => {
+  const lines = [`${title} v${diff.fromVersion} -> v${diff.toVersion}`, describeSummary(diff.summary)];
+  if (!diff.hasChanges) return lines.join('\n');
+  if (diff.changes.length === 0 && diff.summary.headingsAdded + diff.summary.headingsRemoved === 0) {
+    lines.push('', 'Same clauses in a different order');
+  }
+
+  let section;
+  for (const change of diff.changes) {
+    if (change.section !== section || section === undefined) {
+      section = change.section;
+      lines.push('', section || '(before the first heading)');
+    }
+    const from = change.previousSection !== undefined ? ` (from "${change.previousSection || 'before the first heading'}")` : '';
+    if (change.type === 'changed') lines.push(`  ~ ${markWords(change.words)}${from}`);
+    else if (change.type === 'added') lines.push(`  + ${change.text}`);
+    else if (change.type === 'removed') lines.push(`  - ${change.text}`);
+    else lines.push(`  > ${change.text}${from}`);
+  }
+
+  if (diff.headings.added.length + diff.headings.removed.length > 0) {
+    lines.push('', 'Headings');
+    diff.headings.added.forEach(heading => lines.push(`  + h${heading.level} ${heading.text}`));
+    diff.headings.removed.forEach(heading => lines.push(`  - h${heading.level} ${heading.text}`));
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Build the event sent to the webhook server for a changed policy
+ * @param {object} options - Event details
+ * @param {string} options.environment - Environment name
+ * @param {object} options.previous - Previous snapshot
+ * @param {object} options.current - Current snapshot
+ * @param {object} options.diff - Result of diffPolicies()
+ * @returns {object} - Event body; its id is stable per environment, policy and version, so a re-sent event replaces the first
+ */
+const createPolicyChangeEvent = ({ environment, previous, current, diff }) => ({
+  id: `${environment}-${current.policy}-v${current.version}`,
+  environment,
+  policy: current.policy,
+  title: current.title,
+  url: current.url,
+  fromVersion: previous.version,
+  toVersion: current.version,
+  previousHash: previous.hash,
+  hash: current.hash,
+  detectedAt: current.capturedAt,
+  summary: diff.summary,
+  changes: diff.changes,
+  headings: diff.headings,
+  diff: formatPolicyDiff(diff, current.title)
+});
+
+/**
+ * POST a signed policy change event to the webhook server
+ * @param {object} event - Result of createPolicyChangeEvent()
+ * @param {object} [options] - Delivery options
+ * @param {string} [options.url] - Full URL of /webhook/policy-change (defaults to POLICY_WEBHOOK_URL; nothing is sent without it)
+ * @param {string} [options.secret] - Shared webhook secret (defaults to the primary active secret)
+ * @param {number} [options.timeoutMs=10000] - Request timeout
+ * @returns {Promise<{status: 'sent'|'skipped', url: string|null}>} - Delivery outcome
+ */
+const sendPolicyChange = async (event, { url = process.env.POLICY_WEBHOOK_URL, secret = getWebhookSecrets()[0], timeoutMs = 10000 } = {}) => {
+  if (!url) {
+    logger.info(`POLICY_WEBHOOK_URL is not set - not sending policy change ${event.id}`);
+    return { status: 'skipped', url: null };
+  }
+
+  const body = JSON.stringify(event);
+  try {
+    await axios.post(url, body, {
+      timeout: timeoutMs,
+      headers: { 'content-type': 'application/json', ...createSignatureHeaders(body, secret) }
+    });
+  } catch (error) {
+    throw new Error(`Could not deliver policy change ${event.id} to ${url}: ${error.message}`);
+  }
+  logger.info(`Sent policy change ${event.id} to ${url}`);
+  return { status: 'sent', url };
+};
+
+/**
+ * Compare a policy page with its latest snapshot and record a new version when the wording changed.
+ * The change event is sent before the new version is saved: if it can't be delivered, the error is thrown
+ * and the previous version stays the latest, so the next run detects and sends the change again.
+ * @param {object} options - Monitor options
+ * @param {{name: string, title: string}} options.policy - Policy from getPolicyPages()
+ * @param {string} options.url - Page the content was read from
+ * @param {{headings: object[], clauses: object[]}} options.content - Result of extractPolicyContent()
+ * @param {string} options.environment - Environment name, snapshots are kept per environment
+ * @param {string} [options.dir] - Snapshot root (defaults to POLICY_SNAPSHOT_DIR)
+ * @param {Function} [options.send] - Delivers a change event (defaults to sendPolicyChange)
+ * @returns {Promise<object>} - Report: status "new", "unchanged" or "changed", the versions, the diff and the delivery
+ */
+const monitorPolicy = async ({ policy, url, content, environment, dir, send = sendPolicyChange }) => {
+  const previous = loadLatestSnapshot(policy.name, { environment, dir });
+  const report = {
+    generatedAt: new Date().toISOString(),
+    environment,
+    policy: policy.name,
+    title: policy.title,
+    url,
+    fromVersion: previous ? previous.version : null,
+    diff: null,
+    event: null,
+    delivery: null
+  };
+
+  if (previous && previous.hash === hashContent(content)) {
+    return { ...report, status: 'unchanged', toVersion: previous.version, hash: previous.hash };
+  }
+
+  const current = createSnapshot({ policy, url, version: previous ? previous.version + 1 : 1, content });
+  if (previous) {
+    report.diff = diffPolicies(previous, current);
+    report.event = createPolicyChangeEvent({ environment, previous, current, diff: report.diff });
+    report.delivery = await send(report.event);
+  }
+  const { path: snapshotPath } = saveSnapshot(current, { environment, dir });
+
+  return { ...report, status: previous ? 'changed' : 'new', toVersion: current.version, hash: current.hash, snapshotPath };
+};
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Row colour per change type
+const CHANGE_COLOURS = {
+  changed: '#fff3cd',
+  added: '#d4edda',
+  removed: '#f8d7da',
+  moved: '#e2e3e5'
+};
+
+/**
+ * Render a monitor report as a standalone HTML page
+ * @param {object} report - Result of monitorPolicy()
+ * @returns {string} - HTML document
+ */
+const renderHtml = (report) => {
+  const { diff } = report;
+  const versions = report.status === 'changed' ? `v${report.fromVersion} &rarr; v${report.toVersion}` : `v${report.toVersion}`;
+  const statusText = {
+    new: 'First snapshot recorded.',
+    unchanged: 'No wording changes.',
+    changed: diff ? escapeHtml(describeSummary(diff.summary)) : ''
+  }[report.status];
+  const delivery = report.delivery
+    ? `<p>Change event <code>${escapeHtml(report.event.id)}</code>: ${report.delivery.status === 'sent' ? `sent to ${escapeHtml(report.delivery.url)}` : 'not sent (POLICY_WEBHOOK_URL is not set)'}.</p>`
+    : '';
+
+  const clause = (change) => {
+    if (change.type !== 'changed') return escapeHtml(change.text);
+    return change.words.map(({ op, text }) => {
+      if (op === 'removed') return `<del style="background: #f8d7da">${escapeHtml(text)}</del>`;
+      if (op === 'added') return `<ins style="background: #d4edda">${escapeHtml(text)}</ins>`;
+      return escapeHtml(text);
+    }).join(' ');
+  };
+  const changeRows = (diff ? diff.changes : []).map(change => `
+      <tr style="background: ${CHANGE_COLOURS[change.type]}">
+        <td>${change.type}</td>
+        <td>${escapeHtml(change.section)}${change.previousSection !== undefined ? `<br><small>from ${escapeHtml(change.previousSection)}</small>` : ''}</td>
+        <td>${clause(change)}</td>
+      </tr>`).join('');
+  const headingRows = diff ? [
+    ...diff.headings.added.map(heading => ({ type: 'added', ...heading })),
+    ...diff.headings.removed.map(heading => ({ type: 'removed', ...heading }))
+  ].map(({ type, level, text }) => `
+      <tr style="background: ${CHANGE_COLOURS[type]}">
+        <td>${type}</td>
+        <td>h${level}</td>
+        <td>${escapeHtml(text)}</td>
+      </tr>`).join('') : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Policy Content Report - ${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; font-size: 14px; vertical-align: top; }
+  </style>
+</head>
+<body>
+  <h1>Policy Content Report - ${escapeHtml(report.title)}</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)} from ${escapeHtml(report.url)} (${escapeHtml(report.environment)}), ${versions}.</p>
+  <p><strong>${statusText}</strong></p>
+  ${delivery}
+  <h2>Clauses</h2>
+  <table>
+    <thead><tr><th>Change</th><th>Section</th><th>Clause</th></tr></thead>
+    <tbody>${changeRows}
+    </tbody>
+  </table>
+  <h2>Headings</h2>
+  <table>
+    <thead><tr><th>Change</th><th>Level</th><th>Heading</th></tr></thead>
+    <tbody>${headingRows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+};
+
+/**
+ * Write the report as <name>.json and <name>.html, plus <name>.diff.txt when the wording changed
+ * @param {object} report - Result of monitorPolicy()
+ * @param {string} [name] - File name without extension (defaults to the policy name)
+ * @param {string} [dir] - Report directory (defaults to POLICY_REPORT_DIR)
+ * @returns {{jsonPath: string, htmlPath: string, diffPath: string|null}} - Written files
+ */
+const writePolicyReport = (report, name = report.policy, dir = POLICY_REPORT_DIR) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const jsonPath = path.join(dir, `${name}.json`);
+  const htmlPath = path.join(dir, `${name}.html`);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlPath, renderHtml(report));
+
+  let diffPath = null;
+  if (report.diff) {
+    diffPath = path.join(dir, `${name}.diff.txt`);
+    fs.writeFileSync(diffPath, `${formatPolicyDiff(report.diff, report.title)}\n`);
+  }
+  return { jsonPath, htmlPath, diffPath };
+};
+
+module.exports = {
+  POLICY_REPORT_DIR,
+  POLICY_SNAPSHOT_DIR,
+  createPolicyChangeEvent,
+  createSnapshot,
+  diffPolicies,
+  diffWords,
+  extractPolicyContent,
+  formatPolicyDiff,
+  hashContent,
+  loadLatestSnapshot,
+  monitorPolicy,
+  normalizeText,
+  readPolicyInPage,
+  renderHtml,
+  saveSnapshot,
+  sendPolicyChange,
+  writePolicyReport
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { getEnvironment } = require('../config/environments');
+
+/**
+ * Selector drift tracking.
+ * Page objects record which candidate resolved each logical element; the
+ * SelectorDriftReporter turns those records into a per-run snapshot and
+ * compares it with the previous run of the same project and environment.
+ */
+
+const DRIFT_DIR = process.env.SELECTOR_DRIFT_DIR || path.join(__dirname, '..', 'reports', 'selector-drift');
+const PENDING_DIR = path.join(DRIFT_DIR, 'pending');
+
+/**
+ * Get the current test's project and title, if called inside a test
+ * @returns {{project: string|null, test: string|null}} - Test context
+ */
+const currentTest = () => {
+  try {
+    // Required lazily so the module also loads outside the test runner
+    const { test } = require('@playwright/test');
+    const info = test.info();
+    return { project: info.project.name, test: info.titlePath.slice(1).join(' › ') };
+  } catch (error) {
+    return { project: null, test: null };
+  }
+};
+
+/**
+ * Record how a logical element was resolved
+ * @param {object} resolution - Resolution details
+ * @param {string} resolution.page - Page object class name
+ * @param {string} resolution.element - Element name
+ * @param {number|null} resolution.index - Index of the winning candidate, null when none matched
+ * @param {string|null} resolution.candidate - Description of the winning candidate
+ * @param {number} resolution.candidateCount - Number of declared candidates
+ */
+const recordResolution = ({ page, element, index, candidate, candidateCount }) => {
+  const record = { page, element, index, candidate, candidateCount, ...currentTest() };
+  try {
+    fs.mkdirSync(PENDING_DIR, { recursive: true });
+    fs.appendFileSync(path.join(PENDING_DIR, `${process.pid}.jsonl`), JSON.stringify(record) + '\n');
+  } catch (error) {
+    // Drift tracking must never break a test
+  }
+};
+
+/**
+ * Remove records left over from an earlier run
+ */
+const clearPending = () => {
+  fs.rmSync(PENDING_DIR, { recursive: true, force: true });
+};
+
+/**
+ * Read every record written during this run
+ * @returns {object[]} - Resolution records
+ */
+const readPending = () => {
+  if (!fs.existsSync(PENDING_DIR)) return [];
+  return fs.readdirSync(PENDING_DIR)
+    .filter(file => file.endsWith('.jsonl'))
+    .flatMap(file => fs.readFileSync(path.join(PENDING_DIR, file), 'utf8').split('\n').filter(Boolean))
+    .map(line => JSON.parse(line));
+};
+
+/**
+ * Aggregate resolution records into one entry per project and page element.
+ * The worst resolution seen in the run (highest candidate index, or no match) decides the entry's index.
+ * Elements that never resolved in the run are left out: optional elements that are absent
+ * (e.g. a banner another environment doesn't show) would otherwise read as permanently unmatched.
+ * @param {object[]} records - Resolution records
+ * @returns {object} - Snapshot keyed by "[project] Page.element"
+ */
+const buildSnapshot = (records) => {
+  const snapshot = {};
+
+  for (const record of records) {
+    const project = record.project || null;
+    const key = `${project ? `[${project}] ` : ''}${record.page}.${record.element}`;
+    const entry = snapshot[key] || (snapshot[key] = {
+      project,
+      page: record.page,
+      element: record.element,
+      candidateCount: record.candidateCount,
+      index: record.index,
+      candidate: record.candidate,
+      resolutions: 0,
+      hits: {}
+    });
+
+    entry.resolutions++;
+    const hitKey = record.index === null ? 'none' : `#${record.index + 1} ${record.candidate}`;
+    entry.hits[hitKey] = (entry.hits[hitKey] || 0) + 1;
+
+    const worse = record.index === null || (entry.index !== null && record.index > entry.index);
+    if (worse) {
+      entry.index = record.index;
+      entry.candidate = record.candidate;
+    }
+  }
+
+  for (const [key, entry] of Object.entries(snapshot)) {
+    if (entry.hits.none === entry.resolutions) {
+      delete snapshot[key];
+    }
+  }
+  return snapshot;
+};
+
+/**
+ * Classify how an element's resolution changed since the previous run
+ * @param {object|undefined} previous - Entry from the previous snapshot
+ * @param {object} current - Entry from this run's snapshot
+ * @returns {string} - lost-primary, degraded, unmatched, improved, new or unchanged
+ */
+const classifyChange = (previous, current) => {
+  if (!previous) return 'new';
+  if (previous.index === current.index) return 'unchanged';
+  if (previous.index === 0) return 'lost-primary';
+  if (current.index === null) return 'unmatched';
+  if (previous.index === null || current.index < previous.index) return 'improved';
+  return 'degraded';
+};
+
+/**
+ * Compare this run's snapshot with the previous one
+ * @param {object|null} previous - Previous snapshot (null on the first run)
+ * @param {object} current - This run's snapshot
+ * @returns {object} - Report with per-element changes, alerts first
+ */
+const compareSnapshots = (previous, current) => {
+  const order = ['lost-primary', 'unmatched', 'degraded', 'new', 'improved', 'unchanged'];
+  const elements = Object.entries(current)
+    .map(([key, entry]) => ({
+      key,
+      ...entry,
+      previousIndex: previous && previous[key] ? previous[key].index : undefined,
+      previousCandidate: previous && previous[key] ? previous[key].candidate : undefined,
+      change: classifyChange(previous && previous[key], entry)
+    }))
+    .sort((a, b) => order.indexOf(a.change) - order.indexOf(b.change) || a.key.localeCompare(b.key));
+
+  const count = change => elements.filter(element => element.change === change).length;
+  return {
+    generatedAt: new Date().toISOString(),
+    hasPreviousRun: Boolean(previous),
+    summary: {
+      elements: elements.length,
+      onPrimary: elements.filter(element => element.index === 0).length,
+      onFallback: elements.filter(element => element.index > 0).length,
+      unmatched: elements.filter(element => element.index === null).length,
+      lostPrimary: count('lost-primary'),
+      degraded: count('degraded') + count('unmatched'),
+      improved: count('improved')
+    },
+    elements
+  };
+};
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to print
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Describe a candidate index for humans
+ * @param {number|null|undefined} index - Candidate index
+ * @returns {string} - "#1 (primary)", "#3", "none" or "-"
+ */
+const formatIndex = (index) => {
+  if (index === undefined) return '-';
+  if (index === null) return 'none';
+  return index === 0 ? '#1 (primary)' : `#${index + 1}`;
+};
+
+/**
+ * Render the drift report as a standalone HTML page
+ * @param {object} report - Report from compareSnapshots()
+ * @returns {string} - HTML document
+ */
+const renderHtml = (report) => {
+  const colors = { 'lost-primary': '#f8d7da', unmatched: '#f8d7da', degraded: '#fff3cd', improved: '#d4edda' };
+  const rows = report.elements.map(element => `
+      <tr style="background: ${colors[element.change] || 'transparent'}">
+        <td>${escapeHtml(element.project)}</td>
+        <td>${escapeHtml(element.page)}</td>
+        <td>${escapeHtml(element.element)}</td>
+        <td>${escapeHtml(element.change)}</td>
+        <td>${escapeHtml(formatIndex(element.previousIndex))} ${escapeHtml(element.previousCandidate)}</td>
+        <td>${escapeHtml(formatIndex(element.index))} ${escapeHtml(element.candidate)}</td>
+        <td>${escapeHtml(Object.entries(element.hits).map(([hit, times]) => `${hit}: ${times}`).join(', '))}</td>
+      </tr>`).join('');
+
+  const { summary } = report;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Selector Drift Report</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>Selector Drift Report</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)} for ${escapeHtml(report.environment)}${report.hasPreviousRun ? '' : ' - first run, nothing to compare against'}</p>
+  <p>
+    ${summary.elements} elements: ${summary.onPrimary} on primary selector, ${summary.onFallback} on fallbacks, ${summary.unmatched} unmatched.
+    <strong>${summary.lostPrimary} lost their primary selector</strong>, ${summary.degraded} degraded, ${summary.improved} improved.
+  </p>
+  <table>
+    <thead>
+      <tr><th>Project</th><th>Page</th><th>Element</th><th>Change</th><th>Previous run</th><th>This run</th><th>Resolutions</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+};
+
+/**
+ * Turn this run's records into a snapshot, compare it with the previous run and write the reports.
+ * Snapshots are kept per environment, and entries per project, so a mobile or staging run
+ * is only compared with earlier mobile or staging runs.
+ * @param {string} [environment] - Environment name (defaults to the TEST_ENV environment)
+ * @returns {object|null} - Report, or null when nothing was recorded
+ */
+const writeDriftReport = (environment = getEnvironment().name) => {
+  const records = readPending();
+  if (records.length === 0) return null;
+
+  const latestPath = path.join(DRIFT_DIR, `latest-snapshot-${environment}.json`);
+  const previous = fs.existsSync(latestPath) ? JSON.parse(fs.readFileSync(latestPath, 'utf8')) : null;
+  const current = buildSnapshot(records);
+  const report = { ...compareSnapshots(previous, current), environment };
+
+  const historyDir = path.join(DRIFT_DIR, 'history', environment);
+  fs.mkdirSync(historyDir, { recursive: true });
+  fs.writeFileSync(path.join(historyDir, `${report.generatedAt.replace(/[:.]/g, '-')}.json`), JSON.stringify(current, null, 2));
+  // Projects that didn't run this time keep their previous entries
+  fs.writeFileSync(latestPath, JSON.stringify({ ...previous, ...current }, null, 2));
+  fs.writeFileSync(path.join(DRIFT_DIR, 'drift-report.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(DRIFT_DIR, 'drift-report.html'), renderHtml(report));
+  clearPending();
+
+  return report;
+};
+
+module.exports = {
+  DRIFT_DIR,
+  buildSnapshot,
+  clearPending,
+  compareSnapshots,
+  recordResolution,
+  renderHtml,
+  writeDriftReport
+};
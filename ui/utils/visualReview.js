@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+
+/**
+ * Pending visual changes awaiting review.
+ *
+ * When BasePage.compareVisual() finds a screenshot that differs from its baseline (or has no
+ * baseline yet), the actual, expected and diff images are copied here together with the baseline
+ * path. They outlive ui/test-results, which Playwright clears on every run, until a reviewer
+ * approves (actual becomes the baseline) or rejects (baseline stays) them with ui/scripts/visualReview.js.
+ */
+
+const REVIEW_DIR = process.env.VISUAL_REVIEW_DIR || path.join(__dirname, '..', 'reports', 'visual-review');
+
+/**
+ * Stable ID for a baseline, so re-runs replace the pending entry instead of adding one
+ * @param {string} baselinePath - Absolute baseline path
+ * @returns {string} - Short ID
+ */
+const reviewId = (baselinePath) => createHash('sha1').update(path.resolve(baselinePath)).digest('hex').slice(0, 10);
+
+/**
+ * Record a screenshot mismatch for review
+ * @param {object} mismatch - Mismatch details
+ * @param {string} mismatch.name - Snapshot file name, e.g. "home-1280x720.png"
+ * @param {string} mismatch.project - Playwright project name
+ * @param {string} mismatch.test - Test title
+ * @param {string} mismatch.baselinePath - Where the approved baseline lives
+ * @param {string} mismatch.outputDir - Test output directory holding the -actual/-expected/-diff images
+ * @returns {object|null} - Pending entry, or null when Playwright wrote no actual image
+ */
+const recordMismatch = ({ name, project, test, baselinePath, outputDir }) => {
+  const base = path.basename(name, path.extname(name));
+  const actual = path.join(outputDir, `${base}-actual.png`);
+  if (!fs.existsSync(actual)) return null;
+
+  const id = reviewId(baselinePath);
+  const dir = path.join(REVIEW_DIR, id);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const images = {};
+  for (const kind of ['actual', 'expected', 'diff']) {
+    const source = path.join(outputDir, `${base}-${kind}.png`);
+    if (fs.existsSync(source)) {
+      images[kind] = path.join(dir, `${kind}.png`);
+      fs.copyFileSync(source, images[kind]);
+    }
+  }
+
+  const entry = {
+    id,
+    name,
+    project,
+    test,
+    baselinePath,
+    isNew: !fs.existsSync(baselinePath),
+    images,
+    recordedAt: new Date().toISOString()
+  };
+  fs.writeFileSync(path.join(dir, 'entry.json'), JSON.stringify(entry, null, 2));
+  return entry;
+};
+
+/**
+ * List pending visual changes
+ * @returns {object[]} - Pending entries, oldest first
+ */
+const listPending = () => {
+  if (!fs.existsSync(REVIEW_DIR)) return [];
+  return fs.readdirSync(REVIEW_DIR)
+    .map(id => path.join(REVIEW_DIR, id, 'entry.json'))
+    .filter(file => fs.existsSync(file))
+    .map(file => JSON.parse(fs.readFileSync(file, 'utf8')))
+    .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+};
+
+/**
+ * Find a pending entry by ID
+ * @param {string} id - Entry ID (a unique prefix is enough)
+ * @returns {object} - Pending entry
+ */
+const findPending = (id) => {
+  const matches = listPending().filter(entry => entry.id.startsWith(id));
+  if (matches.length !== 1) {
+    throw new Error(matches.length === 0 ? `No pending visual change "${id}"` : `"${id}" matches several pending changes`);
+  }
+  return matches[0];
+};
+
+/**
+ * Approve a change: the actual screenshot becomes the baseline
+ * @param {string} id - Entry ID
+ * @returns {object} - Approved entry
+ */
+const approve = (id) => {
+  const entry = findPending(id);
+  fs.mkdirSync(path.dirname(entry.baselinePath), { recursive: true });
+  fs.copyFileSync(entry.images.actual, entry.baselinePath);
+  fs.rmSync(path.join(REVIEW_DIR, entry.id), { recursive: true, force: true });
+  return entry;
+};
+
+/**
+ * Reject a change: the baseline stays as it is and the pending entry is dropped
+ * @param {string} id - Entry ID
+ * @returns {object} - Rejected entry
+ */
+const reject = (id) => {
+  const entry = findPending(id);
+  fs.rmSync(path.join(REVIEW_DIR, entry.id), { recursive: true, force: true });
+  return entry;
+};
+
+module.exports = {
+  REVIEW_DIR,
+  approve,
+  listPending,
+  recordMismatch,
+  reject
+};
@@ -0,0 +1,237 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const logger = require('../utils/logger');
+
+// Statuses a job can no longer leave
+const FINISHED = ['passed', 'failed', 'cancelled'];
+
+/**
+ * Queues Playwright runs requested through /webhook/ci-trigger and runs them
+ * with a concurrency limit, keeping status, a log tail and the exit code per job.
+ */
+class JobRunner {
+  /**
+   * @param {object} [options] - Runner options
+   * @param {number} [options.concurrency=1] - Runs executed at the same time
+   * @param {string} [options.command] - Executable to launch (defaults to the current Node binary)
+   * @param {string[]} [options.baseArgs] - Arguments before the per-job ones (defaults to the Playwright CLI `test`)
+   * @param {string} [options.cwd] - Working directory for runs (defaults to the repository root)
+   * @param {number} [options.logLines=500] - Output lines kept per job
+   * @param {number} [options.maxFinishedJobs=200] - Finished jobs kept in memory
+   */
+  constructor({
+    concurrency = 1,
+    command = process.execPath,
+    baseArgs = [require.resolve('@playwright/test/cli'), 'test'],
+    cwd = path.join(__dirname, '..', '..'),
+    logLines = 500,
+    maxFinishedJobs = 200
+  } = {}) {
+    this.concurrency = concurrency;
+    this.command = command;
+    this.baseArgs = baseArgs;
+    this.cwd = cwd;
+    this.logLines = logLines;
+    this.maxFinishedJobs = maxFinishedJobs;
+    this.jobs = new Map();
+    this.queue = [];
+    this.processes = new Map();
+  }
+
+  /**
+   * Translate run options into Playwright CLI arguments
+   * @param {object} options - Run selection
+   * @param {string} [options.project] - Playwright project name
+   * @param {string} [options.grep] - Grep pattern or tag, e.g. @smoke
+   * @param {string} [options.spec] - Spec file relative to the repository root
+   * @returns {string[]} - CLI arguments
+   */
+  static buildArgs({ project, grep, spec } = {}) {
+    const args = [];
+    if (spec) args.push(spec);
+    if (project) args.push(`--project=${project}`);
+    if (grep) args.push(`--grep=${grep}`);
+    return args;
+  }
+
+  /**
+   * Queue a run
+   * @param {object} trigger - CI trigger details
+   * @param {string} [trigger.repository] - Repository name
+   * @param {string} [trigger.branch] - Branch under test
+   * @param {string} [trigger.commit] - Commit under test
+   * @param {object} [trigger.options] - Run selection passed to buildArgs()
+   * @returns {object} - Public view of the queued job
+   */
+  enqueue({ repository, branch, commit, options = {} }) {
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      repository: repository || null,
+      branch: branch || null,
+      commit: commit || null,
+      options,
+      args: JobRunner.buildArgs(options),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      exitCode: null,
+      cancelRequested: false,
+      log: []
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    logger.info(`Queued job ${job.id}: playwright test ${job.args.join(' ')}`);
+
+    this.drain();
+    return this.view(job);
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @param {object} [options] - View options
+   * @param {number} [options.tail=100] - Log lines to include
+   * @returns {object|null} - Public view of the job or null if unknown
+   */
+  get(id, { tail = 100 } = {}) {
+    const job = this.jobs.get(id);
+    return job ? this.view(job, tail) : null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @returns {{job: object|null, cancelled: boolean}} - Job view and whether cancellation applied
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return { job: null, cancelled: false };
+    if (FINISHED.includes(job.status)) return { job: this.view(job), cancelled: false };
+
+    job.cancelRequested = true;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      this.finish(job, 'cancelled', null);
+    } else {
+      logger.info(`Cancelling running job ${id}`);
+      this.processes.get(id).kill('SIGTERM');
+    }
+
+    return { job: this.view(job), cancelled: true };
+  }
+
+  /**
+   * Start queued jobs while below the concurrency limit
+   */
+  drain() {
+    while (this.processes.size < this.concurrency && this.queue.length > 0) {
+      this.start(this.jobs.get(this.queue.shift()));
+    }
+  }
+
+  /**
+   * Launch a job's process
+   * @param {object} job - Internal job record
+   */
+  start(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const child = spawn(this.command, [...this.baseArgs, ...job.args], {
+      cwd: this.cwd,
+      env: {
+        ...process.env,
+        // Lets the webhook reporter file the results under this job's ID
+        RUN_ID: job.id,
+        BRANCH: job.branch || process.env.BRANCH || '',
+        COMMIT_SHA: job.commit || process.env.COMMIT_SHA || ''
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    this.processes.set(job.id, child);
+    logger.info(`Started job ${job.id} (pid ${child.pid})`);
+
+    const capture = stream => {
+      let partial = '';
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        const lines = (partial + chunk).split(/\r?\n/);
+        partial = lines.pop();
+        this.appendLog(job, lines);
+      });
+      stream.on('end', () => {
+        if (partial) this.appendLog(job, [partial]);
+      });
+    };
+    capture(child.stdout);
+    capture(child.stderr);
+
+    // 'error' (e.g. command not found) and 'close' can both fire - settle the job once
+    let settled = false;
+    const settle = code => {
+      if (settled) return;
+      settled = true;
+      this.processes.delete(job.id);
+      const status = job.cancelRequested ? 'cancelled' : code === 0 ? 'passed' : 'failed';
+      this.finish(job, status, code);
+      this.drain();
+    };
+
+    child.on('error', error => {
+      this.appendLog(job, [`Could not start run: ${error.message}`]);
+      settle(null);
+    });
+    child.on('close', code => settle(code));
+  }
+
+  /**
+   * Keep the last output lines of a job
+   * @param {object} job - Internal job record
+   * @param {string[]} lines - New output lines
+   */
+  appendLog(job, lines) {
+    job.log.push(...lines);
+    if (job.log.length > this.logLines) {
+      job.log.splice(0, job.log.length - this.logLines);
+    }
+  }
+
+  /**
+   * Mark a job finished and forget the oldest finished jobs beyond the retention limit
+   * @param {object} job - Internal job record
+   * @param {string} status - Final status
+   * @param {number|null} exitCode - Process exit code
+   */
+  finish(job, status, exitCode) {
+    job.status = status;
+    job.exitCode = exitCode;
+    job.finishedAt = new Date().toISOString();
+    logger.info(`Job ${job.id} ${status}${exitCode !== null ? ` (exit code ${exitCode})` : ''}`);
+
+    const finished = [...this.jobs.values()].filter(entry => FINISHED.includes(entry.status));
+    for (const old of finished.slice(0, Math.max(finished.length - this.maxFinishedJobs, 0))) {
+      this.jobs.delete(old.id);
+    }
+  }
+
+  /**
+   * Public view of a job
+   * @param {object} job - Internal job record
+   * @param {number} [tail=100] - Log lines to include
+   * @returns {object} - Job without internal fields
+   */
+  view(job, tail = 100) {
+    const { id, status, repository, branch, commit, options, args, createdAt, startedAt, finishedAt, exitCode } = job;
+    return {
+      id, status, repository, branch, commit, options, args, createdAt, startedAt, finishedAt, exitCode,
+      logTail: tail > 0 ? job.log.slice(-tail) : []
+    };
+  }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,130 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Fields left out of change listings, only returned by get()
+const DETAIL_FIELDS = ['changes', 'headings', 'diff'];
+
+/**
+ * File-based store for policy-change events and their compliance review.
+ * Each change is kept as one JSON file named after its event id.
+ */
+class PolicyChangeStore {
+  /**
+   * @param {string} dataDir - Directory where change files are written
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+  }
+
+  /**
+   * Build the file path for a change
+   * @param {string} id - Event id
+   * @returns {string} - Absolute file path
+   */
+  changePath(id) {
+    return path.join(this.dataDir, `${encodeURIComponent(id)}.json`);
+  }
+
+  /**
+   * Persist a policy-change event as a pending change.
+   * A re-sent event with the same wording keeps its review; different wording under the same id starts over
+   * @param {object} event - Webhook body from createPolicyChangeEvent() in ui/utils/policyMonitor.js
+   * @returns {Promise<object>} - Stored change record
+   */
+  async save(event) {
+    const existing = await this.get(event.id);
+    const keepReview = existing && existing.hash === event.hash;
+    const change = {
+      ...event,
+      receivedAt: new Date().toISOString(),
+      status: keepReview ? existing.status : 'pending',
+      review: keepReview ? existing.review : null
+    };
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(this.changePath(change.id), JSON.stringify(change, null, 2));
+    return change;
+  }
+
+  /**
+   * Read every stored change, newest first
+   * @returns {Promise<object[]>} - Change records
+   */
+  async readAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const changes = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf8'))));
+
+    return changes.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  }
+
+  /**
+   * List changes without their clause details
+   * @param {object} [options] - Paging and filters
+   * @param {number} [options.page=1] - 1-based page number
+   * @param {number} [options.pageSize=20] - Changes per page
+   * @param {string} [options.status] - Only "pending", "approved" or "rejected" changes
+   * @param {string} [options.policy] - Only changes of this policy
+   * @param {string} [options.environment] - Only changes detected in this environment
+   * @returns {Promise<{changes: object[], page: number, pageSize: number, total: number}>} - Page of changes
+   */
+  async list({ page = 1, pageSize = 20, status, policy, environment } = {}) {
+    const matching = (await this.readAll()).filter(change =>
+      (!status || change.status === status) &&
+      (!policy || change.policy === policy) &&
+      (!environment || change.environment === environment)
+    );
+
+    const start = (page - 1) * pageSize;
+    const changes = matching
+      .slice(start, start + pageSize)
+      .map(change => Object.fromEntries(Object.entries(change).filter(([key]) => !DETAIL_FIELDS.includes(key))));
+
+    return { changes, page, pageSize, total: matching.length };
+  }
+
+  /**
+   * Get a single change
+   * @param {string} id - Event id
+   * @returns {Promise<object|null>} - Change record or null if unknown
+   */
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.changePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Record the compliance decision on a pending change
+   * @param {string} id - Event id
+   * @param {object} review - Review details
+   * @param {string} review.decision - "approved" or "rejected"
+   * @param {string} review.reviewer - Who reviewed the wording
+   * @param {string} [review.comment] - Free-text note
+   * @returns {Promise<{change: object|null, reviewed: boolean}>} - Change (null if unknown), and false if it was already reviewed
+   */
+  async review(id, { decision, reviewer, comment }) {
+    const change = await this.get(id);
+    if (!change || change.status !== 'pending') {
+      return { change, reviewed: false };
+    }
+
+    change.status = decision;
+    change.review = { decision, reviewer, comment: comment || null, reviewedAt: new Date().toISOString() };
+    await fs.writeFile(this.changePath(id), JSON.stringify(change, null, 2));
+    return { change, reviewed: true };
+  }
+}
+
+module.exports = PolicyChangeStore;
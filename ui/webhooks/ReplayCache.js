@@ -0,0 +1,47 @@
+/**
+ * Remembers recently seen webhook delivery IDs so a captured request cannot be replayed.
+ * Entries only need to outlive the signature tolerance window; older timestamps are rejected anyway.
+ */
+class ReplayCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {number} options.ttlSeconds - How long a delivery ID is remembered
+   * @param {number} [options.maxEntries=10000] - Upper bound on remembered IDs
+   */
+  constructor({ ttlSeconds, maxEntries = 10000 }) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Record a delivery ID
+   * @param {string} deliveryId - x-webhook-delivery header
+   * @returns {boolean} - False if the ID was already seen (a replay)
+   */
+  remember(deliveryId) {
+    const now = Date.now();
+    this.prune(now);
+
+    if (this.entries.has(deliveryId)) {
+      return false;
+    }
+
+    this.entries.set(deliveryId, now + this.ttlMs);
+    return true;
+  }
+
+  /**
+   * Drop expired IDs, and the oldest ones when over capacity
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now) {
+    // Map iterates in insertion order, which is also expiry order
+    for (const [deliveryId, expiresAt] of this.entries) {
+      if (expiresAt > now && this.entries.size < this.maxEntries) break;
+      this.entries.delete(deliveryId);
+    }
+  }
+}
+
+module.exports = ReplayCache;
@@ -0,0 +1,108 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File-based store for test-result webhook payloads.
+ * Each run is kept as one JSON file named after its runId.
+ */
+class RunStore {
+  /**
+   * @param {string} dataDir - Directory where run files are written
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+  }
+
+  /**
+   * Build the file path for a run
+   * @param {string} runId - Run identifier
+   * @returns {string} - Absolute file path
+   */
+  runPath(runId) {
+    return path.join(this.dataDir, `${encodeURIComponent(runId)}.json`);
+  }
+
+  /**
+   * Persist an accepted test-results payload, replacing an earlier delivery of the same run
+   * @param {object} payload - Webhook body
+   * @param {string} payload.runId - Run identifier
+   * @param {string} [payload.buildId] - CI build identifier
+   * @param {string} [payload.branch] - Branch the run was executed for
+   * @param {object} payload.testResults - Results with summary and tests[]
+   * @returns {Promise<object>} - Stored run record
+   */
+  async save({ runId, buildId, branch, commit, testResults }) {
+    const run = {
+      runId: String(runId),
+      buildId: buildId !== undefined ? String(buildId) : null,
+      branch: branch || null,
+      commit: commit || null,
+      receivedAt: new Date().toISOString(),
+      summary: testResults.summary,
+      tests: Array.isArray(testResults.tests) ? testResults.tests : []
+    };
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(this.runPath(run.runId), JSON.stringify(run, null, 2));
+    return run;
+  }
+
+  /**
+   * Read every stored run, newest first
+   * @returns {Promise<object[]>} - Run records
+   */
+  async readAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const runs = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf8'))));
+
+    return runs.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  }
+
+  /**
+   * List runs without their per-test details
+   * @param {object} [options] - Paging and filters
+   * @param {number} [options.page=1] - 1-based page number
+   * @param {number} [options.pageSize=20] - Runs per page
+   * @param {string} [options.branch] - Only runs for this branch
+   * @param {string} [options.buildId] - Only runs for this build
+   * @returns {Promise<{runs: object[], page: number, pageSize: number, total: number}>} - Page of runs
+   */
+  async list({ page = 1, pageSize = 20, branch, buildId } = {}) {
+    const matching = (await this.readAll()).filter(run =>
+      (!branch || run.branch === branch) &&
+      (!buildId || run.buildId === buildId)
+    );
+
+    const start = (page - 1) * pageSize;
+    const runs = matching
+      .slice(start, start + pageSize)
+      .map(({ tests, ...run }) => ({ ...run, testCount: tests.length }));
+
+    return { runs, page, pageSize, total: matching.length };
+  }
+
+  /**
+   * Get a single run
+   * @param {string} runId - Run identifier
+   * @returns {Promise<object|null>} - Run record or null if unknown
+   */
+  async get(runId) {
+    try {
+      return JSON.parse(await fs.readFile(this.runPath(runId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = RunStore;
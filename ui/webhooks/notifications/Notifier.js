@@ -0,0 +1,141 @@
+const axios = require('axios');
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { formatSlackMessage, formatTeamsMessage, hasFailures } = require('./formatters');
+
+const formatters = {
+  slack: formatSlackMessage,
+  teams: formatTeamsMessage
+};
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether a failed delivery is worth retrying
+ * Network errors, timeouts, 429 and 5xx responses are retried; other 4xx responses are not.
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} - True if the delivery should be retried
+ */
+const isRetryable = (error) => {
+  const status = error.response && error.response.status;
+  return !status || status === 429 || status >= 500;
+};
+
+/**
+ * Sends Slack/Teams notifications for stored runs
+ */
+class Notifier {
+  /**
+   * @param {object} options - Notifier options
+   * @param {Array<object>} options.channels - Channels from getNotificationChannels()
+   * @param {string} options.deadLetterPath - JSON-lines file for deliveries that could not be sent
+   * @param {number} [options.retries=3] - Attempts after the first delivery fails
+   * @param {number} [options.backoffMs=1000] - Delay before the first retry, doubled for each further attempt
+   * @param {number} [options.timeoutMs=10000] - Request timeout for each delivery attempt
+   * @param {string} [options.publicURL] - Public URL of the webhook server, used to link to the run
+   */
+  constructor({ channels, deadLetterPath, retries = 3, backoffMs = 1000, timeoutMs = 10000, publicURL }) {
+    this.channels = channels;
+    this.deadLetterPath = deadLetterPath;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.timeoutMs = timeoutMs;
+    this.publicURL = publicURL;
+  }
+
+  /**
+   * Check whether a channel's filters accept a run
+   * @param {object} channel - Channel configuration
+   * @param {object} run - Stored run record
+   * @returns {boolean} - True if the channel should be notified
+   */
+  shouldNotify(channel, run) {
+    const { branches = [], onlyFailures = true } = channel.filters || {};
+
+    if (onlyFailures && !hasFailures(run)) return false;
+    if (branches.length > 0 && !branches.includes(run.branch)) return false;
+    return true;
+  }
+
+  /**
+   * Notify every channel whose filters accept the run
+   * @param {object} run - Stored run record
+   * @returns {Promise<Array<{channel: string, status: string, attempts: number}>>} - Outcome per channel
+   */
+  async notify(run) {
+    const runUrl = this.publicURL ? `${this.publicURL}/runs/${encodeURIComponent(run.runId)}` : undefined;
+
+    return Promise.all(this.channels.map(async channel => {
+      if (!this.shouldNotify(channel, run)) {
+        logger.info(`Skipping ${channel.name} notification for run ${run.runId} (filtered)`);
+        return { channel: channel.name, status: 'skipped', attempts: 0 };
+      }
+
+      const message = formatters[channel.type](run, { runUrl });
+      return this.deliver(channel, run, message);
+    }));
+  }
+
+  /**
+   * POST a message to a channel, retrying with exponential backoff
+   * @param {object} channel - Channel configuration
+   * @param {object} run - Stored run record
+   * @param {object} message - Formatted message payload
+   * @returns {Promise<{channel: string, status: string, attempts: number}>} - Delivery outcome
+   */
+  async deliver(channel, run, message) {
+    let attempts = 0;
+
+    for (;;) {
+      attempts++;
+      try {
+        await axios.post(channel.url, message, { timeout: this.timeoutMs });
+        logger.info(`Sent ${channel.name} notification for run ${run.runId} (attempt ${attempts})`);
+        return { channel: channel.name, status: 'sent', attempts };
+      } catch (error) {
+        const retryable = isRetryable(error);
+        logger.warn(`${channel.name} notification for run ${run.runId} failed (attempt ${attempts}): ${error.message}`);
+
+        if (!retryable || attempts > this.retries) {
+          await this.writeDeadLetter({ channel, run, message, error, attempts });
+          return { channel: channel.name, status: 'failed', attempts };
+        }
+
+        await sleep(this.backoffMs * 2 ** (attempts - 1));
+      }
+    }
+  }
+
+  /**
+   * Append an undeliverable notification to the dead-letter log
+   * @param {object} entry - Failed delivery details
+   */
+  async writeDeadLetter({ channel, run, message, error, attempts }) {
+    const record = {
+      failedAt: new Date().toISOString(),
+      // Not the channel URL: incoming-webhook URLs are secrets
+      channel: channel.name,
+      type: channel.type,
+      runId: run.runId,
+      attempts,
+      error: error.message,
+      status: error.response ? error.response.status : null,
+      message
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.deadLetterPath), { recursive: true });
+      await fs.appendFile(this.deadLetterPath, JSON.stringify(record) + '\n');
+      logger.error(`Gave up on ${channel.name} notification for run ${run.runId}; written to dead-letter log`);
+    } catch (writeError) {
+      logger.error(`Could not write dead-letter entry for run ${run.runId}: ${writeError.message}`);
+    }
+  }
+}
+
+module.exports = Notifier;
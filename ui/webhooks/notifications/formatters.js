@@ -0,0 +1,154 @@
+/**
+ * Message formatters for failure notifications
+ */
+
+// Failed tests listed in a message before the rest are summarized as "and N more"
+const MAX_LISTED_FAILURES = 10;
+
+/**
+ * Get the failed tests of a run. Playwright's outcome decides, so expected failures (test.fail()) don't count,
+ * matching summary.failed; entries without an outcome fall back to their status.
+ * @param {object} run - Stored run record
+ * @returns {object[]} - Tests that failed unexpectedly
+ */
+const getFailedTests = (run) => {
+  return (run.tests || []).filter(test => (test.outcome !== undefined
+    ? test.outcome === 'unexpected'
+    : test.status === 'failed' || test.status === 'timedOut'));
+};
+
+/**
+ * Check whether a run contains failures
+ * @param {object} run - Stored run record
+ * @returns {boolean} - True if any test failed
+ */
+const hasFailures = (run) => {
+  const failedCount = run.summary && typeof run.summary === 'object' ? Number(run.summary.failed) || 0 : 0;
+  return failedCount > 0 || getFailedTests(run).length > 0;
+};
+
+/**
+ * Describe the run outcome in one line, e.g. "2 of 45 tests failed" or "all 45 tests passed"
+ * @param {object} run - Stored run record
+ * @returns {string} - Outcome text
+ */
+const describeOutcome = (run) => {
+  const summary = run.summary && typeof run.summary === 'object' ? run.summary : {};
+  const failed = Number(summary.failed) || getFailedTests(run).length;
+  const total = Number(summary.total) || (run.tests || []).length;
+  return hasFailures(run) ? `${failed} of ${total} tests failed` : `all ${total} tests passed`;
+};
+
+/**
+ * Message title for a run, e.g. "AngelCard UI tests failed: 2 of 45 tests failed"
+ * Green runs are only sent to channels with onlyFailures off
+ * @param {object} run - Stored run record
+ * @returns {string} - Title text
+ */
+const describeTitle = (run) => `AngelCard UI tests ${hasFailures(run) ? 'failed' : 'passed'}: ${describeOutcome(run)}`;
+
+/**
+ * Render the failed test titles as a bullet list
+ * @param {object} run - Stored run record
+ * @returns {string[]} - One line per listed failure
+ */
+const failureLines = (run) => {
+  const failed = getFailedTests(run);
+  const lines = failed.slice(0, MAX_LISTED_FAILURES).map(test => {
+    const project = test.project ? `[${test.project}] ` : '';
+    return `• ${project}${test.title}`;
+  });
+  if (failed.length > MAX_LISTED_FAILURES) {
+    lines.push(`…and ${failed.length - MAX_LISTED_FAILURES} more`);
+  }
+  return lines;
+};
+
+/**
+ * Format a Slack Block Kit message for a run
+ * @param {object} run - Stored run record
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.runUrl] - Link to the run in the run-history API
+ * @returns {object} - Slack incoming-webhook payload
+ */
+const formatSlackMessage = (run, { runUrl } = {}) => {
+  const title = describeTitle(run);
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: title }
+    },
+    {
+      type: 'section',
+      fields: [
+        { type: 'mrkdwn', text: `*Branch:*\n${run.branch || 'unknown'}` },
+        { type: 'mrkdwn', text: `*Build:*\n${run.buildId || 'unknown'}` },
+        { type: 'mrkdwn', text: `*Run:*\n${run.runId}` },
+        { type: 'mrkdwn', text: `*Commit:*\n${run.commit || 'unknown'}` }
+      ]
+    }
+  ];
+
+  const lines = failureLines(run);
+  if (lines.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*Failed tests*\n${lines.join('\n')}` }
+    });
+  }
+
+  if (runUrl) {
+    blocks.push({
+      type: 'actions',
+      elements: [{ type: 'button', text: { type: 'plain_text', text: 'View run' }, url: runUrl }]
+    });
+  }
+
+  const verb = hasFailures(run) ? 'failed' : 'passed';
+  return { text: `AngelCard UI tests ${verb} on ${run.branch || 'unknown branch'}: ${describeOutcome(run)}`, blocks };
+};
+
+/**
+ * Format a Microsoft Teams MessageCard for a run
+ * @param {object} run - Stored run record
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.runUrl] - Link to the run in the run-history API
+ * @returns {object} - Teams incoming-webhook payload
+ */
+const formatTeamsMessage = (run, { runUrl } = {}) => {
+  const title = describeTitle(run);
+  const card = {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    // Red for failures, green for runs sent by channels with onlyFailures off
+    themeColor: hasFailures(run) ? 'D70000' : '2EB886',
+    summary: title,
+    sections: [
+      {
+        activityTitle: title,
+        facts: [
+          { name: 'Branch', value: run.branch || 'unknown' },
+          { name: 'Build', value: run.buildId || 'unknown' },
+          { name: 'Run', value: run.runId },
+          { name: 'Commit', value: run.commit || 'unknown' }
+        ],
+        text: failureLines(run).join('<br>')
+      }
+    ]
+  };
+
+  if (runUrl) {
+    card.potentialAction = [
+      { '@type': 'OpenUri', name: 'View run', targets: [{ os: 'default', uri: runUrl }] }
+    ];
+  }
+
+  return card;
+};
+
+module.exports = {
+  formatSlackMessage,
+  formatTeamsMessage,
+  getFailedTests,
+  hasFailures
+};
@@ -1,74 +1,357 @@
 const express = require('express');
 const dotenv = require('dotenv');
-const { createHmac } = require('crypto');
+const path = require('path');
 const logger = require('../utils/logger');
+const RunStore = require('./RunStore');
+const PolicyChangeStore = require('./PolicyChangeStore');
+const ReplayCache = require('./ReplayCache');
+const JobRunner = require('./JobRunner');
+const { DEFAULT_SECRET, getWebhookSecrets, verifySignature } = require('./signature');
+const Notifier = require('./notifications/Notifier');
+const { getNotificationChannels, notificationSettings } = require('../config/notifications');
+const { getEnvironment } = require('../config/environments');
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 const PORT = process.env.WEBHOOK_PORT || 3000;
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'default_secret';
+const DATA_DIR = process.env.WEBHOOK_DATA_DIR || path.join(__dirname, '..', 'reports', 'webhook-data');
 
-// Middleware to parse JSON
-app.use(express.json());
+// Signature verification: active secrets (primary first) and accepted clock difference
+app.locals.webhookSecrets = getWebhookSecrets();
+app.locals.signatureToleranceSeconds = Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// Delivery IDs seen within the tolerance window (either side of now)
+app.locals.replayCache = new ReplayCache({ ttlSeconds: app.locals.signatureToleranceSeconds * 2 });
+
+// Store for accepted test-result payloads (replaceable, e.g. with a temp directory in tests)
+app.locals.runStore = new RunStore(path.join(DATA_DIR, 'runs'));
+
+// Store for policy wording changes awaiting compliance review
+app.locals.policyChangeStore = new PolicyChangeStore(path.join(DATA_DIR, 'policy-changes'));
+
+// Outbound Slack/Teams notifications for failed runs
+app.locals.notifier = new Notifier({
+  ...notificationSettings,
+  channels: getNotificationChannels(),
+  deadLetterPath: path.join(DATA_DIR, 'dead-letter.jsonl'),
+  publicURL: process.env.WEBHOOK_PUBLIC_URL
+});
+
+// Playwright runs queued by /webhook/ci-trigger
+app.locals.jobRunner = new JobRunner({ concurrency: Number(process.env.JOB_CONCURRENCY) || 1 });
+
+// Middleware to parse JSON, keeping the raw bytes for signature verification
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 /**
- * Verify webhook signature
- * @param {string} signature - Webhook signature from request header
- * @param {object} payload - Request payload
- * @returns {boolean} - True if signature is valid
+ * Reject requests whose signature, timestamp or delivery ID do not check out
  */
-const verifySignature = (signature, payload) => {
-  const hmac = createHmac('sha256', WEBHOOK_SECRET);
-  const digest = 'sha256=' + hmac.update(JSON.stringify(payload)).digest('hex');
-  return signature === digest;
+const requireSignature = (req, res, next) => {
+  const { locals } = req.app;
+  const deliveryId = req.headers['x-webhook-delivery'];
+  const result = verifySignature({
+    signature: req.headers['x-webhook-signature'],
+    timestamp: req.headers['x-webhook-timestamp'],
+    deliveryId,
+    body: req.rawBody
+  }, {
+    secrets: locals.webhookSecrets,
+    toleranceSeconds: locals.signatureToleranceSeconds
+  });
+  
+  if (!result.valid) {
+    logger.warn(`Rejected webhook on ${req.path}: ${result.reason}`);
+    return res.status(401).json({ error: result.reason });
+  }
+  
+  // Only remember verified IDs, so unsigned requests can't fill the cache
+  if (!locals.replayCache.remember(deliveryId)) {
+    logger.warn(`Rejected replayed webhook delivery ${deliveryId} on ${req.path}`);
+    return res.status(401).json({ error: 'Delivery already processed' });
+  }
+  
+  return next();
 };
 
 /**
  * Handle incoming test result webhooks
  */
-app.post('/webhook/test-results', (req, res) => {
-  const signature = req.headers['x-webhook-signature'];
+app.post('/webhook/test-results', requireSignature, async (req, res) => {
+  const { testResults, buildId, runId } = req.body;
   
-  // Verify webhook signature
-  if (!signature || !verifySignature(signature, req.body)) {
-    logger.warn('Invalid webhook signature');
-    return res.status(401).json({ error: 'Invalid signature' });
+  if (!runId || !testResults) {
+    logger.warn('Test results webhook is missing runId or testResults');
+    return res.status(400).json({ error: 'runId and testResults are required' });
   }
   
-  const { testResults, buildId, runId } = req.body;
-  
   logger.info(`Received test results webhook for build ${buildId}, run ${runId}`);
-  logger.info(`Test summary: ${testResults.summary}`);
+  logger.info(`Test summary: ${JSON.stringify(testResults.summary)}`);
+  
+  let run;
+  try {
+    run = await req.app.locals.runStore.save(req.body);
+  } catch (error) {
+    logger.error(`Could not store test results for run ${runId}: ${error.message}`);
+    return res.status(500).json({ error: 'Could not store test results' });
+  }
   
-  // Process test results here
-  // For example, send notifications or update dashboards
+  // Notify in the background so the sender isn't held up by retries
+  req.app.locals.notifier.notify(run).catch(error => {
+    logger.error(`Notification dispatch failed for run ${runId}: ${error.message}`);
+  });
   
   return res.status(200).json({ status: 'success' });
 });
 
 /**
- * Handle CI/CD pipeline triggers
+ * List stored runs, newest first
+ * Query: page, pageSize (max 100), branch, buildId
+ */
+app.get('/runs', async (req, res) => {
+  const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(Number.parseInt(req.query.pageSize, 10) || 20, 1), 100);
+  const { branch, buildId } = req.query;
+  
+  try {
+    return res.status(200).json(await req.app.locals.runStore.list({ page, pageSize, branch, buildId }));
+  } catch (error) {
+    logger.error(`Could not list runs: ${error.message}`);
+    return res.status(500).json({ error: 'Could not list runs' });
+  }
+});
+
+/**
+ * Get a stored run, including its tests
+ */
+app.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await req.app.locals.runStore.get(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    return res.status(200).json(run);
+  } catch (error) {
+    logger.error(`Could not read run ${req.params.runId}: ${error.message}`);
+    return res.status(500).json({ error: 'Could not read run' });
+  }
+});
+
+/**
+ * Get the tests of a stored run
+ * Query: status (optional) to only return tests with that outcome
+ */
+app.get('/runs/:runId/tests', async (req, res) => {
+  try {
+    const run = await req.app.locals.runStore.get(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    const { status } = req.query;
+    const tests = status ? run.tests.filter(test => test.status === status) : run.tests;
+    return res.status(200).json({ runId: run.runId, tests });
+  } catch (error) {
+    logger.error(`Could not read tests for run ${req.params.runId}: ${error.message}`);
+    return res.status(500).json({ error: 'Could not read run tests' });
+  }
+});
+
+/**
+ * Validate a policy-change event from the policy content monitor
+ * @param {object} event - Request body
+ * @returns {string|null} - Validation error, null when the event is complete
+ */
+const validatePolicyChange = (event) => {
+  for (const name of ['id', 'environment', 'policy', 'hash']) {
+    if (typeof event[name] !== 'string' || event[name].length === 0 || event[name].length > 200) {
+      return `${name} must be a non-empty string`;
+    }
+  }
+  if (!Number.isInteger(event.fromVersion) || !Number.isInteger(event.toVersion) || event.toVersion <= event.fromVersion) {
+    return 'fromVersion and toVersion must be whole numbers, toVersion after fromVersion';
+  }
+  if (!Array.isArray(event.changes)) {
+    return 'changes must be an array';
+  }
+  return null;
+};
+
+/**
+ * Handle policy wording changes detected by the policy content monitor
+ */
+app.post('/webhook/policy-change', requireSignature, async (req, res) => {
+  const error = validatePolicyChange(req.body);
+  if (error) {
+    logger.warn(`Rejected policy change: ${error}`);
+    return res.status(400).json({ error });
+  }
+  
+  const { id, policy, environment, fromVersion, toVersion, summary } = req.body;
+  logger.info(`Received policy change ${id}: ${policy} v${fromVersion} -> v${toVersion} on ${environment}`);
+  logger.info(`Change summary: ${JSON.stringify(summary)}`);
+  
+  try {
+    const change = await req.app.locals.policyChangeStore.save(req.body);
+    return res.status(200).json({ status: 'success', id, review: change.status, reviewUrl: `/policy-changes/${encodeURIComponent(id)}` });
+  } catch (storeError) {
+    logger.error(`Could not store policy change ${id}: ${storeError.message}`);
+    return res.status(500).json({ error: 'Could not store policy change' });
+  }
+});
+
+/**
+ * List policy changes, newest first
+ * Query: page, pageSize (max 100), status (pending, approved, rejected), policy, environment
  */
-app.post('/webhook/ci-trigger', (req, res) => {
-  const signature = req.headers['x-webhook-signature'];
+app.get('/policy-changes', async (req, res) => {
+  const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(Number.parseInt(req.query.pageSize, 10) || 20, 1), 100);
+  const { status, policy, environment } = req.query;
   
-  // Verify webhook signature
-  if (!signature || !verifySignature(signature, req.body)) {
-    logger.warn('Invalid webhook signature');
-    return res.status(401).json({ error: 'Invalid signature' });
+  try {
+    return res.status(200).json(await req.app.locals.policyChangeStore.list({ page, pageSize, status, policy, environment }));
+  } catch (error) {
+    logger.error(`Could not list policy changes: ${error.message}`);
+    return res.status(500).json({ error: 'Could not list policy changes' });
+  }
+});
+
+/**
+ * Get a policy change with its clause diff
+ * Query: format=text to get the readable diff as plain text
+ */
+app.get('/policy-changes/:id', async (req, res) => {
+  try {
+    const change = await req.app.locals.policyChangeStore.get(req.params.id);
+    if (!change) {
+      return res.status(404).json({ error: 'Policy change not found' });
+    }
+    if (req.query.format === 'text') {
+      return res.status(200).type('text/plain').send(change.diff || '');
+    }
+    return res.status(200).json(change);
+  } catch (error) {
+    logger.error(`Could not read policy change ${req.params.id}: ${error.message}`);
+    return res.status(500).json({ error: 'Could not read policy change' });
   }
+});
+
+/**
+ * Record the compliance review of a pending policy change (signed like the webhooks)
+ * Body: { decision: 'approved' | 'rejected', reviewer, comment }
+ */
+app.post('/policy-changes/:id/review', requireSignature, async (req, res) => {
+  const { decision, reviewer, comment } = req.body;
   
+  if (!['approved', 'rejected'].includes(decision)) {
+    return res.status(400).json({ error: 'decision must be "approved" or "rejected"' });
+  }
+  if (typeof reviewer !== 'string' || reviewer.length === 0) {
+    return res.status(400).json({ error: 'reviewer must be a non-empty string' });
+  }
+  
+  try {
+    const { change, reviewed } = await req.app.locals.policyChangeStore.review(req.params.id, { decision, reviewer, comment });
+    if (!change) {
+      return res.status(404).json({ error: 'Policy change not found' });
+    }
+    if (!reviewed) {
+      return res.status(409).json({ error: `Policy change already ${change.status}`, change });
+    }
+    logger.info(`Policy change ${change.id} ${decision} by ${reviewer}`);
+    return res.status(200).json(change);
+  } catch (error) {
+    logger.error(`Could not review policy change ${req.params.id}: ${error.message}`);
+    return res.status(500).json({ error: 'Could not review policy change' });
+  }
+});
+
+/**
+ * Parse the action of a CI trigger into run options
+ * Accepts "test" (run everything, also when the action is missing or null) or { type: 'test', project, grep, spec }
+ * @param {string|object} action - Action from the request body
+ * @returns {{options?: object, error?: string}} - Run options or a validation error
+ */
+const parseAction = (action) => {
+  // A missing or null action runs everything
+  if (action === undefined || action === null) {
+    action = 'test';
+  }
+  if (typeof action !== 'string' && (typeof action !== 'object' || Array.isArray(action))) {
+    return { error: 'action must be a string or an object' };
+  }
+  const { type = 'test', project, grep, spec } = typeof action === 'string' ? { type: action } : action;
+  
+  if (type !== 'test') {
+    return { error: `Unsupported action "${type}"` };
+  }
+  
+  for (const [name, value] of Object.entries({ project, grep, spec })) {
+    if (value !== undefined && (typeof value !== 'string' || value.length === 0 || value.length > 200)) {
+      return { error: `${name} must be a non-empty string` };
+    }
+  }
+  
+  // Only spec files inside the test directory can be selected
+  if (spec && (!/^ui\/tests\/[\w./-]+\.spec\.js$/.test(spec) || spec.split('/').includes('..'))) {
+    return { error: 'spec must be a .spec.js file under ui/tests/' };
+  }
+  
+  return { options: { project, grep, spec } };
+};
+
+/**
+ * Handle CI/CD pipeline triggers by queueing a Playwright run
+ */
+app.post('/webhook/ci-trigger', requireSignature, (req, res) => {
   const { repository, branch, commit, action } = req.body;
   
   logger.info(`Received CI trigger webhook for ${repository}/${branch} (${commit})`);
-  logger.info(`Action: ${action}`);
+  logger.info(`Action: ${JSON.stringify(action)}`);
   
-  // Process CI/CD trigger here
-  // For example, trigger test run or deployment
+  const { options, error } = parseAction(action);
+  if (error) {
+    logger.warn(`Rejected CI trigger: ${error}`);
+    return res.status(400).json({ error });
+  }
   
-  return res.status(200).json({ status: 'success' });
+  const job = req.app.locals.jobRunner.enqueue({ repository, branch, commit, options });
+  return res.status(202).json({ status: 'queued', jobId: job.id, statusUrl: `/jobs/${job.id}` });
+});
+
+/**
+ * Get job status, log tail and exit code
+ * Query: tail - number of log lines to return (default 100)
+ */
+app.get('/jobs/:id', (req, res) => {
+  const tail = Math.max(Number.parseInt(req.query.tail, 10) || 100, 0);
+  const job = req.app.locals.jobRunner.get(req.params.id, { tail });
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  return res.status(200).json(job);
+});
+
+/**
+ * Cancel a queued or running job (signed like the webhooks, body may be {})
+ */
+app.post('/jobs/:id/cancel', requireSignature, (req, res) => {
+  const { job, cancelled } = req.app.locals.jobRunner.cancel(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!cancelled) {
+    return res.status(409).json({ error: `Job already ${job.status}`, job });
+  }
+  return res.status(200).json(job);
 });
 
 /**
@@ -82,6 +365,12 @@ app.get('/health', (req, res) => {
  * Start webhook server
  */
 if (require.main === module) {
+  const env = getEnvironment();
+  if (env.name !== 'local' && app.locals.webhookSecrets.includes(DEFAULT_SECRET)) {
+    logger.error(`Refusing to start in ${env.name} mode with the default webhook secret - set WEBHOOK_SECRET or WEBHOOK_SECRETS`);
+    process.exit(1);
+  }
+  
   app.listen(PORT, () => {
     logger.info(`Webhook server running on port ${PORT}`);
   });
@@ -0,0 +1,96 @@
+const { createHmac, randomUUID, timingSafeEqual } = require('crypto');
+
+// Secret used when nothing is configured - only acceptable for local runs
+const DEFAULT_SECRET = 'default_secret';
+
+/**
+ * Get the active webhook secrets, primary first.
+ * WEBHOOK_SECRETS holds a comma-separated list during rotation; WEBHOOK_SECRET a single secret.
+ * @returns {string[]} - Active secrets (the default secret when none are configured)
+ */
+const getWebhookSecrets = () => {
+  const secrets = (process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+  return secrets.length > 0 ? secrets : [DEFAULT_SECRET];
+};
+
+/**
+ * Sign a webhook body with HMAC-SHA256.
+ * The signed content is `<deliveryId>.<timestamp>.<raw body>`, so neither header can be swapped on a replayed body.
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - Unix time in seconds, sent as x-webhook-timestamp
+ * @param {string} deliveryId - Unique delivery ID, sent as x-webhook-delivery
+ * @returns {string} - Signature in the `sha256=<hex>` format sent as x-webhook-signature
+ */
+const signPayload = (body, secret, timestamp, deliveryId) => {
+  return 'sha256=' + createHmac('sha256', secret)
+    .update(`${deliveryId}.${timestamp}.`)
+    .update(body)
+    .digest('hex');
+};
+
+/**
+ * Build the headers for a signed webhook delivery
+ * @param {string} body - Serialized request body exactly as it will be sent
+ * @param {string} secret - Shared webhook secret
+ * @returns {object} - x-webhook-signature, x-webhook-timestamp and x-webhook-delivery headers
+ */
+const createSignatureHeaders = (body, secret) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const deliveryId = randomUUID();
+  return {
+    'x-webhook-signature': signPayload(body, secret, timestamp, deliveryId),
+    'x-webhook-timestamp': String(timestamp),
+    'x-webhook-delivery': deliveryId
+  };
+};
+
+/**
+ * Compare two signatures in constant time
+ * @param {string} expected - Signature computed locally
+ * @param {string} actual - Signature received
+ * @returns {boolean} - True if they match
+ */
+const safeEqual = (expected, actual) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * Verify a signed delivery against any of the active secrets
+ * @param {object} delivery - Received delivery
+ * @param {string} delivery.signature - x-webhook-signature header
+ * @param {string} delivery.timestamp - x-webhook-timestamp header
+ * @param {string} delivery.deliveryId - x-webhook-delivery header
+ * @param {Buffer} delivery.body - Raw request body
+ * @param {object} options - Verification options
+ * @param {string[]} options.secrets - Active secrets
+ * @param {number} options.toleranceSeconds - Maximum clock difference accepted
+ * @param {number} [options.now] - Current unix time in seconds
+ * @returns {{valid: boolean, reason?: string}} - Verification outcome
+ */
+const verifySignature = ({ signature, timestamp, deliveryId, body }, { secrets, toleranceSeconds, now = Math.floor(Date.now() / 1000) }) => {
+  if (!signature || !timestamp || !deliveryId || !body) {
+    return { valid: false, reason: 'Missing signature, timestamp or delivery headers' };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isInteger(sentAt) || Math.abs(now - sentAt) > toleranceSeconds) {
+    return { valid: false, reason: 'Timestamp outside tolerance window' };
+  }
+
+  const matches = secrets.some(secret => safeEqual(signPayload(body, secret, timestamp, deliveryId), signature));
+  return matches ? { valid: true } : { valid: false, reason: 'Invalid signature' };
+};
+
+module.exports = {
+  DEFAULT_SECRET,
+  createSignatureHeaders,
+  getWebhookSecrets,
+  signPayload,
+  verifySignature
+};